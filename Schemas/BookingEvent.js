@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+// 🧾 Per-booking audit log (broadcasts, responses, payments, settlement).
+// Status changes live on ServiceBooking.statusHistory; the timeline endpoint merges both.
+const bookingEventSchema = new mongoose.Schema(
+  {
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ServiceBooking",
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: [
+        "broadcast_sent",
+        "broadcast_no_match",
+        "broadcast_accepted",
+        "broadcast_rejected",
+        "broadcast_expired",
+        "payment_order_created",
+        "payment_verified",
+        "payment_failed",
+        "payment_webhook",
+        "payment_stray_capture",
+        "settlement_completed",
+        "booking_rescheduled",
+        "technician_assigned",
+        "technician_unassigned",
+        "technician_reassigned",
+        "technician_cancelled",
+        "booking_cancelled",
+        "refund_initiated",
+        "refund_processed",
+        "refund_failed",
+        "cash_collected",
+        "cash_reconciled",
+        "quote_submitted",
+        "quote_approved",
+        "quote_rejected",
+        "parts_added",
+        "parts_removed",
+        "parts_approved",
+        "parts_rejected",
+      ],
+      required: true,
+      index: true,
+    },
+
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    actorRole: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin", "System"],
+      default: "System",
+    },
+
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+bookingEventSchema.index({ bookingId: 1, occurredAt: 1 });
+
+export default mongoose.models.BookingEvent ||
+  mongoose.model("BookingEvent", bookingEventSchema);
@@ -1,5 +1,29 @@
   import mongoose from "mongoose";
 
+  // Default broadcast behaviour for services in this category (null = platform default)
+  const broadcastSettingsSchema = new mongoose.Schema(
+    {
+      mode: {
+        type: String,
+        enum: ["fanout", "sequential", null],
+        default: null,
+      },
+      tierSize: {
+        type: Number,
+        default: null,
+        min: 1,
+        max: 20,
+      },
+      acceptWindowSeconds: {
+        type: Number,
+        default: null,
+        min: 15,
+        max: 3600,
+      },
+    },
+    { _id: false }
+  );
+
   const categorySchema = new mongoose.Schema({
     category: {
       type: String,
@@ -44,6 +68,19 @@
       default: true,
     },
 
+    broadcastSettings: {
+      type: broadcastSettingsSchema,
+      default: () => ({}),
+    },
+
+    // GST % for items in this category (null = PlatformSettings.tax.defaultGstRate)
+    gstRate: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 28,
+    },
+
 
     createdAt: {
       type: Date,
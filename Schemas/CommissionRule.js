@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+
+// 📐 Owner-managed commission rule (utils/commissionRules.js). Replaces the
+// service's flat commissionPercentage on the bookings it matches.
+
+export const TECHNICIAN_TIERS = ["standard", "silver", "gold", "platinum"];
+
+// Lower rate once the technician has completed `minJobs` jobs this month
+const volumeTierSchema = new mongoose.Schema(
+  {
+    minJobs: { type: Number, required: true, min: 1 },
+    commissionPercentage: { type: Number, required: true, min: 0, max: 50 },
+  },
+  { _id: false }
+);
+
+const commissionRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    commissionPercentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 50,
+    },
+
+    // Scope: empty lists match everything; a booking must match every non-empty list
+    categoryIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+    },
+
+    serviceIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Service" }],
+      default: [],
+    },
+
+    // Lowercase, compared with the booking's addressSnapshot.city
+    cities: {
+      type: [String],
+      default: [],
+    },
+
+    pincodes: {
+      type: [String],
+      default: [],
+    },
+
+    technicianTiers: {
+      type: [{ type: String, enum: TECHNICIAN_TIERS }],
+      default: [],
+    },
+
+    // Sorted by minJobs; the highest reached applies
+    volumeTiers: {
+      type: [volumeTierSchema],
+      default: [],
+    },
+
+    // Higher wins; ties go to the more specific rule, then the newest
+    priority: {
+      type: Number,
+      default: 0,
+    },
+
+    // Promotional window (null = open-ended)
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+
+    validTo: {
+      type: Date,
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.CommissionRule || mongoose.model("CommissionRule", commissionRuleSchema);
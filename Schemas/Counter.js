@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// 🔢 Named gap-free sequences (e.g. invoice numbers per financial year)
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false }
+);
+
+const Counter = mongoose.models.Counter || mongoose.model("Counter", counterSchema);
+
+/**
+ * Next value of a named sequence (1, 2, 3, ...).
+ * Pass the caller's session so an aborted transaction does not burn a number.
+ */
+export const nextSequence = async (key, session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+export default Counter;
@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+
+// 🎟️ Owner-managed promo code (utils/coupons.js). Discounts are platform-funded:
+// the technician's share is computed on the undiscounted price.
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    discountType: {
+      type: String,
+      enum: ["flat", "percentage"],
+      required: true,
+    },
+
+    // Rupees for flat, percent for percentage
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Cap for percentage coupons (null = no cap)
+    maxDiscountAmount: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+
+    // Compared with the eligible (pre-GST) subtotal
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Scope: empty lists mean every item; otherwise a line is eligible when its
+    // service or its category is listed
+    categoryIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+    },
+
+    serviceIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Service" }],
+      default: [],
+    },
+
+    // Only customers without any (non-cancelled) booking yet
+    firstBookingOnly: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Total redemptions allowed (null = unlimited)
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+
+    // Redemptions per customer (null = unlimited)
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+
+    validTo: {
+      type: Date,
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.Coupon || mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// 🎟️ One use of a coupon: a cart checkout (orderId) or a single booking payment
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+
+    code: {
+      type: String,
+      required: true,
+    },
+
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+
+    bookingModel: {
+      type: String,
+      enum: ["ServiceBooking", "ProductBooking", null],
+      default: null,
+    },
+
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "bookingModel",
+      default: null,
+    },
+
+    discountAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ couponId: 1, customerId: 1 });
+
+export default mongoose.models.CouponRedemption || mongoose.model("CouponRedemption", couponRedemptionSchema);
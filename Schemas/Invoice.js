@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+
+// 🧾 Tax invoice for one paid booking (utils/invoices.js). Snapshot: never
+// recomputed once issued, so later price/settings changes do not alter it.
+const partySchema = new mongoose.Schema(
+  {
+    name: { type: String, default: null },
+    gstNumber: { type: String, default: null },
+    phone: { type: String, default: null },
+    address: { type: String, default: null },
+    state: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const invoiceLineSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    hsnSacCode: { type: String, default: null },
+    quantity: { type: Number, default: 1 },
+    taxableAmount: { type: Number, required: true },
+    rate: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    // e.g. RT/2026-27/00042
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    bookingModel: {
+      type: String,
+      enum: ["ServiceBooking", "ProductBooking"],
+      required: true,
+    },
+
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "bookingModel",
+      required: true,
+    },
+
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // e.g. 2026-27 (April to March, IST)
+    financialYear: {
+      type: String,
+      required: true,
+    },
+
+    supplier: {
+      type: partySchema,
+      default: () => ({}),
+    },
+
+    customer: {
+      type: partySchema,
+      default: () => ({}),
+    },
+
+    placeOfSupply: {
+      type: String,
+      default: null,
+    },
+
+    interState: {
+      type: Boolean,
+      default: false,
+    },
+
+    lines: {
+      type: [invoiceLineSchema],
+      default: [],
+    },
+
+    totals: {
+      taxableAmount: { type: Number, default: 0 },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+      grandTotal: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+// One invoice per booking
+invoiceSchema.index({ bookingModel: 1, bookingId: 1 }, { unique: true });
+
+export default mongoose.models.Invoice || mongoose.model("Invoice", invoiceSchema);
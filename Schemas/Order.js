@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+
+// 🧾 One cart checkout: groups the service and product bookings it created so
+// they can be paid with a single gateway order (see utils/orders.js).
+const orderItemSchema = new mongoose.Schema(
+  {
+    itemType: {
+      type: String,
+      enum: ["service", "product"],
+      required: true,
+    },
+
+    bookingModel: {
+      type: String,
+      enum: ["ServiceBooking", "ProductBooking"],
+      required: true,
+    },
+
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "items.bookingModel",
+      required: true,
+    },
+
+    // Service or Product id
+    itemId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    name: {
+      type: String,
+      default: null,
+    },
+
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    items: {
+      type: [orderItemSchema],
+      default: [],
+    },
+
+    // Payable total (after coupon discount, GST included)
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+
+    couponCode: {
+      type: String,
+      default: null,
+    },
+
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    currency: {
+      type: String,
+      default: "INR",
+    },
+
+    paymentMode: {
+      type: String,
+      enum: ["online", "cod"],
+      default: "online",
+    },
+
+    // Follows the order's online Payment (refund states come from utils/refunds.js)
+    paymentStatus: {
+      type: String,
+      enum: ["pending", "paid", "partially_refunded", "refunded"],
+      default: "pending",
+      index: true,
+    },
+
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+orderSchema.index({ "items.bookingId": 1 });
+
+export default mongoose.models.Order || mongoose.model("Order", orderSchema);
@@ -1,17 +1,79 @@
 import mongoose from "mongoose";
 
+// How an order payment is split across its bookings (one line per booking)
+const allocationSchema = new mongoose.Schema(
+  {
+    bookingModel: {
+      type: String,
+      enum: ["ServiceBooking", "ProductBooking"],
+      required: true,
+    },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "allocations.bookingModel",
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+    taxAmount: { type: Number, default: 0 },
+    discountAmount: { type: Number, default: 0 },
+    commissionPercentage: { type: Number, default: 0 },
+    commissionAmount: { type: Number, default: 0 },
+    technicianAmount: { type: Number, default: 0 },
+    // Resolved commission rule, copied to the booking on capture
+    commissionRule: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+// A gateway order replaced by a re-priced one (coupon, quote, parts) or by cash.
+// The customer may still pay it from an open checkout; that capture is refunded.
+const supersededOrderSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    providerOrderId: { type: String, required: true },
+    // Amounts of the payment while this order was current
+    baseAmount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    commissionAmount: { type: Number, default: 0 },
+    technicianAmount: { type: Number, default: 0 },
+    taxAmount: { type: Number, default: 0 },
+    discountAmount: { type: Number, default: 0 },
+    supersededAt: { type: Date, default: Date.now },
+    // Paid anyway from the old checkout: refunded in full (utils/paymentCapture.js)
+    strayProviderPaymentId: { type: String, default: null },
+    strayRefundId: { type: String, default: null },
+    // failed: the Owner refunds it from the gateway dashboard
+    strayRefundStatus: { type: String, enum: ["initiated", "failed", null], default: null },
+  },
+  { _id: false }
+);
+
 const paymentSchema = new mongoose.Schema(
   {
+    // Single booking payment; null for an order payment (see orderId)
     bookingId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "ServiceBooking",
-      required: true,
-      unique: true, // one payment per booking
+      default: null,
     },
 
+    // Cart checkout payment covering every booking in the Order
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      index: true,
+    },
+
+    allocations: {
+      type: [allocationSchema],
+      default: undefined,
+    },
+
+    // Gateway (utils/paymentGateways); cash: collected by the technician on a COD booking
     provider: {
       type: String,
-      enum: ["razorpay"],
+      enum: ["razorpay", "mock", "cash"],
       default: "razorpay",
       index: true,
     },
@@ -33,6 +95,11 @@ const paymentSchema = new mongoose.Schema(
       index: true,
     },
 
+    supersededOrders: {
+      type: [supersededOrderSchema],
+      default: [],
+    },
+
     providerSignature: {
       type: String,
       default: null,
@@ -64,19 +131,58 @@ const paymentSchema = new mongoose.Schema(
       required: true,
     },
 
+    // GST inside totalAmount (totalAmount = commission + technician + tax)
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+
+    // Coupon discount already taken off totalAmount (platform funded)
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+
     paymentMode: {
       type: String,
-      enum: ["online"], // ✅ ONLY ONLINE
+      enum: ["online", "cod"],
       default: "online",
     },
 
+    // COD: technician who took the cash
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TechnicianProfile",
+      default: null,
+    },
+
+    // COD: Owner confirms the cash collection against the commission debited
+    reconciliation: {
+      status: {
+        type: String,
+        enum: ["not_applicable", "pending", "reconciled"],
+        default: "not_applicable",
+        index: true,
+      },
+      reconciledAt: { type: Date, default: null },
+      reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      note: { type: String, default: null, trim: true },
+    },
+
+    // refunded / partially_refunded are derived from processed Refund rows (utils/refunds.js)
     status: {
       type: String,
-      enum: ["pending", "success", "failed"],
+      enum: ["pending", "success", "failed", "partially_refunded", "refunded"],
       default: "pending",
       index: true,
     },
 
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     failureReason: {
       type: String,
       default: null,
@@ -85,11 +191,19 @@ const paymentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// One payment per booking (order payments have no bookingId)
+paymentSchema.index(
+  { bookingId: 1 },
+  { unique: true, partialFilterExpression: { bookingId: { $type: "objectId" } } }
+);
+
 paymentSchema.index(
   { provider: 1, providerOrderId: 1 },
   { unique: true, partialFilterExpression: { providerOrderId: { $type: "string" } } }
 );
 
+paymentSchema.index({ "supersededOrders.provider": 1, "supersededOrders.providerOrderId": 1 });
+
 paymentSchema.index(
   { provider: 1, providerPaymentId: 1 },
   { unique: true, partialFilterExpression: { providerPaymentId: { $type: "string" } } }
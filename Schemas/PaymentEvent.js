@@ -4,7 +4,7 @@ const paymentEventSchema = new mongoose.Schema(
   {
     provider: {
       type: String,
-      enum: ["razorpay"],
+      enum: ["razorpay", "mock"],
       required: true,
       index: true,
     },
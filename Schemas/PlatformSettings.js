@@ -0,0 +1,206 @@
+import mongoose from "mongoose";
+
+// ⚙️ Owner-tunable platform settings (single document, key: "platform").
+// Each top-level section is read/updated independently via utils/platformSettings.js.
+
+const matchingWeightsSchema = new mongoose.Schema(
+  {
+    distance: { type: Number, default: 0.35, min: 0 },
+    rating: { type: Number, default: 0.2, min: 0 },
+    ratingCount: { type: Number, default: 0.05, min: 0 },
+    experience: { type: Number, default: 0.1, min: 0 },
+    acceptanceRate: { type: Number, default: 0.15, min: 0 },
+    cancellationRate: { type: Number, default: 0.1, min: 0 },
+    workload: { type: Number, default: 0.05, min: 0 },
+  },
+  { _id: false }
+);
+
+const matchingSchema = new mongoose.Schema(
+  {
+    weights: {
+      type: matchingWeightsSchema,
+      default: () => ({}),
+    },
+
+    // Top-N ranked technicians pinged per broadcast attempt
+    maxTechniciansPerBroadcast: { type: Number, default: 20, min: 1, max: 100 },
+
+    // JobBroadcast history window for acceptance/cancellation rates
+    statsWindowDays: { type: Number, default: 30, min: 1, max: 365 },
+
+    // Normalisation caps (values at or above the cap score 1)
+    ratingCountCap: { type: Number, default: 50, min: 1 },
+    experienceYearsCap: { type: Number, default: 10, min: 1 },
+  },
+  { _id: false }
+);
+
+const cancellationAutoSuspendSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    // Suspend when cancelled / accepted jobs in the window reaches this (0..1)
+    cancellationRateThreshold: { type: Number, default: 0.3, min: 0, max: 1 },
+    // Don't judge technicians on too few jobs
+    minAcceptedJobs: { type: Number, default: 10, min: 1 },
+  },
+  { _id: false }
+);
+
+const technicianCancellationSchema = new mongoose.Schema(
+  {
+    // Penalty = penaltyAmount + penaltyPercentage% of the booking's baseAmount
+    penaltyAmount: { type: Number, default: 100, min: 0 },
+    penaltyPercentage: { type: Number, default: 0, min: 0, max: 100 },
+
+    // No penalty when cancelling within this many minutes of accepting
+    gracePeriodMinutes: { type: Number, default: 5, min: 0 },
+
+    // JobBroadcast history window for the cancellation rate
+    statsWindowDays: { type: Number, default: 30, min: 1, max: 365 },
+
+    autoSuspend: {
+      type: cancellationAutoSuspendSchema,
+      default: () => ({}),
+    },
+  },
+  { _id: false }
+);
+
+const customerCancellationSchema = new mongoose.Schema(
+  {
+    // Free within this many minutes of a technician being assigned
+    freeWindowMinutes: { type: Number, default: 5, min: 0 },
+    // Scheduled bookings: free when cancelled at least this long before the slot
+    freeBeforeScheduledMinutes: { type: Number, default: 120, min: 0 },
+    // Fee otherwise = feeAmount + feePercentage% of the booking's baseAmount
+    feeAmount: { type: Number, default: 49, min: 0 },
+    feePercentage: { type: Number, default: 0, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
+const taxSchema = new mongoose.Schema(
+  {
+    // GST is added on top of prices only when enabled
+    enabled: { type: Boolean, default: false },
+    // Used when neither the item nor its category sets gstRate
+    defaultGstRate: { type: Number, default: 18, min: 0, max: 28 },
+    // Registered state for CGST/SGST vs IGST (null = Owner profile state)
+    supplierState: { type: String, default: null, trim: true },
+    // Invoice numbers: <prefix>/<financial year>/<sequence>
+    invoicePrefix: { type: String, default: "RT", trim: true, uppercase: true },
+  },
+  { _id: false }
+);
+
+const sparePartsSchema = new mongoose.Schema(
+  {
+    // Platform share of parts from the Product catalog (platform stock)
+    catalogCommissionPercentage: { type: Number, default: 100, min: 0, max: 100 },
+    // Platform share of parts the technician bought (free text); the rest reimburses them
+    technicianSourcedCommissionPercentage: { type: Number, default: 0, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
+const settlementSchema = new mongoose.Schema(
+  {
+    // Settled job credits become withdrawable after this many hours (0 = immediately)
+    holdPeriodHours: { type: Number, default: 48, min: 0, max: 720 },
+  },
+  { _id: false }
+);
+
+const withdrawalAutoApproveSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    // Requests up to this amount skip the Owner queue
+    maxAmount: { type: Number, default: 2000, min: 0 },
+    // Good standing: approved, rated, experienced, no recent penalty, low cancellation rate
+    minRating: { type: Number, default: 4, min: 0, max: 5 },
+    minCompletedJobs: { type: Number, default: 20, min: 0 },
+    penaltyFreeDays: { type: Number, default: 30, min: 0, max: 365 },
+    maxCancellationRate: { type: Number, default: 0.1, min: 0, max: 1 },
+  },
+  { _id: false }
+);
+
+const withdrawalsSchema = new mongoose.Schema(
+  {
+    minAmount: { type: Number, default: 500, min: 1 },
+    // Sum of requests per business day / Monday-start week (0 = no limit)
+    maxPerDay: { type: Number, default: 0, min: 0 },
+    maxPerWeek: { type: Number, default: 0, min: 0 },
+    // Requested + approved + processing at the same time
+    maxOpenRequests: { type: Number, default: 1, min: 1, max: 10 },
+    // Days after the last request before a new one (0 = none)
+    cooldownDays: { type: Number, default: 7, min: 0, max: 90 },
+    // Weekdays requests are accepted on (0 = Sunday; empty = every day)
+    allowedWeekdays: { type: [Number], default: [] },
+    // Kept in the wallet to cover penalties; never withdrawable
+    reserveAmount: { type: Number, default: 0, min: 0 },
+
+    autoApprove: {
+      type: withdrawalAutoApproveSchema,
+      default: () => ({}),
+    },
+  },
+  { _id: false }
+);
+
+const platformSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "platform",
+      unique: true,
+      immutable: true,
+    },
+
+    matching: {
+      type: matchingSchema,
+      default: () => ({}),
+    },
+
+    technicianCancellation: {
+      type: technicianCancellationSchema,
+      default: () => ({}),
+    },
+
+    customerCancellation: {
+      type: customerCancellationSchema,
+      default: () => ({}),
+    },
+
+    tax: {
+      type: taxSchema,
+      default: () => ({}),
+    },
+
+    spareParts: {
+      type: sparePartsSchema,
+      default: () => ({}),
+    },
+
+    settlement: {
+      type: settlementSchema,
+      default: () => ({}),
+    },
+
+    withdrawals: {
+      type: withdrawalsSchema,
+      default: () => ({}),
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true, minimize: false }
+);
+
+export default mongoose.models.PlatformSettings ||
+  mongoose.model("PlatformSettings", platformSettingsSchema);
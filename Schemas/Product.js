@@ -77,6 +77,21 @@ const productSchema = new mongoose.Schema({
 
   amcPricePerYear: Number,
 
+  // GST % (null = category / platform default, see utils/tax.js)
+  gstRate: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 28,
+  },
+
+  // HSN code printed on invoices
+  hsnSacCode: {
+    type: String,
+    default: null,
+    trim: true,
+  },
+
   complianceCertificates: {
     type: [String],
     default: [],
@@ -1,5 +1,21 @@
 import mongoose from "mongoose";
 
+// 🧮 GST on the taxable amount (utils/tax.js); null when tax was disabled at booking time
+const taxBreakdownSchema = new mongoose.Schema(
+  {
+    rate: { type: Number, default: 0 },
+    taxableAmount: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    interState: { type: Boolean, default: false },
+    supplierState: { type: String, default: null },
+    placeOfSupply: { type: String, default: null },
+  },
+  { _id: false }
+);
+
 const ProductBookingSchema = new mongoose.Schema(
   {
     productId: {
@@ -14,12 +30,30 @@ const ProductBookingSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Payable amount (after coupon discount, GST included)
     amount: {
       type: Number,
       required: true,
       min: 0,
     },
 
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    tax: {
+      type: taxBreakdownSchema,
+      default: null,
+    },
+
     // 📍 LOCATION FOR DELIVERY
     locationType: {
       type: String,
@@ -58,10 +92,30 @@ const ProductBookingSchema = new mongoose.Schema(
 
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "refunded", "completed"],
+      enum: ["pending", "paid", "partially_refunded", "refunded", "completed"],
       default: "pending",
     },
 
+    // Cart checkout this booking belongs to, and what was paid for it
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      index: true,
+    },
+
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+
+    paidAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     status: {
       type: String,
       enum: ["active", "completed", "cancelled"],
@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+
+// 💸 One row per refund against a Payment (full or partial).
+// Status follows the provider: pending -> processed | failed (via API response or webhook).
+const refundSchema = new mongoose.Schema(
+  {
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+      index: true,
+    },
+
+    // Booking (order line) the refund is for; null for a provider refund of a whole order payment
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "bookingModel",
+      default: null,
+      index: true,
+    },
+
+    bookingModel: {
+      type: String,
+      enum: ["ServiceBooking", "ProductBooking"],
+      default: "ServiceBooking",
+    },
+
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      index: true,
+    },
+
+    provider: {
+      type: String,
+      enum: ["razorpay", "mock"],
+      default: "razorpay",
+    },
+
+    providerRefundId: {
+      type: String,
+      default: null,
+    },
+
+    providerPaymentId: {
+      type: String,
+      default: null,
+    },
+
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+
+    currency: {
+      type: String,
+      default: "INR",
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "processed", "failed"],
+      default: "pending",
+      index: true,
+    },
+
+    // owner: issued from the refunds API; customer_cancellation: cancelBooking policy;
+    // provider: first seen in a webhook (e.g. issued from the gateway dashboard)
+    source: {
+      type: String,
+      enum: ["owner", "customer_cancellation", "provider"],
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    initiatedByRole: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin", "System"],
+      default: "System",
+    },
+
+    failureReason: {
+      type: String,
+      default: null,
+    },
+
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Technician share taken back for this refund
+    technicianReversal: {
+      amount: { type: Number, default: 0 },
+      // wallet: debited from an already settled credit; unsettled: deducted before settlement
+      mode: { type: String, enum: ["none", "wallet", "unsettled"], default: "none" },
+      walletTransactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "WalletTransaction",
+        default: null,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index(
+  { provider: 1, providerRefundId: 1 },
+  { unique: true, partialFilterExpression: { providerRefundId: { $type: "string" } } }
+);
+
+export default mongoose.models.Refund || mongoose.model("Refund", refundSchema);
@@ -1,5 +1,42 @@
 import mongoose from "mongoose";
 
+// How bookings for this service are offered to technicians (null = inherit from category)
+const broadcastSettingsSchema = new mongoose.Schema(
+  {
+    mode: {
+      type: String,
+      enum: ["fanout", "sequential", null],
+      default: null,
+    },
+    // sequential: technicians offered per tier
+    tierSize: {
+      type: Number,
+      default: null,
+      min: 1,
+      max: 20,
+    },
+    // sequential: seconds each tier has to accept
+    acceptWindowSeconds: {
+      type: Number,
+      default: null,
+      min: 15,
+      max: 3600,
+    },
+  },
+  { _id: false }
+);
+
+// Customer cancellation fee rules (null = PlatformSettings.customerCancellation)
+const cancellationRulesSchema = new mongoose.Schema(
+  {
+    freeWindowMinutes: { type: Number, default: null, min: 0 },
+    freeBeforeScheduledMinutes: { type: Number, default: null, min: 0 },
+    feeAmount: { type: Number, default: null, min: 0 },
+    feePercentage: { type: Number, default: null, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
 const serviceSchema = new mongoose.Schema(
   {
     // ================= BASIC =================
@@ -67,6 +104,22 @@ const serviceSchema = new mongoose.Schema(
       max: 50,
     },
 
+    // ================= TAX =================
+    // GST % on serviceCost (null = category / platform default, see utils/tax.js)
+    gstRate: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 28,
+    },
+
+    // SAC code printed on invoices
+    hsnSacCode: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+
     commissionAmount: {
       type: Number,
       default: 0,
@@ -102,10 +155,16 @@ const serviceSchema = new mongoose.Schema(
       type: String, // "30 days"
     },
 
+    // Customer-facing text; the enforced fee comes from cancellationRules
     cancellationPolicy: {
       type: String,
     },
 
+    cancellationRules: {
+      type: cancellationRulesSchema,
+      default: () => ({}),
+    },
+
     requiresSpareParts: {
       type: Boolean,
       default: false,
@@ -121,6 +180,12 @@ const serviceSchema = new mongoose.Schema(
       default: false,
     },
 
+    // ================= MATCHING =================
+    broadcastSettings: {
+      type: broadcastSettingsSchema,
+      default: () => ({}),
+    },
+
     // ================= RATING SUMMARY =================
     ratingSummary: {
       averageRating: {
@@ -28,6 +28,212 @@ const geoPointSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// 🧮 GST on the taxable amount (utils/tax.js); null when tax was disabled at booking time
+const taxBreakdownSchema = new mongoose.Schema(
+  {
+    rate: { type: Number, default: 0 },
+    taxableAmount: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    totalTax: { type: Number, default: 0 },
+    interState: { type: Boolean, default: false },
+    supplierState: { type: String, default: null },
+    placeOfSupply: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// 🧾 One entry per status change (who / when / from -> to)
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    changedByRole: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin", "System"],
+      default: "System",
+    },
+    note: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// ❌ Customer cancellation: fee kept and refund of the rest (see utils/cancellationPolicy.js)
+const cancellationSchema = new mongoose.Schema(
+  {
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    cancelledByRole: {
+      type: String,
+      enum: ["Customer", "Technician", "Owner", "Admin", "System"],
+      default: "Customer",
+    },
+    reason: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    cancelledAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Which rule decided the fee (free_before_assignment, free_window, ...)
+    rule: {
+      type: String,
+      default: null,
+    },
+    fee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundStatus: {
+      type: String,
+      enum: ["not_applicable", "pending", "processed", "failed"],
+      default: "not_applicable",
+    },
+    refundId: {
+      type: String,
+      default: null,
+    },
+    refundError: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// 📝 Technician's on-site quote (utils/bookingPricing.js)
+const quoteItemSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["labour", "part", "extra_unit"],
+      required: true,
+    },
+    description: { type: String, required: true, trim: true },
+    quantity: { type: Number, default: 1, min: 0 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const quoteSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    items: {
+      type: [quoteItemSchema],
+      default: [],
+    },
+    // Pre-GST total; becomes baseAmount when approved
+    totalAmount: { type: Number, required: true, min: 0 },
+    note: { type: String, default: null },
+    // 1 for the first quote, +1 for every resubmission
+    revision: { type: Number, default: 1 },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TechnicianProfile",
+      default: null,
+    },
+    submittedAt: { type: Date, default: null },
+    respondedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: null },
+    // Service.minimumVisitCharge charged instead when rejected
+    visitCharge: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// 🔩 Spare part used on the job (utils/spareParts.js); billed once the customer approves it
+const sparePartSchema = new mongoose.Schema(
+  {
+    // Catalog part (null = bought by the technician, free text)
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    name: { type: String, required: true, trim: true },
+    hsnSacCode: { type: String, default: null },
+    quantity: { type: Number, required: true, min: 0 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    // Pre-GST (quantity * unitPrice)
+    amount: { type: Number, required: true, min: 0 },
+    tax: { type: taxBreakdownSchema, default: null },
+    // Platform share of amount (PlatformSettings.spareParts when added)
+    commissionPercentage: { type: Number, default: 0, min: 0, max: 100 },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    rejectionReason: { type: String, default: null },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TechnicianProfile",
+      default: null,
+    },
+    addedAt: { type: Date, default: Date.now },
+    respondedAt: { type: Date, default: null },
+  },
+  { _id: true }
+);
+
+// Commission rule that priced the booking (utils/commissionRules.js), fixed with the payment
+const appliedCommissionSchema = new mongoose.Schema(
+  {
+    // service: no rule matched, Service.commissionPercentage was used
+    source: { type: String, enum: ["service", "rule"], required: true },
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "CommissionRule", default: null },
+    ruleName: { type: String, default: null },
+    // Before / after the volume reduction
+    baseCommissionPercentage: { type: Number, required: true },
+    commissionPercentage: { type: Number, required: true },
+    volumeTier: {
+      type: new mongoose.Schema({ minJobs: Number, commissionPercentage: Number }, { _id: false }),
+      default: null,
+    },
+    jobsThisMonth: { type: Number, default: null },
+    technicianTier: { type: String, default: null },
+    resolvedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const serviceBookingSchema = new mongoose.Schema(
   {
 
@@ -62,6 +268,37 @@ const serviceBookingSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // 🎟️ Coupon discount off baseAmount (utils/coupons.js)
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Charged on the discounted amount (payable = baseAmount - discountAmount + tax.totalTax)
+    tax: {
+      type: taxBreakdownSchema,
+      default: null,
+    },
+
+    // after_inspection / per_unit services: baseAmount is an estimate until the quote is decided
+    quote: {
+      type: quoteSchema,
+      default: null,
+    },
+
+    // Added while in_progress; approved parts are added to the payable amount
+    parts: {
+      type: [sparePartSchema],
+      default: [],
+    },
+
     // 📍 ADDRESS SNAPSHOT
     locationType: {
       type: String,
@@ -95,22 +332,44 @@ const serviceBookingSchema = new mongoose.Schema(
       index: true,
     },
 
-    // ⏰ SCHEDULE
+    // ⏰ SCHEDULE (null = ASAP; otherwise the start of a booking slot)
     scheduledAt: {
       type: Date,
+      default: null,
+      index: true,
+    },
+
+    // Scheduled bookings are broadcast BROADCAST_LEAD_MINUTES before scheduledAt
+    broadcastNotBefore: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    rescheduleCount: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
 
     // 💳 PAYMENT
+    // cod: technician collects cash at completion, commission is debited from their wallet
+    paymentMode: {
+      type: String,
+      enum: ["online", "cod"],
+      default: "online",
+    },
+
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "refunded"],
+      enum: ["pending", "paid", "partially_refunded", "refunded"],
       default: "pending",
       index: true,
     },
 
     paymentProvider: {
       type: String,
-      enum: ["razorpay"],
+      enum: ["razorpay", "mock", "cash"],
       default: "razorpay",
     },
 
@@ -139,10 +398,15 @@ const serviceBookingSchema = new mongoose.Schema(
       max: 100,
     },
 
+    commissionRule: {
+      type: appliedCommissionSchema,
+      default: null,
+    },
+
+    // Negative when a platform-funded coupon exceeds the commission
     commissionAmount: {
       type: Number,
       default: 0,
-      min: 0,
     },
 
     technicianAmount: {
@@ -156,6 +420,14 @@ const serviceBookingSchema = new mongoose.Schema(
       ref: "Payment",
     },
 
+    // Cart checkout this booking belongs to (paid through the order's Payment)
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+      index: true,
+    },
+
     // ✅ Settlement to technician wallet (idempotent)
     settlementStatus: {
       type: String,
@@ -181,11 +453,23 @@ const serviceBookingSchema = new mongoose.Schema(
         "in_progress",
         "completed",
         "cancelled",
+        "no_technician_found",
       ],
       default: "requested",
       index: true,
     },
 
+    cancellation: {
+      type: cancellationSchema,
+      default: null,
+    },
+
+    // Transitions are enforced by utils/bookingStatus.js
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+
     assignedAt: {
       type: Date,
       default: null,
@@ -205,6 +489,32 @@ const serviceBookingSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Matching attempts so far (initial broadcast + scheduler re-broadcasts)
+    broadcastAttempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Mode used when the booking was first broadcast; sequential = tiers of top-ranked technicians
+    broadcastMode: {
+      type: String,
+      enum: ["fanout", "sequential"],
+      default: null,
+    },
+
+    // Sequential tiers sent so far
+    broadcastTier: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    lastMatchAttemptAt: {
+      type: Date,
+      default: null,
+    },
+
     // Search radius in meters (for technician matching)
     radius: {
       type: Number,
@@ -24,9 +24,17 @@ const jobBroadcastSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Technician must respond before this; the broadcast scheduler expires stale ones
+    expiresAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
     status: {
       type: String,
-      enum: ["sent", "accepted", "rejected", "expired"],
+      // cancelled: accepted, then dropped by the technician
+      enum: ["sent", "accepted", "rejected", "expired", "cancelled"],
       default: "sent",
       index: true,
     },
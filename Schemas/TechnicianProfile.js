@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { TECHNICIAN_TIERS } from "./CommissionRule.js";
 
 const geoPointSchema = new mongoose.Schema(
   {
@@ -29,6 +30,46 @@ const geoPointSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Weekly working window in BUSINESS_TIMEZONE (0 = Sunday … 6 = Saturday)
+const workingHoursSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):([0-5]\d)$/, "start must be HH:mm"],
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):([0-5]\d)$/, "end must be HH:mm"],
+    },
+  },
+  { _id: false }
+);
+
+// Leave / holiday block; technician is unavailable for [from, to)
+const leaveSchema = new mongoose.Schema({
+  from: {
+    type: Date,
+    required: true,
+  },
+  to: {
+    type: Date,
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+});
+
 const technicianProfileSchema = new mongoose.Schema(
   {
     userId: {
@@ -59,6 +100,13 @@ const technicianProfileSchema = new mongoose.Schema(
       trim: true, // service area / working locality
     },
 
+    // Pincodes the technician serves (used for slot capacity when no coordinates)
+    servicePincodes: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+
     experienceYears: {
       type: Number,
       default: 0,
@@ -109,6 +157,24 @@ const technicianProfileSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+
+      // Empty = no time restriction (slot capacity assumes DEFAULT_WORKING_HOURS / DEFAULT_WORKING_DAYS)
+      workingHours: {
+        type: [workingHoursSchema],
+        default: [],
+      },
+
+      leaves: {
+        type: [leaveSchema],
+        default: [],
+      },
+
+      // Accepted jobs per local day; null = DEFAULT_MAX_JOBS_PER_DAY (unlimited if unset)
+      maxJobsPerDay: {
+        type: Number,
+        default: null,
+        min: 1,
+      },
     },
 
     rating: {
@@ -116,11 +182,25 @@ const technicianProfileSchema = new mongoose.Schema(
       count: { type: Number, default: 0 },
     },
 
+    // Running balance of the wallet ledger; only utils/walletLedger.js moves it
     walletBalance: {
       type: Number,
       default: 0,
     },
 
+    // Number of the last WalletTransaction posted (orders the ledger)
+    walletSequence: {
+      type: Number,
+      default: 0,
+    },
+
+    // Owner-assigned; targeted by CommissionRule.technicianTiers
+    tier: {
+      type: String,
+      enum: TECHNICIAN_TIERS,
+      default: "standard",
+    },
+
     totalJobsCompleted: {
       type: Number,
       default: 0,
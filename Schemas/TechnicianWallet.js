@@ -26,7 +26,8 @@ const walletTransactionSchema = new mongoose.Schema(
 
     source: {
       type: String,
-      enum: ["job", "penalty", "withdrawal", "adjustment"],
+      // commission: platform share of a cash (COD) job, debited from the technician
+      enum: ["job", "penalty", "withdrawal", "adjustment", "commission"],
       required: true,
     },
 
@@ -42,6 +43,24 @@ const walletTransactionSchema = new mongoose.Schema(
       default: null,
       trim: true,
     },
+
+    // Position in the technician's ledger (1, 2, ...); null on rows posted before it existed
+    sequence: {
+      type: Number,
+      default: null,
+    },
+
+    // TechnicianProfile.walletBalance right after this row was posted
+    balanceAfter: {
+      type: Number,
+      default: null,
+    },
+
+    // Credits are not withdrawable before this (settlement hold); null = available now
+    availableAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -59,5 +78,13 @@ walletTransactionSchema.index(
   }
 );
 
+walletTransactionSchema.index({ technicianId: 1, availableAt: 1 });
+
+// One row per ledger position
+walletTransactionSchema.index(
+  { technicianId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $type: "number" } } }
+);
+
 export default mongoose.models.WalletTransaction || mongoose.model("WalletTransaction", walletTransactionSchema);
                 
\ No newline at end of file
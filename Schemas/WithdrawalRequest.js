@@ -17,7 +17,8 @@ const withdrawalRequestSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["requested", "approved", "rejected", "paid", "cancelled"],
+      // processing: payout sent to the provider; failed: payout failed, reserved funds restored
+      enum: ["requested", "approved", "processing", "rejected", "paid", "failed", "cancelled"],
       default: "requested",
       index: true,
     },
@@ -38,6 +39,12 @@ const withdrawalRequestSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Approved by the PlatformSettings.withdrawals.autoApprove rules (decidedBy stays null)
+    autoApproved: {
+      type: Boolean,
+      default: false,
+    },
+
     decisionNote: {
       type: String,
       default: null,
@@ -50,6 +57,7 @@ const withdrawalRequestSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // UTR of an automated payout, or the reference typed for a manual one
     payoutReference: {
       type: String,
       default: null,
@@ -57,6 +65,50 @@ const withdrawalRequestSchema = new mongoose.Schema(
       index: true,
     },
 
+    /* ==========================
+       🏦 AUTOMATED PAYOUT (utils/payouts.js)
+    ========================== */
+    payoutMode: {
+      type: String,
+      enum: ["bank", "upi", null],
+      default: null,
+    },
+
+    // Provider payout id (pout_...)
+    payoutId: {
+      type: String,
+      default: null,
+      index: true,
+    },
+
+    // Last status reported by the provider (queued, processing, processed, reversed, ...)
+    payoutStatus: {
+      type: String,
+      default: null,
+    },
+
+    payoutInitiatedAt: {
+      type: Date,
+      default: null,
+    },
+
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+
+    failureReason: {
+      type: String,
+      default: null,
+    },
+
+    // Credit that gave the reserved amount back after a failed payout
+    reversalTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletTransaction",
+      default: null,
+    },
+
     walletTransactionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "WalletTransaction",
@@ -3,6 +3,7 @@ import Product from "../Schemas/Product.js";
 import Service from "../Schemas/Service.js";
 import ServiceBooking from "../Schemas/ServiceBooking.js";
 import ProductBooking from "../Schemas/ProductBooking.js";
+import Order from "../Schemas/Order.js";
 import Address from "../Schemas/Address.js";
 // import CustomerProfile from "../Schemas/CustomerProfile.js";
 import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
@@ -11,6 +12,10 @@ import mongoose from "mongoose";
 import { broadcastJobToTechnicians } from "../utils/sendNotification.js";
 import { matchAndBroadcastBooking } from "../utils/technicianMatching.js";
 import { resolveUserLocation } from "../utils/resolveUserLocation.js";
+import { buildStatusHistoryEntry, actorFromRequest } from "../utils/bookingStatus.js";
+import { resolveBookingSchedule } from "../utils/bookingSlots.js";
+import { computeItemTax } from "../utils/tax.js";
+import { evaluateCoupon, redeemCoupon } from "../utils/coupons.js";
 
 
 
@@ -29,6 +34,40 @@ const toFiniteNumber = (v) => {
   return Number.isFinite(n) ? n : null;
 };
 
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+// Catalog price of a product line (before coupon and GST)
+const priceProductLine = (product, quantity) => {
+  const basePrice = product.productPrice * quantity;
+  const discountAmount = (basePrice * (product.productDiscountPercentage || 0)) / 100;
+  return { basePrice, discountAmount, discountedPrice: basePrice - discountAmount };
+};
+
+// Cart items -> coupon lines (pre-GST amounts), skipping missing/inactive items
+const buildCouponLines = async (cartItems, session = null) => {
+  const lines = [];
+  for (const cartItem of cartItems) {
+    const Model = cartItem.itemType === "product" ? Product : Service;
+    const item = await Model.findById(cartItem.itemId).session(session);
+    if (!item || !item.isActive) continue;
+
+    lines.push({
+      key: cartItem._id.toString(),
+      itemType: cartItem.itemType,
+      itemId: item._id,
+      categoryId: item.categoryId,
+      name: cartItem.itemType === "product" ? item.productName : item.serviceName,
+      quantity: cartItem.quantity,
+      amount: round2(
+        cartItem.itemType === "product"
+          ? priceProductLine(item, cartItem.quantity).discountedPrice
+          : item.serviceCost * cartItem.quantity
+      ),
+    });
+  }
+  return lines;
+};
+
 const normalizeAddressId = (v) => {
   if (typeof v !== "string") return null;
   const trimmed = v.trim();
@@ -373,6 +412,60 @@ export const removeFromCart = async (req, res) => {
   }
 };
 
+/* ================= APPLY COUPON (PREVIEW, NOTHING RESERVED) ================= */
+export const applyCoupon = async (req, res) => {
+  try {
+    ensureCustomer(req);
+    const customerId = req.user.userId;
+
+    const code = req.body?.code || req.body?.couponCode;
+    if (!code) {
+      return res.status(400).json({ success: false, message: "Coupon code is required", result: {} });
+    }
+
+    const cartItems = await Cart.find({ customerId });
+    const lines = await buildCouponLines(cartItems);
+    if (lines.length === 0) {
+      return res.status(400).json({ success: false, message: "Cart is empty", result: {} });
+    }
+
+    const evaluation = await evaluateCoupon({ code, customerId, lines });
+    const discounts = new Map(evaluation.lines.map((line) => [line.key, line.discountAmount]));
+    const subtotal = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon applied",
+      result: {
+        code: evaluation.coupon.code,
+        description: evaluation.coupon.description,
+        discountType: evaluation.coupon.discountType,
+        discountValue: evaluation.coupon.discountValue,
+        eligibleAmount: evaluation.eligibleAmount,
+        discountAmount: evaluation.discountAmount,
+        // Before GST (it depends on the delivery address, applied at checkout)
+        subtotal,
+        totalAfterDiscount: round2(subtotal - evaluation.discountAmount),
+        lines: lines.map(({ key, itemType, itemId, name, quantity, amount }) => ({
+          cartItemId: key,
+          itemType,
+          itemId,
+          name,
+          quantity,
+          amount,
+          discountAmount: discounts.get(key) || 0,
+        })),
+      },
+    });
+  } catch (error) {
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message || "Failed to apply coupon",
+      result: { error: error.message, code: error.code, ...(error.details || {}) },
+    });
+  }
+};
+
 /* ================= CHECKOUT (WITH TRANSACTION & VALIDATION) ================= */
 export const checkout = async (req, res) => {
   const session = await mongoose.startSession();
@@ -397,6 +490,7 @@ export const checkout = async (req, res) => {
     const addressId = normalizeAddressId(req.body?.addressId);
     const paymentMode = req.body?.paymentMode;
     const scheduledAt = req.body?.scheduledAt;
+    const couponCode = req.body?.couponCode;
 
     // Check for nested address object (Frontend sends this)
     const addressPayload = req.body?.address || req.body || {};
@@ -541,7 +635,28 @@ export const checkout = async (req, res) => {
       });
     }
 
+    // 🎟️ Optional coupon, spread over the lines it applies to
+    let couponResult = null;
+    const couponDiscounts = new Map();
+    if (couponCode) {
+      couponResult = await evaluateCoupon({
+        code: couponCode,
+        customerId,
+        lines: await buildCouponLines([...validServiceItems, ...validProductItems], session),
+      });
+      couponResult.lines.forEach((line) => couponDiscounts.set(line.key, line.discountAmount));
+    }
+    const couponFields = (discountAmount) => ({
+      couponId: discountAmount > 0 ? couponResult.coupon._id : null,
+      discountAmount,
+    });
+
+    // 🧾 One Order groups every booking of this checkout (paid as one, see utils/orders.js)
+    const orderId = new mongoose.Types.ObjectId();
+    const orderItems = [];
+
     const bookingResults = {
+      orderId,
       address: {
         _id: addressSnapshot._id,
         name: addressSnapshot.name,
@@ -555,6 +670,8 @@ export const checkout = async (req, res) => {
       },
       serviceBookings: [],
       productBookings: [],
+      couponCode: couponResult?.coupon.code || null,
+      discountAmount: couponResult?.discountAmount || 0,
       totalAmount: 0,
       paymentMode,
     };
@@ -565,8 +682,15 @@ export const checkout = async (req, res) => {
     for (const cartItem of validServiceItems) {
       const service = await Service.findById(cartItem.itemId).session(session);
 
-      // Calculate amount
+      // Calculate amount (coupon off, GST on top when tax is enabled)
       const baseAmount = service.serviceCost * cartItem.quantity;
+      const couponDiscount = couponDiscounts.get(cartItem._id.toString()) || 0;
+      const tax = await computeItemTax({
+        item: service,
+        amount: round2(baseAmount - couponDiscount),
+        placeOfSupply: addressSnapshot.state,
+      });
+      const payableAmount = round2(baseAmount - couponDiscount + (tax?.totalTax || 0));
 
       const hasCoordsForBooking =
         typeof addressSnapshot?.latitude === "number" &&
@@ -574,14 +698,36 @@ export const checkout = async (req, res) => {
         typeof addressSnapshot?.longitude === "number" &&
         Number.isFinite(addressSnapshot.longitude);
 
+      // ⏰ Optional scheduledAt must be a free slot (earlier items in this checkout count too)
+      const schedule = await resolveBookingSchedule({
+        scheduledAt,
+        serviceId: cartItem.itemId,
+        addressSnapshot,
+        session,
+      });
+      if (!schedule.ok) {
+        await session.abortTransaction();
+        return res.status(schedule.statusCode).json({
+          success: false,
+          message: `${service.serviceName}: ${schedule.message}`,
+          result: { serviceId: cartItem.itemId, ...schedule.result },
+        });
+      }
+
       const serviceBookingDoc = {
         customerId,
         serviceId: cartItem.itemId,
         baseAmount,
+        ...(couponResult ? couponFields(couponDiscount) : {}),
+        tax,
+        paymentMode,
+        orderId,
         address: addressSnapshot.addressLine,
         addressId: resolvedLocation.addressId || null,
-        scheduledAt: scheduledAt || new Date(),
+        scheduledAt: schedule.scheduledAt,
+        broadcastNotBefore: schedule.broadcastNotBefore,
         status: "requested", // phase 1: booking created, broadcast happens post-commit
+        statusHistory: [buildStatusHistoryEntry({ to: "requested", actor: actorFromRequest(req) })],
 
         // Swiggy-Style Fields
         locationType: resolvedLocation.locationType,
@@ -607,28 +753,49 @@ export const checkout = async (req, res) => {
         serviceName: service.serviceName,
         quantity: cartItem.quantity,
         baseAmount,
+        couponDiscount,
+        tax,
+        payableAmount,
+        scheduledAt: schedule.scheduledAt,
         status: "requested",
       });
 
-      bookingResults.totalAmount += baseAmount;
+      orderItems.push({
+        itemType: "service",
+        bookingModel: "ServiceBooking",
+        bookingId: serviceBooking[0]._id,
+        itemId: cartItem.itemId,
+        name: service.serviceName,
+        quantity: cartItem.quantity,
+        amount: payableAmount,
+      });
+
+      bookingResults.totalAmount += payableAmount;
     }
 
     // Create Product Bookings
     for (const cartItem of validProductItems) {
       const product = await Product.findById(cartItem.itemId).session(session);
 
-      // Calculate amount with discount and GST
-      const basePrice = product.productPrice * cartItem.quantity;
-      const discountAmount =
-        (basePrice * (product.productDiscountPercentage || 0)) / 100;
-      const discountedPrice = basePrice - discountAmount;
-      const gstAmount = (discountedPrice * (product.productGst || 0)) / 100;
-      const finalAmount = discountedPrice + gstAmount;
+      // Calculate amount with discount, coupon and GST
+      const { basePrice, discountAmount, discountedPrice } = priceProductLine(product, cartItem.quantity);
+      const couponDiscount = couponDiscounts.get(cartItem._id.toString()) || 0;
+      const tax = await computeItemTax({
+        item: product,
+        amount: round2(discountedPrice - couponDiscount),
+        placeOfSupply: addressSnapshot.state,
+      });
+      const gstAmount = tax?.totalTax || 0;
+      const finalAmount = round2(discountedPrice - couponDiscount + gstAmount);
 
       const productBooking = await ProductBooking.create([{
         productId: cartItem.itemId,
-        customerId,
+        userId: customerId,
+        orderId,
+        quantity: cartItem.quantity,
         amount: finalAmount,
+        ...(couponResult ? couponFields(couponDiscount) : {}),
+        tax,
         paymentStatus: paymentMode === "online" ? "pending" : "pending",
         status: "active",
 
@@ -648,14 +815,46 @@ export const checkout = async (req, res) => {
         quantity: cartItem.quantity,
         basePrice,
         discount: discountAmount,
+        couponDiscount,
         gst: gstAmount,
         finalAmount,
         paymentStatus: "pending",
       });
 
+      orderItems.push({
+        itemType: "product",
+        bookingModel: "ProductBooking",
+        bookingId: productBooking[0]._id,
+        itemId: cartItem.itemId,
+        name: product.productName,
+        quantity: cartItem.quantity,
+        amount: finalAmount,
+      });
+
       bookingResults.totalAmount += finalAmount;
     }
 
+    await Order.create([{
+      _id: orderId,
+      customerId,
+      items: orderItems,
+      totalAmount: round2(bookingResults.totalAmount),
+      couponId: couponResult?.coupon._id || null,
+      couponCode: couponResult?.coupon.code || null,
+      discountAmount: couponResult?.discountAmount || 0,
+      paymentMode,
+    }], { session });
+
+    if (couponResult) {
+      await redeemCoupon({
+        coupon: couponResult.coupon,
+        customerId,
+        discountAmount: couponResult.discountAmount,
+        orderId,
+        session,
+      });
+    }
+
     // Clear the cart only after all bookings are created successfully
     await Cart.deleteMany({ customerId }).session(session);
 
@@ -683,7 +882,7 @@ export const checkout = async (req, res) => {
     res.status(error?.statusCode || 500).json({
       success: false,
       message: "Checkout failed: " + error.message,
-      result: { error: error.message },
+      result: { error: error.message, code: error.code, ...(error.details || {}) },
     });
   } finally {
     session.endSession();
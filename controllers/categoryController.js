@@ -1,5 +1,7 @@
 import Category from "../Schemas/Category.js";
 import mongoose from "mongoose";
+import { validateBroadcastSettings } from "../utils/broadcastMode.js";
+import { validateGstRate } from "../utils/tax.js";
 
 // Escape regex special chars (for safe user-provided search)
 const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -7,7 +9,7 @@ const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 /* ================= CREATE CATEGORY (NO IMAGE) ================= */
 export const serviceCategory = async (req, res) => {
   try {
-    const { category, description, categoryType } = req.body;
+    const { category, description, categoryType, broadcastSettings, gstRate } = req.body;
 
     if (!category || !description || !categoryType) {
       return res.status(400).json({
@@ -27,6 +29,24 @@ export const serviceCategory = async (req, res) => {
       });
     }
 
+    let normalizedBroadcastSettings;
+    if (broadcastSettings !== undefined) {
+      const { error, value } = validateBroadcastSettings(broadcastSettings);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      normalizedBroadcastSettings = value;
+    }
+
+    let normalizedGstRate;
+    if (gstRate !== undefined) {
+      const { error, value } = validateGstRate(gstRate);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      normalizedGstRate = value;
+    }
+
     // Duplicate check (case-insensitive) - same name allowed for different types
     const existing = await Category.findOne({
       category: { $regex: `^${escapeRegex(category)}$`, $options: "i" },
@@ -53,6 +73,8 @@ export const serviceCategory = async (req, res) => {
       category,
       description,
       categoryType: normalizedType,
+      broadcastSettings: normalizedBroadcastSettings,
+      gstRate: normalizedGstRate,
     });
 
     return res.status(201).json({
@@ -244,7 +266,7 @@ export const getByIdCategory = async (req, res) => {
 export const updateCategory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { category, description, categoryType } = req.body;
+    const { category, description, categoryType, broadcastSettings, gstRate } = req.body;
 
     // 🔒 Validate ObjectId
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -309,6 +331,22 @@ export const updateCategory = async (req, res) => {
       categoryType: normalizedType,
     };
 
+    if (broadcastSettings !== undefined) {
+      const { error, value } = validateBroadcastSettings(broadcastSettings);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      updatePayload.broadcastSettings = value;
+    }
+
+    if (gstRate !== undefined) {
+      const { error, value } = validateGstRate(gstRate);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      updatePayload.gstRate = value;
+    }
+
     // Update slug when name changes
     if (category) {
       updatePayload.slug = category
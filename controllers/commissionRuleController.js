@@ -0,0 +1,199 @@
+import mongoose from "mongoose";
+import CommissionRule, { TECHNICIAN_TIERS } from "../Schemas/CommissionRule.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Service from "../Schemas/Service.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import { validateCommissionRuleInput, resolveBookingCommission } from "../utils/commissionRules.js";
+
+/* ================= CREATE COMMISSION RULE (Owner) ================= */
+export const createCommissionRule = async (req, res) => {
+  try {
+    const { error, value } = validateCommissionRuleInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error, result: {} });
+    }
+
+    const rule = await CommissionRule.create({ ...value, createdBy: req.user.userId });
+
+    return res.status(201).json({ success: true, message: "Commission rule created successfully", result: rule });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error creating commission rule", result: { error: error.message } });
+  }
+};
+
+/* ================= LIST COMMISSION RULES (Owner / Admin) ================= */
+export const getCommissionRules = async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+
+    const filter = {};
+    if (req.query.isActive === "true") filter.isActive = true;
+    if (req.query.isActive === "false") filter.isActive = false;
+
+    const [rules, total] = await Promise.all([
+      CommissionRule.find(filter)
+        .sort({ priority: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CommissionRule.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Commission rules fetched successfully",
+      result: { rules, pagination: { page, limit, total, pages: Math.ceil(total / limit) } },
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error fetching commission rules", result: { error: error.message } });
+  }
+};
+
+/* ================= COMMISSION RULE DETAILS + USAGE (Owner / Admin) ================= */
+export const getCommissionRuleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid commission rule ID format", result: {} });
+    }
+
+    const rule = await CommissionRule.findById(id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Commission rule not found", result: {} });
+    }
+
+    const [usage] = await ServiceBooking.aggregate([
+      { $match: { "commissionRule.ruleId": rule._id } },
+      {
+        $group: {
+          _id: null,
+          bookings: { $sum: 1 },
+          volumeReduced: { $sum: { $cond: [{ $ne: ["$commissionRule.volumeTier", null] }, 1, 0] } },
+          commissionAmount: { $sum: "$commissionAmount" },
+        },
+      },
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Commission rule fetched successfully",
+      result: {
+        rule,
+        usage: {
+          bookings: usage?.bookings || 0,
+          volumeReduced: usage?.volumeReduced || 0,
+          commissionAmount: Math.round((usage?.commissionAmount || 0) * 100) / 100,
+        },
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error fetching commission rule", result: { error: error.message } });
+  }
+};
+
+/* ================= UPDATE COMMISSION RULE (Owner) ================= */
+// Bookings already priced keep their recorded rule snapshot
+export const updateCommissionRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid commission rule ID format", result: {} });
+    }
+
+    const rule = await CommissionRule.findById(id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Commission rule not found", result: {} });
+    }
+
+    const { error, value } = validateCommissionRuleInput(req.body, { partial: true, current: rule });
+    if (error) {
+      return res.status(400).json({ success: false, message: error, result: {} });
+    }
+
+    rule.set(value);
+    await rule.save();
+
+    return res.status(200).json({ success: true, message: "Commission rule updated successfully", result: rule });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error updating commission rule", result: { error: error.message } });
+  }
+};
+
+/* ================= DELETE COMMISSION RULE (Owner) ================= */
+// Applied rules are only deactivated so bookings keep a reference
+export const deleteCommissionRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid commission rule ID format", result: {} });
+    }
+
+    const rule = await CommissionRule.findById(id);
+    if (!rule) {
+      return res.status(404).json({ success: false, message: "Commission rule not found", result: {} });
+    }
+
+    if (await ServiceBooking.exists({ "commissionRule.ruleId": rule._id })) {
+      rule.isActive = false;
+      await rule.save();
+      return res.status(200).json({ success: true, message: "Commission rule deactivated (already applied)", result: rule });
+    }
+
+    await rule.deleteOne();
+    return res.status(200).json({ success: true, message: "Commission rule deleted successfully", result: {} });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error deleting commission rule", result: { error: error.message } });
+  }
+};
+
+/* ================= PREVIEW BOOKING COMMISSION (Owner / Admin) ================= */
+// The rule a booking would get now, next to the one recorded at payment
+export const previewBookingCommission = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+
+    const booking = await ServiceBooking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+    const service = await Service.findById(booking.serviceId);
+
+    const commission = await resolveBookingCommission({ booking, service });
+
+    return res.status(200).json({
+      success: true,
+      message: "Commission resolved",
+      result: { bookingId: booking._id, current: commission, applied: booking.commissionRule || null },
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error resolving commission", result: { error: error.message } });
+  }
+};
+
+/* ================= SET TECHNICIAN TIER (Owner) ================= */
+export const setTechnicianTier = async (req, res) => {
+  try {
+    const { technicianId } = req.params;
+    const { tier } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(technicianId)) {
+      return res.status(400).json({ success: false, message: "Invalid technicianId", result: {} });
+    }
+    if (!TECHNICIAN_TIERS.includes(tier)) {
+      return res.status(400).json({ success: false, message: `tier must be one of: ${TECHNICIAN_TIERS.join(", ")}`, result: {} });
+    }
+
+    const technician = await TechnicianProfile.findByIdAndUpdate(technicianId, { $set: { tier } }, { new: true }).select(
+      "_id tier workStatus"
+    );
+    if (!technician) {
+      return res.status(404).json({ success: false, message: "Technician not found", result: {} });
+    }
+
+    return res.status(200).json({ success: true, message: "Technician tier updated", result: technician });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error updating technician tier", result: { error: error.message } });
+  }
+};
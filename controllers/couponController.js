@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+import Coupon from "../Schemas/Coupon.js";
+import CouponRedemption from "../Schemas/CouponRedemption.js";
+import { validateCouponInput } from "../utils/coupons.js";
+
+/* ================= CREATE COUPON (Owner) ================= */
+export const createCoupon = async (req, res) => {
+  try {
+    const { error, value } = validateCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error, result: {} });
+    }
+
+    const existing = await Coupon.findOne({ code: value.code }).select("_id");
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Coupon '${value.code}' already exists`,
+        result: { couponId: existing._id },
+      });
+    }
+
+    const coupon = await Coupon.create({ ...value, createdBy: req.user.userId });
+
+    return res.status(201).json({ success: true, message: "Coupon created successfully", result: coupon });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error creating coupon", result: { error: error.message } });
+  }
+};
+
+/* ================= LIST COUPONS (Owner / Admin) ================= */
+export const getCoupons = async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+
+    const filter = {};
+    if (req.query.isActive === "true") filter.isActive = true;
+    if (req.query.isActive === "false") filter.isActive = false;
+    if (req.query.code) filter.code = { $regex: `^${String(req.query.code).toUpperCase().replace(/[^A-Z0-9_-]/g, "")}` };
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Coupon.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupons fetched successfully",
+      result: { coupons, pagination: { page, limit, total, pages: Math.ceil(total / limit) } },
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error fetching coupons", result: { error: error.message } });
+  }
+};
+
+/* ================= COUPON DETAILS + USAGE (Owner / Admin) ================= */
+export const getCouponById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid coupon ID format", result: {} });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found", result: {} });
+    }
+
+    const [usage] = await CouponRedemption.aggregate([
+      { $match: { couponId: coupon._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          customers: { $addToSet: "$customerId" },
+          totalDiscount: { $sum: "$discountAmount" },
+        },
+      },
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon fetched successfully",
+      result: {
+        coupon,
+        usage: {
+          redemptions: usage?.redemptions || 0,
+          customers: usage?.customers.length || 0,
+          totalDiscount: Math.round((usage?.totalDiscount || 0) * 100) / 100,
+        },
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error fetching coupon", result: { error: error.message } });
+  }
+};
+
+/* ================= UPDATE COUPON (Owner) ================= */
+export const updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid coupon ID format", result: {} });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found", result: {} });
+    }
+
+    const { error, value } = validateCouponInput(req.body, { partial: true, current: coupon });
+    if (error) {
+      return res.status(400).json({ success: false, message: error, result: {} });
+    }
+
+    // Customers may already hold the code
+    if (value.code && value.code !== coupon.code && coupon.usedCount > 0) {
+      return res.status(400).json({ success: false, message: "Code cannot change once the coupon is used", result: {} });
+    }
+    if (value.code && value.code !== coupon.code && (await Coupon.exists({ code: value.code }))) {
+      return res.status(409).json({ success: false, message: `Coupon '${value.code}' already exists`, result: {} });
+    }
+
+    coupon.set(value);
+    await coupon.save();
+
+    return res.status(200).json({ success: true, message: "Coupon updated successfully", result: coupon });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error updating coupon", result: { error: error.message } });
+  }
+};
+
+/* ================= DELETE COUPON (Owner) ================= */
+// Used coupons are only deactivated so their redemptions keep a reference
+export const deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid coupon ID format", result: {} });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: "Coupon not found", result: {} });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.status(200).json({ success: true, message: "Coupon deactivated (already used)", result: coupon });
+    }
+
+    await coupon.deleteOne();
+    return res.status(200).json({ success: true, message: "Coupon deleted successfully", result: {} });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: "Error deleting coupon", result: { error: error.message } });
+  }
+};
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { buildEarningsStatement, earningsStatementToCsv } from "../utils/earningsStatements.js";
+import { renderEarningsStatementPdf } from "../utils/earningsStatementPdf.js";
+
+const FORMATS = ["json", "csv", "pdf"];
+
+/* ================= MONTHLY EARNINGS STATEMENT (Technician own / Owner any) ================= */
+// JSON by default, ?format=csv or ?format=pdf to download; Owner passes ?technicianId=
+export const getEarningsStatement = async (req, res) => {
+  try {
+    const { month } = req.params;
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: "format must be json, csv or pdf", result: {} });
+    }
+
+    const technicianId = req.user?.role === "Owner" ? req.query.technicianId : req.user?.technicianProfileId;
+    if (!technicianId || !mongoose.Types.ObjectId.isValid(technicianId)) {
+      const message = req.user?.role === "Owner" ? "Valid technicianId is required" : "Invalid token profile";
+      return res.status(400).json({ success: false, message, result: {} });
+    }
+
+    const statement = await buildEarningsStatement({ technicianId, month });
+
+    if (format === "json") {
+      return res.status(200).json({ success: true, message: "Earnings statement fetched successfully", result: statement });
+    }
+
+    const filename = `earnings-${statement.period.month}-${technicianId}`;
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.status(200).send(earningsStatementToCsv(statement));
+    }
+
+    const pdf = await renderEarningsStatementPdf(statement);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    return res.status(200).send(pdf);
+  } catch (error) {
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message || "Error fetching earnings statement",
+      result: { error: error.message, code: error.code, ...(error.details || {}) },
+    });
+  }
+};
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import ProductBooking from "../Schemas/ProductBooking.js";
+import { issueInvoice } from "../utils/invoices.js";
+import { renderInvoicePdf } from "../utils/invoicePdf.js";
+
+const BOOKINGS = {
+  ServiceBooking: { Model: ServiceBooking, customerField: "customerId" },
+  ProductBooking: { Model: ProductBooking, customerField: "userId" },
+};
+
+// Customer owner / Owner / Admin; PDF by default, ?format=json for the stored invoice
+const sendBookingInvoice = (bookingModel) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+
+    const { Model, customerField } = BOOKINGS[bookingModel];
+    const booking = await Model.findById(id).select(customerField);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+
+    const isStaff = ["Owner", "Admin"].includes(req.user?.role);
+    if (!isStaff && booking[customerField]?.toString() !== req.user?.userId?.toString()) {
+      return res.status(403).json({ success: false, message: "Access denied for this booking", result: {} });
+    }
+
+    const { invoice } = await issueInvoice({ bookingModel, bookingId: booking._id });
+
+    if (req.query.format === "json") {
+      return res.status(200).json({ success: true, message: "Invoice fetched successfully", result: { invoice } });
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="invoice-${invoice.invoiceNumber.replace(/\//g, "-")}.pdf"`);
+    return res.status(200).send(pdf);
+  } catch (error) {
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message || "Error fetching invoice",
+      result: { error: error.message, code: error.code, ...(error.details || {}) },
+    });
+  }
+};
+
+/* ================= SERVICE BOOKING INVOICE ================= */
+export const getServiceBookingInvoice = sendBookingInvoice("ServiceBooking");
+
+/* ================= PRODUCT BOOKING INVOICE ================= */
+export const getProductBookingInvoice = sendBookingInvoice("ProductBooking");
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import Order from "../Schemas/Order.js";
+import Payment from "../Schemas/Payment.js";
+
+/* ================= CUSTOMER: MY ORDERS ================= */
+export const getMyOrders = async (req, res) => {
+  try {
+    if (req.user?.role !== "Customer") {
+      return res.status(403).json({ success: false, message: "Customer access only", result: {} });
+    }
+
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 10));
+
+    const filter = { customerId: req.user.userId };
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Orders fetched successfully",
+      result: { orders, pagination: { page, limit, total, pages: Math.ceil(total / limit) } },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching orders",
+      result: { error: error.message },
+    });
+  }
+};
+
+/* ================= ORDER DETAILS (Customer owner / Owner / Admin) ================= */
+export const getOrderById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID format", result: {} });
+    }
+
+    const order = await Order.findById(id).populate("items.bookingId", "status paymentStatus paidAmount");
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found", result: {} });
+    }
+
+    const isStaff = ["Owner", "Admin"].includes(req.user?.role);
+    if (!isStaff && order.customerId.toString() !== req.user?.userId?.toString()) {
+      return res.status(403).json({ success: false, message: "Access denied for this order", result: {} });
+    }
+
+    // Every payment attempt, latest first (superseded / failed ones included)
+    const payments = await Payment.find({ orderId: order._id })
+      .select("provider providerOrderId status totalAmount refundedAmount allocations verifiedAt createdAt")
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      message: "Order fetched successfully",
+      result: { order, payments },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching order",
+      result: { error: error.message },
+    });
+  }
+};
@@ -1,12 +1,32 @@
-import crypto from "node:crypto";
-import https from "node:https";
 import mongoose from "mongoose";
 
 import Payment from "../Schemas/Payment.js";
-import PaymentEvent from "../Schemas/PaymentEvent.js";
+import Order from "../Schemas/Order.js";
+import Refund from "../Schemas/Refund.js";
 import ServiceBooking from "../Schemas/ServiceBooking.js";
 import Service from "../Schemas/Service.js";
-import { settleBookingEarningsIfEligible } from "../utils/settlement.js";
+import { settleBookingEarningsIfEligible, getSettlementReport } from "../utils/settlement.js";
+import { recordBookingEvent } from "../utils/bookingEvents.js";
+import { actorFromRequest } from "../utils/bookingStatus.js";
+import { getPaymentGateway, getActivePaymentProvider, PAYMENT_PROVIDERS } from "../utils/paymentGateways/index.js";
+import { simulatePayment, buildWebhookEvent } from "../utils/paymentGateways/mock.js";
+import { processPaymentWebhook } from "../utils/paymentWebhooks.js";
+import { issueRefund, getRefundableAmount } from "../utils/refunds.js";
+import { computeBookingSplit } from "../utils/paymentSplit.js";
+import { resolveBookingCommission } from "../utils/commissionRules.js";
+import { applyCouponToServiceBooking } from "../utils/coupons.js";
+import { assertBookingPriceFinal, isBookingPriceFinal } from "../utils/bookingPricing.js";
+import { recordCashCollection, getCashReconciliation, reconcileCashPayments } from "../utils/cashPayments.js";
+import {
+  markPaymentCaptured,
+  markPaymentFailed,
+  supersedeProviderOrder,
+  getSupersededOrder,
+  refundSupersededCapture,
+} from "../utils/paymentCapture.js";
+import { buildOrderAllocations, getPaymentServiceBookingIds } from "../utils/orders.js";
+import { reconcilePendingPayments } from "../utils/paymentReconciliation.js";
+import { sweepEligibleSettlements } from "../utils/settlementScheduler.js";
 
 const ok = (res, status, message, result = {}) =>
   res.status(status).json({ success: true, message, result });
@@ -42,75 +62,51 @@ export const retryPaymentSettlement = async (req, res) => {
 };
 
 
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
 const toMoney = (v) => {
   const n = Number(v);
   return Number.isFinite(n) ? n : null;
 };
 
-const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
-
-const razorpayRequest = async ({ method, path, body }) => {
-  const keyId = process.env.RAZORPAY_KEY_ID;
-  const keySecret = process.env.RAZORPAY_KEY_SECRET;
-  if (!keyId || !keySecret) {
-    const err = new Error("Razorpay keys not configured (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET)");
-    err.statusCode = 500;
-    throw err;
+// Gateway-neutral names; razorpay_* kept for existing Razorpay checkout clients
+const readCheckoutResult = (body = {}) => ({
+  orderId: body.orderId || body.razorpay_order_id,
+  providerPaymentId: body.paymentId || body.razorpay_payment_id,
+  signature: body.signature || body.razorpay_signature,
+});
+
+// Check the checkout signature, then capture (or fail) the payment: captured | invalid_signature | stray_capture
+const confirmCheckout = async (req, payment, { orderId, providerPaymentId, signature }) => {
+  const gateway = getPaymentGateway(payment.provider);
+  if (!gateway.verifyPaymentSignature({ orderId, paymentId: providerPaymentId, signature })) {
+    await markPaymentFailed({ payment, reason: "Invalid signature", source: "verify", actor: actorFromRequest(req) });
+    return "invalid_signature";
   }
 
-  const payload = body ? JSON.stringify(body) : "";
-
-  const options = {
-    hostname: "api.razorpay.com",
-    path,
-    method,
-    headers: {
-      "Content-Type": "application/json",
-      "Content-Length": Buffer.byteLength(payload),
-      Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`,
-    },
-  };
-
-  return await new Promise((resolve, reject) => {
-    const req = https.request(options, (resp) => {
-      let data = "";
-      resp.on("data", (chunk) => (data += chunk));
-      resp.on("end", () => {
-        let json = null;
-        try {
-          json = data ? JSON.parse(data) : {};
-        } catch {
-          json = { raw: data };
-        }
-        if (resp.statusCode && resp.statusCode >= 200 && resp.statusCode < 300) {
-          return resolve(json);
-        }
-        const err = new Error(json?.error?.description || json?.message || "Razorpay request failed");
-        err.statusCode = resp.statusCode || 502;
-        err.details = json;
-        return reject(err);
-      });
+  // Paid from a checkout opened before the booking was re-priced: refunded, the booking stays unpaid
+  if (getSupersededOrder(payment, orderId)) {
+    await refundSupersededCapture({
+      payment,
+      providerOrderId: orderId,
+      providerPaymentId,
+      source: "verify",
+      actor: actorFromRequest(req),
     });
-    req.on("error", reject);
-    if (payload) req.write(payload);
-    req.end();
-  });
-};
+    return "stray_capture";
+  }
 
-const computeSplitFromService = ({ service, payableAmount }) => {
-  const totalAmount = round2(payableAmount);
-  const pct = toMoney(service?.commissionPercentage) ?? 0;
-  const commissionAmount = round2((totalAmount * pct) / 100);
-  const technicianAmount = round2(totalAmount - commissionAmount);
-  return {
-    commissionPercentage: pct,
-    totalAmount,
-    commissionAmount,
-    technicianAmount,
-  };
+  // The webhook may have captured it meanwhile; either way the booking ends up paid once
+  await markPaymentCaptured({
+    payment,
+    providerPaymentId,
+    signature,
+    source: "verify",
+    actor: actorFromRequest(req),
+  });
+  return "captured";
 };
 
-
 // 1) Customer creates an online payment order (platform collects 100%)
 export const createPaymentOrder = async (req, res) => {
   try {
@@ -118,19 +114,19 @@ export const createPaymentOrder = async (req, res) => {
       return fail(res, 403, "Customer access only", {});
     }
 
-    const { bookingId } = req.body;
+    const { bookingId, couponCode } = req.body;
     if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
       return fail(res, 400, "Valid bookingId is required", {});
     }
 
-    const booking = await ServiceBooking.findById(bookingId);
+    let booking = await ServiceBooking.findById(bookingId);
     if (!booking) return fail(res, 404, "Booking not found", {});
 
     if (booking.customerId?.toString() !== req.user.userId?.toString()) {
       return fail(res, 403, "Access denied for this booking", {});
     }
 
-    if (booking.paymentStatus === "paid") {
+    if (booking.paymentStatus !== "pending") {
       return ok(res, 200, "Booking already paid", {
         bookingId: booking._id,
         paymentStatus: booking.paymentStatus,
@@ -147,74 +143,137 @@ export const createPaymentOrder = async (req, res) => {
     const service = await Service.findById(booking.serviceId);
     if (!service) return fail(res, 404, "Service not found", {});
 
-    const payableAmount = toMoney(booking.baseAmount);
-    if (payableAmount == null || payableAmount < 0) {
+    // Prepaid cart checkouts are paid as one order; lines it leaves out (price not final then) are paid here
+    if (booking.orderId) {
+      const order = await Order.findById(booking.orderId).select("paymentMode paymentStatus");
+      if (order?.paymentMode === "online" && order.paymentStatus === "pending" && isBookingPriceFinal({ booking, service })) {
+        return fail(res, 400, "Pay this booking through its order", { checkoutOrderId: booking.orderId });
+      }
+    }
+
+    const baseAmount = toMoney(booking.baseAmount);
+    if (baseAmount == null || baseAmount < 0) {
       return fail(res, 400, "Invalid booking baseAmount", {});
     }
 
-    const split = computeSplitFromService({ service, payableAmount });
+    // after_inspection / per_unit: the decided quote (or visit charge) is the price
+    assertBookingPriceFinal({ booking, service });
 
-    // Idempotency: reuse existing pending Payment + orderId if present
     let payment = await Payment.findOne({ bookingId: booking._id });
+
+    // 🎟️ Optional coupon: lowers baseAmount's taxable value before the gateway order
+    let couponApplied = false;
+    if (couponCode) {
+      ({ applied: couponApplied } = await applyCouponToServiceBooking({
+        booking,
+        service,
+        code: couponCode,
+        customerId: req.user.userId,
+      }));
+      if (couponApplied) booking = await ServiceBooking.findById(booking._id);
+    }
+
+    // baseAmount - discount + GST (booking.tax); commission from the matching CommissionRule
+    const commission = await resolveBookingCommission({ booking, service });
+    const split = computeBookingSplit({ service, booking, commission });
+    if (split.totalAmount <= 0) {
+      return fail(res, 400, "Nothing to pay for this booking", {});
+    }
+
+    const paymentSplit = {
+      baseAmount: split.taxableAmount,
+      totalAmount: split.totalAmount,
+      commissionAmount: split.commissionAmount,
+      technicianAmount: split.technicianAmount,
+      taxAmount: split.taxAmount,
+      discountAmount: split.discountAmount,
+    };
+
+    // An unpaid attempt made before a coupon / quote changed the price gets a fresh gateway order
+    // (the old order stays payable, see supersededOrders). Same total but a new commission / tax
+    // split keeps the gateway order and only refreshes the split.
+    const splitChanged =
+      ["pending", "failed"].includes(payment?.status) &&
+      Object.entries(paymentSplit).some(([field, value]) => payment[field] !== value);
+    if (splitChanged) {
+      const priceChanged = payment.totalAmount !== split.totalAmount;
+      if (priceChanged) supersedeProviderOrder(payment);
+      payment.set({ ...paymentSplit, ...(priceChanged ? { providerOrderId: null } : {}) });
+      await payment.save();
+
+      if (!priceChanged) {
+        booking.set({
+          commissionPercentage: split.commissionPercentage,
+          commissionRule: split.commissionRule,
+          commissionAmount: split.commissionAmount,
+          technicianAmount: split.technicianAmount,
+        });
+        await booking.save();
+      }
+    }
+
+    // Idempotency: reuse existing pending Payment + orderId if present
     if (!payment) {
       payment = await Payment.create({
         bookingId: booking._id,
-        baseAmount: split.totalAmount,
-        totalAmount: split.totalAmount,
-        commissionAmount: split.commissionAmount,
-        technicianAmount: split.technicianAmount,
+        ...paymentSplit,
         paymentMode: "online",
-        provider: "razorpay",
+        provider: getActivePaymentProvider(),
         currency: "INR",
       });
     }
 
-    // Create Razorpay order only if not already created
+    // Create the gateway order only if not already created (on the gateway active now)
     if (!payment.providerOrderId) {
-      const amountInPaise = Math.round(split.totalAmount * 100);
-      const receipt = `booking_${booking._id.toString()}`;
-      const order = await razorpayRequest({
-        method: "POST",
-        path: "/v1/orders",
-        body: {
-          amount: amountInPaise,
-          currency: "INR",
-          receipt,
-          payment_capture: 1,
-          notes: {
-            bookingId: booking._id.toString(),
-            customerId: booking.customerId.toString(),
-          },
+      const provider = getActivePaymentProvider();
+      const order = await getPaymentGateway(provider).createOrder({
+        amount: split.totalAmount,
+        currency: payment.currency,
+        receipt: `booking_${booking._id.toString()}`,
+        notes: {
+          bookingId: booking._id.toString(),
+          customerId: booking.customerId.toString(),
         },
       });
 
+      payment.provider = provider;
       payment.providerOrderId = order.id;
       await payment.save();
 
       booking.paymentOrderId = order.id;
-      booking.paymentProvider = "razorpay";
+      booking.paymentProvider = provider;
       booking.paidAmount = 0;
       booking.commissionPercentage = split.commissionPercentage;
+      booking.commissionRule = split.commissionRule;
       booking.commissionAmount = split.commissionAmount;
       booking.technicianAmount = split.technicianAmount;
       booking.paymentId = payment._id;
       await booking.save();
+
+      await recordBookingEvent({
+        bookingId: booking._id,
+        type: "payment_order_created",
+        actor: actorFromRequest(req),
+        data: { provider, orderId: order.id, amount: split.totalAmount },
+      });
     }
 
-    const keyId = process.env.RAZORPAY_KEY_ID;
     return ok(res, 201, "Payment order created", {
-      provider: "razorpay",
-      keyId,
+      provider: payment.provider,
+      ...getPaymentGateway(payment.provider).checkoutConfig(),
       bookingId: booking._id,
       orderId: payment.providerOrderId,
       amount: payment.totalAmount,
       currency: payment.currency,
       commissionAmount: payment.commissionAmount,
       technicianAmount: payment.technicianAmount,
+      taxAmount: payment.taxAmount,
+      discountAmount: payment.discountAmount,
     });
   } catch (error) {
     return fail(res, error?.statusCode || 500, error.message || "Failed to create payment order", {
       error: error?.details || error?.message,
+      code: error?.code,
     });
   }
 };
@@ -226,12 +285,14 @@ export const verifyPayment = async (req, res) => {
       return fail(res, 403, "Customer access only", {});
     }
 
-    const { bookingId, razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    const { bookingId } = req.body;
+    const checkoutResult = readCheckoutResult(req.body);
+    const { orderId, providerPaymentId, signature } = checkoutResult;
     if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) {
       return fail(res, 400, "Valid bookingId is required", {});
     }
-    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-      return fail(res, 400, "razorpay_order_id, razorpay_payment_id, razorpay_signature are required", {});
+    if (!orderId || !providerPaymentId || !signature) {
+      return fail(res, 400, "orderId, paymentId, signature are required", {});
     }
 
     const booking = await ServiceBooking.findById(bookingId);
@@ -243,74 +304,425 @@ export const verifyPayment = async (req, res) => {
     const payment = await Payment.findOne({ bookingId: booking._id });
     if (!payment) return fail(res, 404, "Payment record not found", {});
 
-    if (payment.status === "success") {
+    if (["success", "partially_refunded", "refunded"].includes(payment.status)) {
       await settleBookingEarningsIfEligible(booking._id);
       return ok(res, 200, "Payment already verified", { paymentId: payment._id, status: payment.status });
     }
 
-    if (payment.providerOrderId !== razorpay_order_id) {
+    if (payment.providerOrderId !== orderId && !getSupersededOrder(payment, orderId)) {
       return fail(res, 400, "OrderId mismatch", {});
     }
 
-    const secret = process.env.RAZORPAY_KEY_SECRET;
-    if (!secret) return fail(res, 500, "Razorpay secret not configured", {});
+    const outcome = await confirmCheckout(req, payment, checkoutResult);
+    if (outcome === "invalid_signature") {
+      return fail(res, 400, "Payment verification failed", { reason: "Invalid signature" });
+    }
+    if (outcome === "stray_capture") {
+      return fail(res, 409, "Booking price changed after this checkout; the payment will be refunded", {
+        code: "CHECKOUT_SUPERSEDED",
+        bookingId: booking._id,
+        payableAmount: payment.totalAmount,
+      });
+    }
+
+    return ok(res, 200, "Payment verified successfully", {
+      bookingId: booking._id,
+      paymentStatus: "paid",
+      orderId,
+      paymentId: providerPaymentId,
+    });
+  } catch (error) {
+    return fail(res, error?.statusCode || 500, error.message || "Failed to verify payment", {
+      error: error?.details || error?.message,
+    });
+  }
+};
+
+// 3) Gateway webhook (server-to-server): audit + payment captures/failures + refund outcomes
+export const paymentWebhook = async (req, res) => {
+  try {
+    const provider = req.params.provider;
+    if (!PAYMENT_PROVIDERS.includes(provider)) return fail(res, 404, "Unknown payment provider", {});
+
+    const gateway = getPaymentGateway(provider);
+    if (!req.rawBody) return fail(res, 400, "Missing webhook signature/body", {});
+    if (!gateway.verifyWebhook({ rawBody: req.rawBody, headers: req.headers })) {
+      return fail(res, 400, "Invalid webhook signature", {});
+    }
+
+    const { duplicate } = await processPaymentWebhook(provider, req.body);
+    if (duplicate) return ok(res, 200, "Webhook already processed", {});
+
+    return ok(res, 200, "Webhook processed", {});
+  } catch (error) {
+    return fail(res, error?.statusCode || 500, error.message || "Webhook processing failed", { error: error?.message });
+  }
+};
+
+// 4) Owner refunds a captured payment (full when amount is omitted)
+export const createRefund = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason, bookingId } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return fail(res, 400, "Invalid payment ID format", {});
+    }
+    if (bookingId !== undefined && bookingId !== null && !mongoose.Types.ObjectId.isValid(bookingId)) {
+      return fail(res, 400, "Invalid booking ID format", {});
+    }
+    if (amount !== undefined && amount !== null && Number.isNaN(Number(amount))) {
+      return fail(res, 400, "Amount must be numeric", {});
+    }
+    if (typeof reason !== "string" || !reason.trim()) {
+      return fail(res, 400, "reason is required", {});
+    }
+
+    const payment = await Payment.findById(id);
+    if (!payment) return fail(res, 404, "Payment not found", {});
+
+    const refund = await issueRefund({
+      payment,
+      amount: amount === undefined || amount === null ? undefined : Number(amount),
+      bookingId: bookingId || null,
+      source: "owner",
+      reason: reason.trim(),
+      actor: actorFromRequest(req),
+    });
+
+    return ok(res, 201, refund.status === "processed" ? "Refund processed" : "Refund initiated", refund);
+  } catch (error) {
+    return fail(res, error?.statusCode || 500, error.message || "Failed to create refund", {
+      error: error.message,
+      code: error.code,
+      ...error.details,
+    });
+  }
+};
+
+// 5) Refunds of one payment (Owner / Admin)
+export const getPaymentRefunds = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return fail(res, 400, "Invalid payment ID format", {});
+    }
+
+    const payment = await Payment.findById(id);
+    if (!payment) return fail(res, 404, "Payment not found", {});
+
+    const refunds = await Refund.find({ paymentId: payment._id }).sort({ createdAt: -1 });
+    return ok(res, 200, "Refunds fetched", {
+      paymentId: payment._id,
+      status: payment.status,
+      totalAmount: payment.totalAmount,
+      refundedAmount: payment.refundedAmount || 0,
+      refundableAmount: await getRefundableAmount(payment),
+      refunds,
+    });
+  } catch (error) {
+    return fail(res, 500, error.message, { error: error?.message });
+  }
+};
+
+// 6) Technician records cash collected on a COD booking
+export const collectCashPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return fail(res, 400, "Invalid booking ID format", {});
+    }
+    if (amount === undefined || Number.isNaN(Number(amount))) {
+      return fail(res, 400, "Amount must be numeric", {});
+    }
+
+    const { booking, payment, settlement } = await recordCashCollection({
+      bookingId: id,
+      technicianProfileId: req.user?.technicianProfileId,
+      amount: Number(amount),
+      actor: actorFromRequest(req),
+    });
+
+    return ok(res, 200, "Cash collection recorded", {
+      bookingId: booking._id,
+      paymentStatus: booking.paymentStatus,
+      paymentId: payment._id,
+      amount: payment.totalAmount,
+      commissionAmount: payment.commissionAmount,
+      settled: settlement.settled,
+    });
+  } catch (error) {
+    return fail(res, error?.statusCode || 500, error.message || "Failed to record cash collection", {
+      error: error.message,
+      code: error.code,
+      ...error.details,
+    });
+  }
+};
+
+// 7) Owner: cash collected vs commission debited per technician
+export const getCodReconciliation = async (req, res) => {
+  try {
+    const { from, to, technicianId, status } = req.query;
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return fail(res, 400, "from/to must be valid dates", {});
+    }
+    if (technicianId && !mongoose.Types.ObjectId.isValid(technicianId)) {
+      return fail(res, 400, "Invalid technicianId", {});
+    }
+    if (status && !["pending", "reconciled"].includes(status)) {
+      return fail(res, 400, "status must be pending or reconciled", {});
+    }
+
+    const result = await getCashReconciliation({ from: fromDate, to: toDate, technicianId, status });
+    return ok(res, 200, "Cash reconciliation fetched", result);
+  } catch (error) {
+    return fail(res, 500, error.message, { error: error?.message });
+  }
+};
+
+// 8) Owner: mark cash collections reconciled
+export const reconcileCodPayments = async (req, res) => {
+  try {
+    const { paymentIds, note } = req.body || {};
+
+    if (!Array.isArray(paymentIds) || paymentIds.length === 0) {
+      return fail(res, 400, "paymentIds must be a non-empty array", {});
+    }
+    if (paymentIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return fail(res, 400, "Invalid payment ID format", {});
+    }
+
+    const result = await reconcileCashPayments({
+      paymentIds,
+      note: typeof note === "string" ? note.trim() : null,
+      actor: actorFromRequest(req),
+    });
+    return ok(res, 200, "Cash payments reconciled", result);
+  } catch (error) {
+    return fail(res, 500, error.message, { error: error?.message });
+  }
+};
+
+// 9) Owner: run the payment reconciliation now (normally nightly)
+export const runPaymentReconciliation = async (req, res) => {
+  try {
+    const { minAgeMinutes } = req.body || {};
+    if (minAgeMinutes !== undefined && (!Number.isInteger(Number(minAgeMinutes)) || Number(minAgeMinutes) < 0)) {
+      return fail(res, 400, "minAgeMinutes must be a non-negative integer", {});
+    }
+
+    const summary = await reconcilePendingPayments({
+      minAgeMinutes: minAgeMinutes === undefined ? undefined : Number(minAgeMinutes),
+    });
+    return ok(res, 200, "Payment reconciliation completed", summary);
+  } catch (error) {
+    return fail(res, 500, error.message, { error: error?.message });
+  }
+};
+
+// 10) Mock gateway only: play the customer paying (or failing) in checkout.
+// Returns what the checkout callback would get and, by default, delivers the webhook too.
+export const simulateMockPayment = async (req, res) => {
+  try {
+    if (getActivePaymentProvider() !== "mock") {
+      return fail(res, 404, "Mock payment provider is not enabled", {});
+    }
+    getPaymentGateway("mock");
 
-    const expected = crypto
-      .createHmac("sha256", secret)
-      .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-      .digest("hex");
+    // bookingId for a single booking payment, checkoutOrderId for a cart Order payment
+    const { bookingId, checkoutOrderId, outcome = "captured", sendWebhook = true } = req.body || {};
+    const targetId = checkoutOrderId || bookingId;
+    if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+      return fail(res, 400, "Valid bookingId or checkoutOrderId is required", {});
+    }
+
+    const payment = checkoutOrderId
+      ? await Payment.findOne({ orderId: checkoutOrderId, provider: "mock" }).sort({ createdAt: -1 })
+      : await Payment.findOne({ bookingId, provider: "mock" });
+    if (!payment?.providerOrderId) {
+      return fail(res, 404, "No mock payment order found; create one first", {});
+    }
+    if (req.user?.role === "Customer") {
+      const owner = checkoutOrderId
+        ? await Order.findById(checkoutOrderId).select("customerId")
+        : await ServiceBooking.findById(bookingId).select("customerId");
+      if (owner?.customerId?.toString() !== req.user.userId?.toString()) {
+        return fail(res, 403, "Access denied", {});
+      }
+    }
+
+    const { payment: entity, signature } = simulatePayment({
+      orderId: payment.providerOrderId,
+      amount: payment.totalAmount,
+      outcome,
+    });
+
+    let webhook = null;
+    if (sendWebhook) {
+      const { body } = buildWebhookEvent(outcome === "captured" ? "payment.captured" : "payment.failed", entity);
+      await processPaymentWebhook("mock", body);
+      webhook = { eventId: body.event_id, eventType: body.event };
+    }
+
+    return ok(res, 200, "Mock payment simulated", {
+      bookingId: bookingId || null,
+      checkoutOrderId: checkoutOrderId || null,
+      orderId: payment.providerOrderId,
+      paymentId: entity.id,
+      signature,
+      status: entity.status,
+      webhook,
+    });
+  } catch (error) {
+    return fail(res, error?.statusCode || 500, error.message || "Failed to simulate payment", {
+      error: error.message,
+      code: error.code,
+    });
+  }
+};
+
+// 11) Customer creates one gateway order for a whole cart checkout (Order)
+export const createOrderPayment = async (req, res) => {
+  try {
+    if (req.user?.role !== "Customer") {
+      return fail(res, 403, "Customer access only", {});
+    }
 
-    if (expected !== razorpay_signature) {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return fail(res, 400, "Invalid order ID format", {});
+    }
+
+    const order = await Order.findById(id);
+    if (!order) return fail(res, 404, "Order not found", {});
+    if (order.customerId.toString() !== req.user.userId?.toString()) {
+      return fail(res, 403, "Access denied for this order", {});
+    }
+    if (order.paymentStatus !== "pending") {
+      return ok(res, 200, "Order already paid", { checkoutOrderId: order._id, paymentStatus: order.paymentStatus });
+    }
+
+    // Only lines still unpaid and not cancelled are charged
+    const { allocations, deferredBookingIds, totalAmount, taxAmount, discountAmount, commissionAmount, technicianAmount } =
+      await buildOrderAllocations(order);
+    if (allocations.length === 0 || totalAmount <= 0) {
+      return fail(res, 400, "Nothing left to pay on this order", { deferredBookingIds });
+    }
+
+    // Idempotency: reuse the pending gateway order while the lines are unchanged
+    let payment = await Payment.findOne({ orderId: order._id, status: "pending" }).sort({ createdAt: -1 });
+    if (payment && payment.totalAmount !== totalAmount) {
       await Payment.updateOne(
         { _id: payment._id, status: "pending" },
-        { $set: { status: "failed", failureReason: "Invalid signature" } }
+        { $set: { status: "failed", failureReason: "Superseded: order lines changed" } }
       );
-      return fail(res, 400, "Payment verification failed", { reason: "Invalid signature" });
+      payment = null;
     }
 
-    const session = await mongoose.startSession();
-    try {
-      await session.withTransaction(async () => {
-        const updated = await Payment.findOneAndUpdate(
-          { _id: payment._id, status: "pending" },
-          {
-            $set: {
-              status: "success",
-              providerPaymentId: razorpay_payment_id,
-              providerSignature: razorpay_signature,
-              verifiedAt: new Date(),
-            },
-          },
-          { new: true, session }
-        );
-
-        if (!updated) return;
-
-        await ServiceBooking.updateOne(
-          { _id: booking._id },
-          {
-            $set: {
-              paymentStatus: "paid",
-              paymentProvider: "razorpay",
-              paymentOrderId: razorpay_order_id,
-              paymentProviderPaymentId: razorpay_payment_id,
-              paidAmount: updated.totalAmount,
-              paymentId: updated._id,
-            },
-          },
-          { session }
-        );
+    if (!payment) {
+      const provider = getActivePaymentProvider();
+      const gatewayOrder = await getPaymentGateway(provider).createOrder({
+        amount: totalAmount,
+        currency: order.currency,
+        receipt: `order_${order._id.toString()}`,
+        notes: {
+          checkoutOrderId: order._id.toString(),
+          customerId: order.customerId.toString(),
+        },
+      });
+
+      payment = await Payment.create({
+        orderId: order._id,
+        allocations,
+        baseAmount: round2(totalAmount - taxAmount),
+        totalAmount,
+        commissionAmount,
+        technicianAmount,
+        taxAmount,
+        discountAmount,
+        paymentMode: "online",
+        provider,
+        providerOrderId: gatewayOrder.id,
+        currency: order.currency,
       });
-    } finally {
-      session.endSession();
+
+      order.paymentId = payment._id;
+      await order.save();
+
+      for (const bookingId of getPaymentServiceBookingIds(payment)) {
+        await recordBookingEvent({
+          bookingId,
+          type: "payment_order_created",
+          actor: actorFromRequest(req),
+          data: { provider, orderId: gatewayOrder.id, amount: totalAmount, checkoutOrderId: order._id },
+        });
+      }
+    }
+
+    return ok(res, 201, "Payment order created", {
+      provider: payment.provider,
+      ...getPaymentGateway(payment.provider).checkoutConfig(),
+      checkoutOrderId: order._id,
+      orderId: payment.providerOrderId,
+      amount: payment.totalAmount,
+      currency: payment.currency,
+      allocations: payment.allocations,
+      // Paid on their own with /payment/order once the quote / job is done
+      deferredBookingIds,
+    });
+  } catch (error) {
+    return fail(res, error?.statusCode || 500, error.message || "Failed to create payment order", {
+      error: error?.details || error?.message,
+    });
+  }
+};
+
+// 12) Customer verifies the checkout result for an Order payment
+export const verifyOrderPayment = async (req, res) => {
+  try {
+    if (req.user?.role !== "Customer") {
+      return fail(res, 403, "Customer access only", {});
+    }
+
+    const { id } = req.params;
+    const checkoutResult = readCheckoutResult(req.body);
+    const { orderId, providerPaymentId, signature } = checkoutResult;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return fail(res, 400, "Invalid order ID format", {});
+    }
+    if (!orderId || !providerPaymentId || !signature) {
+      return fail(res, 400, "orderId, paymentId, signature are required", {});
+    }
+
+    const order = await Order.findById(id);
+    if (!order) return fail(res, 404, "Order not found", {});
+    if (order.customerId.toString() !== req.user.userId?.toString()) {
+      return fail(res, 403, "Access denied for this order", {});
+    }
+
+    const payment = await Payment.findOne({ orderId: order._id, providerOrderId: orderId });
+    if (!payment) return fail(res, 400, "OrderId mismatch", {});
+
+    if (["success", "partially_refunded", "refunded"].includes(payment.status)) {
+      return ok(res, 200, "Payment already verified", { paymentId: payment._id, status: payment.status });
+    }
+
+    if ((await confirmCheckout(req, payment, checkoutResult)) === "invalid_signature") {
+      return fail(res, 400, "Payment verification failed", { reason: "Invalid signature" });
     }
 
-    await settleBookingEarningsIfEligible(booking._id);
     return ok(res, 200, "Payment verified successfully", {
-      bookingId: booking._id,
+      checkoutOrderId: order._id,
       paymentStatus: "paid",
-      orderId: razorpay_order_id,
-      paymentId: razorpay_payment_id,
+      orderId,
+      paymentId: providerPaymentId,
+      allocations: payment.allocations,
     });
   } catch (error) {
     return fail(res, error?.statusCode || 500, error.message || "Failed to verify payment", {
@@ -319,50 +731,41 @@ export const verifyPayment = async (req, res) => {
   }
 };
 
-// 3) Razorpay webhook (server-to-server) for audit + future refunds
-export const razorpayWebhook = async (req, res) => {
+// 13) Owner: run the settlement sweep now (normally hourly)
+export const runSettlementSweep = async (req, res) => {
   try {
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-    if (!webhookSecret) return fail(res, 500, "Webhook secret not configured", {});
-
-    const signature = req.headers["x-razorpay-signature"];
-    const rawBody = req.rawBody;
-    if (!signature || !rawBody) return fail(res, 400, "Missing webhook signature/body", {});
-
-    const expected = crypto.createHmac("sha256", webhookSecret).update(rawBody).digest("hex");
-    if (expected !== signature) return fail(res, 400, "Invalid webhook signature", {});
-
-    const event = req.body;
-    const eventId = event?.event_id || event?.id;
-    const eventType = event?.event;
-    if (!eventId || !eventType) return fail(res, 400, "Invalid webhook payload", {});
-
-    const existing = await PaymentEvent.findOne({ eventId });
-    if (existing) return ok(res, 200, "Webhook already processed", {});
-
-    // Best-effort linking
-    const orderId = event?.payload?.payment?.entity?.order_id;
-    const paymentId = event?.payload?.payment?.entity?.id;
-
-    let paymentDoc = null;
-    if (orderId) paymentDoc = await Payment.findOne({ provider: "razorpay", providerOrderId: orderId });
-    if (!paymentDoc && paymentId) paymentDoc = await Payment.findOne({ provider: "razorpay", providerPaymentId: paymentId });
-
-    await PaymentEvent.create({
-      provider: "razorpay",
-      eventId,
-      bookingId: paymentDoc?.bookingId || null,
-      paymentId: paymentDoc?._id || null,
-      eventType,
-      payload: event,
+    const { batchSize } = req.body || {};
+    if (batchSize !== undefined && (!Number.isInteger(Number(batchSize)) || Number(batchSize) <= 0)) {
+      return fail(res, 400, "batchSize must be a positive integer", {});
+    }
+
+    const summary = await sweepEligibleSettlements({
+      batchSize: batchSize === undefined ? undefined : Number(batchSize),
     });
+    return ok(res, 200, "Settlement sweep completed", summary);
+  } catch (error) {
+    return fail(res, 500, error.message, { error: error?.message });
+  }
+};
 
-    // If webhook says captured/authorized, we still do NOT mark paid without signature verification flow.
-    // Webhook is used for audit + future refunds/disputes.
+// 14) Owner: settled vs unsettled amounts per day and per technician
+export const getSettlementsReport = async (req, res) => {
+  try {
+    const { from, to, technicianId } = req.query;
 
-    return ok(res, 200, "Webhook processed", {});
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return fail(res, 400, "from/to must be valid dates", {});
+    }
+    if (technicianId && !mongoose.Types.ObjectId.isValid(technicianId)) {
+      return fail(res, 400, "Invalid technicianId", {});
+    }
+
+    const report = await getSettlementReport({ from: fromDate, to: toDate, technicianId });
+    return ok(res, 200, "Settlement report fetched", report);
   } catch (error) {
-    return fail(res, 500, error.message || "Webhook processing failed", { error: error?.message });
+    return fail(res, 500, error.message, { error: error?.message });
   }
 };
 
@@ -0,0 +1,89 @@
+import {
+  SETTINGS_SECTIONS,
+  isSettingsSection,
+  getPlatformSettings,
+  getSettingsSection,
+  updateSettingsSection,
+} from "../utils/platformSettings.js";
+
+/* ================= GET ALL PLATFORM SETTINGS (OWNER / ADMIN) ================= */
+export const getAllPlatformSettings = async (req, res) => {
+  try {
+    const settings = await getPlatformSettings({ fresh: true });
+
+    const result = {};
+    for (const name of Object.keys(SETTINGS_SECTIONS)) {
+      result[name] = settings[name];
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Platform settings fetched",
+      result: { ...result, updatedAt: settings.updatedAt, updatedBy: settings.updatedBy },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message },
+    });
+  }
+};
+
+/* ================= GET ONE SETTINGS SECTION (OWNER / ADMIN) ================= */
+export const getPlatformSettingsSection = async (req, res) => {
+  try {
+    const { section } = req.params;
+
+    if (!isSettingsSection(section)) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown settings section",
+        result: { sections: Object.keys(SETTINGS_SECTIONS) },
+      });
+    }
+
+    const result = await getSettingsSection(section, { fresh: true });
+
+    return res.status(200).json({
+      success: true,
+      message: "Platform settings fetched",
+      result,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message },
+    });
+  }
+};
+
+/* ================= UPDATE ONE SETTINGS SECTION (OWNER) ================= */
+export const updatePlatformSettingsSection = async (req, res) => {
+  try {
+    const { section } = req.params;
+
+    if (!isSettingsSection(section)) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown settings section",
+        result: { sections: Object.keys(SETTINGS_SECTIONS) },
+      });
+    }
+
+    const result = await updateSettingsSection(section, req.body, { userId: req.user?.userId });
+
+    return res.status(200).json({
+      success: true,
+      message: "Platform settings updated",
+      result,
+    });
+  } catch (error) {
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message, code: error.code, ...error.details },
+    });
+  }
+};
@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import ProductBooking from "../Schemas/ProductBooking.js";
 import Product from "../Schemas/Product.js";
+import { releaseCouponForCancelledBooking } from "../utils/coupons.js";
 
 const PAYMENT_STATUSES = ["pending", "paid", "refunded", "completed"];
 const BOOKING_STATUSES = ["active", "completed", "cancelled"];
@@ -223,13 +224,23 @@ export const productBookingCancel = async (req, res) => {
       });
     }
 
+    // Paid bookings aren't cancelled here: nothing would refund the payment
     const cancelBooking = await ProductBooking.findOneAndUpdate(
-      { _id: id, customerId },
+      { _id: id, customerId, paymentStatus: "pending" },
       { status: "cancelled" },
       { new: true }
     );
 
     if (!cancelBooking) {
+      const existing = await ProductBooking.findOne({ _id: id, customerId }).select("paymentStatus");
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: "A paid booking cannot be cancelled, please contact support for a refund",
+          result: { code: "BOOKING_ALREADY_PAID", paymentStatus: existing.paymentStatus }
+        });
+      }
+
       return res.status(404).json({
         success: false,
         message: "Your booking was not found",
@@ -237,6 +248,12 @@ export const productBookingCancel = async (req, res) => {
       });
     }
 
+    try {
+      await releaseCouponForCancelledBooking({ bookingModel: "ProductBooking", booking: cancelBooking });
+    } catch (couponError) {
+      console.error(`⚠️ Coupon release failed for booking ${cancelBooking._id}:`, couponError.message);
+    }
+
     res.status(200).json({
       success: true,
       message: "Your booking has been cancelled successfully",
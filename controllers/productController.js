@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 import Product from "../Schemas/Product.js";
 import Category from "../Schemas/Category.js";
+import { validateGstRate } from "../utils/tax.js";
 
 const ALLOWED_PRICING_MODELS = ["fixed", "starting_from", "after_inspection"];
 
@@ -37,6 +38,8 @@ export const createProduct = async (req, res) => {
       amcAvailable,
       amcPricePerYear,
       complianceCertificates,
+      gstRate,
+      hsnSacCode,
     } = req.body;
 
     if (!categoryId || !productName || !productType || !description) {
@@ -127,6 +130,15 @@ export const createProduct = async (req, res) => {
     const siteInspection = toBooleanOrUndefined(siteInspectionRequired);
     const amcFlag = toBooleanOrUndefined(amcAvailable);
 
+    let normalizedGstRate;
+    if (gstRate !== undefined) {
+      const { error, value } = validateGstRate(gstRate);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      normalizedGstRate = value;
+    }
+
     const product = await Product.create({
       categoryId,
       productName,
@@ -145,6 +157,8 @@ export const createProduct = async (req, res) => {
       amcAvailable: amcFlag,
       amcPricePerYear,
       complianceCertificates,
+      gstRate: normalizedGstRate,
+      hsnSacCode,
       productImages: [], // 👈 images added later
     });
 
@@ -487,6 +501,14 @@ export const updateProduct = async (req, res) => {
       }
     }
 
+    if (updateData.gstRate !== undefined) {
+      const { error, value } = validateGstRate(updateData.gstRate);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      updateData.gstRate = value;
+    }
+
     if (updateData.pricingModel) {
       if (!ALLOWED_PRICING_MODELS.includes(updateData.pricingModel)) {
         return res.status(400).json({
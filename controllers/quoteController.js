@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { submitQuote, respondToQuote } from "../utils/bookingPricing.js";
+import { getBookingPayableAmount } from "../utils/paymentSplit.js";
+import { actorFromRequest } from "../utils/bookingStatus.js";
+import { notifyCustomer, sendSocketNotification } from "../utils/sendNotification.js";
+
+const sendError = (res, error, fallback) =>
+  res.status(error?.statusCode || 500).json({
+    success: false,
+    message: error.message || fallback,
+    result: { error: error.message, code: error.code, ...(error.details || {}) },
+  });
+
+const quoteSummary = (booking) => ({
+  bookingId: booking._id,
+  status: booking.status,
+  quote: booking.quote,
+  baseAmount: booking.baseAmount,
+  discountAmount: booking.discountAmount,
+  tax: booking.tax,
+  payableAmount: getBookingPayableAmount(booking),
+});
+
+/* ================= TECHNICIAN: SUBMIT / REVISE QUOTE ================= */
+export const submitBookingQuote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+
+    const booking = await submitQuote({
+      bookingId: id,
+      technicianProfileId: req.user.technicianProfileId,
+      items: req.body?.items,
+      note: req.body?.note,
+      actor: actorFromRequest(req),
+    });
+
+    notifyCustomer(req.io, booking.customerId.toString(), "quote_submitted", {
+      bookingId: booking._id,
+      totalAmount: booking.quote.totalAmount,
+      revision: booking.quote.revision,
+    });
+
+    return res.status(200).json({ success: true, message: "Quote sent to customer", result: quoteSummary(booking) });
+  } catch (error) {
+    return sendError(res, error, "Failed to submit quote");
+  }
+};
+
+/* ================= QUOTE DETAILS (Customer owner / assigned Technician / Owner / Admin) ================= */
+export const getBookingQuote = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+
+    const booking = await ServiceBooking.findById(id).select(
+      "customerId technicianId status quote parts baseAmount discountAmount tax"
+    );
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+
+    const role = req.user?.role;
+    const allowed =
+      ["Owner", "Admin"].includes(role) ||
+      (role === "Customer" && booking.customerId.toString() === req.user.userId?.toString()) ||
+      (role === "Technician" && booking.technicianId?.toString() === req.user.technicianProfileId?.toString());
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: "Access denied for this booking", result: {} });
+    }
+
+    return res.status(200).json({ success: true, message: "Quote fetched successfully", result: quoteSummary(booking) });
+  } catch (error) {
+    return sendError(res, error, "Failed to fetch quote");
+  }
+};
+
+// Customer decision on the pending quote
+const respond = (decision) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+    if (req.user?.role !== "Customer") {
+      return res.status(403).json({ success: false, message: "Customer access only", result: {} });
+    }
+
+    const booking = await respondToQuote({
+      bookingId: id,
+      customerId: req.user.userId,
+      decision,
+      reason: req.body?.reason,
+      actor: actorFromRequest(req),
+    });
+
+    if (booking.technicianId) {
+      sendSocketNotification(req.io, booking.technicianId.toString(), `quote_${booking.quote.status}`, {
+        bookingId: booking._id,
+        baseAmount: booking.baseAmount,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: decision === "approve" ? "Quote approved" : "Quote rejected; visit charge applies",
+      result: quoteSummary(booking),
+    });
+  } catch (error) {
+    return sendError(res, error, "Failed to respond to quote");
+  }
+};
+
+/* ================= CUSTOMER: APPROVE QUOTE ================= */
+export const approveBookingQuote = respond("approve");
+
+/* ================= CUSTOMER: REJECT QUOTE ================= */
+export const rejectBookingQuote = respond("reject");
@@ -5,12 +5,43 @@ import TechnicianKyc from "../Schemas/TechnicianKYC.js";
 import Service from "../Schemas/Service.js";
 import Address from "../Schemas/Address.js";
 import mongoose from "mongoose";
-import { broadcastJobToTechnicians } from "../utils/sendNotification.js";
+import {
+  broadcastJobToTechnicians,
+  sendSocketNotification,
+  notifyJobTaken,
+  notifyCustomer,
+} from "../utils/sendNotification.js";
 import { findEligibleTechniciansForService } from "../utils/technicianMatching.js";
 import { findNearbyTechnicians } from "../utils/findNearbyTechnicians.js";
 import { settleBookingEarningsIfEligible } from "../utils/settlement.js";
-import { matchAndBroadcastBooking } from "../utils/technicianMatching.js";
+import { matchAndBroadcastBooking, explainBookingMatching } from "../utils/technicianMatching.js";
 import { resolveUserLocation } from "../utils/resolveUserLocation.js";
+import { computeItemTax } from "../utils/tax.js";
+import { assertQuoteAllowsTransition } from "../utils/bookingPricing.js";
+import { assertPartsSettled } from "../utils/spareParts.js";
+import {
+  transitionBookingStatus,
+  buildStatusHistoryEntry,
+  actorFromRequest,
+} from "../utils/bookingStatus.js";
+import { buildBookingTimeline, recordBookingEvent } from "../utils/bookingEvents.js";
+import {
+  resolveBookingSchedule,
+  validateScheduledAt,
+  checkSlotCapacity,
+  getAvailableSlots,
+  getBroadcastNotBefore,
+  getSlotConfig,
+  SLOT_HOLDING_STATUSES,
+} from "../utils/bookingSlots.js";
+import { getAvailabilityReasons } from "../utils/technicianAvailability.js";
+import { assignBookingToTechnician, unassignBookingFromTechnician } from "../utils/bookingAssignment.js";
+import {
+  resolveCancellationRules,
+  computeCancellationCharges,
+  refundCancelledBooking,
+} from "../utils/cancellationPolicy.js";
+import { releaseCouponForCancelledBooking } from "../utils/coupons.js";
 
 const toNumber = value => {
   const num = Number(value);
@@ -121,6 +152,11 @@ export const createBooking = async (req, res) => {
       return res.status(400).json({ success: false, message: "baseAmount must be a non-negative number", result: {} });
     }
 
+    const paymentMode = req.body?.paymentMode || "online";
+    if (!["online", "cod"].includes(paymentMode)) {
+      return res.status(400).json({ success: false, message: "Payment mode must be 'online' or 'cod'", result: {} });
+    }
+
     const service = await Service.findById(serviceId);
     if (!service || !service.isActive) {
       return res.status(404).json({ success: false, message: "Service not found or inactive", result: {} });
@@ -143,11 +179,34 @@ export const createBooking = async (req, res) => {
       });
     }
 
+    // ⏰ Optional scheduledAt must be a free slot in the booking horizon
+    const schedule = await resolveBookingSchedule({
+      scheduledAt,
+      serviceId,
+      addressSnapshot: resolvedLocation.addressSnapshot,
+    });
+    if (!schedule.ok) {
+      return res.status(schedule.statusCode).json({
+        success: false,
+        message: schedule.message,
+        result: schedule.result,
+      });
+    }
+
+    // 🧮 GST on top of baseAmount (null when tax is disabled)
+    const tax = await computeItemTax({
+      item: service,
+      amount: baseAmountNum,
+      placeOfSupply: resolvedLocation.addressSnapshot?.state,
+    });
+
     // 1️⃣ Create booking (status: requested)
     const bookingDoc = {
       customerId,
       serviceId,
       baseAmount: baseAmountNum,
+      tax,
+      paymentMode,
 
       // ✅ Swiggy-Style Location Snapshot
       locationType: resolvedLocation.locationType,
@@ -156,8 +215,10 @@ export const createBooking = async (req, res) => {
       // Legacy/Display address string
       address: resolvedLocation.addressSnapshot.addressLine || "Pinned Location",
 
-      scheduledAt,
+      scheduledAt: schedule.scheduledAt,
+      broadcastNotBefore: schedule.broadcastNotBefore,
       status: "requested",
+      statusHistory: [buildStatusHistoryEntry({ to: "requested", actor: actorFromRequest(req) })],
       radius: radiusInput ?? 500,
     };
 
@@ -176,9 +237,22 @@ export const createBooking = async (req, res) => {
 
     const booking = await ServiceBooking.create(bookingDoc);
 
-    // 2️⃣ Smart matching & broadcast (Unified Logic)
+    // 2️⃣ Smart matching & broadcast (Unified Logic); deferred for future slots
     const broadcastResult = await matchAndBroadcastBooking(booking._id, req.io);
 
+    if (broadcastResult.deferred) {
+      return res.status(201).json({
+        success: true,
+        message: "Booking scheduled",
+        result: {
+          booking,
+          broadcastCount: 0,
+          status: "scheduled",
+          broadcastNotBefore: booking.broadcastNotBefore,
+        },
+      });
+    }
+
     return res.status(201).json({
       success: true,
       message: broadcastResult.count > 0
@@ -495,6 +569,584 @@ export const getTechnicianCurrentJobs = async (req, res) => {
 };
 
 
+/* =====================================================
+   BOOKING TIMELINE (CUSTOMER / TECHNICIAN / OWNER / ADMIN)
+===================================================== */
+export const getBookingTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userRole = req.user?.role;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid booking ID format",
+        result: {},
+      });
+    }
+
+    const booking = await ServiceBooking.findById(id).select(
+      "customerId technicianId serviceId status paymentStatus settlementStatus statusHistory createdAt"
+    );
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        result: {},
+      });
+    }
+
+    // 🔒 Ownership: customer who booked, assigned technician, or Owner/Admin
+    let allowed = false;
+    if (userRole === "Owner" || userRole === "Admin") {
+      allowed = true;
+    } else if (userRole === "Customer") {
+      allowed = Boolean(req.user.userId) && booking.customerId?.toString() === req.user.userId.toString();
+    } else if (userRole === "Technician") {
+      const technicianProfileId = req.user?.technicianProfileId;
+      allowed =
+        Boolean(technicianProfileId) &&
+        Boolean(booking.technicianId) &&
+        booking.technicianId.toString() === technicianProfileId.toString();
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied for this booking",
+        result: {},
+      });
+    }
+
+    const timeline = await buildBookingTimeline(booking);
+
+    return res.status(200).json({
+      success: true,
+      message: "Booking timeline fetched",
+      result: {
+        bookingId: booking._id,
+        status: booking.status,
+        paymentStatus: booking.paymentStatus,
+        settlementStatus: booking.settlementStatus,
+        timeline,
+      },
+    });
+  } catch (error) {
+    console.error("getBookingTimeline:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message },
+    });
+  }
+};
+
+
+/* =====================================================
+   MATCHING EXPLANATION (OWNER / ADMIN)
+===================================================== */
+export const getBookingMatchingExplanation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid booking ID format",
+        result: {},
+      });
+    }
+
+    const explanation = await explainBookingMatching(id);
+    if (!explanation) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+        result: {},
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Matching explanation generated",
+      result: explanation,
+    });
+  } catch (error) {
+    console.error("getBookingMatchingExplanation:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message },
+    });
+  }
+};
+
+
+/* =====================================================
+   ASSIGN / UNASSIGN / REASSIGN TECHNICIAN (OWNER / ADMIN)
+===================================================== */
+const readAssignmentReason = (body) => {
+  const reason = typeof body?.reason === "string" ? body.reason.trim() : "";
+  return reason.length > 0 ? reason.slice(0, 500) : null;
+};
+
+const sendAssignmentError = (res, error, fallbackMessage) => {
+  if (!error?.statusCode) console.error(`${fallbackMessage}:`, error);
+  return res.status(error?.statusCode || 500).json({
+    success: false,
+    message: error.message,
+    result: { error: error.message, code: error.code, ...error.details },
+  });
+};
+
+const notifyTechnicianAssigned = async (io, booking, reason) => {
+  const service = await Service.findById(booking.serviceId).select("serviceName");
+  sendSocketNotification(io, booking.technicianId.toString(), "job_assigned", {
+    bookingId: booking._id,
+    serviceName: service?.serviceName,
+    scheduledAt: booking.scheduledAt,
+    address: booking.address,
+    reason,
+    timestamp: new Date(),
+  });
+  notifyCustomer(io, booking.customerId.toString(), "technician_assigned", {
+    bookingId: booking._id,
+    technicianId: booking.technicianId,
+  });
+};
+
+const notifyTechnicianUnassigned = (io, booking, technicianId, reason) => {
+  sendSocketNotification(io, technicianId, "job_unassigned", {
+    bookingId: booking._id,
+    reason,
+    timestamp: new Date(),
+  });
+};
+
+export const assignBooking = async (req, res) => {
+  const { id } = req.params;
+  const { technicianId } = req.body || {};
+  const reason = readAssignmentReason(req.body);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+  }
+  if (!technicianId || !mongoose.Types.ObjectId.isValid(technicianId)) {
+    return res.status(400).json({ success: false, message: "Valid technicianId is required", result: {} });
+  }
+  if (!reason) {
+    return res.status(400).json({ success: false, message: "reason is required", result: {} });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    const booking = await ServiceBooking.findById(id).session(session);
+    if (!booking) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+
+    const { booking: updated, withdrawnTechnicianIds } = await assignBookingToTechnician({
+      booking,
+      technicianProfileId: technicianId,
+      actor: actorFromRequest(req),
+      reason,
+      session,
+    });
+    await session.commitTransaction();
+
+    await recordBookingEvent({
+      bookingId: updated._id,
+      type: "technician_assigned",
+      actor: actorFromRequest(req),
+      data: { technicianId: updated.technicianId, fromStatus: booking.status, reason },
+    });
+    notifyJobTaken(req.io, withdrawnTechnicianIds, updated._id);
+    await notifyTechnicianAssigned(req.io, updated, reason);
+
+    return res.status(200).json({
+      success: true,
+      message: "Technician assigned",
+      result: updated,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    return sendAssignmentError(res, error, "assignBooking");
+  } finally {
+    session.endSession();
+  }
+};
+
+export const unassignBooking = async (req, res) => {
+  const { id } = req.params;
+  const reason = readAssignmentReason(req.body);
+  // Re-run matching right away unless ops want to assign someone by hand
+  const rebroadcast = req.body?.rebroadcast !== false;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+  }
+  if (!reason) {
+    return res.status(400).json({ success: false, message: "reason is required", result: {} });
+  }
+
+  try {
+    const booking = await ServiceBooking.findById(id);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+
+    const { booking: updated, previousTechnicianId } = await unassignBookingFromTechnician({
+      booking,
+      actor: actorFromRequest(req),
+      reason,
+    });
+
+    await recordBookingEvent({
+      bookingId: updated._id,
+      type: "technician_unassigned",
+      actor: actorFromRequest(req),
+      data: { technicianId: previousTechnicianId, fromStatus: booking.status, reason, rebroadcast },
+    });
+    notifyTechnicianUnassigned(req.io, updated, previousTechnicianId, reason);
+    notifyCustomer(req.io, updated.customerId.toString(), "technician_unassigned", { bookingId: updated._id });
+
+    // Scheduled bookings outside the lead window are picked up by the scheduler
+    if (rebroadcast && (!updated.broadcastNotBefore || updated.broadcastNotBefore <= new Date())) {
+      await matchAndBroadcastBooking(updated._id, req.io);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Technician unassigned",
+      result: await ServiceBooking.findById(updated._id),
+    });
+  } catch (error) {
+    return sendAssignmentError(res, error, "unassignBooking");
+  }
+};
+
+export const reassignBooking = async (req, res) => {
+  const { id } = req.params;
+  const { technicianId } = req.body || {};
+  const reason = readAssignmentReason(req.body);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+  }
+  if (!technicianId || !mongoose.Types.ObjectId.isValid(technicianId)) {
+    return res.status(400).json({ success: false, message: "Valid technicianId is required", result: {} });
+  }
+  if (!reason) {
+    return res.status(400).json({ success: false, message: "reason is required", result: {} });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+
+    const booking = await ServiceBooking.findById(id).session(session);
+    if (!booking) {
+      await session.abortTransaction();
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+    if (booking.technicianId?.toString() === String(technicianId)) {
+      await session.abortTransaction();
+      return res.status(400).json({ success: false, message: "Booking is already assigned to this technician", result: {} });
+    }
+
+    // Both steps in one transaction: the booking is never left without a technician
+    const { booking: released, previousTechnicianId } = await unassignBookingFromTechnician({
+      booking,
+      actor: actorFromRequest(req),
+      reason,
+      session,
+    });
+    const { booking: updated } = await assignBookingToTechnician({
+      booking: released,
+      technicianProfileId: technicianId,
+      actor: actorFromRequest(req),
+      reason,
+      session,
+    });
+    await session.commitTransaction();
+
+    await recordBookingEvent({
+      bookingId: updated._id,
+      type: "technician_reassigned",
+      actor: actorFromRequest(req),
+      data: {
+        fromTechnicianId: previousTechnicianId,
+        toTechnicianId: updated.technicianId,
+        fromStatus: booking.status,
+        reason,
+      },
+    });
+    notifyTechnicianUnassigned(req.io, updated, previousTechnicianId, reason);
+    await notifyTechnicianAssigned(req.io, updated, reason);
+
+    return res.status(200).json({
+      success: true,
+      message: "Technician reassigned",
+      result: updated,
+    });
+  } catch (error) {
+    if (session.inTransaction()) await session.abortTransaction();
+    return sendAssignmentError(res, error, "reassignBooking");
+  } finally {
+    session.endSession();
+  }
+};
+
+
+/* =====================================================
+   AVAILABLE BOOKING SLOTS (CUSTOMER)
+===================================================== */
+export const getBookingSlots = async (req, res) => {
+  try {
+    const { serviceId, date } = req.query;
+    const pincode = typeof req.query.pincode === "string" ? req.query.pincode.trim() : undefined;
+    const latitude = toFiniteNumber(req.query.latitude);
+    const longitude = toFiniteNumber(req.query.longitude);
+
+    if (!serviceId || !mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.status(400).json({ success: false, message: "Valid serviceId is required", result: {} });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ""))) {
+      return res.status(400).json({ success: false, message: "date must be in YYYY-MM-DD format", result: {} });
+    }
+    if (!pincode && (latitude === null || longitude === null)) {
+      return res.status(400).json({
+        success: false,
+        message: "pincode or latitude/longitude is required",
+        result: {},
+      });
+    }
+
+    const service = await Service.findById(serviceId).select("isActive");
+    if (!service || !service.isActive) {
+      return res.status(404).json({ success: false, message: "Service not found or inactive", result: {} });
+    }
+
+    const slots = await getAvailableSlots({ serviceId, date, pincode, latitude, longitude });
+    const { slotMinutes } = getSlotConfig();
+
+    return res.status(200).json({
+      success: true,
+      message: slots.length ? "Available slots fetched" : "No slots available for this date",
+      result: {
+        date,
+        slotMinutes,
+        slots: slots.filter((slot) => slot.available > 0),
+      },
+    });
+  } catch (error) {
+    console.error("getBookingSlots:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message },
+    });
+  }
+};
+
+
+/* =====================================================
+   RESCHEDULE BOOKING (CUSTOMER)
+===================================================== */
+const RESCHEDULABLE_STATUSES = ["requested", "broadcasted", "accepted"];
+
+const getMaxReschedules = () => {
+  const n = Number(process.env.MAX_RESCHEDULES);
+  return Number.isInteger(n) && n >= 0 ? n : 3;
+};
+
+export const rescheduleBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid booking ID format",
+        result: {},
+      });
+    }
+
+    if (req.user?.role !== "Customer") {
+      return res.status(403).json({ success: false, message: "Only customer can reschedule booking", result: {} });
+    }
+    if (!req.user.userId || !mongoose.Types.ObjectId.isValid(req.user.userId)) {
+      return res.status(401).json({ success: false, message: "Invalid token user", result: {} });
+    }
+
+    const booking = await ServiceBooking.findById(id);
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+    if (booking.customerId.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({ success: false, message: "Access denied", result: {} });
+    }
+
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Booking cannot be rescheduled in status ${booking.status}`,
+        result: { status: booking.status },
+      });
+    }
+
+    const maxReschedules = getMaxReschedules();
+    if ((booking.rescheduleCount || 0) >= maxReschedules) {
+      return res.status(400).json({
+        success: false,
+        message: `Booking can be rescheduled at most ${maxReschedules} times`,
+        result: { rescheduleCount: booking.rescheduleCount },
+      });
+    }
+
+    const check = validateScheduledAt(req.body?.scheduledAt);
+    if (!check.ok) {
+      return res.status(400).json({ success: false, message: check.message, result: {} });
+    }
+    const newScheduledAt = check.scheduledAt;
+
+    if (booking.scheduledAt && booking.scheduledAt.getTime() === newScheduledAt.getTime()) {
+      return res.status(400).json({ success: false, message: "Booking is already scheduled at this time", result: {} });
+    }
+
+    const { slotMinutes } = getSlotConfig();
+    const slotEnd = new Date(newScheduledAt.getTime() + slotMinutes * 60 * 1000);
+
+    if (booking.technicianId) {
+      // 🔒 Assigned technician must be working and free in the new slot
+      const reasons = await getAvailabilityReasons([booking.technicianId], {
+        at: newScheduledAt,
+        durationMinutes: slotMinutes,
+        excludeBookingId: booking._id,
+      });
+      const reason = reasons.get(booking.technicianId.toString());
+      if (reason !== null) {
+        return res.status(409).json({
+          success: false,
+          message: "Assigned technician is not available at the selected time",
+          result: { reason: reason || "technician_not_found" },
+        });
+      }
+
+      const clash = await ServiceBooking.exists({
+        _id: { $ne: booking._id },
+        technicianId: booking.technicianId,
+        status: { $in: SLOT_HOLDING_STATUSES },
+        scheduledAt: { $gte: newScheduledAt, $lt: slotEnd },
+      });
+      if (clash) {
+        return res.status(409).json({
+          success: false,
+          message: "Assigned technician already has a booking in the selected slot",
+          result: {},
+        });
+      }
+    } else {
+      const slot = await checkSlotCapacity({
+        serviceId: booking.serviceId,
+        scheduledAt: newScheduledAt,
+        pincode: booking.addressSnapshot?.pincode,
+        latitude: booking.addressSnapshot?.latitude,
+        longitude: booking.addressSnapshot?.longitude,
+        excludeBookingId: booking._id,
+      });
+      if (slot.available <= 0) {
+        return res.status(409).json({ success: false, message: "Selected slot is fully booked", result: { slot } });
+      }
+    }
+
+    const previousScheduledAt = booking.scheduledAt || null;
+    const broadcastNotBefore = getBroadcastNotBefore(newScheduledAt);
+    const scheduleSet = {
+      scheduledAt: newScheduledAt,
+      broadcastNotBefore,
+      rescheduleCount: (booking.rescheduleCount || 0) + 1,
+    };
+
+    let updated;
+    if (booking.status === "broadcasted" && broadcastNotBefore) {
+      // Moved beyond the lead window: withdraw open offers, scheduler re-broadcasts later
+      updated = await transitionBookingStatus({
+        booking,
+        to: "requested",
+        actor: actorFromRequest(req),
+        note: "Rescheduled",
+        filter: { technicianId: null },
+        set: { ...scheduleSet, broadcastAttempts: 0, lastMatchAttemptAt: null },
+      });
+
+      const pending = await JobBroadcast.find({ bookingId: booking._id, status: "sent" }).select("technicianId");
+      if (pending.length > 0) {
+        await JobBroadcast.updateMany({ bookingId: booking._id, status: "sent" }, { $set: { status: "expired" } });
+        notifyJobTaken(req.io, pending.map((b) => b.technicianId.toString()), booking._id);
+      }
+    } else {
+      updated = await ServiceBooking.findOneAndUpdate(
+        {
+          _id: booking._id,
+          status: booking.status,
+          technicianId: booking.technicianId || null,
+          rescheduleCount: booking.rescheduleCount || 0,
+        },
+        { $set: scheduleSet },
+        { new: true }
+      );
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: "Booking was updated by someone else, please refresh and retry",
+          result: {},
+        });
+      }
+    }
+
+    await recordBookingEvent({
+      bookingId: updated._id,
+      type: "booking_rescheduled",
+      actor: actorFromRequest(req),
+      data: {
+        from: previousScheduledAt,
+        to: newScheduledAt,
+        rescheduleCount: updated.rescheduleCount,
+      },
+    });
+
+    if (updated.technicianId) {
+      sendSocketNotification(req.io, updated.technicianId.toString(), "job_rescheduled", {
+        bookingId: updated._id,
+        previousScheduledAt,
+        scheduledAt: updated.scheduledAt,
+        timestamp: new Date(),
+      });
+    } else if (updated.status === "requested" && !updated.broadcastNotBefore && !updated.broadcastAttempts) {
+      // Never broadcast and now inside the lead window
+      await matchAndBroadcastBooking(updated._id, req.io);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Booking rescheduled",
+      result: updated,
+    });
+  } catch (error) {
+    console.error("rescheduleBooking:", error);
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message, code: error.code, ...error.details },
+    });
+  }
+};
+
+
 /* =====================================================
    UPDATE BOOKING STATUS (TECHNICIAN)
 ===================================================== */
@@ -579,8 +1231,15 @@ export const updateBookingStatus = async (req, res) => {
         result: { workStatus: technician.workStatus },
       });
     }
-    booking.status = status;
-    await booking.save();
+    // Quote rules: approved quote before work, rejected quote to close a visit
+    await assertQuoteAllowsTransition({ booking, to: status });
+    if (status === "completed") assertPartsSettled(booking);
+    booking = await transitionBookingStatus({
+      booking,
+      to: status,
+      actor: actorFromRequest(req),
+      filter: { technicianId: booking.technicianId },
+    });
     if (status === "completed") {
       // If payment is already verified, credit technician wallet (idempotent)
       await settleBookingEarningsIfEligible(booking._id);
@@ -592,10 +1251,10 @@ export const updateBookingStatus = async (req, res) => {
     });
   } catch (error) {
     console.error("updateBookingStatus:", error);
-    return res.status(500).json({
+    return res.status(error?.statusCode || 500).json({
       success: false,
       message: error.message,
-      result: { error: error.message },
+      result: { error: error.message, code: error.code, ...error.details },
     });
   }
 };
@@ -677,21 +1336,75 @@ export const cancelBooking = async (req, res) => {
       });
     }
 
-    // 6️⃣ Cancel booking
-    booking.status = "cancelled";
-    await booking.save();
+    // 6️⃣ Fee / refund from the cancellation policy
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : null;
+    const service = await Service.findById(booking.serviceId).select("cancellationRules");
+    const rules = await resolveCancellationRules(service);
+    const charges = computeCancellationCharges(booking, rules);
+
+    // 7️⃣ Cancel booking
+    let cancelled = await transitionBookingStatus({
+      booking,
+      to: "cancelled",
+      actor: actorFromRequest(req),
+      note: reason,
+      set: {
+        cancellation: {
+          cancelledBy: req.user.userId,
+          cancelledByRole: "Customer",
+          reason,
+          cancelledAt: new Date(),
+          ...charges,
+          refundStatus: charges.refundAmount > 0 ? "pending" : "not_applicable",
+        },
+      },
+    });
+
+    // 8️⃣ Close open offers and tell every technician involved
+    const pending = await JobBroadcast.find({ bookingId: booking._id, status: "sent" }).select("technicianId");
+    if (pending.length > 0) {
+      await JobBroadcast.updateMany({ bookingId: booking._id, status: "sent" }, { $set: { status: "expired" } });
+    }
+    const technicianIds = new Set(pending.map((b) => b.technicianId.toString()));
+    if (booking.technicianId) technicianIds.add(booking.technicianId.toString());
+    for (const technicianId of technicianIds) {
+      sendSocketNotification(req.io, technicianId, "job_cancelled", {
+        bookingId: booking._id,
+        message: "This job was cancelled by the customer",
+        timestamp: new Date(),
+      });
+    }
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: "booking_cancelled",
+      actor: actorFromRequest(req),
+      data: { fromStatus: booking.status, reason, ...charges },
+    });
+
+    // Unpaid: the coupon use goes back to the customer
+    try {
+      await releaseCouponForCancelledBooking({ bookingModel: "ServiceBooking", booking: cancelled });
+    } catch (couponError) {
+      console.error(`⚠️ Coupon release failed for booking ${booking._id}:`, couponError.message);
+    }
+
+    // 9️⃣ Refund whatever was captured minus the fee
+    if (charges.refundAmount > 0) {
+      cancelled = await refundCancelledBooking(cancelled, actorFromRequest(req));
+    }
 
     return res.status(200).json({
       success: true,
       message: "Booking cancelled successfully",
-      result: booking,
+      result: cancelled,
     });
   } catch (error) {
     console.error("cancelBooking:", error);
-    return res.status(500).json({
+    return res.status(error?.statusCode || 500).json({
       success: false,
       message: error.message,
-      result: { error: error.message },
+      result: { error: error.message, code: error.code, ...error.details },
     });
   }
 };
@@ -1,6 +1,9 @@
 import mongoose from "mongoose";
 import Service from "../Schemas/Service.js";
 import Category from "../Schemas/Category.js";
+import { validateBroadcastSettings } from "../utils/broadcastMode.js";
+import { validateCancellationRules } from "../utils/cancellationPolicy.js";
+import { validateGstRate } from "../utils/tax.js";
 
 const SERVICE_TYPES = ["Repair", "Installation", "Maintenance", "Inspection"];
 const PRICING_TYPES = ["fixed", "after_inspection", "per_unit"];
@@ -27,6 +30,10 @@ export const createService = async (req, res) => {
       whatNotIncluded,
       serviceHighlights,
       cancellationPolicy,
+      broadcastSettings,
+      cancellationRules,
+      gstRate,
+      hsnSacCode,
     } = req.body;
 
     if (!categoryId || !serviceName || !description || serviceCost === undefined) {
@@ -77,6 +84,33 @@ export const createService = async (req, res) => {
       req.body.serviceDiscountPercentage = discountNum;
     }
 
+    let normalizedBroadcastSettings;
+    if (broadcastSettings !== undefined) {
+      const { error, value } = validateBroadcastSettings(broadcastSettings);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      normalizedBroadcastSettings = value;
+    }
+
+    let normalizedCancellationRules;
+    if (cancellationRules !== undefined) {
+      const { error, value } = validateCancellationRules(cancellationRules);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      normalizedCancellationRules = value;
+    }
+
+    let normalizedGstRate;
+    if (gstRate !== undefined) {
+      const { error, value } = validateGstRate(gstRate);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      normalizedGstRate = value;
+    }
+
     const existing = await Service.findOne({
       serviceName: { $regex: `^${serviceName}$`, $options: "i" },
       categoryId,
@@ -103,6 +137,10 @@ export const createService = async (req, res) => {
       whatNotIncluded,
       serviceHighlights,
       cancellationPolicy,
+      broadcastSettings: normalizedBroadcastSettings,
+      cancellationRules: normalizedCancellationRules,
+      gstRate: normalizedGstRate,
+      hsnSacCode,
     });
 
     // Re-fetch with hidden fields and populated category for response
@@ -453,6 +491,30 @@ export const updateService = async (req, res) => {
       update.serviceDiscountPercentage = discountNum;
     }
 
+    if (update.broadcastSettings !== undefined) {
+      const { error, value } = validateBroadcastSettings(update.broadcastSettings);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      update.broadcastSettings = value;
+    }
+
+    if (update.cancellationRules !== undefined) {
+      const { error, value } = validateCancellationRules(update.cancellationRules);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      update.cancellationRules = value;
+    }
+
+    if (update.gstRate !== undefined) {
+      const { error, value } = validateGstRate(update.gstRate);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      update.gstRate = value;
+    }
+
     const updated = await Service.findByIdAndUpdate(
       id,
       update,
@@ -0,0 +1,175 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { addParts, removePart, respondToParts, getPartsConsumptionReport } from "../utils/spareParts.js";
+import { getBookingPayableAmount, getPartsTotals } from "../utils/paymentSplit.js";
+import { actorFromRequest } from "../utils/bookingStatus.js";
+import { notifyCustomer, sendSocketNotification } from "../utils/sendNotification.js";
+
+const sendError = (res, error, fallback) =>
+  res.status(error?.statusCode || 500).json({
+    success: false,
+    message: error.message || fallback,
+    result: { error: error.message, code: error.code, ...(error.details || {}) },
+  });
+
+const partsSummary = (booking) => ({
+  bookingId: booking._id,
+  status: booking.status,
+  parts: booking.parts,
+  partsTotals: getPartsTotals(booking),
+  pendingCount: booking.parts.filter((part) => part.status === "pending").length,
+  payableAmount: getBookingPayableAmount(booking),
+});
+
+/* ================= TECHNICIAN: ADD PARTS ================= */
+export const addJobParts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+
+    const booking = await addParts({
+      bookingId: id,
+      technicianProfileId: req.user.technicianProfileId,
+      items: req.body?.items,
+      actor: actorFromRequest(req),
+    });
+
+    const pending = booking.parts.filter((part) => part.status === "pending");
+    notifyCustomer(req.io, booking.customerId.toString(), "parts_added", {
+      bookingId: booking._id,
+      pendingCount: pending.length,
+      pendingAmount: pending.reduce((sum, part) => sum + part.amount, 0),
+    });
+
+    return res.status(201).json({ success: true, message: "Parts sent to customer for approval", result: partsSummary(booking) });
+  } catch (error) {
+    return sendError(res, error, "Failed to add parts");
+  }
+};
+
+/* ================= TECHNICIAN: REMOVE PENDING PART ================= */
+export const removeJobPart = async (req, res) => {
+  try {
+    const { id, partId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(partId)) {
+      return res.status(400).json({ success: false, message: "Invalid booking or part ID format", result: {} });
+    }
+
+    const booking = await removePart({
+      bookingId: id,
+      technicianProfileId: req.user.technicianProfileId,
+      partId,
+      actor: actorFromRequest(req),
+    });
+
+    notifyCustomer(req.io, booking.customerId.toString(), "parts_removed", { bookingId: booking._id, partId });
+
+    return res.status(200).json({ success: true, message: "Part removed", result: partsSummary(booking) });
+  } catch (error) {
+    return sendError(res, error, "Failed to remove part");
+  }
+};
+
+/* ================= PARTS BILL (Customer owner / assigned Technician / Owner / Admin) ================= */
+export const getBookingParts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+
+    const booking = await ServiceBooking.findById(id).select(
+      "customerId technicianId status parts baseAmount discountAmount tax"
+    );
+    if (!booking) {
+      return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+    }
+
+    const role = req.user?.role;
+    const allowed =
+      ["Owner", "Admin"].includes(role) ||
+      (role === "Customer" && booking.customerId.toString() === req.user.userId?.toString()) ||
+      (role === "Technician" && booking.technicianId?.toString() === req.user.technicianProfileId?.toString());
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: "Access denied for this booking", result: {} });
+    }
+
+    return res.status(200).json({ success: true, message: "Parts fetched successfully", result: partsSummary(booking) });
+  } catch (error) {
+    return sendError(res, error, "Failed to fetch parts");
+  }
+};
+
+// Customer decision on pending parts (all of them unless partIds is given)
+const respond = (decision) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+    }
+    if (req.user?.role !== "Customer") {
+      return res.status(403).json({ success: false, message: "Customer access only", result: {} });
+    }
+
+    const { partIds, reason } = req.body || {};
+    if (Array.isArray(partIds) && partIds.some((partId) => !mongoose.Types.ObjectId.isValid(partId))) {
+      return res.status(400).json({ success: false, message: "Invalid part ID format", result: {} });
+    }
+
+    const booking = await respondToParts({
+      bookingId: id,
+      customerId: req.user.userId,
+      decision,
+      partIds,
+      reason,
+      actor: actorFromRequest(req),
+    });
+
+    if (booking.technicianId) {
+      sendSocketNotification(req.io, booking.technicianId.toString(), decision === "approve" ? "parts_approved" : "parts_rejected", {
+        bookingId: booking._id,
+        payableAmount: getBookingPayableAmount(booking),
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: decision === "approve" ? "Parts approved" : "Parts rejected",
+      result: partsSummary(booking),
+    });
+  } catch (error) {
+    return sendError(res, error, "Failed to respond to parts");
+  }
+};
+
+/* ================= CUSTOMER: APPROVE PARTS ================= */
+export const approveBookingParts = respond("approve");
+
+/* ================= CUSTOMER: REJECT PARTS ================= */
+export const rejectBookingParts = respond("reject");
+
+/* ================= OWNER / ADMIN: PARTS CONSUMPTION REPORT ================= */
+export const getPartsReport = async (req, res) => {
+  try {
+    const { from, to, technicianId, productId } = req.query;
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      return res.status(400).json({ success: false, message: "from/to must be valid dates", result: {} });
+    }
+    if (technicianId && !mongoose.Types.ObjectId.isValid(technicianId)) {
+      return res.status(400).json({ success: false, message: "Invalid technicianId", result: {} });
+    }
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, message: "Invalid productId", result: {} });
+    }
+
+    const report = await getPartsConsumptionReport({ from: fromDate, to: toDate, technicianId, productId });
+    return res.status(200).json({ success: true, message: "Parts report fetched successfully", result: report });
+  } catch (error) {
+    return sendError(res, error, "Failed to fetch parts report");
+  }
+};
@@ -50,6 +50,15 @@ import TechnicianProfile from "../Schemas/TechnicianProfile.js";
 import Service from "../Schemas/Service.js";
 import ServiceBooking from "../Schemas/ServiceBooking.js";
 import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
+import { getBroadcastExpiresAt } from "../utils/technicianMatching.js";
+import {
+  TIME_OF_DAY_REGEX,
+  timeToMinutes,
+  getBusinessTimeZone,
+  getWorkingHours,
+  getMaxJobsPerDay,
+  getAvailabilityReasons,
+} from "../utils/technicianAvailability.js";
 
 const isValidObjectId = mongoose.Types.ObjectId.isValid;
 const TECHNICIAN_STATUSES = ["pending", "trained", "approved", "suspended"];
@@ -488,7 +497,8 @@ export const updateTechnician = async (req, res) => {
               serviceId: { $in: technicianServiceIds },
               technicianId: null, // No technician assigned yet
               status: "broadcasted",
-            }).select("_id serviceId");
+              broadcastMode: { $ne: "sequential" }, // tiers are offered in ranked order only
+            }).select("_id serviceId scheduledAt");
 
             // Check which bookings this technician hasn't received yet
             const existingBroadcasts = await JobBroadcast.find({
@@ -500,13 +510,23 @@ export const updateTechnician = async (req, res) => {
               existingBroadcasts.map(b => b.bookingId.toString())
             );
 
+            // Skip jobs at a time the technician can't work (hours / leave / daily limit)
+            const availableBookings = [];
+            for (const booking of unassignedBookings) {
+              if (existingBookingIds.has(booking._id.toString())) continue;
+              const reasons = await getAvailabilityReasons([technicianProfileId], {
+                at: booking.scheduledAt || new Date(),
+              });
+              if (reasons.get(String(technicianProfileId)) === null) availableBookings.push(booking);
+            }
+
             // Create broadcasts for new jobs
-            const newBroadcasts = unassignedBookings
-              .filter(booking => !existingBookingIds.has(booking._id.toString()))
+            const newBroadcasts = availableBookings
               .map(booking => ({
                 bookingId: booking._id,
                 technicianId: technicianProfileId,
                 status: "sent",
+                expiresAt: getBroadcastExpiresAt(),
               }));
 
             if (newBroadcasts.length > 0) {
@@ -787,4 +807,298 @@ export const uploadProfileImage = async (req, res) => {
       result: { error: error.message },
     });
   }
-};
\ No newline at end of file
+};
+
+/* ================= TECHNICIAN AVAILABILITY ================= */
+const ACTIVE_JOB_STATUSES = ["accepted", "on_the_way", "reached", "in_progress"];
+
+const buildAvailabilityResult = (technician) => ({
+  timezone: getBusinessTimeZone(),
+  isOnline: technician.availability?.isOnline || false,
+  workingHours: technician.availability?.workingHours || [],
+  // What matching actually uses (null = no restriction when none declared)
+  effectiveWorkingHours: getWorkingHours(technician),
+  maxJobsPerDay: technician.availability?.maxJobsPerDay ?? null,
+  effectiveMaxJobsPerDay: getMaxJobsPerDay(technician),
+  leaves: technician.availability?.leaves || [],
+  servicePincodes: technician.servicePincodes || [],
+});
+
+// Returns an error message, or null when the windows are valid
+const validateWorkingHours = (workingHours) => {
+  if (!Array.isArray(workingHours)) return "workingHours must be an array";
+
+  const byDay = new Map();
+  for (const window of workingHours) {
+    const day = Number(window?.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      return "workingHours.day must be 0 (Sunday) to 6 (Saturday)";
+    }
+    if (!TIME_OF_DAY_REGEX.test(window?.start || "") || !TIME_OF_DAY_REGEX.test(window?.end || "")) {
+      return "workingHours start/end must be HH:mm";
+    }
+    const start = timeToMinutes(window.start);
+    const end = timeToMinutes(window.end);
+    if (start >= end) return "workingHours start must be before end";
+
+    const windows = byDay.get(day) || [];
+    if (windows.some((w) => start < w.end && end > w.start)) {
+      return `workingHours overlap on day ${day}`;
+    }
+    windows.push({ start, end });
+    byDay.set(day, windows);
+  }
+  return null;
+};
+
+export const getMyAvailability = async (req, res) => {
+  try {
+    const technicianProfileId = req.user?.technicianProfileId;
+
+    if (!technicianProfileId || !isValidObjectId(technicianProfileId)) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized",
+        result: {},
+      });
+    }
+
+    const technician = await TechnicianProfile.findById(technicianProfileId).select("availability servicePincodes");
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        message: "Technician profile not found",
+        result: {},
+      });
+    }
+
+    const nowReasons = await getAvailabilityReasons([technician]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Availability fetched successfully",
+      result: {
+        ...buildAvailabilityResult(technician),
+        availableNow: nowReasons.get(technician._id.toString()) === null,
+        unavailableReason: nowReasons.get(technician._id.toString()) || null,
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      result: { error: error.message },
+    });
+  }
+};
+
+export const updateMyAvailability = async (req, res) => {
+  try {
+    const technicianProfileId = req.user?.technicianProfileId;
+    const { workingHours, maxJobsPerDay, servicePincodes } = req.body || {};
+
+    if (!technicianProfileId || !isValidObjectId(technicianProfileId)) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized",
+        result: {},
+      });
+    }
+
+    if (workingHours === undefined && maxJobsPerDay === undefined && servicePincodes === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide workingHours, maxJobsPerDay or servicePincodes",
+        result: {},
+      });
+    }
+
+    const update = {};
+
+    if (workingHours !== undefined) {
+      const error = validateWorkingHours(workingHours);
+      if (error) {
+        return res.status(400).json({ success: false, message: error, result: {} });
+      }
+      update["availability.workingHours"] = workingHours
+        .map((w) => ({ day: Number(w.day), start: w.start, end: w.end }))
+        .sort((a, b) => a.day - b.day || timeToMinutes(a.start) - timeToMinutes(b.start));
+    }
+
+    if (maxJobsPerDay !== undefined) {
+      const limit = maxJobsPerDay === null ? null : Number(maxJobsPerDay);
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({
+          success: false,
+          message: "maxJobsPerDay must be a positive integer or null",
+          result: {},
+        });
+      }
+      update["availability.maxJobsPerDay"] = limit;
+    }
+
+    if (servicePincodes !== undefined) {
+      if (!Array.isArray(servicePincodes) || servicePincodes.some((p) => !/^\d{6}$/.test(String(p).trim()))) {
+        return res.status(400).json({
+          success: false,
+          message: "servicePincodes must be an array of 6 digit pincodes",
+          result: {},
+        });
+      }
+      update.servicePincodes = Array.from(new Set(servicePincodes.map((p) => String(p).trim())));
+    }
+
+    const technician = await TechnicianProfile.findByIdAndUpdate(
+      technicianProfileId,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select("availability servicePincodes");
+
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        message: "Technician profile not found",
+        result: {},
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Availability updated successfully",
+      result: buildAvailabilityResult(technician),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      result: { error: error.message },
+    });
+  }
+};
+
+export const addMyLeave = async (req, res) => {
+  try {
+    const technicianProfileId = req.user?.technicianProfileId;
+    const { from, to, reason } = req.body || {};
+
+    if (!technicianProfileId || !isValidObjectId(technicianProfileId)) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized",
+        result: {},
+      });
+    }
+
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    if (!from || !to || Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid dates",
+        result: {},
+      });
+    }
+    if (fromDate >= toDate) {
+      return res.status(400).json({ success: false, message: "from must be before to", result: {} });
+    }
+    if (toDate <= new Date()) {
+      return res.status(400).json({ success: false, message: "Leave must end in the future", result: {} });
+    }
+
+    const technician = await TechnicianProfile.findById(technicianProfileId).select("availability servicePincodes");
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        message: "Technician profile not found",
+        result: {},
+      });
+    }
+
+    const overlapping = (technician.availability.leaves || []).find(
+      (leave) => leave.from < toDate && leave.to > fromDate
+    );
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: "Leave overlaps an existing leave",
+        result: { leave: overlapping },
+      });
+    }
+
+    technician.availability.leaves.push({
+      from: fromDate,
+      to: toDate,
+      reason: typeof reason === "string" ? reason.trim() : undefined,
+    });
+    await technician.save();
+
+    // Jobs already accepted for the leave period still need handling by the technician
+    const conflictingJobs = await ServiceBooking.find({
+      technicianId: technicianProfileId,
+      status: { $in: ACTIVE_JOB_STATUSES },
+      scheduledAt: { $gte: fromDate, $lt: toDate },
+    }).select("_id scheduledAt status");
+
+    return res.status(201).json({
+      success: true,
+      message: conflictingJobs.length
+        ? "Leave added. You still have accepted jobs during this leave"
+        : "Leave added successfully",
+      result: {
+        ...buildAvailabilityResult(technician),
+        conflictingJobs,
+      },
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      result: { error: error.message },
+    });
+  }
+};
+
+export const removeMyLeave = async (req, res) => {
+  try {
+    const technicianProfileId = req.user?.technicianProfileId;
+    const { leaveId } = req.params;
+
+    if (!technicianProfileId || !isValidObjectId(technicianProfileId)) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized",
+        result: {},
+      });
+    }
+
+    if (!isValidObjectId(leaveId)) {
+      return res.status(400).json({ success: false, message: "Invalid leave ID", result: {} });
+    }
+
+    const technician = await TechnicianProfile.findOneAndUpdate(
+      { _id: technicianProfileId, "availability.leaves._id": leaveId },
+      { $pull: { "availability.leaves": { _id: leaveId } } },
+      { new: true }
+    ).select("availability servicePincodes");
+
+    if (!technician) {
+      return res.status(404).json({
+        success: false,
+        message: "Leave not found",
+        result: {},
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Leave removed successfully",
+      result: buildAvailabilityResult(technician),
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      result: { error: error.message },
+    });
+  }
+};
@@ -3,7 +3,22 @@
     import ServiceBooking from "../Schemas/ServiceBooking.js";
     import TechnicianKyc from "../Schemas/TechnicianKYC.js";
     import TechnicianProfile from "../Schemas/TechnicianProfile.js";
-    import { notifyCustomerJobAccepted, notifyJobTaken } from "../utils/sendNotification.js";
+    import { notifyCustomerJobAccepted, notifyJobTaken, notifyCustomer } from "../utils/sendNotification.js";
+    import {
+      transitionBookingStatus,
+      actorFromRequest,
+      BOOKING_STATUS_ERROR_CODES,
+    } from "../utils/bookingStatus.js";
+    import { recordBookingEvent } from "../utils/bookingEvents.js";
+    import { getAvailabilityReasons } from "../utils/technicianAvailability.js";
+    import { offerNextTier, matchAndBroadcastBooking } from "../utils/technicianMatching.js";
+    import { getSettingsSection } from "../utils/platformSettings.js";
+    import {
+      cancelJobAsTechnician,
+      applyCancellationSuspension,
+      getTechnicianCancellationStats,
+    } from "../utils/technicianCancellation.js";
+    import { UNASSIGNABLE_STATUSES } from "../utils/bookingAssignment.js";
 
     /* ================= TECHNICIAN ACTIVATION CHECK ================= */
     const checkTechnicianActivation = async (technicianProfileId) => {
@@ -89,6 +104,7 @@
         const broadcasts = await JobBroadcast.find({
           technicianId: technicianProfileId,
           status: "sent",
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
         }).select("bookingId");
 
         const bookingIds = broadcasts.map(b => b.bookingId);
@@ -149,6 +165,13 @@
         const { status } = req.body;
         const technicianProfileId = req.user?.technicianProfileId;
 
+        // Missing status keeps the legacy behaviour (accept)
+        const response = status || "accepted";
+        if (!["accepted", "rejected"].includes(response)) {
+          await session.abortTransaction();
+          return res.status(400).json({ success: false, message: "status must be accepted or rejected", result: {} });
+        }
+
         // Check technician activation status
         const activation = await checkTechnicianActivation(technicianProfileId);
         if (!activation.isActive) {
@@ -164,6 +187,7 @@
           bookingId: id,
           technicianId: technicianProfileId,
           status: "sent",
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
         }).session(session);
         if (!broadcast) {
           await session.abortTransaction();
@@ -173,6 +197,26 @@
           });
         }
 
+        if (response === "rejected") {
+          broadcast.status = "rejected";
+          await broadcast.save({ session });
+          await session.commitTransaction();
+          await recordBookingEvent({
+            bookingId: id,
+            type: "broadcast_rejected",
+            actor: actorFromRequest(req),
+            data: { technicianId: technicianProfileId },
+          });
+          // Sequential broadcast: move on to the next tier without waiting for the timeout
+          // (the rejection is committed; on failure the tier timeout sweep moves on instead)
+          try {
+            await offerNextTier(id, req.io);
+          } catch (tierError) {
+            console.error(`⚠️ offerNextTier failed for booking ${id}:`, tierError.message);
+          }
+          return res.status(200).json({ success: true, message: "Job rejected", result: { bookingId: id } });
+        }
+
         // Technician eligibility checks (workStatus, isOnline)
         const TechnicianProfile = mongoose.model("TechnicianProfile");
         const technician = await TechnicianProfile.findById(technicianProfileId).session(session);
@@ -182,12 +226,43 @@
         }
 
         // Atomically assign booking if still open
-        const booking = await ServiceBooking.findOneAndUpdate(
-          { _id: id, status: { $in: ["requested", "broadcasted"] }, technicianId: null },
-          { technicianId: technicianProfileId, status: "accepted", assignedAt: new Date() },
-          { new: true, session }
-        );
-        if (!booking) {
+        const openBooking = await ServiceBooking.findOne({
+          _id: id,
+          status: { $in: ["requested", "broadcasted"] },
+          technicianId: null,
+        }).session(session);
+        if (!openBooking) {
+          await session.abortTransaction();
+          return res.status(409).json({ success: false, message: "Booking already taken", result: {} });
+        }
+
+        // Working hours / leave / daily job limit at the job's time
+        const availability = await getAvailabilityReasons([technician], {
+          at: openBooking.scheduledAt || new Date(),
+          session,
+        });
+        const unavailableReason = availability.get(technician._id.toString());
+        if (unavailableReason) {
+          await session.abortTransaction();
+          return res.status(409).json({
+            success: false,
+            message: "You are not available for this job",
+            result: { reason: unavailableReason },
+          });
+        }
+
+        let booking;
+        try {
+          booking = await transitionBookingStatus({
+            booking: openBooking,
+            to: "accepted",
+            actor: actorFromRequest(req),
+            filter: { technicianId: null },
+            set: { technicianId: technicianProfileId, assignedAt: new Date() },
+            session,
+          });
+        } catch (transitionError) {
+          if (transitionError?.code !== BOOKING_STATUS_ERROR_CODES.CONFLICT) throw transitionError;
           await session.abortTransaction();
           return res.status(409).json({ success: false, message: "Booking already taken", result: {} });
         }
@@ -204,12 +279,127 @@
           { session }
         );
         await session.commitTransaction();
+        await recordBookingEvent({
+          bookingId: booking._id,
+          type: "broadcast_accepted",
+          actor: actorFromRequest(req),
+          data: { technicianId: technicianProfileId },
+        });
         return res.status(200).json({ success: true, message: "Job accepted successfully", result: booking });
       } catch (err) {
-        await session.abortTransaction();
+        if (session.inTransaction()) await session.abortTransaction();
         return res.status(500).json({ success: false, message: err.message, result: { error: err.message } });
       } finally {
         session.endSession();
       }
     };
 
+    /* ================= CANCEL ACCEPTED JOB (TECHNICIAN) ================= */
+    export const cancelJob = async (req, res) => {
+      const { id } = req.params;
+      const technicianProfileId = req.user?.technicianProfileId;
+      const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().slice(0, 500) : "";
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ success: false, message: "Invalid booking ID format", result: {} });
+      }
+      if (!reason) {
+        return res.status(400).json({ success: false, message: "reason is required", result: {} });
+      }
+
+      const session = await mongoose.startSession();
+      try {
+        session.startTransaction();
+
+        const booking = await ServiceBooking.findById(id).session(session);
+        if (!booking) {
+          await session.abortTransaction();
+          return res.status(404).json({ success: false, message: "Booking not found", result: {} });
+        }
+        if (!booking.technicianId || booking.technicianId.toString() !== String(technicianProfileId)) {
+          await session.abortTransaction();
+          return res.status(403).json({ success: false, message: "Access denied for this booking", result: {} });
+        }
+        // Once at the customer's place the job can only be cancelled by the customer/ops
+        if (!UNASSIGNABLE_STATUSES.includes(booking.status)) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: `Job cannot be cancelled in status ${booking.status}`,
+            result: { status: booking.status },
+          });
+        }
+
+        const { booking: updated, penalty, transaction } = await cancelJobAsTechnician({
+          booking,
+          technicianProfileId,
+          reason,
+          actor: actorFromRequest(req),
+          session,
+        });
+        await session.commitTransaction();
+
+        await recordBookingEvent({
+          bookingId: updated._id,
+          type: "technician_cancelled",
+          actor: actorFromRequest(req),
+          data: {
+            technicianId: technicianProfileId,
+            fromStatus: booking.status,
+            reason,
+            penalty,
+            walletTransactionId: transaction?._id || null,
+          },
+        });
+        notifyCustomer(req.io, updated.customerId.toString(), "technician_cancelled", { bookingId: updated._id });
+
+        // Back to matching (scheduled bookings outside the lead window wait for the scheduler)
+        if (!updated.broadcastNotBefore || updated.broadcastNotBefore <= new Date()) {
+          await matchAndBroadcastBooking(updated._id, req.io);
+        }
+
+        const { suspended, stats } = await applyCancellationSuspension(technicianProfileId);
+
+        return res.status(200).json({
+          success: true,
+          message: "Job cancelled",
+          result: { bookingId: updated._id, penalty, suspended, cancellationStats: stats },
+        });
+      } catch (err) {
+        if (session.inTransaction()) await session.abortTransaction();
+        return res.status(err?.statusCode || 500).json({
+          success: false,
+          message: err.message,
+          result: { error: err.message, code: err.code, ...err.details },
+        });
+      } finally {
+        session.endSession();
+      }
+    };
+
+    /* ================= CANCELLATION STATS (OWNER / ADMIN) ================= */
+    export const getCancellationStats = async (req, res) => {
+      try {
+        const { technicianId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(technicianId)) {
+          return res.status(400).json({ success: false, message: "Invalid Technician ID", result: {} });
+        }
+
+        const technician = await TechnicianProfile.findById(technicianId).select("workStatus");
+        if (!technician) {
+          return res.status(404).json({ success: false, message: "Technician not found", result: {} });
+        }
+
+        const settings = await getSettingsSection("technicianCancellation");
+        const stats = await getTechnicianCancellationStats(technicianId, settings);
+
+        return res.status(200).json({
+          success: true,
+          message: "Cancellation stats fetched",
+          result: { ...stats, workStatus: technician.workStatus, autoSuspend: settings.autoSuspend },
+        });
+      } catch (err) {
+        return res.status(500).json({ success: false, message: err.message, result: { error: err.message } });
+      }
+    };
+
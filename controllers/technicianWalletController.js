@@ -3,6 +3,20 @@ import TechnicianProfile from "../Schemas/TechnicianProfile.js";
 import ServiceBooking from "../Schemas/ServiceBooking.js";
 import WalletTransaction from "../Schemas/TechnicianWallet.js";
 import WithdrawalRequest from "../Schemas/WithdrawalRequest.js";
+import { postWalletTransaction, checkWalletLedger } from "../utils/walletLedger.js";
+import {
+  approveWithdrawal,
+  autoApproveWithdrawal,
+  checkWithdrawalRequest,
+  getWithdrawalAllowance,
+} from "../utils/withdrawals.js";
+import {
+  initiateWithdrawalPayout,
+  isAutomaticPayoutEnabled,
+  processPayoutWebhook,
+} from "../utils/payouts.js";
+import { getPayoutProvider, PAYOUT_PROVIDERS } from "../utils/payoutProviders/index.js";
+import { simulatePayoutOutcome, buildPayoutWebhookEvent } from "../utils/payoutProviders/simulator.js";
 
 const isValidObjectId = mongoose.Types.ObjectId.isValid;
 
@@ -11,15 +25,6 @@ const toMoney = (v) => {
   return Number.isFinite(n) ? n : null;
 };
 
-const getConfig = () => {
-  const minWithdrawal = toMoney(process.env.MIN_WITHDRAWAL_AMOUNT) ?? 500;
-  const cooldownDays = toMoney(process.env.WITHDRAWAL_COOLDOWN_DAYS) ?? 7;
-  return {
-    minWithdrawal,
-    cooldownMs: Math.max(0, cooldownDays) * 24 * 60 * 60 * 1000,
-  };
-};
-
 // Add Wallet Transaction (Owner only)
 export const createWalletTransaction = async (req, res) => {
   try {
@@ -101,9 +106,10 @@ export const createWalletTransaction = async (req, res) => {
       }
     }
 
-    const transaction = await WalletTransaction.create({
+    // Through the ledger so walletBalance moves with the row
+    const transaction = await postWalletTransaction({
       technicianId,
-      bookingId,
+      bookingId: bookingId || null,
       amount: Number(amount),
       type,
       source,
@@ -169,7 +175,22 @@ export const getWalletHistory = async (req, res) => {
   }
 };
 
-// Technician requests a payout (weekly/minimum rules)
+// Technician wallet balance: on hold, withdrawable and available after the reserve
+export const getWalletBalance = async (req, res) => {
+  try {
+    const technicianId = req.user?.technicianProfileId;
+    if (!technicianId || !isValidObjectId(technicianId)) {
+      return res.status(401).json({ success: false, message: "Invalid token profile", result: {} });
+    }
+
+    const balance = await getWithdrawalAllowance(technicianId);
+    return res.status(200).json({ success: true, message: "Wallet balance fetched", result: balance });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message, result: { error: error.message } });
+  }
+};
+
+// Technician requests a payout (PlatformSettings.withdrawals rules; small requests may auto-approve)
 export const requestWithdrawal = async (req, res) => {
   try {
     if (req.user?.role !== "Technician") {
@@ -181,42 +202,37 @@ export const requestWithdrawal = async (req, res) => {
       return res.status(401).json({ success: false, message: "Invalid token profile", result: {} });
     }
 
-    const { minWithdrawal, cooldownMs } = getConfig();
     const amount = toMoney(req.body?.amount);
     if (amount == null || amount <= 0) {
       return res.status(400).json({ success: false, message: "amount must be a positive number", result: {} });
     }
-    if (amount < minWithdrawal) {
-      return res.status(400).json({ success: false, message: `Minimum withdrawal is ${minWithdrawal}`, result: {} });
-    }
 
-    const technician = await TechnicianProfile.findById(technicianId).select("walletBalance");
+    const technician = await TechnicianProfile.findById(technicianId).select("_id");
     if (!technician) {
       return res.status(404).json({ success: false, message: "Technician not found", result: {} });
     }
 
-    if (Number(technician.walletBalance || 0) < amount) {
-      return res.status(400).json({ success: false, message: "Insufficient wallet balance", result: { walletBalance: technician.walletBalance || 0 } });
-    }
+    const { rules } = await checkWithdrawalRequest({ technicianId, amount });
 
-    const active = await WithdrawalRequest.findOne({ technicianId, status: { $in: ["requested", "approved"] } });
-    if (active) {
-      return res.status(400).json({ success: false, message: "You already have an active withdrawal request", result: { requestId: active._id, status: active.status } });
-    }
+    const reqDoc = await WithdrawalRequest.create({ technicianId, amount, status: "requested" });
 
-    const last = await WithdrawalRequest.findOne({ technicianId }).sort({ createdAt: -1 });
-    if (last && cooldownMs > 0 && Date.now() - new Date(last.createdAt).getTime() < cooldownMs) {
-      return res.status(400).json({
-        success: false,
-        message: "Withdrawal cooldown active. Try later.",
-        result: { lastRequestedAt: last.createdAt, cooldownDays: cooldownMs / (24 * 60 * 60 * 1000) },
-      });
+    // The request stands either way; a failed auto-approval leaves it for the Owner
+    try {
+      const { withdrawal } = await autoApproveWithdrawal({ withdrawalId: reqDoc._id, rules, io: req.io });
+      if (withdrawal) {
+        return res.status(201).json({ success: true, message: "Withdrawal approved", result: withdrawal });
+      }
+    } catch (autoApproveError) {
+      console.error(`⚠️ Auto-approval failed for withdrawal ${reqDoc._id}:`, autoApproveError.message);
     }
 
-    const reqDoc = await WithdrawalRequest.create({ technicianId, amount, status: "requested" });
     return res.status(201).json({ success: true, message: "Withdrawal requested", result: reqDoc });
   } catch (error) {
-    return res.status(500).json({ success: false, message: error.message, result: { error: error.message } });
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message, code: error.code, ...(error.details || {}) },
+    });
   }
 };
 
@@ -275,7 +291,7 @@ export const ownerListWithdrawals = async (req, res) => {
 
     const status = req.query?.status;
     const filter = {};
-    if (status && ["requested", "approved", "rejected", "paid", "cancelled"].includes(status)) {
+    if (status && ["requested", "approved", "processing", "rejected", "paid", "failed", "cancelled"].includes(status)) {
       filter.status = status;
     }
 
@@ -289,7 +305,7 @@ export const ownerListWithdrawals = async (req, res) => {
   }
 };
 
-// Owner approves/rejects/marks-paid a withdrawal
+// Owner approves/rejects/marks-paid a withdrawal (approve also sends the payout when automatic)
 export const ownerDecideWithdrawal = async (req, res) => {
   const session = await mongoose.startSession();
   try {
@@ -318,51 +334,7 @@ export const ownerDecideWithdrawal = async (req, res) => {
       }
 
       if (action === "approve") {
-        if (doc.status !== "requested") {
-          const err = new Error("Only requested withdrawals can be approved");
-          err.statusCode = 400;
-          throw err;
-        }
-
-        const tech = await TechnicianProfile.findById(doc.technicianId).select("walletBalance").session(session);
-        if (!tech) {
-          const err = new Error("Technician not found");
-          err.statusCode = 404;
-          throw err;
-        }
-
-        if (Number(tech.walletBalance || 0) < Number(doc.amount)) {
-          const err = new Error("Insufficient wallet balance to approve");
-          err.statusCode = 400;
-          throw err;
-        }
-
-        // Reserve funds immediately by debiting wallet (prevents double-spend)
-        const tx = await WalletTransaction.create(
-          [
-            {
-              technicianId: doc.technicianId,
-              amount: Number(doc.amount),
-              type: "debit",
-              source: "withdrawal",
-              note: "Withdrawal approved - funds reserved",
-            },
-          ],
-          { session }
-        );
-
-        await TechnicianProfile.updateOne(
-          { _id: doc.technicianId },
-          { $inc: { walletBalance: -Number(doc.amount) } },
-          { session }
-        );
-
-        doc.status = "approved";
-        doc.decidedAt = new Date();
-        doc.decidedBy = req.user?.userId || null;
-        doc.decisionNote = note || null;
-        doc.walletTransactionId = tx?.[0]?._id || null;
-        updated = await doc.save({ session });
+        updated = await approveWithdrawal(doc, { decidedBy: req.user?.userId || null, note: note || null, session });
         return;
       }
 
@@ -397,10 +369,124 @@ export const ownerDecideWithdrawal = async (req, res) => {
       }
     });
 
+    // Funds are reserved; a payout that cannot be sent now can be re-sent from the payout endpoint
+    if (action === "approve" && isAutomaticPayoutEnabled()) {
+      try {
+        updated = await initiateWithdrawalPayout({ withdrawalId: updated._id, io: req.io });
+      } catch (payoutError) {
+        return res.status(200).json({
+          success: true,
+          message: `Withdrawal approved; payout not sent: ${payoutError.message}`,
+          result: updated,
+        });
+      }
+    }
+
     return res.status(200).json({ success: true, message: "Withdrawal updated", result: updated });
   } catch (error) {
-    return res.status(error?.statusCode || 500).json({ success: false, message: error.message, result: { error: error.message } });
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message, code: error.code, ...(error.details || {}) },
+    });
   } finally {
     session.endSession();
   }
 };
+
+// Owner: recompute every wallet from its ledger rows and list mismatches
+export const ownerCheckWalletLedger = async (req, res) => {
+  try {
+    const technicianId = req.query?.technicianId;
+    if (technicianId && !isValidObjectId(technicianId)) {
+      return res.status(400).json({ success: false, message: "Invalid technicianId", result: {} });
+    }
+
+    const report = await checkWalletLedger({ technicianId });
+    const message = report.discrepancies.length
+      ? `${report.discrepancies.length} wallet(s) out of sync with the ledger`
+      : "All wallets match the ledger";
+    return res.status(200).json({ success: true, message, result: report });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message, result: { error: error.message } });
+  }
+};
+
+// Owner (re)sends the payout of an approved withdrawal
+export const ownerSendPayout = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || !isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: "Invalid withdrawal id", result: {} });
+    }
+
+    const withdrawal = await initiateWithdrawalPayout({ withdrawalId: id, io: req.io });
+    const message = withdrawal.status === "failed" ? "Payout failed; reserved funds restored" : "Payout sent";
+    return res.status(200).json({ success: true, message, result: withdrawal });
+  } catch (error) {
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message, code: error.code, ...(error.details || {}) },
+    });
+  }
+};
+
+// Payout provider webhook (server-to-server)
+export const payoutWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!PAYOUT_PROVIDERS.includes(provider)) {
+      return res.status(404).json({ success: false, message: "Unknown payout provider", result: {} });
+    }
+    if (!req.rawBody) {
+      return res.status(400).json({ success: false, message: "Missing webhook signature/body", result: {} });
+    }
+    if (!getPayoutProvider(provider).verifyWebhook({ rawBody: req.rawBody, headers: req.headers })) {
+      return res.status(400).json({ success: false, message: "Invalid webhook signature", result: {} });
+    }
+
+    const result = await processPayoutWebhook(provider, req.body, { io: req.io });
+    return res.status(200).json({ success: true, message: "Webhook processed", result });
+  } catch (error) {
+    return res.status(error?.statusCode || 500).json({ success: false, message: error.message, result: { error: error.message } });
+  }
+};
+
+// Payout simulator only: play the bank processing (or failing / reversing) a payout
+export const simulatePayout = async (req, res) => {
+  try {
+    const { withdrawalId, outcome = "processed", sendWebhook = true } = req.body || {};
+    if (!withdrawalId || !isValidObjectId(withdrawalId)) {
+      return res.status(400).json({ success: false, message: "Valid withdrawalId is required", result: {} });
+    }
+    getPayoutProvider("simulator");
+
+    const withdrawal = await WithdrawalRequest.findById(withdrawalId);
+    if (withdrawal?.payoutProvider !== "simulator" || !withdrawal.payoutId) {
+      return res.status(404).json({ success: false, message: "No simulator payout found for this withdrawal", result: {} });
+    }
+
+    const entity = simulatePayoutOutcome({ payoutId: withdrawal.payoutId, outcome });
+
+    // Without the webhook the status sync picks the outcome up later
+    let webhook = null;
+    if (sendWebhook) {
+      const { body } = buildPayoutWebhookEvent(entity);
+      await processPayoutWebhook("simulator", body, { io: req.io });
+      webhook = { eventId: body.event_id, eventType: body.event };
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Payout simulated",
+      result: { payout: entity, webhook, withdrawal: await WithdrawalRequest.findById(withdrawalId) },
+    });
+  } catch (error) {
+    return res.status(error?.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      result: { error: error.message, code: error.code },
+    });
+  }
+};
@@ -11,6 +11,10 @@ import { Server } from "socket.io";
 import UserRoutes from "./routes/User.js";
 import TechnicianRoutes from "./routes/technician.js";
 import AddressRoutes from "./routes/address.js";
+import { startBroadcastScheduler } from "./utils/broadcastScheduler.js";
+import { startPaymentReconciliationScheduler } from "./utils/paymentReconciliation.js";
+import { startSettlementScheduler } from "./utils/settlementScheduler.js";
+import { startPayoutScheduler } from "./utils/payouts.js";
 
 dotenv.config();
 
@@ -130,7 +134,14 @@ mongoose.set("strictQuery", false);
 
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("Connected to MongoDB Atlas..."))
+  .then(() => {
+    console.log("Connected to MongoDB Atlas...");
+    // ⏰ Background jobs need the DB connection
+    startBroadcastScheduler(io);
+    startPaymentReconciliationScheduler();
+    startSettlementScheduler();
+    startPayoutScheduler(io);
+  })
   .catch((err) => console.error("Could not connect to MongoDB...", err));
 
 App.get("/", (req, res) => {
@@ -57,6 +57,13 @@ import {
   getBookings,
   getCustomerBookings,
   cancelBooking,
+  getBookingTimeline,
+  getBookingSlots,
+  rescheduleBooking,
+  getBookingMatchingExplanation,
+  assignBooking,
+  unassignBooking,
+  reassignBooking,
 } from "../controllers/serviceBookController.js";
 
 import {
@@ -80,10 +87,20 @@ import {
 import {
   createPaymentOrder,
   verifyPayment,
-  razorpayWebhook,
+  paymentWebhook,
   updatePaymentStatus,
   retryPaymentSettlement,
   createPayment,
+  createRefund,
+  getPaymentRefunds,
+  getCodReconciliation,
+  reconcileCodPayments,
+  runPaymentReconciliation,
+  simulateMockPayment,
+  createOrderPayment,
+  verifyOrderPayment,
+  runSettlementSweep,
+  getSettlementsReport,
 } from "../controllers/paymentController.js";
 
 import {
@@ -93,10 +110,46 @@ import {
   removeFromCart,
   getCartById,
   updateCartById,
+  applyCoupon,
   checkout,
 } from "../controllers/cartController.js";
 
-import { Auth } from "../middleware/Auth.js";
+import {
+  createCoupon,
+  getCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon,
+} from "../controllers/couponController.js";
+import {
+  createCommissionRule,
+  getCommissionRules,
+  getCommissionRuleById,
+  updateCommissionRule,
+  deleteCommissionRule,
+  previewBookingCommission,
+} from "../controllers/commissionRuleController.js";
+
+import { getMyOrders, getOrderById } from "../controllers/orderController.js";
+
+import { getServiceBookingInvoice, getProductBookingInvoice } from "../controllers/invoiceController.js";
+
+import { getBookingQuote, approveBookingQuote, rejectBookingQuote } from "../controllers/quoteController.js";
+
+import {
+  getBookingParts,
+  approveBookingParts,
+  rejectBookingParts,
+  getPartsReport,
+} from "../controllers/sparePartsController.js";
+
+import {
+  getAllPlatformSettings,
+  getPlatformSettingsSection,
+  updatePlatformSettingsSection,
+} from "../controllers/platformSettingsController.js";
+
+import { Auth, authorizeRoles } from "../middleware/Auth.js";
 
 const router = express.Router();
 
@@ -206,6 +259,20 @@ router.delete("/services/:id", Auth, deleteService);
 router.get("/service/booking", Auth, getBookings);
 router.put("/booking/cancel/:id", Auth, cancelBooking);
 router.get("/booking/getCustomerBookings", Auth, getCustomerBookings);
+router.get("/booking/:id/timeline", Auth, getBookingTimeline);
+router.get("/booking/:id/invoice", Auth, getServiceBookingInvoice);
+router.get("/booking/:id/quote", Auth, getBookingQuote);
+router.put("/booking/:id/quote/approve", Auth, approveBookingQuote);
+router.put("/booking/:id/quote/reject", Auth, rejectBookingQuote);
+router.get("/booking/:id/parts", Auth, getBookingParts);
+router.put("/booking/:id/parts/approve", Auth, approveBookingParts);
+router.put("/booking/:id/parts/reject", Auth, rejectBookingParts);
+router.get("/booking/slots", Auth, getBookingSlots);
+router.put("/booking/reschedule/:id", Auth, rescheduleBooking);
+router.get("/booking/:id/matching/explain", Auth, authorizeRoles("Owner", "Admin"), getBookingMatchingExplanation);
+router.put("/booking/:id/assign", Auth, authorizeRoles("Owner", "Admin"), assignBooking);
+router.put("/booking/:id/unassign", Auth, authorizeRoles("Owner", "Admin"), unassignBooking);
+router.put("/booking/:id/reassign", Auth, authorizeRoles("Owner", "Admin"), reassignBooking);
 
 /* ================= RATING ================= */
 router.post("/rating", Auth, userRating);
@@ -243,13 +310,21 @@ router.delete("/deleteProduct/:id", Auth, deleteProduct);
 router.get("/getAllProductBooking", Auth, getAllProductBooking);
 router.put("/productBookingUpdate/:id", Auth, productBookingUpdate);
 router.put("/productBookingCancel/:id", Auth, productBookingCancel);
+router.get("/productBooking/:id/invoice", Auth, getProductBookingInvoice);
 
 /* ================= PAYMENT ================= */
 router.post("/payment", Auth, createPayment);
 router.post("/payment/order", Auth, createPaymentOrder);
 router.post("/payment/verify", Auth, verifyPayment);
-router.post("/payment/webhook/razorpay", razorpayWebhook);
+router.post("/payment/webhook/:provider", paymentWebhook);
+router.post("/payment/mock/simulate", Auth, authorizeRoles("Customer", "Owner", "Admin"), simulateMockPayment);
 router.put("/payment/:id/status", Auth, updatePaymentStatus);
+router.post("/payment/:id/refund", Auth, authorizeRoles("Owner"), createRefund);
+router.get("/payment/:id/refunds", Auth, authorizeRoles("Owner", "Admin"), getPaymentRefunds);
+router.get("/payment/cod/reconciliation", Auth, authorizeRoles("Owner"), getCodReconciliation);
+router.put("/payment/cod/reconcile", Auth, authorizeRoles("Owner"), reconcileCodPayments);
+router.post("/payment/reconciliation/run", Auth, authorizeRoles("Owner"), runPaymentReconciliation);
+router.post("/payment/settlement/run", Auth, authorizeRoles("Owner"), runSettlementSweep);
 
 // ✅ New: Manual retry for stuck settlements (Admin/Owner)
 router.post("/payment/retry-settlement", Auth, retryPaymentSettlement);
@@ -261,8 +336,39 @@ router.get("/cart/:id", Auth, getCartById);
 router.put("/cart/update", Auth, updateCartItem);
 router.put("/cart/:id", Auth, updateCartById);
 router.delete("/cart/remove/:id", Auth, removeFromCart);
+router.post("/cart/apply-coupon", Auth, applyCoupon);
+
+/* ================= COUPONS ================= */
+router.post("/coupon", Auth, authorizeRoles("Owner"), createCoupon);
+router.get("/coupons", Auth, authorizeRoles("Owner", "Admin"), getCoupons);
+router.get("/coupon/:id", Auth, authorizeRoles("Owner", "Admin"), getCouponById);
+router.put("/coupon/:id", Auth, authorizeRoles("Owner"), updateCoupon);
+router.delete("/coupon/:id", Auth, authorizeRoles("Owner"), deleteCoupon);
+
+/* ================= COMMISSION RULES ================= */
+router.post("/commission-rule", Auth, authorizeRoles("Owner"), createCommissionRule);
+router.get("/commission-rules", Auth, authorizeRoles("Owner", "Admin"), getCommissionRules);
+router.get("/commission-rules/preview/:bookingId", Auth, authorizeRoles("Owner", "Admin"), previewBookingCommission);
+router.get("/commission-rule/:id", Auth, authorizeRoles("Owner", "Admin"), getCommissionRuleById);
+router.put("/commission-rule/:id", Auth, authorizeRoles("Owner"), updateCommissionRule);
+router.delete("/commission-rule/:id", Auth, authorizeRoles("Owner"), deleteCommissionRule);
+
+/* ================= REPORTS ================= */
+router.get("/reports/parts", Auth, authorizeRoles("Owner", "Admin"), getPartsReport);
+router.get("/reports/settlements", Auth, authorizeRoles("Owner"), getSettlementsReport);
 
 /* ================= CHECKOUT ================= */
 router.post("/checkout", Auth, checkout);
 
+/* ================= ORDERS ================= */
+router.get("/order/my-orders", Auth, getMyOrders);
+router.get("/order/:id", Auth, getOrderById);
+router.post("/order/:id/payment", Auth, createOrderPayment);
+router.post("/order/:id/payment/verify", Auth, verifyOrderPayment);
+
+/* ================= PLATFORM SETTINGS ================= */
+router.get("/settings", Auth, authorizeRoles("Owner", "Admin"), getAllPlatformSettings);
+router.get("/settings/:section", Auth, authorizeRoles("Owner", "Admin"), getPlatformSettingsSection);
+router.put("/settings/:section", Auth, authorizeRoles("Owner"), updatePlatformSettingsSection);
+
 export default router;
\ No newline at end of file
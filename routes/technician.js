@@ -3,12 +3,17 @@ import express from "express";
 import { Auth, authorizeRoles } from "../middleware/Auth.js";
 import isTechnician from "../middleware/isTechnician.js";
 import { upload } from "../utils/cloudinaryUpload.js";
-import { updateTechnicianLocation, createTechnician, getAllTechnicians, getTechnicianById, getMyTechnician, updateTechnician, addTechnicianSkills, removeTechnicianSkills, updateTechnicianStatus, deleteTechnician, updateTechnicianTraining, uploadProfileImage } from "../controllers/technician.js";
+import { updateTechnicianLocation, createTechnician, getAllTechnicians, getTechnicianById, getMyTechnician, updateTechnician, addTechnicianSkills, removeTechnicianSkills, updateTechnicianStatus, deleteTechnician, updateTechnicianTraining, uploadProfileImage, getMyAvailability, updateMyAvailability, addMyLeave, removeMyLeave } from "../controllers/technician.js";
 import { technicianLogin } from "../controllers/User.js";
-import { respondToJob, getMyJobs } from "../controllers/technicianBroadcastController.js";
+import { respondToJob, getMyJobs, cancelJob, getCancellationStats } from "../controllers/technicianBroadcastController.js";
 import { submitTechnicianKyc, uploadTechnicianKycDocuments, getTechnicianKyc, getMyTechnicianKyc, getAllTechnicianKyc, verifyTechnicianKyc, verifyBankDetails, deleteTechnicianKyc, getOrphanedKyc, deleteOrphanedKyc, deleteAllOrphanedKyc } from "../controllers/technicianKycController.js";
 import { updateBookingStatus, getTechnicianJobHistory, getTechnicianCurrentJobs } from "../controllers/serviceBookController.js";
-import { createWalletTransaction, getWalletHistory, requestWithdrawal, getMyWithdrawals, cancelMyWithdrawal, ownerListWithdrawals, ownerDecideWithdrawal } from "../controllers/technicianWalletController.js";
+import { collectCashPayment } from "../controllers/paymentController.js";
+import { submitBookingQuote, getBookingQuote } from "../controllers/quoteController.js";
+import { addJobParts, removeJobPart, getBookingParts } from "../controllers/sparePartsController.js";
+import { getEarningsStatement } from "../controllers/earningsStatementController.js";
+import { setTechnicianTier } from "../controllers/commissionRuleController.js";
+import { createWalletTransaction, getWalletHistory, getWalletBalance, ownerCheckWalletLedger, requestWithdrawal, getMyWithdrawals, cancelMyWithdrawal, ownerListWithdrawals, ownerDecideWithdrawal, ownerSendPayout, payoutWebhook, simulatePayout } from "../controllers/technicianWalletController.js";
 
 
 
@@ -33,6 +38,12 @@ router.put("/:technicianId/training", Auth, updateTechnicianTraining);
 router.post("/technician/profile-image", Auth, isTechnician, upload.single("profileImage"), uploadProfileImage);
 router.delete("/technicianDelete/:id", Auth, deleteTechnician);
 
+// Working hours, leave and daily job limit
+router.get("/technician/availability", Auth, isTechnician, getMyAvailability);
+router.put("/technician/availability", Auth, isTechnician, updateMyAvailability);
+router.post("/technician/availability/leaves", Auth, isTechnician, addMyLeave);
+router.delete("/technician/availability/leaves/:leaveId", Auth, isTechnician, removeMyLeave);
+
 /* ================= TECHNICIAN KYC ================= */
 
 router.post("/technician/kyc", Auth, isTechnician, submitTechnicianKyc);
@@ -65,6 +76,15 @@ router.delete("/technician/kyc/orphaned/cleanup/all", Auth, deleteAllOrphanedKyc
 router.get("/job-broadcast/my-jobs", Auth, isTechnician, getMyJobs);
 router.get("/job-broadcast/my-jobs", Auth, getMyJobs);
 router.put("/job-broadcast/respond/:id", Auth, respondToJob);
+router.put("/jobs/:id/cancel", Auth, isTechnician, cancelJob);
+router.put("/jobs/:id/cash-collected", Auth, isTechnician, collectCashPayment);
+router.post("/jobs/:id/quote", Auth, isTechnician, submitBookingQuote);
+router.get("/jobs/:id/quote", Auth, isTechnician, getBookingQuote);
+router.post("/jobs/:id/parts", Auth, isTechnician, addJobParts);
+router.delete("/jobs/:id/parts/:partId", Auth, isTechnician, removeJobPart);
+router.get("/jobs/:id/parts", Auth, isTechnician, getBookingParts);
+router.get("/:technicianId/cancellation-stats", Auth, authorizeRoles("Owner", "Admin"), getCancellationStats);
+router.put("/:technicianId/tier", Auth, authorizeRoles("Owner"), setTechnicianTier);
 
 /* ================= JOB UPDATE ================= */
 
@@ -78,6 +98,9 @@ router.get("/jobs/history", Auth, isTechnician, getTechnicianJobHistory);
 
 router.post("/wallet/transaction", Auth, createWalletTransaction);
 router.get("/wallet/history", Auth, isTechnician, getWalletHistory);
+router.get("/wallet/balance", Auth, isTechnician, getWalletBalance);
+router.get("/wallet/ledger/integrity", Auth, authorizeRoles("Owner"), ownerCheckWalletLedger);
+router.get("/wallet/statements/:month", Auth, authorizeRoles("Technician", "Owner"), getEarningsStatement);
 
 // Technician payout requests
 router.post("/wallet/withdrawals/request", Auth, isTechnician, requestWithdrawal);
@@ -87,5 +110,10 @@ router.put("/wallet/withdrawals/:id/cancel", Auth, isTechnician, cancelMyWithdra
 // Owner payout queue (approve/reject/mark-paid)
 router.get("/wallet/withdrawals", Auth, authorizeRoles("Owner"), ownerListWithdrawals);
 router.put("/wallet/withdrawals/:id/decision", Auth, authorizeRoles("Owner"), ownerDecideWithdrawal);
+router.post("/wallet/withdrawals/:id/payout", Auth, authorizeRoles("Owner"), ownerSendPayout);
+
+// Payout provider callbacks / local simulator
+router.post("/wallet/payouts/webhook/:provider", payoutWebhook);
+router.post("/wallet/payouts/simulate", Auth, authorizeRoles("Owner"), simulatePayout);
 
 export default router;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { repairWalletLedger } from "../utils/walletLedger.js";
+
+/**
+ * 🔧 WALLET LEDGER REPAIR
+ * Rebuilds wallet balances from WalletTransaction rows (see utils/walletLedger.js).
+ * Dry run by default; pass --apply to write.
+ *
+ *   npm run wallet:repair                          # report only
+ *   npm run wallet:repair -- --apply               # fix every wallet out of sync
+ *   npm run wallet:repair -- --technician <id> --apply
+ */
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const apply = args.includes("--apply");
+const technicianIndex = args.indexOf("--technician");
+const technicianId = technicianIndex >= 0 ? args[technicianIndex + 1] : undefined;
+
+if (technicianIndex >= 0 && !mongoose.Types.ObjectId.isValid(technicianId)) {
+  console.error("❌ --technician needs a valid TechnicianProfile id");
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { checked, repaired, skipped, dryRun } = await repairWalletLedger({ technicianId, dryRun: !apply });
+
+  console.log(`🔎 Checked ${checked} wallet(s)`);
+  for (const wallet of repaired) {
+    console.log(
+      `${dryRun ? "would fix" : "fixed"} ${wallet.technicianId}: stored=${wallet.storedBalance} ledger=${wallet.ledgerBalance} ` +
+        `rows=${wallet.transactions} missingBalanceAfter=${wallet.missingBalanceAfter} brokenRows=${wallet.brokenRows}`
+    );
+  }
+  for (const wallet of skipped) {
+    console.log(`skipped ${wallet.technicianId}: ${wallet.reason}`);
+  }
+
+  if (!repaired.length && !skipped.length) console.log("✅ All wallets match the ledger");
+  else if (dryRun && repaired.length) console.log("ℹ️ Dry run - re-run with --apply to write these fixes");
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Wallet ledger repair failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import TechnicianKyc from "../Schemas/TechnicianKYC.js";
+import { getTechnicianJobEligibility } from "./technicianEligibility.js";
+import { getAvailabilityReasons } from "./technicianAvailability.js";
+import { buildSkillMatch } from "./technicianMatching.js";
+import { getSlotConfig, SLOT_HOLDING_STATUSES } from "./bookingSlots.js";
+import { transitionBookingStatus } from "./bookingStatus.js";
+
+/**
+ * 🧑‍🔧 MANUAL ASSIGNMENT (Owner / Admin)
+ * Puts a booking on a specific technician or takes it away again, bypassing
+ * broadcast. All writes go through transitionBookingStatus so they show up in
+ * statusHistory; callers record the BookingEvent and send sockets after commit.
+ */
+
+// Open bookings that can be handed to a technician directly
+export const ASSIGNABLE_STATUSES = ["requested", "broadcasted", "no_technician_found"];
+
+// Work not started yet: the technician can still be swapped out
+export const UNASSIGNABLE_STATUSES = ["accepted", "on_the_way"];
+
+const createAssignmentError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Why `technicianProfileId` can't take `booking` (empty array = assignable).
+ * Same checks as getTechnicianJobEligibility plus bank/training (needed to
+ * update job status later), the service skill and availability at the job time.
+ * Being offline only matters for ASAP bookings.
+ * @returns {Promise<string[]>}
+ */
+export const getAssignmentBlockers = async ({ booking, technicianProfileId, session }) => {
+  const eligibility = await getTechnicianJobEligibility({ technicianProfileId, session });
+  const reasons = eligibility.reasons.filter((r) => r !== "offline" || !booking.scheduledAt);
+  if (reasons.includes("invalid_profileId") || reasons.includes("technician_not_found")) return reasons;
+
+  let kycQuery = TechnicianKyc.findOne({ technicianId: technicianProfileId }).select("bankVerified");
+  let profileQuery = TechnicianProfile.findOne({
+    _id: technicianProfileId,
+    $or: buildSkillMatch(booking.serviceId),
+  }).select("trainingCompleted availability");
+  if (session) {
+    kycQuery = kycQuery.session(session);
+    profileQuery = profileQuery.session(session);
+  }
+  const [kyc, profile] = await Promise.all([kycQuery, profileQuery]);
+
+  if (eligibility.status.kycStatus === "approved" && !kyc?.bankVerified) reasons.push("bank_not_verified");
+  if (!profile) {
+    reasons.push("skill_missing");
+    return reasons;
+  }
+  if (!profile.trainingCompleted) reasons.push("training_incomplete");
+
+  const { slotMinutes } = getSlotConfig();
+  const at = booking.scheduledAt || new Date();
+  const availability = await getAvailabilityReasons([profile], {
+    at,
+    durationMinutes: slotMinutes,
+    excludeBookingId: booking._id,
+    session,
+  });
+  const unavailable = availability.get(profile._id.toString());
+  if (unavailable) reasons.push(unavailable);
+
+  if (booking.scheduledAt) {
+    let clashQuery = ServiceBooking.exists({
+      _id: { $ne: booking._id },
+      technicianId: profile._id,
+      status: { $in: SLOT_HOLDING_STATUSES },
+      scheduledAt: { $gte: at, $lt: new Date(at.getTime() + slotMinutes * 60 * 1000) },
+    });
+    if (session) clashQuery = clashQuery.session(session);
+    if (await clashQuery) reasons.push("slot_taken");
+  }
+
+  return reasons;
+};
+
+/**
+ * Assign an open booking to a technician and withdraw pending broadcasts.
+ * @returns {Promise<{ booking: Object, withdrawnTechnicianIds: string[] }>}
+ */
+export const assignBookingToTechnician = async ({ booking, technicianProfileId, actor, reason, session }) => {
+  if (!ASSIGNABLE_STATUSES.includes(booking.status) || booking.technicianId) {
+    throw createAssignmentError(
+      `Booking cannot be assigned in status ${booking.status}`,
+      409,
+      "BOOKING_NOT_ASSIGNABLE",
+      { status: booking.status }
+    );
+  }
+
+  const blockers = await getAssignmentBlockers({ booking, technicianProfileId, session });
+  if (blockers.length > 0) {
+    throw createAssignmentError("Technician is not eligible for this booking", 409, "TECHNICIAN_NOT_ELIGIBLE", {
+      technicianId: technicianProfileId,
+      reasons: blockers,
+    });
+  }
+
+  const updated = await transitionBookingStatus({
+    booking,
+    to: "accepted",
+    actor,
+    note: reason ? `Assigned manually: ${reason}` : "Assigned manually",
+    filter: { technicianId: null },
+    set: { technicianId: new mongoose.Types.ObjectId(String(technicianProfileId)), assignedAt: new Date() },
+    session,
+  });
+
+  const pending = await JobBroadcast.find({ bookingId: booking._id, status: "sent" })
+    .select("technicianId")
+    .session(session || null);
+  if (pending.length > 0) {
+    await JobBroadcast.updateMany(
+      { bookingId: booking._id, status: "sent" },
+      { $set: { status: "expired" } },
+      { session }
+    );
+  }
+
+  return {
+    booking: updated,
+    withdrawnTechnicianIds: pending
+      .map((b) => b.technicianId.toString())
+      .filter((id) => id !== String(technicianProfileId)),
+  };
+};
+
+/**
+ * Take a booking away from its technician and put it back to `requested`
+ * with a fresh matching cycle (the previous technician is not offered it again).
+ * @returns {Promise<{ booking: Object, previousTechnicianId: string }>}
+ */
+export const unassignBookingFromTechnician = async ({ booking, actor, reason, session }) => {
+  if (!UNASSIGNABLE_STATUSES.includes(booking.status) || !booking.technicianId) {
+    throw createAssignmentError(
+      `Booking cannot be unassigned in status ${booking.status}`,
+      409,
+      "BOOKING_NOT_UNASSIGNABLE",
+      { status: booking.status }
+    );
+  }
+
+  const previousTechnicianId = booking.technicianId.toString();
+  const updated = await transitionBookingStatus({
+    booking,
+    to: "requested",
+    actor,
+    note: reason ? `Unassigned: ${reason}` : "Unassigned",
+    filter: { technicianId: booking.technicianId },
+    set: {
+      technicianId: null,
+      assignedAt: null,
+      broadcastAttempts: 0,
+      broadcastTier: 0,
+      lastMatchAttemptAt: null,
+    },
+    session,
+  });
+
+  return { booking: updated, previousTechnicianId };
+};
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import BookingEvent from "../Schemas/BookingEvent.js";
+import { SYSTEM_ACTOR } from "./bookingStatus.js";
+
+/**
+ * Append an entry to the booking audit log.
+ * Best-effort: the log must never break the flow that is being audited,
+ * so failures are logged and swallowed.
+ *
+ * @param {Object} params
+ * @param {string} params.bookingId - ServiceBooking id
+ * @param {string} params.type - BookingEvent type
+ * @param {Object} [params.actor] - { userId, role } (defaults to System)
+ * @param {Object} [params.data] - Event specific details
+ */
+export const recordBookingEvent = async ({ bookingId, type, actor = SYSTEM_ACTOR, data = {} } = {}) => {
+  try {
+    if (!bookingId || !mongoose.Types.ObjectId.isValid(bookingId)) return null;
+
+    return await BookingEvent.create({
+      bookingId,
+      type,
+      actorId: actor?.userId || null,
+      actorRole: actor?.role || "System",
+      data,
+    });
+  } catch (error) {
+    console.error(`⚠️ recordBookingEvent (${type}) failed for booking ${bookingId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Build a chronological timeline for a booking from its status history and audit log.
+ * @param {Object} booking - ServiceBooking document (needs statusHistory + createdAt)
+ * @returns {Promise<Array>} timeline entries sorted oldest first
+ */
+export const buildBookingTimeline = async (booking) => {
+  const history = Array.isArray(booking.statusHistory) ? booking.statusHistory : [];
+
+  const statusEntries = history.map((h) => ({
+    type: "status_changed",
+    at: h.changedAt,
+    actor: { userId: h.changedBy || null, role: h.changedByRole || "System" },
+    data: { from: h.from, to: h.to, note: h.note || null },
+  }));
+
+  // Bookings created before status history existed only have timestamps
+  if (statusEntries.length === 0) {
+    statusEntries.push({
+      type: "booking_created",
+      at: booking.createdAt,
+      actor: { userId: booking.customerId?._id || booking.customerId || null, role: "Customer" },
+      data: {},
+    });
+  }
+
+  const events = await BookingEvent.find({ bookingId: booking._id }).sort({ occurredAt: 1 }).lean();
+
+  const eventEntries = events.map((e) => ({
+    type: e.type,
+    at: e.occurredAt,
+    actor: { userId: e.actorId || null, role: e.actorRole || "System" },
+    data: e.data || {},
+  }));
+
+  return [...statusEntries, ...eventEntries].sort(
+    (a, b) => new Date(a.at).getTime() - new Date(b.at).getTime()
+  );
+};
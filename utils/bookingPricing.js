@@ -0,0 +1,249 @@
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Service from "../Schemas/Service.js";
+import { recordBookingEvent } from "./bookingEvents.js";
+import { SYSTEM_ACTOR } from "./bookingStatus.js";
+import { rebaseTax } from "./tax.js";
+import { assertPartsSettled } from "./spareParts.js";
+
+/**
+ * 📝 BOOKING PRICING & QUOTES
+ * `after_inspection` and `per_unit` services are booked at an estimate. Once
+ * on site (status `reached`) the technician submits an itemised quote; the
+ * customer approves it (it becomes baseAmount) or rejects it (the service's
+ * minimumVisitCharge becomes baseAmount and the visit can be closed without
+ * work). Any baseAmount change keeps the coupon discount (capped) and re-bases
+ * GST. Payment and cash collection wait until the quote is decided (and
+ * until the job is completed for services that use spare parts), so a prepaid
+ * cart leaves such bookings out of its order payment.
+ */
+
+export const QUOTE_REQUIRED_PRICING_TYPES = Object.freeze(["after_inspection", "per_unit"]);
+
+export const QUOTE_ITEM_TYPES = Object.freeze(["labour", "part", "extra_unit"]);
+
+const MAX_QUOTE_ITEMS = 50;
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const createPricingError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+export const isQuoteRequired = (service) => QUOTE_REQUIRED_PRICING_TYPES.includes(service?.pricingType);
+
+/**
+ * Validate quote lines from the technician.
+ * @returns {{ error?: string, value?: { items: Object[], totalAmount: number } }}
+ */
+export const validateQuoteItems = (input) => {
+  if (!Array.isArray(input) || input.length === 0) return { error: "items must be a non-empty array" };
+  if (input.length > MAX_QUOTE_ITEMS) return { error: `A quote can have at most ${MAX_QUOTE_ITEMS} items` };
+
+  const items = [];
+  for (const [i, item] of input.entries()) {
+    if (!QUOTE_ITEM_TYPES.includes(item?.type)) {
+      return { error: `items[${i}].type must be one of ${QUOTE_ITEM_TYPES.join(", ")}` };
+    }
+    const description = typeof item.description === "string" ? item.description.trim() : "";
+    if (!description) return { error: `items[${i}].description is required` };
+
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) return { error: `items[${i}].quantity must be a positive number` };
+
+    const unitPrice = Number(item.unitPrice);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) return { error: `items[${i}].unitPrice must be a non-negative number` };
+
+    items.push({ type: item.type, description, quantity, unitPrice: round2(unitPrice), amount: round2(quantity * unitPrice) });
+  }
+
+  return { value: { items, totalAmount: round2(items.reduce((sum, item) => sum + item.amount, 0)) } };
+};
+
+/**
+ * Fields to $set when a booking's baseAmount changes: coupon discount capped to
+ * the new amount and GST re-based on the new taxable value.
+ */
+export const buildRepricedFields = (booking, baseAmount) => {
+  const amount = round2(baseAmount);
+  const discountAmount = round2(Math.min(Number(booking.discountAmount || 0), amount));
+  return {
+    baseAmount: amount,
+    discountAmount,
+    tax: rebaseTax(booking.tax, round2(amount - discountAmount)),
+  };
+};
+
+/**
+ * Technician submits (or revises) the quote for a booking they are on site for.
+ * @returns {Promise<Object>} updated booking
+ */
+export const submitQuote = async ({ bookingId, technicianProfileId, items, note = null, actor = SYSTEM_ACTOR }) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) throw createPricingError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  if (!booking.technicianId || booking.technicianId.toString() !== String(technicianProfileId)) {
+    throw createPricingError("Access denied for this booking", 403, "ACCESS_DENIED");
+  }
+  if (booking.status !== "reached") {
+    throw createPricingError("A quote can be submitted once you have reached the site", 409, "INVALID_BOOKING_STATUS", {
+      status: booking.status,
+    });
+  }
+  if (booking.paymentStatus !== "pending") {
+    throw createPricingError("Booking is already paid; its price cannot change", 409, "BOOKING_ALREADY_PAID", {
+      paymentStatus: booking.paymentStatus,
+    });
+  }
+  if (booking.quote?.status === "approved") {
+    throw createPricingError("The quote was already approved", 409, "QUOTE_ALREADY_APPROVED");
+  }
+
+  const { error, value } = validateQuoteItems(items);
+  if (error) throw createPricingError(error, 400, "INVALID_QUOTE");
+
+  const quote = {
+    status: "pending",
+    items: value.items,
+    totalAmount: value.totalAmount,
+    note: typeof note === "string" && note.trim() ? note.trim() : null,
+    revision: (booking.quote?.revision || 0) + 1,
+    submittedBy: booking.technicianId,
+    submittedAt: new Date(),
+  };
+
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { _id: booking._id, status: "reached", paymentStatus: "pending", "quote.status": { $ne: "approved" } },
+    { $set: { quote } },
+    { new: true }
+  );
+  if (!updated) throw createPricingError("Booking changed meanwhile, try again", 409, "BOOKING_CONFLICT");
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: "quote_submitted",
+    actor,
+    data: { revision: quote.revision, totalAmount: quote.totalAmount, items: quote.items },
+  });
+
+  return updated;
+};
+
+/**
+ * Customer approves or rejects the pending quote and the booking is re-priced.
+ * @param {Object} params
+ * @param {"approve"|"reject"} params.decision
+ * @returns {Promise<Object>} updated booking
+ */
+export const respondToQuote = async ({ bookingId, customerId, decision, reason = null, actor = SYSTEM_ACTOR }) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) throw createPricingError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  if (booking.customerId.toString() !== String(customerId)) {
+    throw createPricingError("Access denied for this booking", 403, "ACCESS_DENIED");
+  }
+  if (booking.quote?.status !== "pending") {
+    throw createPricingError("No quote is waiting for your decision", 409, "NO_PENDING_QUOTE", {
+      quoteStatus: booking.quote?.status || null,
+    });
+  }
+  if (booking.paymentStatus !== "pending") {
+    throw createPricingError("Booking is already paid; its price cannot change", 409, "BOOKING_ALREADY_PAID");
+  }
+
+  const approved = decision === "approve";
+  let visitCharge = null;
+  if (!approved) {
+    const service = await Service.findById(booking.serviceId).select("minimumVisitCharge");
+    visitCharge = round2(service?.minimumVisitCharge || 0);
+  }
+
+  const set = {
+    ...buildRepricedFields(booking, approved ? booking.quote.totalAmount : visitCharge),
+    "quote.status": approved ? "approved" : "rejected",
+    "quote.respondedAt": new Date(),
+    "quote.rejectionReason": approved ? null : (typeof reason === "string" && reason.trim()) || null,
+    "quote.visitCharge": visitCharge,
+  };
+
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { _id: booking._id, "quote.status": "pending", "quote.revision": booking.quote.revision, paymentStatus: "pending" },
+    { $set: set },
+    { new: true }
+  );
+  if (!updated) throw createPricingError("The quote changed meanwhile, please review it again", 409, "QUOTE_CONFLICT");
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: approved ? "quote_approved" : "quote_rejected",
+    actor,
+    data: {
+      revision: booking.quote.revision,
+      quoteAmount: booking.quote.totalAmount,
+      baseAmount: updated.baseAmount,
+      ...(approved ? {} : { visitCharge, reason: set["quote.rejectionReason"] }),
+    },
+  });
+
+  return updated;
+};
+
+/**
+ * Status rules the quote adds on top of the transition table:
+ * work (in_progress) needs an approved quote when one is required (and none pending),
+ * and reached -> completed is only for a rejected quote.
+ */
+export const assertQuoteAllowsTransition = async ({ booking, to }) => {
+  if (booking.quote?.status === "pending" && ["in_progress", "completed"].includes(to)) {
+    throw createPricingError("Waiting for the customer to respond to the quote", 409, "QUOTE_PENDING");
+  }
+
+  if (to === "in_progress" && booking.quote?.status !== "approved") {
+    const service = await Service.findById(booking.serviceId).select("pricingType");
+    if (isQuoteRequired(service)) {
+      throw createPricingError("This service needs an approved quote before work starts", 409, "QUOTE_NOT_APPROVED", {
+        quoteStatus: booking.quote?.status || null,
+      });
+    }
+  }
+
+  if (to === "completed" && booking.status === "reached" && booking.quote?.status !== "rejected") {
+    throw createPricingError("Only a visit whose quote was rejected can be closed without work", 409, "QUOTE_NOT_REJECTED", {
+      quoteStatus: booking.quote?.status || null,
+    });
+  }
+};
+
+/**
+ * Payment (online or cash) needs a final price: no pending quote or spare parts,
+ * a decided quote for services priced after inspection, and a completed job for
+ * services that use spare parts (parts are added while it is in progress).
+ */
+export const assertBookingPriceFinal = ({ booking, service }) => {
+  assertPartsSettled(booking);
+  if (booking.quote?.status === "pending") {
+    throw createPricingError("Waiting for the customer to respond to the quote", 409, "QUOTE_PENDING");
+  }
+  if (isQuoteRequired(service) && !booking.quote) {
+    throw createPricingError("Payment opens once the technician's quote is decided", 409, "QUOTE_REQUIRED");
+  }
+  if (service?.requiresSpareParts && booking.status !== "completed") {
+    throw createPricingError(
+      "Payment opens once the job is completed (spare parts are billed with it)",
+      409,
+      "JOB_NOT_COMPLETED",
+      { status: booking.status }
+    );
+  }
+};
+
+export const isBookingPriceFinal = ({ booking, service }) => {
+  try {
+    assertBookingPriceFinal({ booking, service });
+    return true;
+  } catch (error) {
+    if (error?.statusCode === 409) return false;
+    throw error;
+  }
+};
@@ -0,0 +1,258 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { findEligibleTechniciansForService } from "./technicianMatching.js";
+import {
+  getZonedParts,
+  zonedDateTimeToUtc,
+  getUnavailabilityReason,
+  countJobsOnDay,
+  getMaxJobsPerDay,
+} from "./technicianAvailability.js";
+
+/**
+ * 🗓️ BOOKING SLOTS
+ * A day is split into fixed slots (BOOKING_SLOT_MINUTES) in BUSINESS_TIMEZONE.
+ * Capacity of a slot = approved technicians for the service/area who are
+ * available for the whole slot (working hours, leave, daily job limit), minus
+ * bookings already holding that slot.
+ */
+
+// Statuses that hold a slot / a technician's time
+export const SLOT_HOLDING_STATUSES = [
+  "requested",
+  "broadcasted",
+  "accepted",
+  "on_the_way",
+  "reached",
+  "in_progress",
+];
+
+const toPositiveInt = (v, fallback) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+export const getSlotConfig = () => ({
+  slotMinutes: toPositiveInt(process.env.BOOKING_SLOT_MINUTES, 60),
+  // Broadcast scheduled bookings this long before scheduledAt
+  leadMinutes: toPositiveInt(process.env.BROADCAST_LEAD_MINUTES, 60),
+  horizonDays: toPositiveInt(process.env.BOOKING_HORIZON_DAYS, 14),
+  coverageRadiusMeters: toPositiveInt(process.env.SLOT_COVERAGE_RADIUS_METERS, 10000),
+});
+
+export const isSlotAligned = (date) => {
+  const { slotMinutes } = getSlotConfig();
+  const { minutes } = getZonedParts(date);
+  return date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0 && minutes % slotMinutes === 0;
+};
+
+/**
+ * Validate a customer supplied scheduledAt.
+ * @returns {{ ok: boolean, message?: string, scheduledAt?: Date }}
+ */
+export const validateScheduledAt = (value, now = new Date()) => {
+  const { horizonDays } = getSlotConfig();
+  const scheduledAt = new Date(value);
+
+  if (Number.isNaN(scheduledAt.getTime())) {
+    return { ok: false, message: "scheduledAt must be a valid date" };
+  }
+  if (scheduledAt.getTime() <= now.getTime()) {
+    return { ok: false, message: "scheduledAt must be in the future" };
+  }
+  if (scheduledAt.getTime() > now.getTime() + horizonDays * 24 * 60 * 60 * 1000) {
+    return { ok: false, message: `scheduledAt must be within ${horizonDays} days` };
+  }
+  if (!isSlotAligned(scheduledAt)) {
+    return { ok: false, message: "scheduledAt must be the start of an available slot" };
+  }
+
+  return { ok: true, scheduledAt };
+};
+
+// When the scheduler may start broadcasting (null = broadcast now)
+export const getBroadcastNotBefore = (scheduledAt, now = new Date()) => {
+  if (!scheduledAt) return null;
+  const { leadMinutes } = getSlotConfig();
+  const notBefore = new Date(new Date(scheduledAt).getTime() - leadMinutes * 60 * 1000);
+  return notBefore.getTime() > now.getTime() ? notBefore : null;
+};
+
+const findCapacityTechnicians = ({ serviceId, pincode, latitude, longitude, session }) => {
+  const { coverageRadiusMeters } = getSlotConfig();
+  return findEligibleTechniciansForService({
+    serviceId,
+    address: { pincode, latitude, longitude },
+    radiusMeters: coverageRadiusMeters,
+    limit: 500,
+    requireOnline: false,
+    select: "_id availability",
+    checkAvailability: false, // checked per slot in summarizeSlot
+    session,
+  });
+};
+
+// Daily job counts only matter for technicians with a limit
+const loadDailyJobCounts = (technicians, at, { excludeBookingId, session } = {}) =>
+  countJobsOnDay(
+    technicians.filter((t) => getMaxJobsPerDay(t) !== null).map((t) => t._id),
+    at,
+    { excludeBookingId, session }
+  );
+
+const loadSlotBookings = async ({ serviceId, pincode, technicianIds, from, to, excludeBookingId, session }) => {
+  const serviceObjectId = new mongoose.Types.ObjectId(serviceId);
+
+  const filter = {
+    scheduledAt: { $gte: from, $lt: to },
+    status: { $in: SLOT_HOLDING_STATUSES },
+    $or: [
+      { technicianId: { $in: technicianIds } },
+      {
+        technicianId: null,
+        serviceId: serviceObjectId,
+        ...(pincode ? { "addressSnapshot.pincode": String(pincode) } : {}),
+      },
+    ],
+  };
+  if (excludeBookingId) filter._id = { $ne: excludeBookingId };
+
+  let query = ServiceBooking.find(filter).select("scheduledAt technicianId").lean();
+  if (session) query = query.session(session);
+  return query;
+};
+
+const summarizeSlot = ({ start, slotMinutes, technicians, bookings, jobCounts = new Map() }) => {
+  const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+  const working = technicians.filter(
+    (t) =>
+      // Technicians without declared hours count during the platform default hours only
+      getUnavailabilityReason(t, start, {
+        durationMinutes: slotMinutes,
+        useDefaultHours: true,
+        jobsOnDay: jobCounts.get(t._id.toString()) || 0,
+      }) === null
+  );
+  const workingIds = new Set(working.map((t) => t._id.toString()));
+
+  const booked = bookings.filter((b) => {
+    const at = new Date(b.scheduledAt).getTime();
+    if (at < start.getTime() || at >= end.getTime()) return false;
+    // Assigned bookings only consume capacity of technicians counted for this slot
+    return !b.technicianId || workingIds.has(b.technicianId.toString());
+  }).length;
+
+  return {
+    start,
+    end,
+    capacity: working.length,
+    booked,
+    available: Math.max(0, working.length - booked),
+  };
+};
+
+/**
+ * List bookable slots for a service on a local date ("YYYY-MM-DD").
+ */
+export const getAvailableSlots = async ({ serviceId, date, pincode, latitude, longitude, now = new Date() }) => {
+  const { slotMinutes } = getSlotConfig();
+
+  const dayStart = zonedDateTimeToUtc(date, 0);
+  if (!dayStart) return [];
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+
+  const technicians = await findCapacityTechnicians({ serviceId, pincode, latitude, longitude });
+  if (technicians.length === 0) return [];
+
+  const bookings = await loadSlotBookings({
+    serviceId,
+    pincode,
+    technicianIds: technicians.map((t) => t._id),
+    from: dayStart,
+    to: dayEnd,
+  });
+  const jobCounts = await loadDailyJobCounts(technicians, dayStart);
+
+  const slots = [];
+  for (let minutes = 0; minutes < 24 * 60; minutes += slotMinutes) {
+    const start = zonedDateTimeToUtc(date, minutes);
+    if (start.getTime() <= now.getTime()) continue;
+
+    const slot = summarizeSlot({ start, slotMinutes, technicians, bookings, jobCounts });
+    if (slot.capacity > 0) slots.push(slot);
+  }
+
+  return slots;
+};
+
+/**
+ * Capacity of the single slot starting at `scheduledAt`.
+ * `excludeBookingId` lets a booking being rescheduled ignore its own hold.
+ */
+export const checkSlotCapacity = async ({
+  serviceId,
+  scheduledAt,
+  pincode,
+  latitude,
+  longitude,
+  excludeBookingId,
+  session,
+}) => {
+  const { slotMinutes } = getSlotConfig();
+  const start = new Date(scheduledAt);
+  const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+
+  const technicians = await findCapacityTechnicians({ serviceId, pincode, latitude, longitude, session });
+  const bookings = technicians.length
+    ? await loadSlotBookings({
+        serviceId,
+        pincode,
+        technicianIds: technicians.map((t) => t._id),
+        from: start,
+        to: end,
+        excludeBookingId,
+        session,
+      })
+    : [];
+  const jobCounts = technicians.length
+    ? await loadDailyJobCounts(technicians, start, { excludeBookingId, session })
+    : new Map();
+
+  return summarizeSlot({ start, slotMinutes, technicians, bookings, jobCounts });
+};
+
+/**
+ * Validate an optional scheduledAt for a new booking and reserve nothing yet:
+ * returns the normalized schedule fields or an error shaped for the controller.
+ */
+export const resolveBookingSchedule = async ({ scheduledAt, serviceId, addressSnapshot = {}, session }) => {
+  if (scheduledAt === undefined || scheduledAt === null || scheduledAt === "") {
+    // ASAP booking: broadcast immediately
+    return { ok: true, scheduledAt: null, broadcastNotBefore: null };
+  }
+
+  const check = validateScheduledAt(scheduledAt);
+  if (!check.ok) {
+    return { ok: false, statusCode: 400, message: check.message, result: {} };
+  }
+
+  const slot = await checkSlotCapacity({
+    serviceId,
+    scheduledAt: check.scheduledAt,
+    pincode: addressSnapshot.pincode,
+    latitude: addressSnapshot.latitude,
+    longitude: addressSnapshot.longitude,
+    session,
+  });
+
+  if (slot.available <= 0) {
+    return { ok: false, statusCode: 409, message: "Selected slot is fully booked", result: { slot } };
+  }
+
+  return {
+    ok: true,
+    scheduledAt: check.scheduledAt,
+    broadcastNotBefore: getBroadcastNotBefore(check.scheduledAt),
+    slot,
+  };
+};
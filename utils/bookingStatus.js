@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+
+/**
+ * 📌 SERVICE BOOKING STATE MACHINE
+ * Single source of truth for which status changes are legal.
+ * Every controller/util that changes `ServiceBooking.status` must go through
+ * `transitionBookingStatus` so the move is validated and recorded in `statusHistory`.
+ */
+
+// from -> allowed next statuses
+export const BOOKING_STATUS_TRANSITIONS = Object.freeze({
+  requested: ["broadcasted", "accepted", "cancelled", "no_technician_found"],
+  // -> requested: pulled back from technicians (e.g. rescheduled far into the future)
+  broadcasted: ["accepted", "cancelled", "no_technician_found", "requested"],
+  // -> requested: technician unassigned by Owner/Admin (see utils/bookingAssignment.js)
+  accepted: ["on_the_way", "cancelled", "requested"],
+  on_the_way: ["reached", "cancelled", "requested"],
+  // -> completed: visit closed without work after the customer rejected the quote
+  // (guarded in utils/bookingPricing.js)
+  reached: ["in_progress", "cancelled", "completed"],
+  in_progress: ["completed"],
+  completed: [],
+  cancelled: [],
+  // Matching gave up (see utils/broadcastScheduler.js); customer can still close it
+  // or Owner/Admin can assign a technician directly
+  no_technician_found: ["cancelled", "accepted"],
+});
+
+export const BOOKING_STATUS_ERROR_CODES = Object.freeze({
+  INVALID_STATUS: "INVALID_BOOKING_STATUS",
+  INVALID_TRANSITION: "INVALID_STATUS_TRANSITION",
+  CONFLICT: "BOOKING_STATUS_CONFLICT",
+  NOT_FOUND: "BOOKING_NOT_FOUND",
+});
+
+export const SYSTEM_ACTOR = Object.freeze({ userId: null, role: "System" });
+
+const createStatusError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+// Build the actor (who made the change) from an authenticated request
+export const actorFromRequest = (req) => ({
+  userId: req?.user?.userId && mongoose.Types.ObjectId.isValid(req.user.userId) ? req.user.userId : null,
+  role: req?.user?.role || "System",
+});
+
+export const getAllowedTransitions = (from) => BOOKING_STATUS_TRANSITIONS[from] || [];
+
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+export const assertTransition = (from, to) => {
+  if (!Object.prototype.hasOwnProperty.call(BOOKING_STATUS_TRANSITIONS, to)) {
+    throw createStatusError(`Unknown booking status: ${to}`, 400, BOOKING_STATUS_ERROR_CODES.INVALID_STATUS, {
+      to,
+    });
+  }
+
+  if (!canTransition(from, to)) {
+    throw createStatusError(
+      `Cannot change booking status from ${from} to ${to}`,
+      409,
+      BOOKING_STATUS_ERROR_CODES.INVALID_TRANSITION,
+      { from, to, allowed: getAllowedTransitions(from) }
+    );
+  }
+};
+
+export const buildStatusHistoryEntry = ({ from = null, to, actor = SYSTEM_ACTOR, note = null } = {}) => ({
+  from,
+  to,
+  changedBy: actor?.userId || null,
+  changedByRole: actor?.role || "System",
+  note: note || null,
+  changedAt: new Date(),
+});
+
+/**
+ * Move a booking to `to`, enforcing the transition table.
+ * The write is guarded on the status we validated against, so two concurrent
+ * writers cannot both win (the loser gets BOOKING_STATUS_CONFLICT).
+ *
+ * @param {Object} params
+ * @param {Object|string} params.booking - ServiceBooking document or id
+ * @param {string} params.to - Target status
+ * @param {Object} [params.actor] - { userId, role } of who made the change
+ * @param {string} [params.note] - Optional reason stored in history
+ * @param {Object} [params.filter] - Extra guard conditions for the atomic update
+ * @param {Object} [params.set] - Extra fields to $set together with the status
+ * @param {Object} [params.session] - Mongoose session
+ * @returns {Promise<Object>} updated booking document
+ */
+export const transitionBookingStatus = async ({
+  booking,
+  to,
+  actor = SYSTEM_ACTOR,
+  note = null,
+  filter = {},
+  set = {},
+  session,
+} = {}) => {
+  let current = booking;
+  if (!current || !current.status) {
+    let query = ServiceBooking.findById(booking).select("status");
+    if (session) query = query.session(session);
+    current = await query;
+  }
+
+  if (!current) {
+    throw createStatusError("Booking not found", 404, BOOKING_STATUS_ERROR_CODES.NOT_FOUND);
+  }
+
+  const from = current.status;
+  assertTransition(from, to);
+
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { _id: current._id, status: from, ...filter },
+    {
+      $set: { ...set, status: to },
+      $push: { statusHistory: buildStatusHistoryEntry({ from, to, actor, note }) },
+    },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw createStatusError(
+      "Booking was updated by someone else, please refresh and retry",
+      409,
+      BOOKING_STATUS_ERROR_CODES.CONFLICT,
+      { from, to }
+    );
+  }
+
+  return updated;
+};
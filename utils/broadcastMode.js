@@ -0,0 +1,88 @@
+import Category from "../Schemas/Category.js";
+
+/**
+ * 📡 BROADCAST MODE
+ * - fanout: every ranked technician (up to maxTechniciansPerBroadcast) at once
+ * - sequential: the top `tierSize` technicians get `acceptWindowSeconds` to accept,
+ *   then the next tier is offered (on rejection or timeout)
+ * Each field is resolved independently: Service -> Category -> env default.
+ */
+
+export const BROADCAST_MODES = ["fanout", "sequential"];
+
+const TIER_SIZE_RANGE = { min: 1, max: 20 };
+const ACCEPT_WINDOW_RANGE = { min: 15, max: 3600 };
+
+const toIntInRange = (v, { min, max }) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+};
+
+const getDefaults = () => ({
+  mode: BROADCAST_MODES.includes(process.env.DEFAULT_BROADCAST_MODE) ? process.env.DEFAULT_BROADCAST_MODE : "fanout",
+  tierSize: toIntInRange(process.env.SEQUENTIAL_TIER_SIZE, TIER_SIZE_RANGE) ?? 1,
+  acceptWindowSeconds: toIntInRange(process.env.SEQUENTIAL_ACCEPT_WINDOW_SECONDS, ACCEPT_WINDOW_RANGE) ?? 60,
+});
+
+/**
+ * Validate `broadcastSettings` from a Service/Category request body.
+ * Missing or null fields mean "inherit".
+ * @returns {{ error?: string, value?: Object }}
+ */
+export const validateBroadcastSettings = (input) => {
+  if (input === null) return { value: { mode: null, tierSize: null, acceptWindowSeconds: null } };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "broadcastSettings must be an object" };
+  }
+
+  const value = { mode: null, tierSize: null, acceptWindowSeconds: null };
+
+  if (input.mode !== undefined && input.mode !== null) {
+    if (!BROADCAST_MODES.includes(input.mode)) {
+      return { error: `broadcastSettings.mode must be one of: ${BROADCAST_MODES.join(", ")}` };
+    }
+    value.mode = input.mode;
+  }
+
+  if (input.tierSize !== undefined && input.tierSize !== null) {
+    value.tierSize = toIntInRange(input.tierSize, TIER_SIZE_RANGE);
+    if (value.tierSize === null) {
+      return { error: `broadcastSettings.tierSize must be an integer between ${TIER_SIZE_RANGE.min} and ${TIER_SIZE_RANGE.max}` };
+    }
+  }
+
+  if (input.acceptWindowSeconds !== undefined && input.acceptWindowSeconds !== null) {
+    value.acceptWindowSeconds = toIntInRange(input.acceptWindowSeconds, ACCEPT_WINDOW_RANGE);
+    if (value.acceptWindowSeconds === null) {
+      return {
+        error: `broadcastSettings.acceptWindowSeconds must be an integer between ${ACCEPT_WINDOW_RANGE.min} and ${ACCEPT_WINDOW_RANGE.max}`,
+      };
+    }
+  }
+
+  return { value };
+};
+
+/**
+ * Effective broadcast config for a service document.
+ * @returns {Promise<{ mode: string, tierSize: number, acceptWindowSeconds: number }>}
+ */
+export const resolveBroadcastConfig = async (service) => {
+  const defaults = getDefaults();
+  const own = service?.broadcastSettings || {};
+
+  const needsCategory = ["mode", "tierSize", "acceptWindowSeconds"].some((k) => own[k] === null || own[k] === undefined);
+  const category =
+    needsCategory && service?.categoryId
+      ? await Category.findById(service.categoryId).select("broadcastSettings")
+      : null;
+  const inherited = category?.broadcastSettings || {};
+
+  const pick = (key) => own[key] ?? inherited[key] ?? defaults[key];
+
+  return {
+    mode: pick("mode"),
+    tierSize: pick("tierSize"),
+    acceptWindowSeconds: pick("acceptWindowSeconds"),
+  };
+};
@@ -0,0 +1,234 @@
+import cron from "node-cron";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
+import { matchAndBroadcastBooking, getBroadcastExpiryMs, offerNextTier } from "./technicianMatching.js";
+import { transitionBookingStatus } from "./bookingStatus.js";
+import { recordBookingEvent } from "./bookingEvents.js";
+import { notifyCustomer, notifyJobTaken } from "./sendNotification.js";
+
+/**
+ * ⏰ BROADCAST SCHEDULER
+ * 1. Expires `sent` JobBroadcasts nobody answered in time
+ * 2. Re-runs matching (wider radius, new technicians) for unaccepted bookings
+ * 3. After BROADCAST_MAX_ATTEMPTS, closes the booking as `no_technician_found`
+ * 4. Starts broadcasting scheduled bookings once their lead time is reached
+ * 5. Cascades sequential bookings to the next tier when the current tier timed out
+ */
+
+const toPositiveInt = (v, fallback) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+const getConfig = () => ({
+  maxAttempts: toPositiveInt(process.env.BROADCAST_MAX_ATTEMPTS, 3),
+  cronExpression: process.env.BROADCAST_SCHEDULER_CRON || "* * * * *",
+  batchSize: toPositiveInt(process.env.BROADCAST_SCHEDULER_BATCH, 50),
+});
+
+// 1️⃣ Expire stale broadcasts (legacy docs without expiresAt fall back to sentAt)
+export const expireStaleBroadcasts = async (now = new Date()) => {
+  const legacyCutoff = new Date(now.getTime() - getBroadcastExpiryMs());
+  const staleFilter = {
+    status: "sent",
+    $or: [
+      { expiresAt: { $lte: now } },
+      { expiresAt: null, sentAt: { $lte: legacyCutoff } },
+    ],
+  };
+
+  const stale = await JobBroadcast.find(staleFilter).select("bookingId technicianId");
+  if (stale.length === 0) return { expired: 0 };
+
+  await JobBroadcast.updateMany(
+    { _id: { $in: stale.map((b) => b._id) }, status: "sent" },
+    { $set: { status: "expired" } }
+  );
+
+  const byBooking = new Map();
+  for (const b of stale) {
+    const key = b.bookingId.toString();
+    if (!byBooking.has(key)) byBooking.set(key, []);
+    byBooking.get(key).push(b.technicianId.toString());
+  }
+
+  for (const [bookingId, technicianIds] of byBooking) {
+    await recordBookingEvent({
+      bookingId,
+      type: "broadcast_expired",
+      data: { technicianIds, count: technicianIds.length },
+    });
+  }
+
+  return { expired: stale.length };
+};
+
+// Close a booking nobody accepted and tell the customer
+const closeAsNoTechnicianFound = async (booking, io) => {
+  let closed;
+  try {
+    closed = await transitionBookingStatus({
+      booking,
+      to: "no_technician_found",
+      filter: { technicianId: null },
+      note: `No technician accepted after ${booking.broadcastAttempts} attempts`,
+    });
+  } catch (error) {
+    // Accepted/cancelled while we were deciding: nothing to close
+    console.warn(`⚠️ Could not close booking ${booking._id}: ${error.message}`);
+    return false;
+  }
+
+  const pending = await JobBroadcast.find({ bookingId: booking._id, status: "sent" }).select("technicianId");
+  if (pending.length > 0) {
+    await JobBroadcast.updateMany({ bookingId: booking._id, status: "sent" }, { $set: { status: "expired" } });
+    notifyJobTaken(io, pending.map((b) => b.technicianId.toString()), booking._id);
+  }
+
+  notifyCustomer(io, closed.customerId, "no_technician_found", {
+    bookingId: closed._id,
+    status: closed.status,
+    message: "Sorry, no technician is available for your booking right now",
+  });
+
+  return true;
+};
+
+// 4️⃣ First broadcast for scheduled bookings whose lead time has arrived
+export const processDueScheduledBookings = async (io, now = new Date()) => {
+  const { batchSize } = getConfig();
+
+  const due = await ServiceBooking.find({
+    status: "requested",
+    technicianId: null,
+    broadcastAttempts: 0,
+    broadcastNotBefore: { $ne: null, $lte: now },
+  })
+    .sort({ broadcastNotBefore: 1 })
+    .limit(batchSize)
+    .select("_id");
+
+  for (const booking of due) {
+    await matchAndBroadcastBooking(booking._id, io);
+  }
+
+  return { due: due.length };
+};
+
+// 5️⃣ Sequential bookings whose tier expired get the next tier right away
+export const cascadeSequentialBroadcasts = async (io, now = new Date()) => {
+  const { maxAttempts, batchSize } = getConfig();
+
+  const waiting = await ServiceBooking.find({
+    status: { $in: ["requested", "broadcasted"] },
+    technicianId: null,
+    broadcastMode: "sequential",
+    broadcastAttempts: { $lt: maxAttempts },
+    $or: [{ broadcastNotBefore: null }, { broadcastNotBefore: { $lte: now } }],
+  })
+    .sort({ lastMatchAttemptAt: 1 })
+    .limit(batchSize)
+    .select("_id");
+
+  let cascaded = 0;
+  for (const booking of waiting) {
+    const result = await offerNextTier(booking._id, io);
+    if (result?.count > 0) cascaded += 1;
+  }
+
+  return { cascaded };
+};
+
+// 2️⃣ + 3️⃣ Re-broadcast or give up on bookings with no live broadcast left
+export const processUnacceptedBookings = async (io, now = new Date()) => {
+  const { maxAttempts, batchSize } = getConfig();
+  const retryCutoff = new Date(now.getTime() - getBroadcastExpiryMs());
+
+  const candidates = await ServiceBooking.find({
+    status: { $in: ["requested", "broadcasted"] },
+    technicianId: null,
+    $and: [
+      {
+        $or: [
+          { lastMatchAttemptAt: { $lte: retryCutoff } },
+          // Bookings created before attempts were tracked
+          { lastMatchAttemptAt: null, createdAt: { $lte: retryCutoff } },
+        ],
+      },
+      // Scheduled bookings not yet due are left alone
+      { $or: [{ broadcastNotBefore: null }, { broadcastNotBefore: { $lte: now } }] },
+    ],
+  })
+    .sort({ lastMatchAttemptAt: 1 })
+    .limit(batchSize);
+
+  const summary = { rebroadcast: 0, closed: 0, skipped: 0 };
+
+  for (const booking of candidates) {
+    // Someone still has time to respond
+    const live = await JobBroadcast.exists({ bookingId: booking._id, status: "sent" });
+    if (live) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    if (Number(booking.broadcastAttempts || 0) >= maxAttempts) {
+      if (await closeAsNoTechnicianFound(booking, io)) summary.closed += 1;
+      continue;
+    }
+
+    await matchAndBroadcastBooking(booking._id, io);
+    summary.rebroadcast += 1;
+  }
+
+  return summary;
+};
+
+export const runBroadcastSweep = async (io) => {
+  const now = new Date();
+  const { expired } = await expireStaleBroadcasts(now);
+  const { due } = await processDueScheduledBookings(io, now);
+  const { cascaded } = await cascadeSequentialBroadcasts(io, now);
+  const summary = await processUnacceptedBookings(io, now);
+
+  if (expired || due || cascaded || summary.rebroadcast || summary.closed) {
+    console.log(
+      `⏰ Broadcast sweep: expired=${expired} scheduled=${due} cascaded=${cascaded} rebroadcast=${summary.rebroadcast} closed=${summary.closed}`
+    );
+  }
+
+  return { expired, due, cascaded, ...summary };
+};
+
+/**
+ * Start the cron job. Call once after the DB connection is up.
+ * Set BROADCAST_SCHEDULER_ENABLED=false to disable (e.g. on secondary instances).
+ * @param {Object} io - Socket.io instance
+ */
+export const startBroadcastScheduler = (io) => {
+  if (process.env.BROADCAST_SCHEDULER_ENABLED === "false") {
+    console.log("⏸️ Broadcast scheduler disabled");
+    return null;
+  }
+
+  const { cronExpression } = getConfig();
+  if (!cron.validate(cronExpression)) {
+    console.error(`❌ Invalid BROADCAST_SCHEDULER_CRON: ${cronExpression}`);
+    return null;
+  }
+
+  const task = cron.schedule(
+    cronExpression,
+    async () => {
+      try {
+        await runBroadcastSweep(io);
+      } catch (error) {
+        console.error("❌ Broadcast sweep failed:", error.message);
+      }
+    },
+    { name: "broadcast-sweep", noOverlap: true }
+  );
+
+  console.log(`⏰ Broadcast scheduler started (${cronExpression})`);
+  return task;
+};
@@ -0,0 +1,127 @@
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Payment from "../Schemas/Payment.js";
+import { getSettingsSection } from "./platformSettings.js";
+import { issueRefund } from "./refunds.js";
+
+/**
+ * ❌ CUSTOMER CANCELLATION POLICY
+ * - free before a technician is assigned
+ * - free for scheduled bookings cancelled `freeBeforeScheduledMinutes` ahead
+ * - free within `freeWindowMinutes` of assignment
+ * - otherwise a fee (feeAmount + feePercentage% of baseAmount)
+ * The fee is withheld from a captured payment and the rest is refunded.
+ * Each rule: Service.cancellationRules -> PlatformSettings.customerCancellation.
+ */
+
+export const CANCELLATION_RULE_FIELDS = ["freeWindowMinutes", "freeBeforeScheduledMinutes", "feeAmount", "feePercentage"];
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Validate `cancellationRules` from a Service request body (null fields inherit).
+ * @returns {{ error?: string, value?: Object }}
+ */
+export const validateCancellationRules = (input) => {
+  const value = Object.fromEntries(CANCELLATION_RULE_FIELDS.map((k) => [k, null]));
+  if (input === null) return { value };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "cancellationRules must be an object" };
+  }
+
+  for (const key of CANCELLATION_RULE_FIELDS) {
+    if (input[key] === undefined || input[key] === null) continue;
+    const n = Number(input[key]);
+    if (!Number.isFinite(n) || n < 0) {
+      return { error: `cancellationRules.${key} must be a non-negative number` };
+    }
+    if (key === "feePercentage" && n > 100) {
+      return { error: "cancellationRules.feePercentage must be between 0 and 100" };
+    }
+    value[key] = n;
+  }
+
+  return { value };
+};
+
+/**
+ * Effective rules for a service document.
+ */
+export const resolveCancellationRules = async (service) => {
+  const defaults = await getSettingsSection("customerCancellation");
+  const own = service?.cancellationRules || {};
+  return Object.fromEntries(CANCELLATION_RULE_FIELDS.map((k) => [k, own[k] ?? defaults[k]]));
+};
+
+/**
+ * Fee and refund for cancelling `booking` now.
+ * @returns {{ rule: string, fee: number, refundAmount: number }}
+ */
+export const computeCancellationCharges = (booking, rules, now = new Date()) => {
+  const paid = booking.paymentStatus === "paid" ? round2(booking.paidAmount || 0) : 0;
+  const free = (rule) => ({ rule, fee: 0, refundAmount: paid });
+
+  if (!booking.technicianId) return free("free_before_assignment");
+
+  if (booking.scheduledAt) {
+    const leadMs = new Date(booking.scheduledAt).getTime() - now.getTime();
+    if (leadMs >= Number(rules.freeBeforeScheduledMinutes || 0) * 60 * 1000) {
+      return free("free_before_schedule");
+    }
+  }
+
+  if (booking.assignedAt) {
+    const sinceAssignedMs = now.getTime() - new Date(booking.assignedAt).getTime();
+    if (sinceAssignedMs <= Number(rules.freeWindowMinutes || 0) * 60 * 1000) {
+      return free("free_window");
+    }
+  }
+
+  const fee = round2(Number(rules.feeAmount || 0) + (Number(booking.baseAmount || 0) * Number(rules.feePercentage || 0)) / 100);
+  // Only money actually captured can be withheld
+  const charged = Math.min(fee, paid);
+  return { rule: "fee_after_assignment", fee: charged, refundAmount: round2(paid - charged) };
+};
+
+/**
+ * Refund `booking.cancellation.refundAmount` (see utils/refunds.js). Never throws:
+ * failures are stored on the booking (refundStatus: failed) for a retry.
+ * @returns {Promise<Object>} updated booking
+ */
+export const refundCancelledBooking = async (booking, actor) => {
+  const amount = Number(booking.cancellation?.refundAmount || 0);
+  if (amount <= 0) return booking;
+
+  try {
+    const payment = await Payment.findById(booking.paymentId);
+    if (!payment) throw new Error("Payment record not found for refund");
+
+    const refund = await issueRefund({
+      payment,
+      amount,
+      bookingId: booking._id,
+      source: "customer_cancellation",
+      reason: booking.cancellation.reason,
+      actor,
+    });
+
+    // Payment status moves with the refund (processed now or via webhook)
+    return ServiceBooking.findByIdAndUpdate(
+      booking._id,
+      {
+        $set: {
+          "cancellation.refundStatus": refund.status === "processed" ? "processed" : "pending",
+          "cancellation.refundId": refund.providerRefundId,
+          "cancellation.refundError": null,
+        },
+      },
+      { new: true }
+    );
+  } catch (error) {
+    console.error("refundCancelledBooking:", error.message);
+    return ServiceBooking.findByIdAndUpdate(
+      booking._id,
+      { $set: { "cancellation.refundStatus": "failed", "cancellation.refundError": error.message } },
+      { new: true }
+    );
+  }
+};
@@ -0,0 +1,265 @@
+import mongoose from "mongoose";
+import Payment from "../Schemas/Payment.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Service from "../Schemas/Service.js";
+import WalletTransaction from "../Schemas/TechnicianWallet.js";
+import { computeBookingSplit, getBookingPayableAmount } from "./paymentSplit.js";
+import { resolveBookingCommission } from "./commissionRules.js";
+import { recordBookingEvent } from "./bookingEvents.js";
+import { settleBookingEarningsIfEligible } from "./settlement.js";
+import { SYSTEM_ACTOR } from "./bookingStatus.js";
+import { issueInvoiceSafely } from "./invoices.js";
+import { assertBookingPriceFinal } from "./bookingPricing.js";
+import { supersedeProviderOrder } from "./paymentCapture.js";
+
+/**
+ * 💵 CASH ON DELIVERY
+ * The technician records the cash at the end of the job; that creates a
+ * `cash` Payment and marks the booking paid. Settlement then debits the
+ * platform commission (plus any GST collected) from the technician's wallet
+ * (see settlement.js), and the Owner reconciles collections against those debits.
+ */
+
+// Cash can be taken once work has started
+export const CASH_COLLECTABLE_STATUSES = ["in_progress", "completed"];
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const createCashError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Record the cash a technician collected for a COD booking.
+ * @returns {Promise<{ booking: Object, payment: Object, settlement: Object }>}
+ */
+export const recordCashCollection = async ({ bookingId, technicianProfileId, amount, actor = SYSTEM_ACTOR }) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) throw createCashError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  if (!booking.technicianId || booking.technicianId.toString() !== String(technicianProfileId)) {
+    throw createCashError("Access denied for this booking", 403, "ACCESS_DENIED");
+  }
+  if (booking.paymentMode !== "cod") {
+    throw createCashError("Booking is not cash on delivery", 400, "NOT_COD_BOOKING");
+  }
+  if (!CASH_COLLECTABLE_STATUSES.includes(booking.status)) {
+    throw createCashError(`Cash cannot be collected in status ${booking.status}`, 400, "INVALID_BOOKING_STATUS", {
+      status: booking.status,
+    });
+  }
+  if (booking.paymentStatus !== "pending") {
+    throw createCashError("Payment already recorded for this booking", 409, "PAYMENT_ALREADY_RECORDED", {
+      paymentStatus: booking.paymentStatus,
+    });
+  }
+
+  const service = await Service.findById(booking.serviceId);
+  assertBookingPriceFinal({ booking, service });
+
+  const expected = getBookingPayableAmount(booking);
+  if (round2(amount) !== expected) {
+    throw createCashError(`Collected amount must be ${expected}`, 400, "CASH_AMOUNT_MISMATCH", { expected });
+  }
+  const commission = await resolveBookingCommission({ booking, service });
+  const split = computeBookingSplit({ service, booking, commission });
+
+  const session = await mongoose.startSession();
+  let payment;
+  try {
+    await session.withTransaction(async () => {
+      // An abandoned online order is converted; a captured one blocks cash
+      payment = await Payment.findOne({ bookingId: booking._id }).session(session);
+      if (payment && !["pending", "failed"].includes(payment.status)) {
+        throw createCashError("Payment already recorded for this booking", 409, "PAYMENT_ALREADY_RECORDED");
+      }
+      if (!payment) payment = new Payment({ bookingId: booking._id });
+      // The customer may still pay the online order; that capture is then refunded
+      supersedeProviderOrder(payment);
+
+      payment.set({
+        provider: "cash",
+        paymentMode: "cod",
+        providerOrderId: null,
+        baseAmount: split.taxableAmount,
+        totalAmount: split.totalAmount,
+        commissionAmount: split.commissionAmount,
+        technicianAmount: split.technicianAmount,
+        taxAmount: split.taxAmount,
+        discountAmount: split.discountAmount,
+        status: "success",
+        verifiedAt: new Date(),
+        failureReason: null,
+        collectedBy: booking.technicianId,
+        reconciliation: { status: "pending" },
+      });
+      await payment.save({ session });
+
+      const updated = await ServiceBooking.updateOne(
+        { _id: booking._id, paymentStatus: "pending" },
+        {
+          $set: {
+            paymentStatus: "paid",
+            paymentProvider: "cash",
+            paymentOrderId: null,
+            paidAmount: split.totalAmount,
+            commissionPercentage: split.commissionPercentage,
+            commissionRule: split.commissionRule,
+            commissionAmount: split.commissionAmount,
+            technicianAmount: split.technicianAmount,
+            paymentId: payment._id,
+          },
+        },
+        { session }
+      );
+      if (updated.modifiedCount === 0) {
+        throw createCashError("Payment already recorded for this booking", 409, "PAYMENT_ALREADY_RECORDED");
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: "cash_collected",
+    actor,
+    data: { amount: split.totalAmount, commissionAmount: split.commissionAmount, technicianId: booking.technicianId },
+  });
+
+  const settlement = await settleBookingEarningsIfEligible(booking._id);
+  await issueInvoiceSafely({ bookingModel: "ServiceBooking", bookingId: booking._id });
+  return { booking: await ServiceBooking.findById(booking._id), payment, settlement };
+};
+
+/**
+ * Cash collected vs commission debited, per technician.
+ * @param {Object} params
+ * @param {Date} [params.from]
+ * @param {Date} [params.to]
+ * @param {string} [params.technicianId]
+ * @param {string} [params.status] - reconciliation status filter (pending | reconciled)
+ */
+export const getCashReconciliation = async ({ from, to, technicianId, status } = {}) => {
+  const match = { provider: "cash", status: { $in: ["success", "partially_refunded", "refunded"] } };
+  if (from || to) {
+    match.verifiedAt = {};
+    if (from) match.verifiedAt.$gte = from;
+    if (to) match.verifiedAt.$lt = to;
+  }
+  if (technicianId) match.collectedBy = new mongoose.Types.ObjectId(String(technicianId));
+  if (status) match["reconciliation.status"] = status;
+
+  const payments = await Payment.find(match)
+    .select("bookingId collectedBy totalAmount commissionAmount technicianAmount taxAmount verifiedAt reconciliation")
+    .sort({ verifiedAt: -1 })
+    .lean();
+
+  // A coupon-subsidised cash job is settled with a credit instead (negative debit)
+  const entries = await WalletTransaction.find({
+    bookingId: { $in: payments.map((p) => p.bookingId) },
+    $or: [
+      { type: "debit", source: "commission" },
+      { type: "credit", source: "job" },
+    ],
+  })
+    .select("bookingId type amount")
+    .lean();
+  const debitedByBooking = new Map(
+    entries.map((e) => [e.bookingId.toString(), e.type === "debit" ? e.amount : -e.amount])
+  );
+
+  const byTechnician = new Map();
+  for (const payment of payments) {
+    const key = payment.collectedBy?.toString() || "unknown";
+    const row = byTechnician.get(key) || {
+      technicianId: payment.collectedBy || null,
+      collections: 0,
+      cashCollected: 0,
+      commissionDue: 0,
+      commissionDebited: 0,
+      pendingReconciliation: 0,
+    };
+    const debited = debitedByBooking.get(payment.bookingId.toString()) || 0;
+
+    row.collections += 1;
+    row.cashCollected = round2(row.cashCollected + payment.totalAmount);
+    // GST in the cash belongs to the platform too
+    row.commissionDue = round2(row.commissionDue + payment.commissionAmount + (payment.taxAmount || 0));
+    row.commissionDebited = round2(row.commissionDebited + debited);
+    if (payment.reconciliation?.status === "pending") row.pendingReconciliation += 1;
+    byTechnician.set(key, row);
+
+    payment.commissionDebited = debited;
+  }
+
+  const technicians = [...byTechnician.values()].map((row) => ({
+    ...row,
+    // Commission not yet debited (job not completed/settled yet)
+    commissionOutstanding: round2(row.commissionDue - row.commissionDebited),
+  }));
+
+  return {
+    totals: technicians.reduce(
+      (sum, row) => ({
+        collections: sum.collections + row.collections,
+        cashCollected: round2(sum.cashCollected + row.cashCollected),
+        commissionDue: round2(sum.commissionDue + row.commissionDue),
+        commissionDebited: round2(sum.commissionDebited + row.commissionDebited),
+      }),
+      { collections: 0, cashCollected: 0, commissionDue: 0, commissionDebited: 0 }
+    ),
+    technicians,
+    payments,
+  };
+};
+
+/**
+ * Mark cash payments reconciled. Only payments whose commission was already
+ * debited (booking settled) can be reconciled; the rest are returned as skipped.
+ */
+export const reconcileCashPayments = async ({ paymentIds, note = null, actor = SYSTEM_ACTOR }) => {
+  const payments = await Payment.find({
+    _id: { $in: paymentIds },
+    provider: "cash",
+    "reconciliation.status": "pending",
+  }).select("bookingId");
+
+  const settled = await ServiceBooking.find({
+    _id: { $in: payments.map((p) => p.bookingId) },
+    settlementStatus: "settled",
+  }).select("_id");
+  const settledIds = new Set(settled.map((b) => b._id.toString()));
+  const ready = payments.filter((p) => settledIds.has(p.bookingId.toString()));
+
+  if (ready.length > 0) {
+    await Payment.updateMany(
+      { _id: { $in: ready.map((p) => p._id) }, "reconciliation.status": "pending" },
+      {
+        $set: {
+          "reconciliation.status": "reconciled",
+          "reconciliation.reconciledAt": new Date(),
+          "reconciliation.reconciledBy": actor?.userId || null,
+          "reconciliation.note": note,
+        },
+      }
+    );
+    for (const payment of ready) {
+      await recordBookingEvent({
+        bookingId: payment.bookingId,
+        type: "cash_reconciled",
+        actor,
+        data: { paymentId: payment._id, note },
+      });
+    }
+  }
+
+  const readyIds = new Set(ready.map((p) => p._id.toString()));
+  return {
+    reconciled: ready.map((p) => p._id),
+    skipped: paymentIds.filter((id) => !readyIds.has(String(id))),
+  };
+};
@@ -0,0 +1,349 @@
+import mongoose from "mongoose";
+import CommissionRule, { TECHNICIAN_TIERS } from "../Schemas/CommissionRule.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Service from "../Schemas/Service.js";
+import Payment from "../Schemas/Payment.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import { computeBookingSplit } from "./paymentSplit.js";
+import { getZonedParts, zonedDateTimeToUtc } from "./technicianAvailability.js";
+
+/**
+ * 📐 COMMISSION RULES
+ * The platform's labour commission on a service booking comes from the best
+ * matching active CommissionRule, or the service's commissionPercentage when
+ * none matches. A rule targets categories, services, cities, pincodes and
+ * technician tiers (empty = any) inside an optional validity window, and can
+ * lower its rate for technicians who completed enough jobs this month. The
+ * result is stored on the booking (`commissionRule`) when the payment is
+ * created, so every split can be traced back to the rule that priced it.
+ * A booking paid before a technician was assigned is priced again at
+ * settlement, when tier and monthly volume are known.
+ * Spare parts keep their own percentage (PlatformSettings.spareParts).
+ */
+
+const MAX_COMMISSION_PERCENTAGE = 50;
+const SCOPE_KEYS = ["categoryIds", "serviceIds", "cities", "pincodes", "technicianTiers"];
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+export const normalizeCity = (city) => (typeof city === "string" ? city.trim().toLowerCase() : "");
+
+const toIdList = (input) => {
+  if (!Array.isArray(input)) return null;
+  if (!input.every((id) => mongoose.Types.ObjectId.isValid(id))) return null;
+  return [...new Set(input.map(String))];
+};
+
+const toDateOrNull = (input) => {
+  if (input === null || input === "") return null;
+  const date = new Date(input);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const toPercentage = (input) => {
+  const n = Number(input);
+  return Number.isFinite(n) && n >= 0 && n <= MAX_COMMISSION_PERCENTAGE ? round2(n) : null;
+};
+
+/**
+ * Validate an Owner create/update body.
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - update: only the fields present
+ * @param {Object} [options.current] - existing rule (update), for cross-field checks
+ * @returns {{ error?: string, value?: Object }}
+ */
+export const validateCommissionRuleInput = (body = {}, { partial = false, current = null } = {}) => {
+  const value = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has("name")) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > 100) return { error: "name is required (max 100 characters)" };
+    value.name = name;
+  }
+
+  if (has("description")) value.description = body.description ? String(body.description).trim() : null;
+
+  if (!partial || has("commissionPercentage")) {
+    const pct = toPercentage(body.commissionPercentage);
+    if (pct === null) return { error: `commissionPercentage must be between 0 and ${MAX_COMMISSION_PERCENTAGE}` };
+    value.commissionPercentage = pct;
+  }
+
+  for (const key of ["categoryIds", "serviceIds"]) {
+    if (!has(key)) continue;
+    const ids = toIdList(body[key]);
+    if (!ids) return { error: `${key} must be an array of valid IDs` };
+    value[key] = ids;
+  }
+
+  if (has("cities")) {
+    if (!Array.isArray(body.cities) || !body.cities.every((c) => normalizeCity(c))) {
+      return { error: "cities must be an array of city names" };
+    }
+    value.cities = [...new Set(body.cities.map(normalizeCity))];
+  }
+
+  if (has("pincodes")) {
+    if (!Array.isArray(body.pincodes) || !body.pincodes.every((p) => /^\d{6}$/.test(String(p).trim()))) {
+      return { error: "pincodes must be an array of 6-digit pincodes" };
+    }
+    value.pincodes = [...new Set(body.pincodes.map((p) => String(p).trim()))];
+  }
+
+  if (has("technicianTiers")) {
+    if (!Array.isArray(body.technicianTiers) || !body.technicianTiers.every((t) => TECHNICIAN_TIERS.includes(t))) {
+      return { error: `technicianTiers must be a list of: ${TECHNICIAN_TIERS.join(", ")}` };
+    }
+    value.technicianTiers = [...new Set(body.technicianTiers)];
+  }
+
+  if (has("volumeTiers")) {
+    if (!Array.isArray(body.volumeTiers)) return { error: "volumeTiers must be an array" };
+    const tiers = [];
+    for (const tier of body.volumeTiers) {
+      const minJobs = Number(tier?.minJobs);
+      const pct = toPercentage(tier?.commissionPercentage);
+      if (!Number.isInteger(minJobs) || minJobs < 1 || pct === null) {
+        return {
+          error: `Each volume tier needs an integer minJobs >= 1 and commissionPercentage 0-${MAX_COMMISSION_PERCENTAGE}`,
+        };
+      }
+      tiers.push({ minJobs, commissionPercentage: pct });
+    }
+    tiers.sort((a, b) => a.minJobs - b.minJobs);
+    if (new Set(tiers.map((t) => t.minJobs)).size !== tiers.length) {
+      return { error: "volumeTiers must not repeat minJobs" };
+    }
+    value.volumeTiers = tiers;
+  }
+
+  if (has("priority")) {
+    const n = Number(body.priority);
+    if (!Number.isInteger(n)) return { error: "priority must be an integer" };
+    value.priority = n;
+  }
+
+  if (has("isActive")) {
+    if (typeof body.isActive !== "boolean") return { error: "isActive must be a boolean" };
+    value.isActive = body.isActive;
+  }
+
+  for (const key of ["validFrom", "validTo"]) {
+    if (!has(key)) continue;
+    const date = toDateOrNull(body[key]);
+    if (date === undefined) return { error: `${key} must be a valid date or null` };
+    value[key] = date;
+  }
+
+  // Volume tiers only ever lower the rule's rate
+  const rulePercentage = value.commissionPercentage ?? current?.commissionPercentage;
+  const volumeTiers = value.volumeTiers || current?.volumeTiers || [];
+  if (volumeTiers.some((tier) => tier.commissionPercentage > rulePercentage)) {
+    return { error: "Volume tier commissionPercentage cannot exceed the rule's commissionPercentage" };
+  }
+
+  const validFrom = has("validFrom") ? value.validFrom : current?.validFrom;
+  const validTo = has("validTo") ? value.validTo : current?.validTo;
+  if (validFrom && validTo && validFrom >= validTo) {
+    return { error: "validFrom must be before validTo" };
+  }
+
+  return { value };
+};
+
+// Number of scope lists a rule narrows (more = more specific)
+const getSpecificity = (rule) => SCOPE_KEYS.filter((key) => (rule[key] || []).length > 0).length;
+
+const matchesScope = (rule, context) => {
+  const within = (list, v) => !list?.length || (v != null && list.map(String).includes(String(v)));
+  return (
+    within(rule.categoryIds, context.categoryId) &&
+    within(rule.serviceIds, context.serviceId) &&
+    within(rule.cities, context.city) &&
+    within(rule.pincodes, context.pincode) &&
+    within(rule.technicianTiers, context.technicianTier)
+  );
+};
+
+// 00:00 on the 1st of the business month containing `now`
+const getLocalMonthStart = (now) => {
+  const { year, month } = getZonedParts(now);
+  return zonedDateTimeToUtc(`${year}-${String(month).padStart(2, "0")}-01`, 0);
+};
+
+/**
+ * Jobs the technician completed since the start of the current business month.
+ */
+export const countJobsCompletedThisMonth = async (technicianId, { now = new Date(), excludeBookingId } = {}) => {
+  const filter = {
+    technicianId,
+    status: "completed",
+    statusHistory: { $elemMatch: { to: "completed", changedAt: { $gte: getLocalMonthStart(now), $lte: now } } },
+  };
+  if (excludeBookingId) filter._id = { $ne: excludeBookingId };
+  return ServiceBooking.countDocuments(filter);
+};
+
+/**
+ * Active rules (inside their validity window) matching the context, best first.
+ */
+export const findMatchingCommissionRules = async (context, { now = new Date() } = {}) => {
+  const rules = await CommissionRule.find({
+    isActive: true,
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+      { $or: [{ validTo: null }, { validTo: { $gt: now } }] },
+    ],
+  }).lean();
+
+  return rules
+    .filter((rule) => matchesScope(rule, context))
+    .sort(
+      (a, b) =>
+        (b.priority || 0) - (a.priority || 0) ||
+        getSpecificity(b) - getSpecificity(a) ||
+        new Date(b.createdAt) - new Date(a.createdAt)
+    );
+};
+
+/**
+ * Commission percentage for a service booking and the rule behind it
+ * (stored on the booking as `commissionRule`).
+ * @param {Object} params
+ * @param {Object} params.booking - ServiceBooking
+ * @param {Object} params.service - Service of the booking
+ * @param {Date} [params.now]
+ * @returns {Promise<Object>} { source, ruleId, ruleName, baseCommissionPercentage, commissionPercentage, volumeTier, jobsThisMonth, technicianTier, resolvedAt }
+ */
+export const resolveBookingCommission = async ({ booking, service, now = new Date() }) => {
+  const technician = booking.technicianId
+    ? await TechnicianProfile.findById(booking.technicianId).select("tier").lean()
+    : null;
+
+  const context = {
+    categoryId: service?.categoryId || null,
+    serviceId: service?._id || booking.serviceId || null,
+    city: normalizeCity(booking.addressSnapshot?.city) || null,
+    pincode: booking.addressSnapshot?.pincode ? String(booking.addressSnapshot.pincode).trim() : null,
+    technicianTier: technician ? technician.tier || "standard" : null,
+  };
+
+  const [rule] = await findMatchingCommissionRules(context, { now });
+  const base = {
+    technicianTier: context.technicianTier,
+    volumeTier: null,
+    jobsThisMonth: null,
+    resolvedAt: now,
+  };
+
+  if (!rule) {
+    const pct = Number(service?.commissionPercentage || 0);
+    return {
+      ...base,
+      source: "service",
+      ruleId: null,
+      ruleName: null,
+      baseCommissionPercentage: pct,
+      commissionPercentage: pct,
+    };
+  }
+
+  // Volume reductions need a technician; unassigned bookings get the rule's base rate
+  let volumeTier = null;
+  let jobsThisMonth = null;
+  if (rule.volumeTiers?.length && booking.technicianId) {
+    jobsThisMonth = await countJobsCompletedThisMonth(booking.technicianId, { now, excludeBookingId: booking._id });
+    volumeTier = [...rule.volumeTiers].reverse().find((tier) => jobsThisMonth >= tier.minJobs) || null;
+  }
+
+  return {
+    ...base,
+    source: "rule",
+    ruleId: rule._id,
+    ruleName: rule.name,
+    baseCommissionPercentage: rule.commissionPercentage,
+    commissionPercentage: volumeTier ? volumeTier.commissionPercentage : rule.commissionPercentage,
+    volumeTier: volumeTier ? { minJobs: volumeTier.minJobs, commissionPercentage: volumeTier.commissionPercentage } : null,
+    jobsThisMonth,
+  };
+};
+
+/**
+ * Price again a booking paid before a technician was assigned (its rule was
+ * resolved without tier or volume). Called at settlement; the booking and its
+ * payment line are updated together so refunds keep using the same split.
+ * Bookings already refunded, or whose price changed since payment, keep theirs.
+ * @param {Object} booking - ServiceBooking with technicianId set
+ * @returns {Promise<Object|null>} updated booking, or null when left as is
+ */
+export const repriceCommissionForTechnician = async (booking, { now = new Date() } = {}) => {
+  if (!booking.technicianId || booking.paymentStatus !== "paid" || booking.commissionRule?.technicianTier !== null) {
+    return null;
+  }
+
+  const service = await Service.findById(booking.serviceId);
+  const commission = await resolveBookingCommission({ booking, service, now });
+  const split = computeBookingSplit({ service, booking, commission });
+  if (split.totalAmount !== round2(booking.paidAmount)) return null;
+
+  const commissionDelta = round2(split.commissionAmount - Number(booking.commissionAmount || 0));
+  // Without a session (standalone MongoDB) the writes run one after the other
+  const applyReprice = async (session = null) => {
+    const updated = await ServiceBooking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        paymentStatus: "paid",
+        settlementStatus: { $ne: "settled" },
+        "commissionRule.technicianTier": null,
+      },
+      {
+        $set: {
+          commissionPercentage: split.commissionPercentage,
+          commissionRule: commission,
+          commissionAmount: split.commissionAmount,
+          technicianAmount: split.technicianAmount,
+        },
+      },
+      { new: true, session }
+    );
+    if (!updated || !booking.paymentId) return updated;
+
+    // commission + technician share stay equal to what was paid
+    const totals = { commissionAmount: commissionDelta, technicianAmount: -commissionDelta };
+    await Payment.updateOne({ _id: booking.paymentId, orderId: null }, { $inc: totals }, { session });
+    await Payment.updateOne(
+      { _id: booking.paymentId, orderId: { $ne: null }, "allocations.bookingId": booking._id },
+      {
+        $set: {
+          "allocations.$.commissionPercentage": split.commissionPercentage,
+          "allocations.$.commissionRule": commission,
+          "allocations.$.commissionAmount": split.commissionAmount,
+          "allocations.$.technicianAmount": split.technicianAmount,
+        },
+        $inc: totals,
+      },
+      { session }
+    );
+    return updated;
+  };
+
+  let updated = null;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      updated = await applyReprice(session);
+    });
+  } catch (e) {
+    const msg = String(e?.message || "");
+    if (msg.includes("replica set") || msg.includes("Transaction") || msg.includes("mongos")) {
+      return await applyReprice();
+    }
+    throw e;
+  } finally {
+    session.endSession();
+  }
+
+  return updated;
+};
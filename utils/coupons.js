@@ -0,0 +1,363 @@
+import mongoose from "mongoose";
+import Coupon from "../Schemas/Coupon.js";
+import CouponRedemption from "../Schemas/CouponRedemption.js";
+import Order from "../Schemas/Order.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import ProductBooking from "../Schemas/ProductBooking.js";
+import { rebaseTax } from "./tax.js";
+
+/**
+ * 🎟️ COUPONS
+ * A coupon discounts the eligible lines of a checkout (or one booking paid on
+ * its own). The discount is spread over those lines pro rata and lowers their
+ * taxable value, so GST is charged on the discounted price. It is platform
+ * funded: the technician's share stays what it would have been without it
+ * (see paymentSplit.js). A use is counted when the checkout / payment order is
+ * created and given back when everything it discounted is cancelled unpaid.
+ */
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const createCouponError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+export const normalizeCouponCode = (code) => (typeof code === "string" ? code.trim().toUpperCase() : "");
+
+const toIdList = (input) => {
+  if (!Array.isArray(input)) return null;
+  if (!input.every((id) => mongoose.Types.ObjectId.isValid(id))) return null;
+  return [...new Set(input.map(String))];
+};
+
+const toDateOrNull = (input) => {
+  if (input === null || input === "") return null;
+  const date = new Date(input);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const toLimit = (input) => {
+  if (input === null || input === "") return null;
+  const n = Number(input);
+  return Number.isInteger(n) && n >= 1 ? n : undefined;
+};
+
+/**
+ * Validate an Owner create/update body.
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - update: only the fields present
+ * @param {Object} [options.current] - existing coupon (update), for cross-field checks
+ * @returns {{ error?: string, value?: Object }}
+ */
+export const validateCouponInput = (body = {}, { partial = false, current = null } = {}) => {
+  const value = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has("code")) {
+    const code = normalizeCouponCode(body.code);
+    if (!/^[A-Z0-9_-]{3,30}$/.test(code)) {
+      return { error: "code must be 3-30 letters, digits, '-' or '_'" };
+    }
+    value.code = code;
+  }
+
+  if (has("description")) value.description = body.description ? String(body.description).trim() : null;
+
+  if (!partial || has("discountType")) {
+    if (!["flat", "percentage"].includes(body.discountType)) {
+      return { error: "discountType must be 'flat' or 'percentage'" };
+    }
+    value.discountType = body.discountType;
+  }
+
+  if (!partial || has("discountValue")) {
+    const n = Number(body.discountValue);
+    if (!Number.isFinite(n) || n <= 0) return { error: "discountValue must be a positive number" };
+    value.discountValue = round2(n);
+  }
+
+  const discountType = value.discountType || current?.discountType;
+  const discountValue = value.discountValue ?? current?.discountValue;
+  if (discountType === "percentage" && discountValue > 100) {
+    return { error: "Percentage discountValue cannot exceed 100" };
+  }
+
+  if (has("maxDiscountAmount")) {
+    if (body.maxDiscountAmount === null || body.maxDiscountAmount === "") {
+      value.maxDiscountAmount = null;
+    } else {
+      const n = Number(body.maxDiscountAmount);
+      if (!Number.isFinite(n) || n <= 0) return { error: "maxDiscountAmount must be a positive number or null" };
+      value.maxDiscountAmount = round2(n);
+    }
+  }
+
+  if (has("minOrderValue")) {
+    const n = Number(body.minOrderValue);
+    if (!Number.isFinite(n) || n < 0) return { error: "minOrderValue must be a non-negative number" };
+    value.minOrderValue = round2(n);
+  }
+
+  for (const key of ["categoryIds", "serviceIds"]) {
+    if (!has(key)) continue;
+    const ids = toIdList(body[key]);
+    if (!ids) return { error: `${key} must be an array of valid IDs` };
+    value[key] = ids;
+  }
+
+  for (const key of ["firstBookingOnly", "isActive"]) {
+    if (!has(key)) continue;
+    if (typeof body[key] !== "boolean") return { error: `${key} must be a boolean` };
+    value[key] = body[key];
+  }
+
+  for (const key of ["usageLimit", "perUserLimit"]) {
+    if (!has(key)) continue;
+    const limit = toLimit(body[key]);
+    if (limit === undefined) return { error: `${key} must be a positive integer or null` };
+    value[key] = limit;
+  }
+
+  for (const key of ["validFrom", "validTo"]) {
+    if (!has(key)) continue;
+    const date = toDateOrNull(body[key]);
+    if (date === undefined) return { error: `${key} must be a valid date or null` };
+    value[key] = date;
+  }
+
+  const validFrom = has("validFrom") ? value.validFrom : current?.validFrom;
+  const validTo = has("validTo") ? value.validTo : current?.validTo;
+  if (validFrom && validTo && validFrom >= validTo) {
+    return { error: "validFrom must be before validTo" };
+  }
+
+  return { value };
+};
+
+// A line is in scope when the coupon is unscoped, or its service / category is listed
+const isLineEligible = (coupon, line) => {
+  const serviceIds = (coupon.serviceIds || []).map(String);
+  const categoryIds = (coupon.categoryIds || []).map(String);
+  if (serviceIds.length === 0 && categoryIds.length === 0) return true;
+  if (line.itemType === "service" && serviceIds.includes(String(line.itemId))) return true;
+  return Boolean(line.categoryId) && categoryIds.includes(String(line.categoryId));
+};
+
+const hasEarlierBooking = async (customerId, excludeBookingIds = []) => {
+  const exclude = excludeBookingIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const [service, product] = await Promise.all([
+    ServiceBooking.exists({ customerId, status: { $ne: "cancelled" }, _id: { $nin: exclude } }),
+    ProductBooking.exists({ userId: customerId, status: { $ne: "cancelled" }, _id: { $nin: exclude } }),
+  ]);
+  return Boolean(service || product);
+};
+
+/**
+ * Check a code against a customer and the lines it would discount.
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string} params.customerId
+ * @param {Object[]} params.lines - [{ key, itemType, itemId, categoryId, amount }] amount = pre-GST price
+ * @param {string[]} [params.excludeBookingIds] - bookings being paid (ignored by firstBookingOnly)
+ * @param {Date} [params.now]
+ * @returns {Promise<{ coupon: Object, eligibleAmount: number, discountAmount: number, lines: Object[] }>}
+ *   lines: [{ key, discountAmount }] for every input line (0 when out of scope)
+ */
+export const evaluateCoupon = async ({ code, customerId, lines, excludeBookingIds = [], now = new Date() }) => {
+  const normalized = normalizeCouponCode(code);
+  const coupon = normalized ? await Coupon.findOne({ code: normalized }) : null;
+  if (!coupon) throw createCouponError("Coupon not found", 404, "COUPON_NOT_FOUND");
+  if (!coupon.isActive) throw createCouponError("Coupon is not active", 400, "COUPON_INACTIVE");
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw createCouponError("Coupon is not valid yet", 400, "COUPON_NOT_STARTED", { validFrom: coupon.validFrom });
+  }
+  if (coupon.validTo && now > coupon.validTo) {
+    throw createCouponError("Coupon has expired", 400, "COUPON_EXPIRED", { validTo: coupon.validTo });
+  }
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw createCouponError("Coupon usage limit reached", 409, "COUPON_USAGE_LIMIT_REACHED");
+  }
+  if (coupon.perUserLimit != null) {
+    const used = await CouponRedemption.countDocuments({ couponId: coupon._id, customerId });
+    if (used >= coupon.perUserLimit) {
+      throw createCouponError("You have already used this coupon", 409, "COUPON_USER_LIMIT_REACHED", {
+        perUserLimit: coupon.perUserLimit,
+      });
+    }
+  }
+  if (coupon.firstBookingOnly && (await hasEarlierBooking(customerId, excludeBookingIds))) {
+    throw createCouponError("Coupon is valid on your first booking only", 400, "COUPON_FIRST_BOOKING_ONLY");
+  }
+
+  const eligible = lines.filter((line) => isLineEligible(coupon, line) && Number(line.amount) > 0);
+  if (eligible.length === 0) {
+    throw createCouponError("Coupon does not apply to these items", 400, "COUPON_NOT_APPLICABLE");
+  }
+
+  const eligibleAmount = round2(eligible.reduce((sum, line) => sum + Number(line.amount), 0));
+  if (eligibleAmount < Number(coupon.minOrderValue || 0)) {
+    throw createCouponError(`Minimum order value for this coupon is ${coupon.minOrderValue}`, 400, "COUPON_MIN_ORDER_NOT_MET", {
+      minOrderValue: coupon.minOrderValue,
+      eligibleAmount,
+    });
+  }
+
+  let discountAmount =
+    coupon.discountType === "flat" ? Number(coupon.discountValue) : (eligibleAmount * Number(coupon.discountValue)) / 100;
+  if (coupon.maxDiscountAmount != null) discountAmount = Math.min(discountAmount, Number(coupon.maxDiscountAmount));
+  discountAmount = round2(Math.min(discountAmount, eligibleAmount));
+
+  // Pro rata by amount; the last eligible line takes the rounding remainder
+  const perLine = new Map();
+  let allocated = 0;
+  eligible.forEach((line, i) => {
+    const share =
+      i === eligible.length - 1
+        ? round2(discountAmount - allocated)
+        : round2((discountAmount * Number(line.amount)) / eligibleAmount);
+    allocated = round2(allocated + share);
+    perLine.set(line.key, share);
+  });
+
+  return {
+    coupon,
+    eligibleAmount,
+    discountAmount,
+    lines: lines.map((line) => ({ key: line.key, discountAmount: perLine.get(line.key) || 0 })),
+  };
+};
+
+/**
+ * Count one use (global limit enforced atomically) and record who used it.
+ * Runs in the caller's transaction.
+ */
+export const redeemCoupon = async ({ coupon, customerId, discountAmount, orderId = null, bookingModel = null, bookingId = null, session = null }) => {
+  const counted = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (counted.modifiedCount === 0) {
+    throw createCouponError("Coupon usage limit reached", 409, "COUPON_USAGE_LIMIT_REACHED");
+  }
+
+  const [redemption] = await CouponRedemption.create(
+    [{ couponId: coupon._id, code: coupon.code, customerId, orderId, bookingModel, bookingId, discountAmount }],
+    { session }
+  );
+  return redemption;
+};
+
+/**
+ * Apply a coupon to one unpaid service booking (paid on its own, not through an order).
+ * Lowers its taxable value and re-bases its GST. Re-applying the same coupon is a no-op.
+ * @returns {Promise<{ applied: boolean, discountAmount: number }>}
+ */
+export const applyCouponToServiceBooking = async ({ booking, service, code, customerId }) => {
+  if (booking.couponId) {
+    const current = await Coupon.findById(booking.couponId).select("code");
+    if (current?.code === normalizeCouponCode(code)) {
+      return { applied: false, discountAmount: booking.discountAmount };
+    }
+    throw createCouponError("A coupon is already applied to this booking", 409, "COUPON_ALREADY_APPLIED", {
+      code: current?.code || null,
+    });
+  }
+
+  const evaluation = await evaluateCoupon({
+    code,
+    customerId,
+    lines: [{ key: "booking", itemType: "service", itemId: service._id, categoryId: service.categoryId, amount: booking.baseAmount }],
+    excludeBookingIds: [booking._id],
+  });
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await redeemCoupon({
+        coupon: evaluation.coupon,
+        customerId,
+        discountAmount: evaluation.discountAmount,
+        bookingModel: "ServiceBooking",
+        bookingId: booking._id,
+        session,
+      });
+
+      const updated = await ServiceBooking.updateOne(
+        { _id: booking._id, couponId: null, paymentStatus: "pending" },
+        {
+          $set: {
+            couponId: evaluation.coupon._id,
+            discountAmount: evaluation.discountAmount,
+            tax: rebaseTax(booking.tax, round2(booking.baseAmount - evaluation.discountAmount)),
+          },
+        },
+        { session }
+      );
+      if (updated.modifiedCount === 0) {
+        throw createCouponError("A coupon is already applied to this booking", 409, "COUPON_ALREADY_APPLIED");
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  return { applied: true, discountAmount: evaluation.discountAmount };
+};
+
+// Delete the redemption and give its use back to the coupon
+const releaseRedemption = async (filter) => {
+  let released = null;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      released = await CouponRedemption.findOneAndDelete(filter, { session });
+      if (!released) return;
+      await Coupon.updateOne({ _id: released.couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+    });
+  } finally {
+    session.endSession();
+  }
+  return released;
+};
+
+/**
+ * Give back the coupon use of a cancelled booking that was never paid: its own
+ * redemption, or its checkout's once every booking of that order is cancelled
+ * and the order is still unpaid. Safe to call more than once.
+ * @param {Object} params
+ * @param {string} params.bookingModel - ServiceBooking | ProductBooking
+ * @param {Object} params.booking - the cancelled booking
+ * @returns {Promise<Object|null>} released CouponRedemption
+ */
+export const releaseCouponForCancelledBooking = async ({ bookingModel, booking }) => {
+  if (booking.status !== "cancelled" || booking.paymentStatus !== "pending") return null;
+
+  if (bookingModel === "ServiceBooking" && booking.couponId) {
+    const released = await releaseRedemption({ bookingModel, bookingId: booking._id });
+    if (released) return released;
+  }
+
+  const order = await Order.findOne({ "items.bookingId": booking._id, couponId: { $ne: null }, paymentStatus: "pending" })
+    .select("items")
+    .lean();
+  if (!order) return null;
+
+  const ids = (model) => order.items.filter((item) => item.bookingModel === model).map((item) => item.bookingId);
+  const [openServices, openProducts] = await Promise.all([
+    ServiceBooking.exists({ _id: { $in: ids("ServiceBooking") }, status: { $ne: "cancelled" } }),
+    ProductBooking.exists({ _id: { $in: ids("ProductBooking") }, status: { $ne: "cancelled" } }),
+  ]);
+  if (openServices || openProducts) return null;
+
+  return releaseRedemption({ orderId: order._id });
+};
@@ -0,0 +1,161 @@
+import PDFDocument from "pdfkit";
+
+/**
+ * 🖨️ EARNINGS STATEMENT PDF
+ * Renders utils/earningsStatements.js output on A4, like the invoice PDF.
+ * Built-in Helvetica has no rupee glyph, so amounts are printed as "INR".
+ */
+
+const money = (v) => Number(v || 0).toFixed(2);
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", day: "2-digit", month: "short", year: "numeric" })
+    : "-";
+
+const SUMMARY_ROWS = [
+  ["Jobs completed", "jobsCompleted", false],
+  ["Gross job value", "grossAmount", true],
+  ["Commission deducted", "commissionDeducted", true],
+  ["Net earnings", "netEarnings", true],
+  ["Opening balance", "openingBalance", true],
+  ["Job credits", "jobCredits", true],
+  ["Commission on cash jobs", "cashCommissionDebits", true],
+  ["Penalties", "penalties", true],
+  ["Withdrawals", "withdrawals", true],
+  ["Adjustments", "adjustments", true],
+  ["Closing balance", "closingBalance", true],
+];
+
+// [header, width, align]
+const JOB_COLUMNS = [
+  ["Completed", 70, "left"],
+  ["Service", 150, "left"],
+  ["Mode", 45, "left"],
+  ["Gross", 70, "right"],
+  ["Commission", 70, "right"],
+  ["Net", 70, "right"],
+];
+
+const TRANSACTION_COLUMNS = [
+  ["Date", 70, "left"],
+  ["Source", 70, "left"],
+  ["Note", 190, "left"],
+  ["Amount", 75, "right"],
+  ["Balance", 75, "right"],
+];
+
+const drawRow = (doc, columns, values, y, { bold = false } = {}) => {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  let x = doc.page.margins.left;
+  let bottom = y;
+  columns.forEach(([, width, align], i) => {
+    doc.text(String(values[i] ?? ""), x, y, { width, align });
+    bottom = Math.max(bottom, doc.y);
+    x += width + 5;
+  });
+  return bottom + 5;
+};
+
+/**
+ * Table with a header row, repeated on each new page.
+ * @returns {number} y after the table
+ */
+const drawTable = (doc, title, columns, rows, startY) => {
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const bottomLimit = doc.page.height - doc.page.margins.bottom - 20;
+
+  const header = (y) => {
+    doc.font("Helvetica-Bold").fontSize(11).text(title, left, y);
+    const next = drawRow(doc, columns, columns.map(([label]) => label), doc.y + 4, { bold: true });
+    doc.moveTo(left, next - 3).lineTo(right, next - 3).stroke();
+    return next;
+  };
+
+  let y = header(startY);
+  if (rows.length === 0) {
+    doc.font("Helvetica").fontSize(9).text("None", left, y);
+    return doc.y + 12;
+  }
+  for (const values of rows) {
+    if (y > bottomLimit) {
+      doc.addPage();
+      y = header(doc.page.margins.top);
+    }
+    y = drawRow(doc, columns, values, y);
+  }
+  return y + 12;
+};
+
+/**
+ * @param {Object} statement - buildEarningsStatement() result
+ * @returns {Promise<Buffer>}
+ */
+export const renderEarningsStatementPdf = (statement) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 40,
+      info: { Title: `Earnings statement ${statement.period.month}` },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    doc.font("Helvetica-Bold").fontSize(16).text("EARNINGS STATEMENT", left, 40, { align: "center" });
+    doc.moveDown(0.5);
+    doc.font("Helvetica").fontSize(9);
+    doc.text(`Period: ${statement.period.month}`);
+    doc.text(`Technician: ${statement.technician.name || statement.technician.technicianId}`);
+    if (statement.technician.mobileNumber) doc.text(`Mobile: ${statement.technician.mobileNumber}`);
+
+    let y = doc.y + 12;
+    for (const [label, key, isMoney] of SUMMARY_ROWS) {
+      const value = statement.summary[key];
+      const bold = key === "closingBalance" || key === "netEarnings";
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).text(label, left, y, { width: 200 });
+      doc.text(isMoney ? `INR ${money(value)}` : String(value), left + 200, y, { width: 120, align: "right" });
+      y = doc.y + 3;
+    }
+
+    y = drawTable(
+      doc,
+      "Jobs",
+      JOB_COLUMNS,
+      statement.jobs.map((job) => [
+        formatDate(job.completedAt),
+        job.serviceName || "-",
+        job.paymentMode,
+        money(job.grossAmount),
+        money(job.commissionAmount),
+        money(job.technicianAmount),
+      ]),
+      y + 16
+    );
+
+    drawTable(
+      doc,
+      "Wallet transactions",
+      TRANSACTION_COLUMNS,
+      statement.transactions.map((row) => [
+        formatDate(row.date),
+        row.source,
+        row.note || "-",
+        `${row.type === "credit" ? "+" : "-"}${money(row.amount)}`,
+        row.balanceAfter === null ? "-" : money(row.balanceAfter),
+      ]),
+      y
+    );
+
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .text("This is a computer generated statement.", left, doc.y + 20, { width: right - left, align: "center" });
+
+    doc.end();
+  });
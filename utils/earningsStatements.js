@@ -0,0 +1,205 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import WalletTransaction from "../Schemas/TechnicianWallet.js";
+import { getZonedParts, zonedDateTimeToUtc } from "./technicianAvailability.js";
+
+/**
+ * 📒 EARNINGS STATEMENTS
+ * One technician, one business-calendar month. Jobs are the bookings they
+ * completed in the month (completion time from statusHistory), with the
+ * gross job value, platform commission and their net share. The wallet side
+ * replays WalletTransaction rows: opening balance, credits and debits by
+ * source, closing balance. Rendered as JSON, CSV (here) or PDF
+ * (utils/earningsStatementPdf.js).
+ */
+
+const MONTH_REGEX = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const createStatementError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+/**
+ * [start, end) of a "YYYY-MM" month in the business time zone.
+ * @returns {{ month: string, start: Date, end: Date }}
+ */
+export const getMonthBounds = (month) => {
+  const match = MONTH_REGEX.exec(String(month || ""));
+  if (!match) throw createStatementError("month must be YYYY-MM", 400, "INVALID_MONTH");
+
+  const year = Number(match[1]);
+  const monthIndex = Number(match[2]);
+  const next = monthIndex === 12 ? `${year + 1}-01-01` : `${year}-${String(monthIndex + 1).padStart(2, "0")}-01`;
+  const start = zonedDateTimeToUtc(`${match[1]}-${match[2]}-01`, 0);
+  if (start > new Date()) throw createStatementError("Statements are not available for future months", 400, "INVALID_MONTH");
+
+  return { month: `${match[1]}-${match[2]}`, start, end: zonedDateTimeToUtc(next, 0) };
+};
+
+const completedAt = (booking) =>
+  [...(booking.statusHistory || [])].reverse().find((entry) => entry.to === "completed")?.changedAt || null;
+
+// Wallet sources as statement lines (signed: credits +, debits -)
+const LEDGER_LINES = {
+  job: "jobCredits",
+  commission: "cashCommissionDebits",
+  penalty: "penalties",
+  withdrawal: "withdrawals",
+  adjustment: "adjustments",
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.technicianId - TechnicianProfile id
+ * @param {string} params.month - "YYYY-MM"
+ */
+export const buildEarningsStatement = async ({ technicianId, month }) => {
+  const period = getMonthBounds(month);
+  const technicianObjectId = new mongoose.Types.ObjectId(String(technicianId));
+
+  const profile = await TechnicianProfile.findById(technicianObjectId)
+    .select("userId")
+    .populate("userId", "fname lname mobileNumber")
+    .lean();
+  if (!profile) throw createStatementError("Technician not found", 404, "TECHNICIAN_NOT_FOUND");
+
+  const [bookings, [opening], rows] = await Promise.all([
+    ServiceBooking.find({
+      technicianId: technicianObjectId,
+      status: "completed",
+      statusHistory: { $elemMatch: { to: "completed", changedAt: { $gte: period.start, $lt: period.end } } },
+    })
+      .select("serviceId statusHistory paymentMode paymentStatus technicianAmount commissionAmount settlementStatus")
+      .populate("serviceId", "serviceName")
+      .lean(),
+    WalletTransaction.aggregate([
+      { $match: { technicianId: technicianObjectId, createdAt: { $lt: period.start } } },
+      {
+        $group: {
+          _id: null,
+          balance: { $sum: { $cond: [{ $eq: ["$type", "credit"] }, "$amount", { $multiply: ["$amount", -1] }] } },
+        },
+      },
+    ]),
+    WalletTransaction.find({ technicianId: technicianObjectId, createdAt: { $gte: period.start, $lt: period.end } })
+      .select("bookingId amount type source note balanceAfter createdAt")
+      .sort({ sequence: 1, createdAt: 1, _id: 1 })
+      .lean(),
+  ]);
+
+  // Gross = what the job was worth before commission (net of any coupon, excluding GST)
+  const jobs = bookings
+    .map((booking) => {
+      const commissionAmount = round2(booking.commissionAmount || 0);
+      const technicianAmount = round2(booking.technicianAmount || 0);
+      return {
+        bookingId: booking._id,
+        completedAt: completedAt(booking),
+        serviceName: booking.serviceId?.serviceName || null,
+        paymentMode: booking.paymentMode,
+        paymentStatus: booking.paymentStatus,
+        settlementStatus: booking.settlementStatus,
+        grossAmount: round2(technicianAmount + commissionAmount),
+        commissionAmount,
+        technicianAmount,
+      };
+    })
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt));
+
+  const sumJobs = (key) => round2(jobs.reduce((sum, job) => sum + job[key], 0));
+  const ledger = { jobCredits: 0, cashCommissionDebits: 0, penalties: 0, withdrawals: 0, adjustments: 0 };
+  for (const row of rows) {
+    const key = LEDGER_LINES[row.source] || "adjustments";
+    ledger[key] = round2(ledger[key] + (row.type === "credit" ? row.amount : -row.amount));
+  }
+
+  const openingBalance = round2(opening?.balance || 0);
+  const closingBalance = round2(Object.values(ledger).reduce((sum, v) => sum + v, openingBalance));
+  const user = profile.userId || {};
+
+  return {
+    period: { month: period.month, from: period.start, to: period.end },
+    technician: {
+      technicianId: technicianObjectId,
+      name: [user.fname, user.lname].filter(Boolean).join(" ") || null,
+      mobileNumber: user.mobileNumber || null,
+    },
+    summary: {
+      jobsCompleted: jobs.length,
+      grossAmount: sumJobs("grossAmount"),
+      commissionDeducted: sumJobs("commissionAmount"),
+      netEarnings: sumJobs("technicianAmount"),
+      openingBalance,
+      ...ledger,
+      closingBalance,
+    },
+    jobs,
+    transactions: rows.map((row) => ({
+      transactionId: row._id,
+      date: row.createdAt,
+      type: row.type,
+      source: row.source,
+      amount: row.amount,
+      balanceAfter: row.balanceAfter ?? null,
+      bookingId: row.bookingId || null,
+      note: row.note || null,
+    })),
+  };
+};
+
+const formatDay = (date) => {
+  if (!date) return "";
+  const { year, month, day } = getZonedParts(new Date(date));
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+// Text starting with = + - @ (or tab / CR) would run as a formula in spreadsheets; numbers stay numbers
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Statement as CSV: a summary block, then the jobs table, then the wallet table.
+ * @returns {string}
+ */
+export const earningsStatementToCsv = (statement) => {
+  const lines = [];
+  const push = (...cells) => lines.push(cells.map(csvCell).join(","));
+
+  push("Earnings statement", statement.period.month);
+  push("Technician", statement.technician.name || statement.technician.technicianId);
+  for (const [key, value] of Object.entries(statement.summary)) push(key, value);
+
+  lines.push("");
+  push("Completed", "Booking", "Service", "Payment mode", "Payment status", "Gross", "Commission", "Net", "Settlement");
+  for (const job of statement.jobs) {
+    push(
+      formatDay(job.completedAt),
+      job.bookingId,
+      job.serviceName,
+      job.paymentMode,
+      job.paymentStatus,
+      job.grossAmount,
+      job.commissionAmount,
+      job.technicianAmount,
+      job.settlementStatus
+    );
+  }
+
+  lines.push("");
+  push("Date", "Transaction", "Type", "Source", "Amount", "Balance after", "Booking", "Note");
+  for (const row of statement.transactions) {
+    push(formatDay(row.date), row.transactionId, row.type, row.source, row.amount, row.balanceAfter, row.bookingId, row.note);
+  }
+
+  return `${lines.join("\r\n")}\r\n`;
+};
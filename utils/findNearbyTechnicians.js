@@ -1,4 +1,5 @@
 import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import { filterAvailableTechnicians } from "./technicianAvailability.js";
 
 export const findNearbyTechnicians = async ({
   latitude,
@@ -6,6 +7,8 @@ export const findNearbyTechnicians = async ({
   radiusMeters = 5000,
   limit = 20,
   technicianIds = [], // Added filter support
+  availableAt = new Date(), // skip technicians outside hours, on leave or at their daily limit
+  checkAvailability = true,
 }) => {
   const query = {
     "availability.isOnline": true,
@@ -28,7 +31,9 @@ export const findNearbyTechnicians = async ({
     query._id = { $in: technicianIds };
   }
 
-  return TechnicianProfile.find(query)
+  const technicians = await TechnicianProfile.find(query)
     .limit(limit)
     .select("_id location");
+
+  return checkAvailability ? filterAvailableTechnicians(technicians, { at: availableAt }) : technicians;
 };
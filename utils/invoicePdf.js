@@ -0,0 +1,119 @@
+import PDFDocument from "pdfkit";
+
+/**
+ * 🖨️ INVOICE PDF
+ * Renders a stored Invoice (utils/invoices.js) as an A4 tax invoice.
+ * Built-in Helvetica has no rupee glyph, so amounts are printed as "INR".
+ */
+
+const money = (v) => Number(v || 0).toFixed(2);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", day: "2-digit", month: "short", year: "numeric" });
+
+// [header, width, align] for the line table
+const COLUMNS = [
+  ["Description", 145, "left"],
+  ["HSN/SAC", 55, "left"],
+  ["Qty", 30, "right"],
+  ["Taxable", 65, "right"],
+  ["Rate", 35, "right"],
+  ["CGST", 50, "right"],
+  ["SGST", 50, "right"],
+  ["IGST", 50, "right"],
+];
+
+const drawRow = (doc, values, y, { bold = false } = {}) => {
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+  let x = doc.page.margins.left;
+  COLUMNS.forEach(([, width, align], i) => {
+    doc.text(String(values[i] ?? ""), x, y, { width, align });
+    x += width + 5;
+  });
+  return doc.y + 6;
+};
+
+const drawParty = (doc, title, party, x, y) => {
+  doc.font("Helvetica-Bold").fontSize(10).text(title, x, y);
+  doc.font("Helvetica").fontSize(9);
+  [party?.name, party?.address, party?.state && `State: ${party.state}`, party?.phone, party?.gstNumber && `GSTIN: ${party.gstNumber}`]
+    .filter(Boolean)
+    .forEach((text) => doc.text(text, x, doc.y, { width: 240 }));
+  return doc.y;
+};
+
+/**
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    doc.font("Helvetica-Bold").fontSize(16).text("TAX INVOICE", left, 40, { align: "center" });
+    doc.moveDown(0.5);
+    doc.font("Helvetica").fontSize(9);
+    doc.text(`Invoice No: ${invoice.invoiceNumber}`);
+    doc.text(`Date: ${formatDate(invoice.issuedAt)}`);
+    if (invoice.placeOfSupply) doc.text(`Place of supply: ${invoice.placeOfSupply}`);
+
+    const partiesY = doc.y + 12;
+    const supplierEnd = drawParty(doc, "Supplier", invoice.supplier, left, partiesY);
+    const customerEnd = drawParty(doc, "Bill To", invoice.customer, left + 270, partiesY);
+
+    let y = Math.max(supplierEnd, customerEnd) + 16;
+    y = drawRow(doc, COLUMNS.map(([header]) => header), y, { bold: true });
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+
+    for (const line of invoice.lines) {
+      y = drawRow(
+        doc,
+        [
+          line.description,
+          line.hsnSacCode || "-",
+          line.quantity,
+          money(line.taxableAmount),
+          `${line.rate}%`,
+          money(line.cgst),
+          money(line.sgst),
+          money(line.igst),
+        ],
+        y
+      );
+    }
+    doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+
+    const totals = invoice.totals || {};
+    const rows = [
+      ["Taxable amount", totals.taxableAmount],
+      ["CGST", totals.cgst],
+      ["SGST", totals.sgst],
+      ["IGST", totals.igst],
+      ["Total tax", totals.totalTax],
+    ];
+    y += 6;
+    for (const [label, value] of rows) {
+      doc.font("Helvetica").fontSize(9).text(label, right - 220, y, { width: 120 });
+      doc.text(`INR ${money(value)}`, right - 100, y, { width: 100, align: "right" });
+      y = doc.y + 4;
+    }
+    doc.font("Helvetica-Bold").fontSize(11).text("Grand total", right - 220, y, { width: 120 });
+    doc.text(`INR ${money(totals.grandTotal)}`, right - 100, y, { width: 100, align: "right" });
+
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .text("This is a computer generated invoice and does not require a signature.", left, doc.y + 30, {
+        width: right - left,
+        align: "center",
+      });
+
+    doc.end();
+  });
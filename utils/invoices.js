@@ -0,0 +1,223 @@
+import mongoose from "mongoose";
+import Invoice from "../Schemas/Invoice.js";
+import OwnerProfile from "../Schemas/OwnerProfile.js";
+import User from "../Schemas/User.js";
+import Service from "../Schemas/Service.js";
+import Product from "../Schemas/Product.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import ProductBooking from "../Schemas/ProductBooking.js";
+import { nextSequence } from "../Schemas/Counter.js";
+import { getSettingsSection } from "./platformSettings.js";
+import { getZonedParts } from "./technicianAvailability.js";
+import { computeGst, getSupplierState } from "./tax.js";
+
+/**
+ * 🧾 INVOICES
+ * One tax invoice per paid booking, numbered `<prefix>/<FY>/<seq>` from a
+ * per-financial-year counter (gap-free: the number is taken in the same
+ * transaction that stores the invoice). Issued right after payment capture or
+ * cash collection, and lazily on first download for anything missed.
+ * Lines come from the GST breakdown stored on the booking at creation; a
+ * service invoice adds one line per approved spare part.
+ */
+
+const BOOKING_MODELS = { ServiceBooking, ProductBooking };
+
+// A refunded booking keeps its invoice (refunds do not re-issue it)
+const INVOICEABLE_PAYMENT_STATUSES = ["paid", "partially_refunded", "refunded", "completed"];
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const createInvoiceError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+// Indian financial year (April - March) of an instant, e.g. "2026-27"
+export const getFinancialYear = (date = new Date()) => {
+  const { year, month } = getZonedParts(date);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+};
+
+const formatAddress = (snapshot) =>
+  [snapshot?.addressLine, snapshot?.city, snapshot?.state, snapshot?.pincode].filter(Boolean).join(", ") || null;
+
+const buildSupplier = async () => {
+  const owner = await OwnerProfile.findOne({ status: "Active" })
+    .select("companyName firstName lastName gstNumber address city state pincode")
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return {
+    name: owner?.companyName || [owner?.firstName, owner?.lastName].filter(Boolean).join(" ") || null,
+    gstNumber: owner?.gstNumber || null,
+    address: owner ? formatAddress({ addressLine: owner.address, city: owner.city, state: owner.state, pincode: owner.pincode }) : null,
+    state: await getSupplierState(),
+  };
+};
+
+const buildCustomer = async (customerId, snapshot) => {
+  const user = await User.findById(customerId).select("fname lname mobileNumber").lean();
+  return {
+    name: snapshot?.name || [user?.fname, user?.lname].filter(Boolean).join(" ") || null,
+    phone: snapshot?.phone || user?.mobileNumber || null,
+    address: formatAddress(snapshot),
+    state: snapshot?.state || null,
+  };
+};
+
+// Booking -> { customerId, snapshot, items } (item tax is null when it was disabled)
+const describeBooking = async (bookingModel, booking) => {
+  if (bookingModel === "ServiceBooking") {
+    const service = await Service.findById(booking.serviceId).select("serviceName hsnSacCode").lean();
+    const parts = (booking.parts || []).filter((part) => part.status === "approved");
+    return {
+      customerId: booking.customerId,
+      snapshot: booking.addressSnapshot,
+      items: [
+        {
+          description: service?.serviceName || "Service",
+          hsnSacCode: service?.hsnSacCode || null,
+          quantity: 1,
+          taxableAmount: round2(booking.baseAmount - (booking.discountAmount || 0)),
+          tax: booking.tax,
+        },
+        ...parts.map((part) => ({
+          description: `Spare part: ${part.name}`,
+          hsnSacCode: part.hsnSacCode,
+          quantity: part.quantity,
+          taxableAmount: part.amount,
+          tax: part.tax,
+        })),
+      ],
+    };
+  }
+
+  const product = await Product.findById(booking.productId).select("productName hsnSacCode").lean();
+  return {
+    customerId: booking.userId,
+    snapshot: booking.addressSnapshot,
+    items: [
+      {
+        description: product?.productName || "Product",
+        hsnSacCode: product?.hsnSacCode || null,
+        quantity: booking.quantity || 1,
+        taxableAmount: booking.tax ? booking.tax.taxableAmount : booking.amount,
+        tax: booking.tax,
+      },
+    ],
+  };
+};
+
+/**
+ * Issue (or return the existing) invoice for a paid booking.
+ * @param {Object} params
+ * @param {string} params.bookingModel - ServiceBooking | ProductBooking
+ * @param {string} params.bookingId
+ * @returns {Promise<{ invoice: Object, created: boolean }>}
+ */
+export const issueInvoice = async ({ bookingModel, bookingId }) => {
+  const Model = BOOKING_MODELS[bookingModel];
+  if (!Model) throw createInvoiceError("Invalid booking type", 400, "INVALID_BOOKING_MODEL");
+
+  const existing = await Invoice.findOne({ bookingModel, bookingId });
+  if (existing) return { invoice: existing, created: false };
+
+  const booking = await Model.findById(bookingId);
+  if (!booking) throw createInvoiceError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  if (!INVOICEABLE_PAYMENT_STATUSES.includes(booking.paymentStatus)) {
+    throw createInvoiceError("Invoice is available once the booking is paid", 409, "BOOKING_NOT_PAID", {
+      paymentStatus: booking.paymentStatus,
+    });
+  }
+
+  const described = await describeBooking(bookingModel, booking);
+  const [supplier, customer, settings] = await Promise.all([
+    buildSupplier(),
+    buildCustomer(described.customerId, described.snapshot),
+    getSettingsSection("tax"),
+  ]);
+
+  const taxes = described.items.map(
+    (item) =>
+      item.tax ||
+      computeGst({ amount: item.taxableAmount, rate: 0, supplierState: supplier.state, placeOfSupply: customer.state })
+  );
+  const lines = described.items.map((item, i) => ({
+    description: item.description,
+    hsnSacCode: item.hsnSacCode,
+    quantity: item.quantity,
+    taxableAmount: round2(taxes[i].taxableAmount),
+    rate: taxes[i].rate,
+    cgst: taxes[i].cgst,
+    sgst: taxes[i].sgst,
+    igst: taxes[i].igst,
+    total: round2(taxes[i].taxableAmount + taxes[i].totalTax),
+  }));
+  const sum = (key) => round2(lines.reduce((total, line) => total + line[key], 0));
+
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const prefix = settings?.invoicePrefix || "RT";
+
+  const session = await mongoose.startSession();
+  let invoice;
+  try {
+    await session.withTransaction(async () => {
+      const seq = await nextSequence(`invoice-${financialYear}`, session);
+      [invoice] = await Invoice.create(
+        [
+          {
+            invoiceNumber: `${prefix}/${financialYear}/${String(seq).padStart(5, "0")}`,
+            bookingModel,
+            bookingId: booking._id,
+            orderId: booking.orderId || null,
+            customerId: described.customerId,
+            paymentId: booking.paymentId || null,
+            issuedAt,
+            financialYear,
+            supplier,
+            customer,
+            placeOfSupply: taxes[0].placeOfSupply || customer.state,
+            interState: taxes[0].interState,
+            lines,
+            totals: {
+              taxableAmount: sum("taxableAmount"),
+              cgst: sum("cgst"),
+              sgst: sum("sgst"),
+              igst: sum("igst"),
+              totalTax: round2(sum("cgst") + sum("sgst") + sum("igst")),
+              grandTotal: sum("total"),
+            },
+          },
+        ],
+        { session }
+      );
+    });
+  } catch (error) {
+    // Issued concurrently (unique bookingModel + bookingId): the counter was rolled back with it
+    if (error?.code === 11000) {
+      const raced = await Invoice.findOne({ bookingModel, bookingId });
+      if (raced) return { invoice: raced, created: false };
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return { invoice, created: true };
+};
+
+// Eager issue after payment: never fails the payment flow (download retries it)
+export const issueInvoiceSafely = async (params) => {
+  try {
+    return await issueInvoice(params);
+  } catch (error) {
+    console.error(`Invoice issue failed for ${params.bookingModel} ${params.bookingId}:`, error.message);
+    return null;
+  }
+};
@@ -0,0 +1,157 @@
+import Order from "../Schemas/Order.js";
+import Service from "../Schemas/Service.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import ProductBooking from "../Schemas/ProductBooking.js";
+import { computeBookingSplit } from "./paymentSplit.js";
+import { resolveBookingCommission } from "./commissionRules.js";
+import { isBookingPriceFinal } from "./bookingPricing.js";
+
+/**
+ * 🧾 ORDERS
+ * A cart checkout is one Order; its Payment carries `allocations`, one line per
+ * booking still unpaid when the gateway order was created. On capture each line
+ * is written back to its booking (paid amount + commission split for services),
+ * so settlement, cancellation and refunds keep working per booking.
+ * Service bookings whose price is not final yet (quote to decide, spare parts
+ * to bill) are left out and paid on their own once it is.
+ */
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const BOOKING_MODELS = { ServiceBooking, ProductBooking };
+
+/**
+ * Lines still payable for an order (not paid, not cancelled) with their split.
+ * `deferredBookingIds` are service bookings left out until their price is final.
+ * @returns {Promise<{ allocations: Object[], deferredBookingIds: Object[], totalAmount: number, taxAmount: number, discountAmount: number, commissionAmount: number, technicianAmount: number }>}
+ */
+export const buildOrderAllocations = async (order) => {
+  const allocations = [];
+  const deferredBookingIds = [];
+
+  for (const item of order.items) {
+    const booking = await BOOKING_MODELS[item.bookingModel].findById(item.bookingId);
+    if (!booking || booking.paymentStatus !== "pending" || booking.status === "cancelled") continue;
+
+    if (item.bookingModel === "ServiceBooking") {
+      const service = await Service.findById(booking.serviceId);
+      if (!isBookingPriceFinal({ booking, service })) {
+        deferredBookingIds.push(booking._id);
+        continue;
+      }
+      const commission = await resolveBookingCommission({ booking, service });
+      const split = computeBookingSplit({ service, booking, commission });
+      allocations.push({
+        bookingModel: "ServiceBooking",
+        bookingId: booking._id,
+        amount: split.totalAmount,
+        taxAmount: split.taxAmount,
+        discountAmount: split.discountAmount,
+        commissionPercentage: split.commissionPercentage,
+        commissionRule: split.commissionRule,
+        commissionAmount: split.commissionAmount,
+        technicianAmount: split.technicianAmount,
+      });
+    } else {
+      // Products are sold by the platform: all of it (less GST) is platform revenue
+      const amount = round2(booking.amount);
+      const taxAmount = round2(booking.tax?.totalTax || 0);
+      allocations.push({
+        bookingModel: "ProductBooking",
+        bookingId: booking._id,
+        amount,
+        taxAmount,
+        discountAmount: round2(booking.discountAmount || 0),
+        commissionPercentage: 100,
+        commissionAmount: round2(amount - taxAmount),
+        technicianAmount: 0,
+      });
+    }
+  }
+
+  const sum = (key) => round2(allocations.reduce((total, line) => total + Number(line[key] || 0), 0));
+  return {
+    allocations,
+    deferredBookingIds,
+    totalAmount: sum("amount"),
+    taxAmount: sum("taxAmount"),
+    discountAmount: sum("discountAmount"),
+    commissionAmount: sum("commissionAmount"),
+    technicianAmount: sum("technicianAmount"),
+  };
+};
+
+/**
+ * Write a captured order payment back to the order and each allocated booking.
+ * Runs inside the capture transaction.
+ * @returns {Promise<string[]>} service booking ids (to settle)
+ */
+export const applyOrderPaymentCapture = async ({ payment, providerPaymentId, session }) => {
+  const serviceBookingIds = [];
+
+  for (const line of payment.allocations || []) {
+    if (line.bookingModel === "ServiceBooking") {
+      await ServiceBooking.updateOne(
+        { _id: line.bookingId, paymentStatus: "pending" },
+        {
+          $set: {
+            paymentStatus: "paid",
+            paymentMode: "online",
+            paymentProvider: payment.provider,
+            paymentOrderId: payment.providerOrderId,
+            paymentProviderPaymentId: providerPaymentId,
+            paidAmount: line.amount,
+            commissionPercentage: line.commissionPercentage,
+            commissionRule: line.commissionRule || null,
+            commissionAmount: line.commissionAmount,
+            technicianAmount: line.technicianAmount,
+            paymentId: payment._id,
+          },
+        },
+        { session }
+      );
+      serviceBookingIds.push(line.bookingId.toString());
+    } else {
+      await ProductBooking.updateOne(
+        { _id: line.bookingId, paymentStatus: "pending" },
+        { $set: { paymentStatus: "paid", paidAmount: line.amount, paymentId: payment._id } },
+        { session }
+      );
+    }
+  }
+
+  await Order.updateOne(
+    { _id: payment.orderId },
+    { $set: { paymentStatus: "paid", paymentMode: "online", paymentId: payment._id } },
+    { session }
+  );
+
+  return serviceBookingIds;
+};
+
+/**
+ * The part of a payment that belongs to one booking.
+ * Single-booking payments are one implicit line.
+ * @returns {Object|null} { bookingModel, bookingId, amount, technicianAmount, ... }
+ */
+export const getAllocationLine = (payment, bookingId) => {
+  if (!payment.orderId) {
+    return {
+      bookingModel: "ServiceBooking",
+      bookingId: payment.bookingId,
+      amount: Number(payment.totalAmount || 0),
+      commissionAmount: Number(payment.commissionAmount || 0),
+      technicianAmount: Number(payment.technicianAmount || 0),
+    };
+  }
+  if (!bookingId) return null;
+  return (payment.allocations || []).find((line) => line.bookingId.toString() === String(bookingId)) || null;
+};
+
+// Service bookings a payment touches (booking events are per service booking)
+export const getPaymentServiceBookingIds = (payment) =>
+  payment.orderId
+    ? (payment.allocations || []).filter((l) => l.bookingModel === "ServiceBooking").map((l) => l.bookingId)
+    : [payment.bookingId].filter(Boolean);
+
+export const getBookingModel = (name) => BOOKING_MODELS[name];
@@ -0,0 +1,268 @@
+import mongoose from "mongoose";
+import Payment from "../Schemas/Payment.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { recordBookingEvent } from "./bookingEvents.js";
+import { settleBookingEarningsIfEligible } from "./settlement.js";
+import { SYSTEM_ACTOR } from "./bookingStatus.js";
+import { applyOrderPaymentCapture, getPaymentServiceBookingIds } from "./orders.js";
+import { issueInvoiceSafely } from "./invoices.js";
+import { getPaymentGateway } from "./paymentGateways/index.js";
+
+/**
+ * ✅ PAYMENT CAPTURE
+ * One place that turns a gateway capture into a paid booking, whoever notices
+ * it first: client verification, the `payment.captured` / `order.paid` webhook
+ * or the reconciliation job. Every path is idempotent, so running more than one
+ * of them for the same payment is harmless. Order payments are spread over
+ * their bookings by utils/orders.js.
+ * A booking payment re-priced after its gateway order was created keeps the
+ * old order in `supersededOrders`. Its amount no longer matches the booking,
+ * so a capture on it never pays the booking: it is recorded as a stray capture
+ * and refunded in full, and the customer pays the current order.
+ */
+
+// A failed attempt can still be followed by a successful one on the same order
+const CAPTURABLE_STATUSES = ["pending", "failed"];
+
+const SPLIT_FIELDS = ["baseAmount", "totalAmount", "commissionAmount", "technicianAmount", "taxAmount", "discountAmount"];
+
+const pickSplit = (source) => Object.fromEntries(SPLIT_FIELDS.map((key) => [key, Number(source[key] || 0)]));
+
+/**
+ * Move the payment's current gateway order (if any) to `supersededOrders`.
+ * Call before replacing providerOrderId; the caller saves the document.
+ */
+export const supersedeProviderOrder = (payment) => {
+  if (!payment.providerOrderId) return;
+  payment.supersededOrders.push({
+    provider: payment.provider,
+    providerOrderId: payment.providerOrderId,
+    ...pickSplit(payment),
+    supersededAt: new Date(),
+  });
+};
+
+/**
+ * Payment a gateway order belongs to, current or superseded.
+ */
+export const findPaymentByProviderOrder = (provider, providerOrderId) =>
+  Payment.findOne({
+    $or: [
+      { provider, providerOrderId },
+      { supersededOrders: { $elemMatch: { provider, providerOrderId } } },
+    ],
+  });
+
+export const getSupersededOrder = (payment, providerOrderId) =>
+  providerOrderId && providerOrderId !== payment.providerOrderId
+    ? (payment.supersededOrders || []).find((order) => order.providerOrderId === providerOrderId) || null
+    : null;
+
+/**
+ * Mark a gateway payment captured and its booking(s) paid, then settle and
+ * issue their invoices.
+ * @param {Object} params
+ * @param {Object} params.payment - Payment document
+ * @param {string} params.providerPaymentId - gateway payment id (pay_...)
+ * @param {string} [params.signature] - checkout signature (client verification only)
+ * @param {string} params.source - verify | webhook | reconciliation
+ * @param {Object} [params.actor]
+ * @returns {Promise<{ captured: boolean, payment: Object }>} captured=false when already applied
+ */
+export const markPaymentCaptured = async ({ payment, providerPaymentId, signature = null, source, actor = SYSTEM_ACTOR }) => {
+  const session = await mongoose.startSession();
+  let updated = null;
+  let serviceBookingIds = [];
+  try {
+    await session.withTransaction(async () => {
+      updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: CAPTURABLE_STATUSES } },
+        {
+          $set: {
+            status: "success",
+            providerPaymentId,
+            ...(signature ? { providerSignature: signature } : {}),
+            verifiedAt: new Date(),
+            failureReason: null,
+          },
+        },
+        { new: true, session }
+      );
+
+      if (!updated) return;
+
+      if (updated.orderId) {
+        serviceBookingIds = await applyOrderPaymentCapture({ payment: updated, providerPaymentId, session });
+        return;
+      }
+
+      serviceBookingIds = [updated.bookingId];
+      await ServiceBooking.updateOne(
+        { _id: updated.bookingId },
+        {
+          $set: {
+            paymentStatus: "paid",
+            paymentMode: "online",
+            paymentProvider: updated.provider,
+            paymentOrderId: updated.providerOrderId,
+            paymentProviderPaymentId: providerPaymentId,
+            paidAmount: updated.totalAmount,
+            commissionAmount: updated.commissionAmount,
+            technicianAmount: updated.technicianAmount,
+            paymentId: updated._id,
+          },
+        },
+        { session }
+      );
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (!updated) {
+    return { captured: false, payment: await Payment.findById(payment._id) };
+  }
+
+  for (const bookingId of serviceBookingIds) {
+    await recordBookingEvent({
+      bookingId,
+      type: "payment_verified",
+      actor,
+      data: { provider: updated.provider, orderId: updated.providerOrderId, paymentId: providerPaymentId, source },
+    });
+
+    await settleBookingEarningsIfEligible(bookingId);
+  }
+
+  const invoiceLines = updated.orderId
+    ? updated.allocations
+    : [{ bookingModel: "ServiceBooking", bookingId: updated.bookingId }];
+  for (const line of invoiceLines) {
+    await issueInvoiceSafely({ bookingModel: line.bookingModel, bookingId: line.bookingId });
+  }
+  return { captured: true, payment: updated };
+};
+
+/**
+ * A capture on a superseded gateway order: recorded on that order and refunded
+ * in full (once per order). The booking stays as it is.
+ * @returns {Promise<string>} stray_capture | unchanged (already recorded)
+ */
+export const refundSupersededCapture = async ({ payment, providerOrderId, providerPaymentId, source, actor = SYSTEM_ACTOR }) => {
+  const order = getSupersededOrder(payment, providerOrderId);
+  if (!order) return "unchanged";
+
+  const marked = await Payment.updateOne(
+    { _id: payment._id, supersededOrders: { $elemMatch: { providerOrderId, strayProviderPaymentId: null } } },
+    { $set: { "supersededOrders.$.strayProviderPaymentId": providerPaymentId } }
+  );
+  if (marked.modifiedCount === 0) return "unchanged";
+
+  let refundId = null;
+  let refundError = null;
+  try {
+    const entity = await getPaymentGateway(order.provider).createRefund({
+      paymentId: providerPaymentId,
+      receipt: `stray_${providerPaymentId}`.slice(0, 40),
+      notes: { paymentId: payment._id.toString(), orderId: providerOrderId, source: "stray_capture" },
+    });
+    refundId = entity.id;
+  } catch (error) {
+    refundError = error.message;
+  }
+  await Payment.updateOne(
+    { _id: payment._id, "supersededOrders.providerOrderId": providerOrderId },
+    {
+      $set: {
+        "supersededOrders.$.strayRefundId": refundId,
+        "supersededOrders.$.strayRefundStatus": refundId ? "initiated" : "failed",
+      },
+    }
+  );
+
+  console.warn(
+    `⚠️ Stray ${order.provider} capture ${providerPaymentId} on superseded order ${providerOrderId} (payment ${payment._id}): ` +
+      (refundId ? `refund ${refundId} initiated` : `refund failed: ${refundError}`)
+  );
+  for (const bookingId of getPaymentServiceBookingIds(payment)) {
+    await recordBookingEvent({
+      bookingId,
+      type: "payment_stray_capture",
+      actor,
+      data: {
+        provider: order.provider,
+        orderId: providerOrderId,
+        paymentId: providerPaymentId,
+        amount: order.totalAmount,
+        refundId,
+        refundError,
+        source,
+      },
+    });
+  }
+  return "stray_capture";
+};
+
+/**
+ * Mark a still pending payment failed (a captured payment is never downgraded).
+ * @returns {Promise<boolean>} true when the status changed
+ */
+export const markPaymentFailed = async ({ payment, reason, providerPaymentId = null, source, actor = SYSTEM_ACTOR }) => {
+  const failureReason = reason || "Payment failed";
+  const result = await Payment.updateOne(
+    { _id: payment._id, status: "pending" },
+    { $set: { status: "failed", failureReason } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  for (const bookingId of getPaymentServiceBookingIds(payment)) {
+    await recordBookingEvent({
+      bookingId,
+      type: "payment_failed",
+      actor,
+      data: { provider: payment.provider, orderId: payment.providerOrderId, paymentId: providerPaymentId, reason: failureReason, source },
+    });
+  }
+  return true;
+};
+
+/**
+ * Apply a gateway payment entity (webhook or order lookup) to our Payment.
+ * Only `captured` and `failed` are final; anything else is left alone.
+ * @returns {Promise<string>} captured | failed | amount_mismatch | stray_capture | unchanged
+ */
+export const applyProviderPayment = async (payment, entity, source) => {
+  const superseded = getSupersededOrder(payment, entity?.order_id);
+  if (superseded) {
+    // A failed attempt on an old order says nothing about the current one
+    if (entity.status !== "captured") return "unchanged";
+    return refundSupersededCapture({
+      payment,
+      providerOrderId: superseded.providerOrderId,
+      providerPaymentId: entity.id,
+      source,
+    });
+  }
+
+  if (entity?.status === "captured") {
+    // Never mark paid for less than the order was raised for
+    if (Number(entity.amount) !== Math.round(Number(payment.totalAmount) * 100)) {
+      console.warn(`⚠️ ${payment.provider} amount mismatch for payment ${payment._id}: ${entity.amount} paise`);
+      return "amount_mismatch";
+    }
+    const { captured } = await markPaymentCaptured({ payment, providerPaymentId: entity.id, source });
+    return captured ? "captured" : "unchanged";
+  }
+
+  if (entity?.status === "failed") {
+    const failed = await markPaymentFailed({
+      payment,
+      reason: entity.error_description || entity.error_reason || "Payment failed",
+      providerPaymentId: entity.id,
+      source,
+    });
+    return failed ? "failed" : "unchanged";
+  }
+
+  return "unchanged";
+};
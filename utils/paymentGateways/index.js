@@ -0,0 +1,46 @@
+import razorpay from "./razorpay.js";
+import mock from "./mock.js";
+
+/**
+ * 🔌 PAYMENT GATEWAYS
+ * Every gateway exposes the same methods:
+ *   checkoutConfig()                              -> public values for the client checkout
+ *   createOrder({ amount, currency, receipt, notes }) -> order entity ({ id, ... })
+ *   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+ *   verifyWebhook({ rawBody, headers })           -> boolean
+ *   parseWebhook(body)                            -> { eventId, eventType, payment, refund }
+ *   fetchOrderPayments(orderId)                   -> payment entities, newest first
+ *   createRefund({ paymentId, amount, notes, receipt }) -> refund entity
+ * Entities follow Razorpay's shape (see razorpay.js). To add a gateway, write
+ * an adapter with these methods, register it below and add its name to the
+ * `provider` enums of Payment, Refund, PaymentEvent and ServiceBooking.
+ */
+
+const GATEWAYS = { razorpay, mock };
+
+export const PAYMENT_PROVIDERS = Object.keys(GATEWAYS);
+
+const createGatewayError = (message, code) => {
+  const err = new Error(message);
+  err.statusCode = 500;
+  err.code = code;
+  return err;
+};
+
+// Gateway for new orders (PAYMENT_PROVIDER, default razorpay)
+export const getActivePaymentProvider = () => (process.env.PAYMENT_PROVIDER || "razorpay").trim().toLowerCase();
+
+/**
+ * @param {string} [name] - provider stored on the Payment; defaults to the active one
+ * @returns {Object} gateway adapter
+ */
+export const getPaymentGateway = (name = getActivePaymentProvider()) => {
+  const gateway = GATEWAYS[name];
+  if (!gateway) {
+    throw createGatewayError(`Unknown payment provider: ${name}`, "UNKNOWN_PAYMENT_PROVIDER");
+  }
+  if (name === "mock" && process.env.NODE_ENV === "production") {
+    throw createGatewayError("Mock payment provider is disabled in production", "MOCK_PROVIDER_DISABLED");
+  }
+  return gateway;
+};
@@ -0,0 +1,122 @@
+import crypto from "node:crypto";
+import { parseRazorpayWebhook } from "./razorpay.js";
+
+/**
+ * 🧪 MOCK GATEWAY (local development only)
+ * Behaves like Razorpay without the network: orders and payment attempts live
+ * in memory, signatures are HMACs with MOCK_PAYMENT_SECRET and refunds are
+ * processed instantly. `simulatePayment` plays the customer paying in checkout;
+ * `buildWebhookEvent` produces the webhook Razorpay would have sent.
+ * State is lost on restart, so reconciliation simply finds nothing for old orders.
+ */
+
+const orders = new Map();
+
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET || "mock_payment_secret";
+
+const hmacHex = (payload) => crypto.createHmac("sha256", getSecret()).update(payload).digest("hex");
+
+const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString("hex")}`;
+
+const createMockError = (message, statusCode, code) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+/**
+ * Pay (or fail to pay) an order, as the customer would in checkout.
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {number} params.amount - rupees; used when the order is not in memory (server restarted)
+ * @param {"captured"|"failed"} params.outcome
+ * @returns {{ payment: Object, signature: string|null }} Razorpay-shaped payment entity
+ */
+export const simulatePayment = ({ orderId, amount, outcome }) => {
+  if (!["captured", "failed"].includes(outcome)) {
+    throw createMockError("outcome must be captured or failed", 400, "INVALID_MOCK_OUTCOME");
+  }
+
+  let order = orders.get(orderId);
+  if (!order) {
+    order = { id: orderId, amount: Math.round(Number(amount) * 100), currency: "INR", payments: [] };
+    orders.set(orderId, order);
+  }
+
+  const payment = {
+    id: mockId("pay"),
+    entity: "payment",
+    order_id: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    status: outcome,
+    error_description: outcome === "failed" ? "Payment declined (mock)" : null,
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  order.payments.unshift(payment);
+
+  return {
+    payment,
+    signature: outcome === "captured" ? hmacHex(`${order.id}|${payment.id}`) : null,
+  };
+};
+
+/**
+ * Razorpay-shaped webhook for a payment or refund entity, signed like a delivery.
+ * @returns {{ body: Object, rawBody: string, headers: Object }}
+ */
+export const buildWebhookEvent = (eventType, entity) => {
+  const kind = eventType.split(".")[0];
+  const body = {
+    event_id: mockId("evt"),
+    event: eventType,
+    payload: { [kind === "order" ? "payment" : kind]: { entity } },
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  const rawBody = JSON.stringify(body);
+  return { body, rawBody, headers: { "x-mock-signature": hmacHex(rawBody) } };
+};
+
+export default {
+  name: "mock",
+
+  checkoutConfig: () => ({ keyId: null, mock: true }),
+
+  createOrder: async ({ amount, currency, receipt, notes = {} }) => {
+    const order = {
+      id: mockId("order"),
+      entity: "order",
+      amount: Math.round(Number(amount) * 100),
+      currency,
+      receipt,
+      notes,
+      status: "created",
+      payments: [],
+    };
+    orders.set(order.id, order);
+    return order;
+  },
+
+  verifyPaymentSignature: ({ orderId, paymentId, signature }) => hmacHex(`${orderId}|${paymentId}`) === signature,
+
+  verifyWebhook: ({ rawBody, headers }) => Boolean(rawBody) && hmacHex(rawBody) === headers?.["x-mock-signature"],
+
+  parseWebhook: parseRazorpayWebhook,
+
+  fetchOrderPayments: async (orderId) => [...(orders.get(orderId)?.payments || [])],
+
+  createRefund: async ({ paymentId, amount, notes = {}, receipt }) => {
+    const payment = [...orders.values()].flatMap((o) => o.payments).find((p) => p.id === paymentId);
+    return {
+      id: mockId("rfnd"),
+      entity: "refund",
+      payment_id: paymentId,
+      amount: amount === undefined || amount === null ? payment?.amount || 0 : Math.round(Number(amount) * 100),
+      currency: payment?.currency || "INR",
+      receipt: receipt || null,
+      notes,
+      status: "processed",
+    };
+  },
+};
@@ -0,0 +1,157 @@
+import crypto from "node:crypto";
+import https from "node:https";
+
+/**
+ * 💳 RAZORPAY GATEWAY
+ * Thin HTTPS client (no SDK). Razorpay's entity shapes (amounts in paise,
+ * `captured`/`failed` statuses, `payment.*` / `refund.*` events) are the common
+ * shape every gateway in this folder returns.
+ * Errors carry `statusCode` and the Razorpay response in `details`.
+ */
+
+const createGatewayError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const hmacHex = (secret, payload) => crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+export const razorpayRequest = async ({ method, path, body, headers = {} }) => {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  if (!keyId || !keySecret) {
+    throw createGatewayError("Razorpay keys not configured (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET)", 500);
+  }
+
+  const payload = body ? JSON.stringify(body) : "";
+
+  const options = {
+    hostname: "api.razorpay.com",
+    path,
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(payload),
+      Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`,
+      ...headers,
+    },
+  };
+
+  return await new Promise((resolve, reject) => {
+    const req = https.request(options, (resp) => {
+      let data = "";
+      resp.on("data", (chunk) => (data += chunk));
+      resp.on("end", () => {
+        let json = null;
+        try {
+          json = data ? JSON.parse(data) : {};
+        } catch {
+          json = { raw: data };
+        }
+        if (resp.statusCode && resp.statusCode >= 200 && resp.statusCode < 300) {
+          return resolve(json);
+        }
+        const err = new Error(json?.error?.description || json?.message || "Razorpay request failed");
+        err.statusCode = resp.statusCode || 502;
+        err.details = json;
+        return reject(err);
+      });
+    });
+    req.on("error", reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+};
+
+// Razorpay-shaped webhook body -> { eventId, eventType, payment, refund }
+export const parseRazorpayWebhook = (body) => ({
+  eventId: body?.event_id || body?.id || null,
+  eventType: body?.event || null,
+  payment: body?.payload?.payment?.entity || null,
+  refund: body?.payload?.refund?.entity || null,
+});
+
+export default {
+  name: "razorpay",
+
+  // Public values the client checkout needs
+  checkoutConfig: () => ({ keyId: process.env.RAZORPAY_KEY_ID || null }),
+
+  /**
+   * @param {Object} params
+   * @param {number} params.amount - rupees
+   * @param {string} params.currency
+   * @param {string} params.receipt
+   * @param {Object} [params.notes]
+   * @returns {Promise<Object>} Razorpay order entity
+   */
+  createOrder: ({ amount, currency, receipt, notes = {} }) =>
+    razorpayRequest({
+      method: "POST",
+      path: "/v1/orders",
+      body: {
+        amount: Math.round(Number(amount) * 100),
+        currency,
+        receipt,
+        payment_capture: 1,
+        notes,
+      },
+    }),
+
+  // Checkout success callback: HMAC(order_id|payment_id) with the key secret
+  verifyPaymentSignature: ({ orderId, paymentId, signature }) => {
+    const secret = process.env.RAZORPAY_KEY_SECRET;
+    if (!secret) throw createGatewayError("Razorpay secret not configured", 500);
+    return safeEqual(hmacHex(secret, `${orderId}|${paymentId}`), signature);
+  },
+
+  verifyWebhook: ({ rawBody, headers }) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) throw createGatewayError("Webhook secret not configured", 500);
+    const signature = headers?.["x-razorpay-signature"];
+    if (!signature || !rawBody) return false;
+    return safeEqual(hmacHex(secret, rawBody), signature);
+  },
+
+  parseWebhook: parseRazorpayWebhook,
+
+  /**
+   * Payment attempts made against an order (newest first).
+   * @returns {Promise<Object[]>} Razorpay payment entities
+   */
+  fetchOrderPayments: async (orderId) => {
+    const result = await razorpayRequest({
+      method: "GET",
+      path: `/v1/orders/${encodeURIComponent(orderId)}/payments`,
+    });
+    return Array.isArray(result?.items) ? result.items : [];
+  },
+
+  /**
+   * Refund a captured payment (full when `amount` is omitted).
+   * @param {Object} params
+   * @param {string} params.paymentId - Razorpay payment id (pay_...)
+   * @param {number} [params.amount] - amount in rupees
+   * @param {Object} [params.notes]
+   * @param {string} [params.receipt]
+   * @returns {Promise<Object>} Razorpay refund entity
+   */
+  createRefund: ({ paymentId, amount, notes = {}, receipt }) => {
+    const body = { speed: "normal", notes };
+    if (amount !== undefined && amount !== null) body.amount = Math.round(Number(amount) * 100);
+    if (receipt) body.receipt = receipt;
+
+    return razorpayRequest({
+      method: "POST",
+      path: `/v1/payments/${encodeURIComponent(paymentId)}/refund`,
+      body,
+    });
+  },
+};
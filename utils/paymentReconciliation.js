@@ -0,0 +1,125 @@
+import cron from "node-cron";
+import Payment from "../Schemas/Payment.js";
+import { getPaymentGateway, PAYMENT_PROVIDERS } from "./paymentGateways/index.js";
+import { applyProviderPayment } from "./paymentCapture.js";
+
+/**
+ * 🔁 PAYMENT RECONCILIATION
+ * Safety net for captures we never heard about (app killed before verifyPayment,
+ * webhook not delivered). Asks the gateway about every order whose Payment is still
+ * pending - or failed recently - after PAYMENT_RECONCILIATION_MIN_AGE_MINUTES
+ * (including the orders it superseded) and applies what it finds through
+ * utils/paymentCapture.js.
+ */
+
+const toPositiveInt = (v, fallback) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+const getConfig = () => ({
+  cronExpression: process.env.PAYMENT_RECONCILIATION_CRON || "30 2 * * *",
+  minAgeMinutes: toPositiveInt(process.env.PAYMENT_RECONCILIATION_MIN_AGE_MINUTES, 30),
+  // Failed payments are re-checked this long (a later attempt on the order may succeed)
+  failedLookbackHours: toPositiveInt(process.env.PAYMENT_RECONCILIATION_FAILED_LOOKBACK_HOURS, 72),
+  batchSize: toPositiveInt(process.env.PAYMENT_RECONCILIATION_BATCH, 200),
+});
+
+/**
+ * Check stale gateway payments against their orders.
+ * @param {Object} [params]
+ * @param {Date} [params.now]
+ * @param {number} [params.minAgeMinutes] - overrides PAYMENT_RECONCILIATION_MIN_AGE_MINUTES
+ * @returns {Promise<{ checked: number, captured: number, failed: number, mismatched: number, stray: number, unchanged: number, errors: number }>}
+ */
+export const reconcilePendingPayments = async ({ now = new Date(), minAgeMinutes } = {}) => {
+  const config = getConfig();
+  const ageCutoff = new Date(now.getTime() - (minAgeMinutes ?? config.minAgeMinutes) * 60 * 1000);
+  const failedCutoff = new Date(now.getTime() - config.failedLookbackHours * 60 * 60 * 1000);
+
+  const payments = await Payment.find({
+    provider: { $in: PAYMENT_PROVIDERS },
+    providerOrderId: { $type: "string" },
+    createdAt: { $lte: ageCutoff },
+    $or: [{ status: "pending" }, { status: "failed", updatedAt: { $gte: failedCutoff } }],
+  })
+    .sort({ createdAt: 1 })
+    .limit(config.batchSize);
+
+  const summary = { checked: 0, captured: 0, failed: 0, mismatched: 0, stray: 0, unchanged: 0, errors: 0 };
+
+  for (const payment of payments) {
+    summary.checked += 1;
+    try {
+      // The current order, then superseded ones whose stray capture (if any) is not refunded yet
+      const orders = [
+        { provider: payment.provider, providerOrderId: payment.providerOrderId },
+        ...payment.supersededOrders.filter((order) => !order.strayProviderPaymentId),
+      ];
+      let entity = null;
+      for (const [index, order] of orders.entries()) {
+        const attempts = await getPaymentGateway(order.provider).fetchOrderPayments(order.providerOrderId);
+        // One captured attempt settles the payment; otherwise the latest attempt on the current order decides
+        const captured = attempts.find((p) => p.status === "captured");
+        if (captured) {
+          entity = captured;
+          break;
+        }
+        if (index === 0) entity = attempts[0] || null;
+      }
+      if (!entity) {
+        summary.unchanged += 1;
+        continue;
+      }
+
+      const outcome = await applyProviderPayment(payment, entity, "reconciliation");
+      if (outcome === "captured") summary.captured += 1;
+      else if (outcome === "failed") summary.failed += 1;
+      else if (outcome === "amount_mismatch") summary.mismatched += 1;
+      else if (outcome === "stray_capture") summary.stray += 1;
+      else summary.unchanged += 1;
+    } catch (error) {
+      summary.errors += 1;
+      console.error(`❌ Payment reconciliation failed for ${payment._id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Start the nightly cron job. Call once after the DB connection is up.
+ * Set PAYMENT_RECONCILIATION_ENABLED=false to disable (e.g. on secondary instances).
+ */
+export const startPaymentReconciliationScheduler = () => {
+  if (process.env.PAYMENT_RECONCILIATION_ENABLED === "false") {
+    console.log("⏸️ Payment reconciliation disabled");
+    return null;
+  }
+
+  const { cronExpression } = getConfig();
+  if (!cron.validate(cronExpression)) {
+    console.error(`❌ Invalid PAYMENT_RECONCILIATION_CRON: ${cronExpression}`);
+    return null;
+  }
+
+  const task = cron.schedule(
+    cronExpression,
+    async () => {
+      try {
+        const summary = await reconcilePendingPayments();
+        if (summary.checked) {
+          console.log(
+            `🔁 Payment reconciliation: checked=${summary.checked} captured=${summary.captured} failed=${summary.failed} mismatched=${summary.mismatched} errors=${summary.errors}`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Payment reconciliation failed:", error.message);
+      }
+    },
+    { name: "payment-reconciliation", noOverlap: true }
+  );
+
+  console.log(`🔁 Payment reconciliation scheduled (${cronExpression})`);
+  return task;
+};
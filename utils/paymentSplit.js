@@ -0,0 +1,107 @@
+/**
+ * 💰 PAYMENT SPLIT
+ * Platform commission vs technician share of a booking payment, from the
+ * resolved commission rule (utils/commissionRules.js) or the service's
+ * commissionPercentage. Shared by online and cash payments.
+ * GST is not shared: commission is taken from the taxable part only and the
+ * tax stays with the platform (it files it). Coupon discounts are platform
+ * funded: the technician's share is computed on the undiscounted price and the
+ * discount comes out of the commission (which can go negative).
+ * Approved spare parts (utils/spareParts.js) are added on top with their own
+ * commission percentage, stored on each part line.
+ */
+
+const toMoney = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+const round2 = (n) => Math.round((Number(n) + Number.EPSILON) * 100) / 100;
+
+/**
+ * @param {Object} params
+ * @param {Object} params.service
+ * @param {number} params.payableAmount - everything the customer pays (tax included)
+ * @param {number} [params.taxAmount] - GST inside payableAmount
+ * @param {number} [params.discountAmount] - coupon discount already taken off payableAmount
+ * @param {number} [params.commissionPercentage] - overrides service.commissionPercentage
+ */
+export const computeSplitFromService = ({ service, payableAmount, taxAmount = 0, discountAmount = 0, commissionPercentage }) => {
+  const totalAmount = round2(payableAmount);
+  const tax = round2(taxAmount);
+  const taxableAmount = round2(totalAmount - tax);
+  const listAmount = round2(taxableAmount + Number(discountAmount || 0));
+  const pct = toMoney(commissionPercentage ?? service?.commissionPercentage) ?? 0;
+  const technicianAmount = round2(listAmount - (listAmount * pct) / 100);
+  const commissionAmount = round2(taxableAmount - technicianAmount);
+  return {
+    commissionPercentage: pct,
+    totalAmount,
+    taxableAmount,
+    taxAmount: tax,
+    discountAmount: round2(discountAmount),
+    commissionAmount,
+    technicianAmount,
+  };
+};
+
+// Approved spare parts of a booking: amount (pre-GST), GST and platform commission
+export const getPartsTotals = (booking) =>
+  (booking.parts || [])
+    .filter((part) => part.status === "approved")
+    .reduce(
+      (totals, part) => ({
+        amount: round2(totals.amount + Number(part.amount || 0)),
+        taxAmount: round2(totals.taxAmount + Number(part.tax?.totalTax || 0)),
+        commissionAmount: round2(
+          totals.commissionAmount + (Number(part.amount || 0) * Number(part.commissionPercentage || 0)) / 100
+        ),
+      }),
+      { amount: 0, taxAmount: 0, commissionAmount: 0 }
+    );
+
+// GST on the whole booking (service + approved parts)
+export const getBookingTaxAmount = (booking) =>
+  round2(Number(booking.tax?.totalTax || 0) + getPartsTotals(booking).taxAmount);
+
+// What the customer owes for a service booking
+export const getBookingPayableAmount = (booking) => {
+  const parts = getPartsTotals(booking);
+  return round2(
+    Number(booking.baseAmount || 0) -
+      Number(booking.discountAmount || 0) +
+      Number(booking.tax?.totalTax || 0) +
+      parts.amount +
+      parts.taxAmount
+  );
+};
+
+/**
+ * @param {Object} params
+ * @param {Object} params.service
+ * @param {Object} params.booking
+ * @param {Object} [params.commission] - resolveBookingCommission() result; returned as `commissionRule`
+ */
+export const computeBookingSplit = ({ service, booking, commission = null }) => {
+  const labour = computeSplitFromService({
+    service,
+    commissionPercentage: commission?.commissionPercentage,
+    payableAmount: round2(
+      Number(booking.baseAmount || 0) - Number(booking.discountAmount || 0) + Number(booking.tax?.totalTax || 0)
+    ),
+    taxAmount: booking.tax?.totalTax || 0,
+    discountAmount: booking.discountAmount || 0,
+  });
+
+  const parts = getPartsTotals(booking);
+  return {
+    ...labour,
+    totalAmount: round2(labour.totalAmount + parts.amount + parts.taxAmount),
+    taxableAmount: round2(labour.taxableAmount + parts.amount),
+    taxAmount: round2(labour.taxAmount + parts.taxAmount),
+    partsAmount: parts.amount,
+    commissionAmount: round2(labour.commissionAmount + parts.commissionAmount),
+    technicianAmount: round2(labour.technicianAmount + parts.amount - parts.commissionAmount),
+    commissionRule: commission,
+  };
+};
@@ -0,0 +1,67 @@
+import Payment from "../Schemas/Payment.js";
+import PaymentEvent from "../Schemas/PaymentEvent.js";
+import { recordBookingEvent } from "./bookingEvents.js";
+import { applyRefundWebhook } from "./refunds.js";
+import { applyProviderPayment, findPaymentByProviderOrder } from "./paymentCapture.js";
+import { getPaymentGateway } from "./paymentGateways/index.js";
+import { getPaymentServiceBookingIds } from "./orders.js";
+
+/**
+ * 📬 PAYMENT WEBHOOKS
+ * Applies a verified gateway webhook (signature already checked by the caller),
+ * then stores it as a PaymentEvent. Effects run before the event is stored so a
+ * failure makes the gateway retry; every effect is idempotent.
+ * @param {string} provider - gateway name
+ * @param {Object} body - parsed webhook body
+ * @returns {Promise<{ duplicate: boolean, eventType?: string }>}
+ */
+export const processPaymentWebhook = async (provider, body) => {
+  const { eventId, eventType, payment: paymentEntity, refund: refundEntity } =
+    getPaymentGateway(provider).parseWebhook(body);
+  if (!eventId || !eventType) {
+    const err = new Error("Invalid webhook payload");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const existing = await PaymentEvent.findOne({ eventId });
+  if (existing) return { duplicate: true, eventType };
+
+  // Best-effort linking
+  const orderId = paymentEntity?.order_id;
+  const providerPaymentId = paymentEntity?.id || refundEntity?.payment_id;
+
+  let paymentDoc = null;
+  // Also matches gateway orders superseded by a re-price
+  if (orderId) paymentDoc = await findPaymentByProviderOrder(provider, orderId);
+  if (!paymentDoc && providerPaymentId) paymentDoc = await Payment.findOne({ provider, providerPaymentId });
+
+  // Refund outcomes (may be processed minutes after the API call)
+  if (["refund.processed", "refund.failed"].includes(eventType)) {
+    await applyRefundWebhook(provider, eventType, refundEntity);
+  }
+
+  // Captures the client never verified (app closed after paying); same rule for failures
+  if (paymentDoc && ["payment.captured", "payment.failed", "order.paid"].includes(eventType)) {
+    await applyProviderPayment(paymentDoc, paymentEntity, "webhook");
+  }
+
+  await PaymentEvent.create({
+    provider,
+    eventId,
+    bookingId: paymentDoc?.bookingId || null,
+    paymentId: paymentDoc?._id || null,
+    eventType,
+    payload: body,
+  });
+
+  for (const bookingId of paymentDoc ? getPaymentServiceBookingIds(paymentDoc) : []) {
+    await recordBookingEvent({
+      bookingId,
+      type: "payment_webhook",
+      data: { provider, eventId, eventType },
+    });
+  }
+
+  return { duplicate: false, eventType };
+};
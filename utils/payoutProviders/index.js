@@ -0,0 +1,42 @@
+import razorpayx from "./razorpayx.js";
+import simulator from "./simulator.js";
+
+/**
+ * 🔌 PAYOUT PROVIDERS
+ * Every provider exposes the same methods:
+ *   createPayout({ amount, mode, beneficiary, referenceId, idempotencyKey, narration, notes }) -> payout entity
+ *   fetchPayout(payoutId)                 -> payout entity
+ *   verifyWebhook({ rawBody, headers })   -> boolean
+ *   parseWebhook(body)                    -> { eventId, eventType, payout }
+ * Entities follow RazorpayX's shape (see razorpayx.js). To add a provider, write
+ * an adapter with these methods and register it below.
+ */
+
+const PROVIDERS = { razorpayx, simulator };
+
+export const PAYOUT_PROVIDERS = Object.keys(PROVIDERS);
+
+const createProviderError = (message, code) => {
+  const err = new Error(message);
+  err.statusCode = 500;
+  err.code = code;
+  return err;
+};
+
+// Provider for new payouts (PAYOUT_PROVIDER, default razorpayx)
+export const getActivePayoutProvider = () => (process.env.PAYOUT_PROVIDER || "razorpayx").trim().toLowerCase();
+
+/**
+ * @param {string} [name] - provider stored on the WithdrawalRequest; defaults to the active one
+ * @returns {Object} payout adapter
+ */
+export const getPayoutProvider = (name = getActivePayoutProvider()) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw createProviderError(`Unknown payout provider: ${name}`, "UNKNOWN_PAYOUT_PROVIDER");
+  }
+  if (name === "simulator" && process.env.NODE_ENV === "production") {
+    throw createProviderError("Payout simulator is disabled in production", "SIMULATOR_DISABLED");
+  }
+  return provider;
+};
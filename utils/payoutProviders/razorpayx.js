@@ -0,0 +1,98 @@
+import crypto from "node:crypto";
+import { razorpayRequest } from "../paymentGateways/razorpay.js";
+
+/**
+ * 🏦 RAZORPAYX PAYOUTS
+ * Bank (IMPS) and UPI payouts from the RazorpayX current account
+ * (RAZORPAYX_ACCOUNT_NUMBER), using the Razorpay API keys. The fund account is
+ * sent inline with each payout, so no contacts are kept on RazorpayX.
+ * Payout entities (amounts in paise, `queued` ... `processed` / `reversed`)
+ * are the common shape every provider in this folder returns.
+ */
+
+const createPayoutError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ""));
+  const right = Buffer.from(String(b || ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// RazorpayX narration: max 30 chars, letters, digits and spaces
+const toNarration = (text) =>
+  String(text || "Technician payout")
+    .replace(/[^a-zA-Z0-9 ]/g, " ")
+    .trim()
+    .slice(0, 30);
+
+const buildFundAccount = ({ mode, beneficiary, contactReference }) => {
+  const contact = { name: beneficiary.name, type: "employee", reference_id: contactReference };
+  if (mode === "upi") {
+    return { account_type: "vpa", vpa: { address: beneficiary.upiId }, contact };
+  }
+  return {
+    account_type: "bank_account",
+    bank_account: { name: beneficiary.name, ifsc: beneficiary.ifscCode, account_number: beneficiary.accountNumber },
+    contact,
+  };
+};
+
+export default {
+  name: "razorpayx",
+
+  /**
+   * @param {Object} params
+   * @param {number} params.amount - rupees
+   * @param {"bank"|"upi"} params.mode
+   * @param {Object} params.beneficiary - { name, accountNumber, ifscCode } or { name, upiId }
+   * @param {string} params.referenceId - our WithdrawalRequest id
+   * @param {string} params.idempotencyKey - same key = same payout (safe to retry)
+   * @param {string} [params.narration]
+   * @param {Object} [params.notes]
+   * @returns {Promise<Object>} RazorpayX payout entity
+   */
+  createPayout: ({ amount, mode, beneficiary, referenceId, idempotencyKey, narration, notes = {} }) => {
+    const accountNumber = process.env.RAZORPAYX_ACCOUNT_NUMBER;
+    if (!accountNumber) throw createPayoutError("RazorpayX account not configured (RAZORPAYX_ACCOUNT_NUMBER)", 500);
+
+    return razorpayRequest({
+      method: "POST",
+      path: "/v1/payouts",
+      headers: { "X-Payout-Idempotency": idempotencyKey },
+      body: {
+        account_number: accountNumber,
+        fund_account: buildFundAccount({ mode, beneficiary, contactReference: String(notes.technicianId || referenceId) }),
+        amount: Math.round(Number(amount) * 100),
+        currency: "INR",
+        mode: mode === "upi" ? "UPI" : "IMPS",
+        purpose: "payout",
+        queue_if_low_balance: true,
+        reference_id: String(referenceId).slice(0, 40),
+        narration: toNarration(narration),
+        notes,
+      },
+    });
+  },
+
+  fetchPayout: (payoutId) =>
+    razorpayRequest({ method: "GET", path: `/v1/payouts/${encodeURIComponent(payoutId)}` }),
+
+  verifyWebhook: ({ rawBody, headers }) => {
+    const secret = process.env.RAZORPAYX_WEBHOOK_SECRET || process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) throw createPayoutError("Payout webhook secret not configured", 500);
+    const signature = headers?.["x-razorpay-signature"];
+    if (!signature || !rawBody) return false;
+    return safeEqual(crypto.createHmac("sha256", secret).update(rawBody).digest("hex"), signature);
+  },
+
+  // RazorpayX webhook body -> { eventId, eventType, payout }
+  parseWebhook: (body) => ({
+    eventId: body?.event_id || body?.id || null,
+    eventType: body?.event || null,
+    payout: body?.payload?.payout?.entity || null,
+  }),
+};
@@ -0,0 +1,112 @@
+import crypto from "node:crypto";
+
+/**
+ * 🧪 PAYOUT SIMULATOR (local development only)
+ * Behaves like RazorpayX without the network: payouts live in memory and stay
+ * `processing` until `simulatePayoutOutcome` decides them, or are processed
+ * automatically PAYOUT_SIMULATOR_SETTLE_SECONDS after creation when fetched.
+ * `buildPayoutWebhookEvent` produces the webhook RazorpayX would have sent.
+ * State is lost on restart, so the status sync simply finds nothing for old payouts.
+ */
+
+const payouts = new Map();
+
+const getSecret = () => process.env.PAYOUT_SIMULATOR_SECRET || "payout_simulator_secret";
+
+const hmacHex = (payload) => crypto.createHmac("sha256", getSecret()).update(payload).digest("hex");
+
+const simulatorId = (prefix) => `${prefix}_sim_${crypto.randomBytes(7).toString("hex")}`;
+
+const createSimulatorError = (message, statusCode, code) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+};
+
+const getSettleMs = () => {
+  const n = Number(process.env.PAYOUT_SIMULATOR_SETTLE_SECONDS);
+  return (Number.isFinite(n) && n >= 0 ? n : 30) * 1000;
+};
+
+const decide = (payout, outcome) => {
+  payout.status = outcome;
+  if (outcome === "processed") payout.utr = `SIM${Date.now()}`;
+  else if (outcome === "reversed") payout.failure_reason = "Beneficiary bank returned the credit (simulated)";
+  else payout.failure_reason = "Payout failed (simulated)";
+  return { ...payout };
+};
+
+/**
+ * Decide a payout, as the bank would.
+ * @param {Object} params
+ * @param {string} params.payoutId
+ * @param {"processed"|"failed"|"reversed"} params.outcome
+ * @returns {Object} RazorpayX-shaped payout entity
+ */
+export const simulatePayoutOutcome = ({ payoutId, outcome }) => {
+  if (!["processed", "failed", "reversed"].includes(outcome)) {
+    throw createSimulatorError("outcome must be processed, failed or reversed", 400, "INVALID_SIMULATOR_OUTCOME");
+  }
+  const payout = payouts.get(payoutId);
+  if (!payout) throw createSimulatorError("Payout not found in the simulator (server restarted?)", 404, "PAYOUT_NOT_FOUND");
+  return decide(payout, outcome);
+};
+
+/**
+ * RazorpayX-shaped webhook for a payout entity, signed like a delivery.
+ * @returns {{ body: Object, rawBody: string, headers: Object }}
+ */
+export const buildPayoutWebhookEvent = (payout) => {
+  const body = {
+    event_id: simulatorId("evt"),
+    event: `payout.${payout.status}`,
+    payload: { payout: { entity: payout } },
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  const rawBody = JSON.stringify(body);
+  return { body, rawBody, headers: { "x-simulator-signature": hmacHex(rawBody) } };
+};
+
+export default {
+  name: "simulator",
+
+  createPayout: async ({ amount, mode, referenceId, idempotencyKey, notes = {} }) => {
+    const existing = [...payouts.values()].find((p) => p.idempotency_key === idempotencyKey);
+    if (existing) return { ...existing };
+
+    const payout = {
+      id: simulatorId("pout"),
+      entity: "payout",
+      amount: Math.round(Number(amount) * 100),
+      currency: "INR",
+      mode: mode === "upi" ? "UPI" : "IMPS",
+      reference_id: String(referenceId),
+      idempotency_key: idempotencyKey,
+      notes,
+      status: "processing",
+      utr: null,
+      failure_reason: null,
+      created_at: Math.floor(Date.now() / 1000),
+    };
+    payouts.set(payout.id, payout);
+    return { ...payout };
+  },
+
+  fetchPayout: async (payoutId) => {
+    const payout = payouts.get(payoutId);
+    if (!payout) throw createSimulatorError("Payout not found in the simulator", 404, "PAYOUT_NOT_FOUND");
+    if (payout.status === "processing" && Date.now() - payout.created_at * 1000 >= getSettleMs()) {
+      return decide(payout, "processed");
+    }
+    return { ...payout };
+  },
+
+  verifyWebhook: ({ rawBody, headers }) => Boolean(rawBody) && hmacHex(rawBody) === headers?.["x-simulator-signature"],
+
+  parseWebhook: (body) => ({
+    eventId: body?.event_id || null,
+    eventType: body?.event || null,
+    payout: body?.payload?.payout?.entity || null,
+  }),
+};
@@ -0,0 +1,337 @@
+import cron from "node-cron";
+import mongoose from "mongoose";
+import WithdrawalRequest from "../Schemas/WithdrawalRequest.js";
+import TechnicianKyc from "../Schemas/TechnicianKYC.js";
+import { postWalletTransaction } from "./walletLedger.js";
+import { getPayoutProvider, getActivePayoutProvider, PAYOUT_PROVIDERS } from "./payoutProviders/index.js";
+import { sendSocketNotification } from "./sendNotification.js";
+
+/**
+ * 🏦 PAYOUTS
+ * An approved WithdrawalRequest already reserved its amount (wallet debit).
+ * Sending it moves it to `processing` and asks the payout provider to pay the
+ * technician's verified bank account (or UPI id) from TechnicianKYC. The
+ * provider decides later: webhooks and a periodic status sync apply the
+ * outcome. `processed` marks it paid; `failed` / `reversed` marks it failed
+ * and credits the reserved amount back to the wallet.
+ * One idempotency key per withdrawal, so re-sending can never pay twice.
+ */
+
+// Provider statuses still waiting for the bank
+const IN_FLIGHT_STATUSES = ["queued", "pending", "scheduled", "processing"];
+// Provider statuses that mean the money did not (or no longer) reach the technician
+const FAILED_STATUSES = ["failed", "reversed", "rejected", "cancelled"];
+
+const toPositiveInt = (v, fallback) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+const getConfig = () => ({
+  cronExpression: process.env.PAYOUT_SYNC_CRON || "*/10 * * * *",
+  minAgeMinutes: toPositiveInt(process.env.PAYOUT_SYNC_MIN_AGE_MINUTES, 10),
+  batchSize: toPositiveInt(process.env.PAYOUT_SYNC_BATCH, 100),
+});
+
+// Approving a withdrawal sends the payout unless PAYOUTS_AUTOMATIC=false (manual mark_paid only)
+export const isAutomaticPayoutEnabled = () => process.env.PAYOUTS_AUTOMATIC !== "false";
+
+const createPayoutError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+const notifyTechnician = (io, withdrawal, event) => {
+  if (!io) return;
+  sendSocketNotification(io, withdrawal.technicianId.toString(), event, {
+    withdrawalId: withdrawal._id,
+    amount: withdrawal.amount,
+    status: withdrawal.status,
+    payoutReference: withdrawal.payoutReference,
+    failureReason: withdrawal.failureReason,
+  });
+};
+
+/**
+ * Verified bank account (preferred) or UPI id from the technician's KYC.
+ * @returns {Promise<{ mode: "bank"|"upi", beneficiary: Object }>}
+ */
+const getPayoutBeneficiary = async (technicianId) => {
+  const kyc = await TechnicianKyc.findOne({ technicianId }).select("+bankDetails.accountNumber");
+  if (!kyc?.bankVerified || kyc.bankVerificationStatus !== "approved" || kyc.bankUpdateRequired) {
+    throw createPayoutError("Technician bank details are not verified", 409, "BANK_NOT_VERIFIED");
+  }
+
+  const bank = kyc.toJSON().bankDetails || {};
+  const name = bank.accountHolderName || "Technician";
+  if (bank.accountNumber && bank.ifscCode) {
+    return { mode: "bank", beneficiary: { name, accountNumber: bank.accountNumber, ifscCode: bank.ifscCode } };
+  }
+  if (bank.upiId) {
+    return { mode: "upi", beneficiary: { name, upiId: bank.upiId } };
+  }
+  throw createPayoutError("Technician has no bank account or UPI id for payouts", 409, "NO_PAYOUT_ACCOUNT");
+};
+
+/**
+ * Mark a payout failed and give the reserved amount back (once).
+ * Also used when a processed payout is reversed later.
+ */
+const failWithdrawalPayout = async (withdrawalId, { payoutId, payoutStatus, reason }, io) => {
+  let failed = null;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      failed = null;
+      const doc = await WithdrawalRequest.findOneAndUpdate(
+        { _id: withdrawalId, status: { $in: ["processing", "paid"] } },
+        {
+          $set: {
+            status: "failed",
+            payoutStatus,
+            failureReason: reason,
+            ...(payoutId ? { payoutId } : {}),
+          },
+        },
+        { new: true, session }
+      );
+      if (!doc) return;
+
+      const transaction = await postWalletTransaction({
+        technicianId: doc.technicianId,
+        amount: doc.amount,
+        type: "credit",
+        source: "withdrawal",
+        note: "Payout failed - reserved funds restored",
+        session,
+      });
+      doc.reversalTransactionId = transaction._id;
+      failed = await doc.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  if (!failed) return WithdrawalRequest.findById(withdrawalId);
+  notifyTechnician(io, failed, "payout_failed");
+  return failed;
+};
+
+/**
+ * Apply a provider payout entity (API response, webhook or status sync).
+ * @param {string} provider
+ * @param {Object} entity - RazorpayX-shaped payout
+ * @param {Object} [options]
+ * @param {Object} [options.withdrawal] - skip the lookup
+ * @param {Object} [options.io] - Socket.IO server for technician notifications
+ * @returns {Promise<Object|null>} WithdrawalRequest
+ */
+export const applyPayoutUpdate = async (provider, entity, { withdrawal = null, io = null } = {}) => {
+  if (!entity?.id) return null;
+
+  let doc = withdrawal || (await WithdrawalRequest.findOne({ payoutProvider: provider, payoutId: entity.id }));
+  // A webhook can beat the API response that stores payoutId
+  if (!doc && mongoose.Types.ObjectId.isValid(entity.reference_id)) {
+    doc = await WithdrawalRequest.findOne({ _id: entity.reference_id, payoutProvider: provider, payoutId: null });
+  }
+  if (!doc) return null;
+
+  const status = String(entity.status || "").toLowerCase();
+  const tracked = { payoutId: entity.id, payoutStatus: status };
+
+  if (status === "processed") {
+    const paid = await WithdrawalRequest.findOneAndUpdate(
+      { _id: doc._id, status: "processing" },
+      { $set: { ...tracked, status: "paid", paidAt: new Date(), payoutReference: entity.utr || null, failureReason: null } },
+      { new: true }
+    );
+    if (!paid) return WithdrawalRequest.findById(doc._id);
+    notifyTechnician(io, paid, "payout_paid");
+    return paid;
+  }
+
+  if (FAILED_STATUSES.includes(status)) {
+    const reason = entity.failure_reason || entity.status_details?.description || `Payout ${status}`;
+    return failWithdrawalPayout(doc._id, { ...tracked, reason }, io);
+  }
+
+  if (!IN_FLIGHT_STATUSES.includes(status)) return doc;
+  return (
+    (await WithdrawalRequest.findOneAndUpdate(
+      { _id: doc._id, status: "processing" },
+      { $set: { ...tracked, failureReason: null } },
+      { new: true }
+    )) ||
+    WithdrawalRequest.findById(doc._id)
+  );
+};
+
+// Ask the provider to pay a `processing` withdrawal
+const sendPayout = async (withdrawal, { mode, beneficiary }, io) => {
+  const provider = getPayoutProvider(withdrawal.payoutProvider);
+
+  let entity;
+  try {
+    entity = await provider.createPayout({
+      amount: withdrawal.amount,
+      mode,
+      beneficiary,
+      referenceId: withdrawal._id.toString(),
+      idempotencyKey: `withdrawal_${withdrawal._id}`,
+      narration: "Technician payout",
+      notes: { withdrawalId: withdrawal._id.toString(), technicianId: withdrawal.technicianId.toString() },
+    });
+  } catch (error) {
+    // Rejected by the provider (bad account, ...): sending again will not help
+    if (error?.statusCode >= 400 && error?.statusCode < 500) {
+      return failWithdrawalPayout(withdrawal._id, { payoutStatus: "rejected", reason: error.message }, io);
+    }
+    // Outcome unknown: stays processing so a late webhook still applies; the status
+    // sync re-sends it with the same idempotency key
+    await WithdrawalRequest.updateOne(
+      { _id: withdrawal._id, status: "processing", payoutId: null },
+      { $set: { failureReason: error.message } }
+    );
+    throw createPayoutError(
+      `Payout request failed: ${error.message}; it will be retried automatically`,
+      502,
+      "PAYOUT_REQUEST_FAILED"
+    );
+  }
+
+  return applyPayoutUpdate(withdrawal.payoutProvider, entity, { withdrawal, io });
+};
+
+/**
+ * Send an approved withdrawal to the payout provider.
+ * @param {Object} params
+ * @param {string} params.withdrawalId
+ * @param {Object} [params.io]
+ * @returns {Promise<Object>} WithdrawalRequest (processing, paid or failed)
+ */
+export const initiateWithdrawalPayout = async ({ withdrawalId, io = null }) => {
+  const withdrawal = await WithdrawalRequest.findById(withdrawalId);
+  if (!withdrawal) throw createPayoutError("Withdrawal not found", 404, "WITHDRAWAL_NOT_FOUND");
+  if (withdrawal.status !== "approved") {
+    throw createPayoutError("Only approved withdrawals can be paid out", 409, "WITHDRAWAL_NOT_APPROVED", {
+      status: withdrawal.status,
+    });
+  }
+
+  const account = await getPayoutBeneficiary(withdrawal.technicianId);
+  // A retry stays with the provider that may already know the idempotency key
+  const providerName = PAYOUT_PROVIDERS.includes(withdrawal.payoutProvider)
+    ? withdrawal.payoutProvider
+    : getActivePayoutProvider();
+  getPayoutProvider(providerName);
+
+  const claimed = await WithdrawalRequest.findOneAndUpdate(
+    { _id: withdrawal._id, status: "approved" },
+    {
+      $set: {
+        status: "processing",
+        payoutProvider: providerName,
+        payoutMode: account.mode,
+        payoutInitiatedAt: new Date(),
+        failureReason: null,
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) throw createPayoutError("Withdrawal changed meanwhile, try again", 409, "WITHDRAWAL_CONFLICT");
+
+  return sendPayout(claimed, account, io);
+};
+
+/**
+ * Apply a verified payout webhook (signature already checked by the caller).
+ * Status updates are idempotent, so redeliveries are harmless.
+ * @returns {Promise<{ eventType: string, withdrawalId: string|null }>}
+ */
+export const processPayoutWebhook = async (provider, body, { io = null } = {}) => {
+  const { eventType, payout } = getPayoutProvider(provider).parseWebhook(body);
+  if (!eventType) throw createPayoutError("Invalid webhook payload", 400, "INVALID_PAYOUT_WEBHOOK");
+  if (!eventType.startsWith("payout.") || !payout) return { eventType, withdrawalId: null };
+
+  const withdrawal = await applyPayoutUpdate(provider, payout, { io });
+  return { eventType, withdrawalId: withdrawal?._id || null };
+};
+
+/**
+ * Ask the provider about payouts still processing after PAYOUT_SYNC_MIN_AGE_MINUTES.
+ * Ones without a payoutId (crash or error before the provider answered) are sent
+ * again with the same idempotency key.
+ * @returns {Promise<{ checked: number, paid: number, failed: number, unchanged: number, errors: number }>}
+ */
+export const syncProcessingPayouts = async ({ now = new Date(), minAgeMinutes, io = null } = {}) => {
+  const config = getConfig();
+  const cutoff = new Date(now.getTime() - (minAgeMinutes ?? config.minAgeMinutes) * 60 * 1000);
+
+  const withdrawals = await WithdrawalRequest.find({ status: "processing", payoutInitiatedAt: { $lte: cutoff } })
+    .sort({ payoutInitiatedAt: 1 })
+    .limit(config.batchSize);
+
+  const summary = { checked: 0, paid: 0, failed: 0, unchanged: 0, errors: 0 };
+
+  for (const withdrawal of withdrawals) {
+    summary.checked += 1;
+    try {
+      const updated = withdrawal.payoutId
+        ? await applyPayoutUpdate(
+            withdrawal.payoutProvider,
+            await getPayoutProvider(withdrawal.payoutProvider).fetchPayout(withdrawal.payoutId),
+            { withdrawal, io }
+          )
+        : await sendPayout(withdrawal, await getPayoutBeneficiary(withdrawal.technicianId), io);
+
+      if (updated?.status === "paid") summary.paid += 1;
+      else if (updated?.status === "failed") summary.failed += 1;
+      else summary.unchanged += 1;
+    } catch (error) {
+      summary.errors += 1;
+      console.error(`❌ Payout sync failed for withdrawal ${withdrawal._id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Start the payout status sync. Call once after the DB connection is up.
+ * Set PAYOUT_SYNC_ENABLED=false to disable (e.g. on secondary instances).
+ */
+export const startPayoutScheduler = (io) => {
+  if (process.env.PAYOUT_SYNC_ENABLED === "false") {
+    console.log("⏸️ Payout status sync disabled");
+    return null;
+  }
+
+  const { cronExpression } = getConfig();
+  if (!cron.validate(cronExpression)) {
+    console.error(`❌ Invalid PAYOUT_SYNC_CRON: ${cronExpression}`);
+    return null;
+  }
+
+  const task = cron.schedule(
+    cronExpression,
+    async () => {
+      try {
+        const summary = await syncProcessingPayouts({ io });
+        if (summary.checked) {
+          console.log(
+            `🏦 Payout sync: checked=${summary.checked} paid=${summary.paid} failed=${summary.failed} errors=${summary.errors}`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Payout sync failed:", error.message);
+      }
+    },
+    { name: "payout-sync", noOverlap: true }
+  );
+
+  console.log(`🏦 Payout status sync scheduled (${cronExpression})`);
+  return task;
+};
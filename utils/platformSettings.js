@@ -0,0 +1,173 @@
+import PlatformSettings from "../Schemas/PlatformSettings.js";
+import { GST_RATES } from "./tax.js";
+
+/**
+ * ⚙️ PLATFORM SETTINGS
+ * The singleton document is created on first read with schema defaults and cached
+ * for a short time. Only sections listed in SETTINGS_SECTIONS can be read/updated
+ * through the API; each may add a semantic check on the merged result.
+ */
+
+const SETTINGS_KEY = "platform";
+const CACHE_TTL_MS = 30 * 1000;
+
+let cache = { value: null, loadedAt: 0 };
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v) && !(v instanceof Date);
+
+const createSettingsError = (message, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.code = "INVALID_PLATFORM_SETTINGS";
+  err.details = details;
+  return err;
+};
+
+const isNonNegativeInteger = (v) => Number.isInteger(v) && v >= 0;
+
+// Semantic checks run on the merged section (types/min/max come from the schema)
+const validateMatching = (matching) => {
+  const totalWeight = Object.values(matching.weights || {}).reduce((sum, w) => sum + Number(w || 0), 0);
+  if (totalWeight <= 0) return "At least one matching weight must be greater than 0";
+  if (!isNonNegativeInteger(matching.maxTechniciansPerBroadcast)) return "maxTechniciansPerBroadcast must be an integer";
+  if (!isNonNegativeInteger(matching.statsWindowDays)) return "statsWindowDays must be an integer";
+  return null;
+};
+
+const validateTechnicianCancellation = (cancellation) => {
+  if (!isNonNegativeInteger(cancellation.gracePeriodMinutes)) return "gracePeriodMinutes must be an integer";
+  if (!isNonNegativeInteger(cancellation.statsWindowDays)) return "statsWindowDays must be an integer";
+  if (!isNonNegativeInteger(cancellation.autoSuspend?.minAcceptedJobs)) return "autoSuspend.minAcceptedJobs must be an integer";
+  return null;
+};
+
+const validateCustomerCancellation = (cancellation) => {
+  if (!isNonNegativeInteger(cancellation.freeWindowMinutes)) return "freeWindowMinutes must be an integer";
+  if (!isNonNegativeInteger(cancellation.freeBeforeScheduledMinutes)) return "freeBeforeScheduledMinutes must be an integer";
+  return null;
+};
+
+const validateTax = (tax) => {
+  if (!GST_RATES.includes(tax.defaultGstRate)) return `defaultGstRate must be one of ${GST_RATES.join(", ")}`;
+  if (!/^[A-Z0-9-]{1,6}$/.test(tax.invoicePrefix || "")) return "invoicePrefix must be 1-6 letters, digits or '-'";
+  return null;
+};
+
+const validateSettlement = (settlement) => {
+  if (!isNonNegativeInteger(settlement.holdPeriodHours)) return "holdPeriodHours must be an integer";
+  return null;
+};
+
+const validateWithdrawals = (withdrawals) => {
+  const { minAmount, maxPerDay, maxPerWeek, allowedWeekdays = [] } = withdrawals;
+  if (!isNonNegativeInteger(withdrawals.maxOpenRequests)) return "maxOpenRequests must be an integer";
+  if (!isNonNegativeInteger(withdrawals.cooldownDays)) return "cooldownDays must be an integer";
+  if (!Array.isArray(allowedWeekdays) || !allowedWeekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    return "allowedWeekdays must be weekday numbers 0-6 (0 = Sunday)";
+  }
+  if (new Set(allowedWeekdays).size !== allowedWeekdays.length) return "allowedWeekdays must not repeat a day";
+  if (maxPerDay > 0 && maxPerDay < minAmount) return "maxPerDay must be at least minAmount";
+  if (maxPerWeek > 0 && maxPerWeek < Math.max(minAmount, maxPerDay)) return "maxPerWeek must be at least minAmount and maxPerDay";
+  if (!isNonNegativeInteger(withdrawals.autoApprove?.minCompletedJobs)) return "autoApprove.minCompletedJobs must be an integer";
+  if (!isNonNegativeInteger(withdrawals.autoApprove?.penaltyFreeDays)) return "autoApprove.penaltyFreeDays must be an integer";
+  return null;
+};
+
+export const SETTINGS_SECTIONS = Object.freeze({
+  matching: { validate: validateMatching },
+  technicianCancellation: { validate: validateTechnicianCancellation },
+  customerCancellation: { validate: validateCustomerCancellation },
+  tax: { validate: validateTax },
+  // min/max in the schema are the only rules
+  spareParts: {},
+  settlement: { validate: validateSettlement },
+  withdrawals: { validate: validateWithdrawals },
+});
+
+export const isSettingsSection = (name) => Object.prototype.hasOwnProperty.call(SETTINGS_SECTIONS, name);
+
+/**
+ * Full settings object (plain). Pass `fresh: true` to bypass the cache.
+ */
+export const getPlatformSettings = async ({ fresh = false } = {}) => {
+  if (!fresh && cache.value && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.value;
+  }
+
+  const doc = await PlatformSettings.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { $setOnInsert: { key: SETTINGS_KEY } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  cache = { value: doc.toObject(), loadedAt: Date.now() };
+  return cache.value;
+};
+
+export const getSettingsSection = async (name, options) => {
+  const settings = await getPlatformSettings(options);
+  return settings[name];
+};
+
+// { a: { b: 1 } } -> { "prefix.a.b": 1 } (arrays are replaced as a whole)
+const flattenPatch = (value, prefix, out = {}) => {
+  for (const [key, v] of Object.entries(value)) {
+    const path = `${prefix}.${key}`;
+    if (isPlainObject(v)) flattenPatch(v, path, out);
+    else out[path] = v;
+  }
+  return out;
+};
+
+const mergeDeep = (base, patch) => {
+  const out = { ...base };
+  for (const [key, v] of Object.entries(patch)) {
+    out[key] = isPlainObject(v) && isPlainObject(base?.[key]) ? mergeDeep(base[key], v) : v;
+  }
+  return out;
+};
+
+/**
+ * Partially update one section. Unknown fields are rejected.
+ * @param {string} name - section name (see SETTINGS_SECTIONS)
+ * @param {Object} patch - partial section values
+ * @param {Object} [actor] - { userId } of who made the change
+ * @returns {Promise<Object>} updated section
+ */
+export const updateSettingsSection = async (name, patch, actor = {}) => {
+  if (!isSettingsSection(name)) {
+    throw createSettingsError(`Unknown settings section: ${name}`);
+  }
+  if (!isPlainObject(patch) || Object.keys(patch).length === 0) {
+    throw createSettingsError("Request body must contain the fields to update");
+  }
+
+  const set = flattenPatch(patch, name);
+  const unknownFields = Object.keys(set).filter((path) => !PlatformSettings.schema.path(path));
+  if (unknownFields.length > 0) {
+    throw createSettingsError("Unknown settings fields", { unknownFields });
+  }
+
+  const current = await getSettingsSection(name, { fresh: true });
+  const error = SETTINGS_SECTIONS[name].validate?.(mergeDeep(current, patch));
+  if (error) throw createSettingsError(error);
+
+  set.updatedBy = actor.userId || null;
+
+  let doc;
+  try {
+    doc = await PlatformSettings.findOneAndUpdate(
+      { key: SETTINGS_KEY },
+      { $set: set },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (e) {
+    if (e?.name === "ValidationError" || e?.name === "CastError") {
+      throw createSettingsError(e.message);
+    }
+    throw e;
+  }
+
+  cache = { value: doc.toObject(), loadedAt: Date.now() };
+  return cache.value[name];
+};
@@ -0,0 +1,328 @@
+import Refund from "../Schemas/Refund.js";
+import Payment from "../Schemas/Payment.js";
+import Order from "../Schemas/Order.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import WalletTransaction from "../Schemas/TechnicianWallet.js";
+import { getPaymentGateway } from "./paymentGateways/index.js";
+import { recordBookingEvent } from "./bookingEvents.js";
+import { postWalletTransaction } from "./walletLedger.js";
+import { SYSTEM_ACTOR } from "./bookingStatus.js";
+import { getAllocationLine, getBookingModel } from "./orders.js";
+
+/**
+ * 💸 REFUNDS
+ * issueRefund creates the Refund row, then asks the payment's gateway. The refund
+ * is final once the gateway says `processed` (API response or `refund.processed` webhook):
+ * Payment/booking payment status are recomputed and the technician's share of
+ * the refunded amount is taken back (wallet debit if already settled, otherwise
+ * deducted from the amount still to be settled).
+ * Order payments are refunded per line (booking); see utils/orders.js.
+ */
+
+export const REFUNDABLE_PAYMENT_STATUSES = ["success", "partially_refunded"];
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const createRefundError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+const sumRefunds = async (match) => {
+  const rows = await Refund.aggregate([{ $match: match }, { $group: { _id: null, total: { $sum: "$amount" } } }]);
+  return round2(rows[0]?.total || 0);
+};
+
+const toPaymentStatus = (refunded, total) => {
+  if (refunded >= round2(total)) return "refunded";
+  return refunded > 0 ? "partially_refunded" : "success";
+};
+
+/**
+ * Not yet refunded or being refunded (of one order line when `bookingId` is given).
+ */
+export const getRefundableAmount = async (payment, bookingId = null) => {
+  const line = bookingId ? getAllocationLine(payment, bookingId) : null;
+  if (bookingId && !line) return 0;
+
+  const match = { paymentId: payment._id, status: { $in: ["pending", "processed"] } };
+  if (line && payment.orderId) match.bookingId = line.bookingId;
+  const committed = await sumRefunds(match);
+  return round2(Math.max(0, Number(line ? line.amount : payment.totalAmount || 0) - committed));
+};
+
+// Payment.status / booking (line) paymentStatus from processed refunds
+const syncPaymentRefundStatus = async (paymentId, bookingId) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) return null;
+
+  const refunded = await sumRefunds({ paymentId: payment._id, status: "processed" });
+  const status = toPaymentStatus(refunded, payment.totalAmount);
+  const bookingStatus = (s) => (s === "success" ? "paid" : s);
+
+  await Payment.updateOne({ _id: payment._id }, { $set: { status, refundedAmount: refunded } });
+
+  if (!payment.orderId) {
+    await ServiceBooking.updateOne({ _id: payment.bookingId }, { $set: { paymentStatus: bookingStatus(status) } });
+    return payment;
+  }
+
+  await Order.updateOne({ _id: payment.orderId }, { $set: { paymentStatus: bookingStatus(status) } });
+  const line = getAllocationLine(payment, bookingId);
+  if (line) {
+    const lineRefunded = await sumRefunds({ paymentId: payment._id, bookingId: line.bookingId, status: "processed" });
+    await getBookingModel(line.bookingModel).updateOne(
+      { _id: line.bookingId },
+      { $set: { paymentStatus: bookingStatus(toPaymentStatus(lineRefunded, line.amount)) } }
+    );
+  }
+  return payment;
+};
+
+// Take back the technician's proportional share of a processed refund
+const reverseTechnicianShare = async (refund, payment) => {
+  const line = payment ? getAllocationLine(payment, refund.bookingId) : null;
+  if (!line?.amount || line.bookingModel !== "ServiceBooking") return { amount: 0, mode: "none" };
+
+  const booking = await ServiceBooking.findById(line.bookingId).select(
+    "technicianId technicianAmount commissionAmount settlementStatus"
+  );
+  if (!booking?.technicianId) return { amount: 0, mode: "none" };
+
+  const share = round2((Number(line.technicianAmount || 0) * refund.amount) / Number(line.amount));
+  if (share <= 0) return { amount: 0, mode: "none" };
+
+  if (booking.settlementStatus !== "settled") {
+    await ServiceBooking.updateOne(
+      { _id: booking._id },
+      {
+        $set: {
+          technicianAmount: round2(Math.max(0, Number(booking.technicianAmount || 0) - share)),
+          commissionAmount: round2(Math.max(0, Number(booking.commissionAmount || 0) - (refund.amount - share))),
+        },
+      }
+    );
+    return { amount: share, mode: "unsettled" };
+  }
+
+  const credit = await WalletTransaction.findOne({ bookingId: booking._id, type: "credit", source: "job" }).select("amount");
+  const alreadyReversed = await Refund.aggregate([
+    { $match: { bookingId: booking._id, "technicianReversal.mode": "wallet" } },
+    { $group: { _id: null, total: { $sum: "$technicianReversal.amount" } } },
+  ]);
+  const amount = round2(Math.min(share, Number(credit?.amount || 0) - Number(alreadyReversed[0]?.total || 0)));
+  if (amount <= 0) return { amount: 0, mode: "none" };
+
+  const transaction = await postWalletTransaction({
+    technicianId: booking.technicianId,
+    bookingId: booking._id,
+    paymentId: payment._id,
+    amount,
+    type: "debit",
+    source: "adjustment",
+    note: `Refund reversal (${refund.providerRefundId || refund._id})`,
+  });
+  return { amount, mode: "wallet", walletTransactionId: transaction._id };
+};
+
+// Keep booking.cancellation in step with the refund it started
+const syncCancellationRefund = (refund, set) =>
+  refund.providerRefundId
+    ? ServiceBooking.updateOne(
+        { _id: refund.bookingId, "cancellation.refundId": refund.providerRefundId },
+        { $set: set }
+      )
+    : null;
+
+/**
+ * Mark a refund processed (idempotent) and apply its effects once.
+ * @returns {Promise<Object>} refund document
+ */
+export const markRefundProcessed = async (refundId, { providerRefundId } = {}) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $ne: "processed" } },
+    {
+      $set: {
+        status: "processed",
+        processedAt: new Date(),
+        failureReason: null,
+        ...(providerRefundId ? { providerRefundId } : {}),
+      },
+    },
+    { new: true }
+  );
+  if (!refund) return Refund.findById(refundId);
+
+  const payment = await syncPaymentRefundStatus(refund.paymentId, refund.bookingId);
+  const reversal = await reverseTechnicianShare(refund, payment);
+  if (reversal.mode !== "none") {
+    refund.technicianReversal = reversal;
+    await refund.save();
+  }
+  await syncCancellationRefund(refund, { "cancellation.refundStatus": "processed" });
+
+  if (refund.bookingModel !== "ServiceBooking" || !refund.bookingId) return refund;
+  await recordBookingEvent({
+    bookingId: refund.bookingId,
+    type: "refund_processed",
+    data: {
+      refundId: refund._id,
+      providerRefundId: refund.providerRefundId,
+      amount: refund.amount,
+      technicianReversal: reversal,
+    },
+  });
+  return refund;
+};
+
+/**
+ * Mark a pending refund failed (processed refunds are final).
+ */
+export const markRefundFailed = async (refundId, reason) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: "pending" },
+    { $set: { status: "failed", failureReason: reason || "Refund failed" } },
+    { new: true }
+  );
+  if (!refund) return Refund.findById(refundId);
+
+  await syncCancellationRefund(refund, {
+    "cancellation.refundStatus": "failed",
+    "cancellation.refundError": refund.failureReason,
+  });
+
+  if (refund.bookingModel !== "ServiceBooking" || !refund.bookingId) return refund;
+  await recordBookingEvent({
+    bookingId: refund.bookingId,
+    type: "refund_failed",
+    data: { refundId: refund._id, providerRefundId: refund.providerRefundId, amount: refund.amount, reason: refund.failureReason },
+  });
+  return refund;
+};
+
+/**
+ * Refund (part of) a captured payment through its gateway.
+ * @param {Object} params
+ * @param {Object} params.payment - Payment document
+ * @param {number} [params.amount] - rupees; defaults to everything still refundable
+ * @param {string} [params.bookingId] - order line to refund (required for order payments)
+ * @param {string} params.source - owner | customer_cancellation
+ * @param {string} [params.reason]
+ * @param {Object} [params.actor] - { userId, role }
+ * @returns {Promise<Object>} Refund document (pending or processed)
+ */
+export const issueRefund = async ({ payment, amount, bookingId = null, source, reason = null, actor = SYSTEM_ACTOR }) => {
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    throw createRefundError(`Payment cannot be refunded in status ${payment.status}`, 400, "PAYMENT_NOT_REFUNDABLE", {
+      status: payment.status,
+    });
+  }
+  if (!payment.providerPaymentId) {
+    throw createRefundError("Payment has no captured provider payment", 400, "PAYMENT_NOT_REFUNDABLE");
+  }
+
+  const line = getAllocationLine(payment, bookingId);
+  if (!line) {
+    throw createRefundError(
+      bookingId ? "Booking is not part of this payment" : "bookingId is required to refund an order payment",
+      400,
+      "INVALID_REFUND_LINE",
+      { orderId: payment.orderId }
+    );
+  }
+
+  const refundable = await getRefundableAmount(payment, line.bookingId);
+  const value = amount === undefined || amount === null ? refundable : round2(amount);
+  if (!Number.isFinite(value) || value <= 0 || value > refundable) {
+    throw createRefundError(`Refund amount must be between 0.01 and ${refundable}`, 400, "INVALID_REFUND_AMOUNT", {
+      refundable,
+    });
+  }
+
+  const refund = await Refund.create({
+    paymentId: payment._id,
+    bookingId: line.bookingId,
+    bookingModel: line.bookingModel,
+    orderId: payment.orderId,
+    provider: payment.provider,
+    providerPaymentId: payment.providerPaymentId,
+    amount: value,
+    currency: payment.currency,
+    source,
+    reason,
+    initiatedBy: actor?.userId || null,
+    initiatedByRole: actor?.role || "System",
+  });
+
+  let entity;
+  try {
+    entity = await getPaymentGateway(payment.provider).createRefund({
+      paymentId: payment.providerPaymentId,
+      amount: value,
+      receipt: `refund_${refund._id.toString()}`,
+      notes: { bookingId: line.bookingId.toString(), refundId: refund._id.toString(), source },
+    });
+  } catch (error) {
+    await markRefundFailed(refund._id, error.message);
+    throw createRefundError(error.message, 502, "REFUND_PROVIDER_ERROR", { refundId: refund._id, provider: error.details });
+  }
+
+  refund.providerRefundId = entity.id;
+  await refund.save();
+
+  if (refund.bookingModel === "ServiceBooking") {
+    await recordBookingEvent({
+      bookingId: refund.bookingId,
+      type: "refund_initiated",
+      actor,
+      data: { provider: payment.provider, refundId: refund._id, providerRefundId: entity.id, amount: value, source },
+    });
+  }
+
+  if (entity.status === "processed") return markRefundProcessed(refund._id);
+  return refund;
+};
+
+/**
+ * Apply a gateway `refund.*` webhook. Refunds issued outside the API
+ * (e.g. the dashboard) are recorded on first sight.
+ * @returns {Promise<Object|null>} refund document, or null when the payment is unknown
+ */
+export const applyRefundWebhook = async (provider, eventType, entity) => {
+  if (!entity?.id) return null;
+
+  let refund = await Refund.findOne({ provider, providerRefundId: entity.id });
+  if (!refund && entity.notes?.refundId) {
+    refund = await Refund.findOne({ _id: entity.notes.refundId, providerRefundId: null }).catch(() => null);
+  }
+  if (!refund) {
+    const payment = await Payment.findOne({ provider, providerPaymentId: entity.payment_id });
+    if (!payment) return null;
+    refund = await Refund.create({
+      paymentId: payment._id,
+      bookingId: payment.bookingId,
+      orderId: payment.orderId,
+      provider,
+      providerRefundId: entity.id,
+      providerPaymentId: entity.payment_id,
+      amount: round2(Number(entity.amount || 0) / 100),
+      currency: entity.currency || payment.currency,
+      source: "provider",
+    });
+  }
+
+  if (eventType === "refund.processed") {
+    return markRefundProcessed(refund._id, { providerRefundId: entity.id });
+  }
+  if (eventType === "refund.failed") {
+    if (!refund.providerRefundId) {
+      refund.providerRefundId = entity.id;
+      await refund.save();
+    }
+    return markRefundFailed(refund._id, entity.error_description || entity.status);
+  }
+  return refund;
+};
@@ -101,6 +101,7 @@ export const broadcastJobToTechnicians = async (io, technicianIds, jobData) => {
             baseAmount: jobData.baseAmount,
             address: jobData.address,
             scheduledAt: jobData.scheduledAt,
+            expiresAt: jobData.expiresAt, // respond before this
             timestamp: new Date(),
           }
         );
@@ -169,3 +170,26 @@ export const notifyJobTaken = (io, technicianIds, bookingId) => {
     return { success: false, error: error.message };
   }
 };
+
+/**
+ * Send a real-time event to a customer's room
+ * @param {Object} io - Socket.io instance
+ * @param {String} customerId - Customer id used for the room (booking.customerId)
+ * @param {String} event - Socket event name
+ * @param {Object} data - Event data
+ */
+export const notifyCustomer = (io, customerId, event, data) => {
+  try {
+    if (!io) return { success: false, message: "Socket.io not available" };
+
+    io.to(`customer_${customerId}`).emit(event, {
+      ...data,
+      timestamp: new Date(),
+    });
+
+    return { success: true, message: "Customer notified" };
+  } catch (error) {
+    console.error("❌ Customer notification error:", error.message);
+    return { success: false, error: error.message };
+  }
+};
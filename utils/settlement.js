@@ -1,68 +1,140 @@
 import mongoose from "mongoose";
 
 import ServiceBooking from "../Schemas/ServiceBooking.js";
-import TechnicianProfile from "../Schemas/TechnicianProfile.js";
 import WalletTransaction from "../Schemas/TechnicianWallet.js";
+import { recordBookingEvent } from "./bookingEvents.js";
+import { postWalletTransaction } from "./walletLedger.js";
+import { getBookingTaxAmount } from "./paymentSplit.js";
+import { repriceCommissionForTechnician } from "./commissionRules.js";
+import { getSettingsSection } from "./platformSettings.js";
+import { getLocalDayBounds } from "./technicianAvailability.js";
+
+/**
+ * 💸 SETTLEMENT
+ * Moves a paid, completed job into the technician wallet once (idempotent on
+ * the booking). Runs inline after payment / completion and from the sweep in
+ * utils/settlementScheduler.js. Credits are held for
+ * PlatformSettings.settlement.holdPeriodHours before they can be withdrawn.
+ */
+
+// A partial refund still leaves (reduced) earnings to settle
+export const SETTLEABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
 
 const toMoney = (v) => {
   const n = Number(v);
   return Number.isFinite(n) ? n : null;
 };
 
+// Online: platform holds the money -> credit the technician's share.
+// COD: technician holds the cash -> debit the platform commission and GST (receivable),
+// or credit the shortfall when a platform-funded coupon left less cash than their share.
+const getSettlementEntry = (booking) => {
+  if (booking.paymentMode !== "cod") {
+    return {
+      type: "credit",
+      source: "job",
+      amount: toMoney(booking.technicianAmount),
+      note: "Job earning credited after verified payment",
+    };
+  }
+
+  const taxAmount = getBookingTaxAmount(booking);
+  const owed = Math.round((Number(booking.commissionAmount || 0) + taxAmount) * 100) / 100;
+  if (owed < 0) {
+    return {
+      type: "credit",
+      source: "job",
+      amount: toMoney(-owed),
+      note: "Coupon discount on cash job credited",
+    };
+  }
+  return {
+    type: "debit",
+    source: "commission",
+    amount: toMoney(owed),
+    note: taxAmount ? "Commission and GST on cash job debited" : "Commission on cash job debited",
+  };
+};
+
 export const settleBookingEarningsIfEligible = async (bookingId) => {
   if (!mongoose.Types.ObjectId.isValid(bookingId)) return { settled: false, reason: "invalid_bookingId" };
 
-  const booking = await ServiceBooking.findById(bookingId);
+  let booking = await ServiceBooking.findById(bookingId);
   if (!booking) return { settled: false, reason: "booking_not_found" };
   if (booking.settlementStatus === "settled") return { settled: true, reason: "already_settled" };
 
   const eligible =
-    booking.paymentStatus === "paid" &&
+    SETTLEABLE_PAYMENT_STATUSES.includes(booking.paymentStatus) &&
     booking.status === "completed" &&
     booking.technicianId &&
     mongoose.Types.ObjectId.isValid(booking.technicianId);
 
   if (!eligible) {
-    if (booking.paymentStatus === "paid" && booking.settlementStatus === "pending") {
+    if (SETTLEABLE_PAYMENT_STATUSES.includes(booking.paymentStatus) && booking.settlementStatus === "pending") {
       booking.settlementStatus = "eligible";
       await booking.save();
     }
     return { settled: false, reason: "not_eligible" };
   }
 
-  const technicianAmount = toMoney(booking.technicianAmount);
-  if (!technicianAmount || technicianAmount <= 0) {
+  // Paid before assignment: tier and volume rules apply to the technician who did the job
+  try {
+    booking = (await repriceCommissionForTechnician(booking)) || booking;
+  } catch (error) {
+    console.error(`⚠️ Commission re-pricing failed for booking ${booking._id}:`, error.message);
+  }
+
+  const entry = getSettlementEntry(booking);
+  if (booking.paymentMode === "cod" && entry.amount === 0) {
+    // Zero-commission cash job: nothing to move
+    await ServiceBooking.updateOne(
+      { _id: booking._id },
+      { $set: { settlementStatus: "settled", settledAt: new Date() } }
+    );
+    return { settled: true, reason: "no_commission" };
+  }
+  if (!entry.amount || entry.amount <= 0) {
     booking.settlementStatus = "eligible";
     await booking.save();
     return { settled: false, reason: "invalid_technician_amount" };
   }
 
+  const settings = await getSettingsSection("settlement");
+  const availableAt = new Date(Date.now() + Number(settings?.holdPeriodHours || 0) * 60 * 60 * 1000);
+
+  const ledgerEntry = (session) => ({
+    technicianId: booking.technicianId,
+    bookingId: booking._id,
+    paymentId: booking.paymentId || null,
+    ...entry,
+    availableAt,
+    session,
+  });
+
   const doNonTransactional = async () => {
-    try {
-      await WalletTransaction.create({
-        technicianId: booking.technicianId,
-        bookingId: booking._id,
-        paymentId: booking.paymentId || null,
-        amount: technicianAmount,
-        type: "credit",
-        source: "job",
-        note: "Job earning credited after verified payment",
-      });
-    } catch (e) {
-      // Duplicate key means already credited (idempotent)
-      if (e?.code !== 11000) throw e;
+    const existing = await WalletTransaction.findOne({ bookingId: booking._id, type: entry.type, source: entry.source });
+    if (!existing) {
+      try {
+        await postWalletTransaction(ledgerEntry());
+      } catch (e) {
+        // Duplicate key means already credited (idempotent)
+        if (e?.code !== 11000) throw e;
+      }
     }
 
-    await TechnicianProfile.updateOne(
-      { _id: booking.technicianId },
-      { $inc: { walletBalance: technicianAmount } }
-    );
-
     await ServiceBooking.updateOne(
       { _id: booking._id },
       { $set: { settlementStatus: "settled", settledAt: new Date() } }
     );
 
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: "settlement_completed",
+      data: { technicianId: booking.technicianId, amount: entry.amount, type: entry.type, source: entry.source },
+    });
+
     return { settled: true, reason: "settled_non_transactional" };
   };
 
@@ -70,7 +142,7 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
   try {
     await session.withTransaction(async () => {
       const existing = await WalletTransaction.findOne(
-        { bookingId: booking._id, type: "credit", source: "job" },
+        { bookingId: booking._id, type: entry.type, source: entry.source },
         null,
         { session }
       );
@@ -83,26 +155,7 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
         return;
       }
 
-      await WalletTransaction.create(
-        [
-          {
-            technicianId: booking.technicianId,
-            bookingId: booking._id,
-            paymentId: booking.paymentId || null,
-            amount: technicianAmount,
-            type: "credit",
-            source: "job",
-            note: "Job earning credited after verified payment",
-          },
-        ],
-        { session }
-      );
-
-      await TechnicianProfile.updateOne(
-        { _id: booking.technicianId },
-        { $inc: { walletBalance: technicianAmount } },
-        { session }
-      );
+      await postWalletTransaction(ledgerEntry(session));
 
       await ServiceBooking.updateOne(
         { _id: booking._id },
@@ -111,6 +164,12 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
       );
     });
 
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: "settlement_completed",
+      data: { technicianId: booking.technicianId, amount: entry.amount, type: entry.type, source: entry.source },
+    });
+
     return { settled: true, reason: "settled_transactional" };
   } catch (e) {
     // Atlas free/shared can still support transactions if replica set; local standalone won't.
@@ -123,3 +182,94 @@ export const settleBookingEarningsIfEligible = async (bookingId) => {
     session.endSession();
   }
 };
+
+const emptyBucket = () => ({
+  settled: { bookings: 0, credited: 0, debited: 0 },
+  unsettled: { bookings: 0, toCredit: 0, toDebit: 0 },
+});
+
+const BUCKET_KEYS = {
+  settled: { credit: "credited", debit: "debited" },
+  unsettled: { credit: "toCredit", debit: "toDebit" },
+};
+
+const addToBucket = (bucket, kind, entry) => {
+  const side = bucket[kind];
+  side.bookings += 1;
+  if (!entry.amount) return;
+  const key = BUCKET_KEYS[kind][entry.type];
+  side[key] = round2(side[key] + entry.amount);
+};
+
+/**
+ * Settled vs unsettled money per business day and per technician.
+ * Settled bookings count on the day they were settled, unsettled ones (paid,
+ * not yet in the wallet) on the day they were booked. `onHold` is what settled
+ * credits still keep from being withdrawn.
+ * @param {Object} params
+ * @param {Date} [params.from]
+ * @param {Date} [params.to]
+ * @param {string} [params.technicianId]
+ * @param {Date} [params.now]
+ */
+export const getSettlementReport = async ({ from, to, technicianId, now = new Date() } = {}) => {
+  const range = (field) => {
+    if (!from && !to) return {};
+    const cond = {};
+    if (from) cond.$gte = from;
+    if (to) cond.$lt = to;
+    return { [field]: cond };
+  };
+  const technicianMatch = technicianId
+    ? { technicianId: new mongoose.Types.ObjectId(String(technicianId)) }
+    : { technicianId: { $ne: null } };
+  const fields = "technicianId paymentMode technicianAmount commissionAmount tax parts settlementStatus settledAt createdAt";
+
+  const [settled, unsettled, held] = await Promise.all([
+    ServiceBooking.find({ settlementStatus: "settled", ...technicianMatch, ...range("settledAt") })
+      .select(fields)
+      .lean(),
+    ServiceBooking.find({
+      settlementStatus: { $in: ["pending", "eligible"] },
+      paymentStatus: { $in: SETTLEABLE_PAYMENT_STATUSES },
+      status: { $ne: "cancelled" },
+      ...technicianMatch,
+      ...range("createdAt"),
+    })
+      .select(fields)
+      .lean(),
+    WalletTransaction.aggregate([
+      { $match: { type: "credit", availableAt: { $gt: now }, ...technicianMatch } },
+      { $group: { _id: "$technicianId", amount: { $sum: "$amount" } } },
+    ]),
+  ]);
+
+  const totals = emptyBucket();
+  const byDay = new Map();
+  const byTechnician = new Map();
+  const bucketFor = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyBucket());
+    return map.get(key);
+  };
+
+  const add = (kind, booking, date) => {
+    const entry = getSettlementEntry(booking);
+    addToBucket(totals, kind, entry);
+    addToBucket(bucketFor(byDay, getLocalDayBounds(date).date), kind, entry);
+    addToBucket(bucketFor(byTechnician, booking.technicianId.toString()), kind, entry);
+  };
+  settled.forEach((booking) => add("settled", booking, booking.settledAt || booking.createdAt));
+  unsettled.forEach((booking) => add("unsettled", booking, booking.createdAt));
+
+  const onHold = new Map(held.map((row) => [row._id.toString(), round2(row.amount)]));
+
+  return {
+    totals: { ...totals, onHold: round2([...onHold.values()].reduce((sum, v) => sum + v, 0)) },
+    byDay: [...byDay.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, bucket]) => ({ date, ...bucket })),
+    byTechnician: [...new Set([...byTechnician.keys(), ...onHold.keys()])].map((id) => ({
+      technicianId: id,
+      ...(byTechnician.get(id) || emptyBucket()),
+      onHold: onHold.get(id) || 0,
+    })),
+  };
+};
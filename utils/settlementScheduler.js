@@ -0,0 +1,94 @@
+import cron from "node-cron";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import { settleBookingEarningsIfEligible, SETTLEABLE_PAYMENT_STATUSES } from "./settlement.js";
+
+/**
+ * 💸 SETTLEMENT SWEEP
+ * Inline settlement (payment verify / job completion) can be missed: a crash
+ * between steps, a transaction error, a booking paid before completion.
+ * This sweep retries every paid, completed booking not yet settled, so nothing
+ * waits for a manual `retry-settlement`.
+ */
+
+const toPositiveInt = (v, fallback) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+const getConfig = () => ({
+  cronExpression: process.env.SETTLEMENT_SWEEP_CRON || "15 * * * *",
+  batchSize: toPositiveInt(process.env.SETTLEMENT_SWEEP_BATCH, 200),
+});
+
+/**
+ * Settle every completed, paid booking still pending/eligible.
+ * @param {Object} [params]
+ * @param {number} [params.batchSize] - overrides SETTLEMENT_SWEEP_BATCH
+ * @returns {Promise<{ checked: number, settled: number, skipped: number, errors: number, reasons: Object }>}
+ */
+export const sweepEligibleSettlements = async ({ batchSize } = {}) => {
+  const bookings = await ServiceBooking.find({
+    settlementStatus: { $in: ["pending", "eligible"] },
+    paymentStatus: { $in: SETTLEABLE_PAYMENT_STATUSES },
+    status: "completed",
+    technicianId: { $ne: null },
+  })
+    .select("_id")
+    .sort({ updatedAt: 1 })
+    .limit(batchSize ?? getConfig().batchSize)
+    .lean();
+
+  const summary = { checked: 0, settled: 0, skipped: 0, errors: 0, reasons: {} };
+
+  for (const { _id } of bookings) {
+    summary.checked += 1;
+    try {
+      const { settled, reason } = await settleBookingEarningsIfEligible(_id);
+      if (settled) summary.settled += 1;
+      else summary.skipped += 1;
+      summary.reasons[reason] = (summary.reasons[reason] || 0) + 1;
+    } catch (error) {
+      summary.errors += 1;
+      console.error(`❌ Settlement sweep failed for booking ${_id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Start the hourly sweep. Call once after the DB connection is up.
+ * Set SETTLEMENT_SWEEP_ENABLED=false to disable (e.g. on secondary instances).
+ */
+export const startSettlementScheduler = () => {
+  if (process.env.SETTLEMENT_SWEEP_ENABLED === "false") {
+    console.log("⏸️ Settlement sweep disabled");
+    return null;
+  }
+
+  const { cronExpression } = getConfig();
+  if (!cron.validate(cronExpression)) {
+    console.error(`❌ Invalid SETTLEMENT_SWEEP_CRON: ${cronExpression}`);
+    return null;
+  }
+
+  const task = cron.schedule(
+    cronExpression,
+    async () => {
+      try {
+        const summary = await sweepEligibleSettlements();
+        if (summary.checked) {
+          console.log(
+            `💸 Settlement sweep: checked=${summary.checked} settled=${summary.settled} skipped=${summary.skipped} errors=${summary.errors}`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Settlement sweep failed:", error.message);
+      }
+    },
+    { name: "settlement-sweep", noOverlap: true }
+  );
+
+  console.log(`💸 Settlement sweep scheduled (${cronExpression})`);
+  return task;
+};
@@ -0,0 +1,313 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import Product from "../Schemas/Product.js";
+import { recordBookingEvent } from "./bookingEvents.js";
+import { SYSTEM_ACTOR } from "./bookingStatus.js";
+import { getSettingsSection } from "./platformSettings.js";
+import { computeItemTax } from "./tax.js";
+
+/**
+ * 🔩 SPARE PARTS
+ * While a job is in_progress the technician adds the parts used, either from
+ * the Product catalog or as free text (bought by them). The customer approves
+ * or rejects each pending part; approved parts are added to the payable amount
+ * (see paymentSplit.js) with their own commission percentage, taken from
+ * PlatformSettings.spareParts when the part is added: catalog parts are
+ * platform stock, technician-sourced parts are mostly reimbursed to them.
+ * The job cannot be completed or paid while parts are pending.
+ */
+
+const MAX_PARTS_PER_REQUEST = 20;
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const createPartsError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Turn technician input into part lines (catalog lookup, GST, commission).
+ * @param {Object[]} input - [{ productId?, name?, quantity, unitPrice? }]
+ * @param {string} [placeOfSupply] - customer state
+ */
+const buildPartLines = async (input, placeOfSupply) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw createPartsError("items must be a non-empty array", 400, "INVALID_PARTS");
+  }
+  if (input.length > MAX_PARTS_PER_REQUEST) {
+    throw createPartsError(`At most ${MAX_PARTS_PER_REQUEST} parts per request`, 400, "INVALID_PARTS");
+  }
+
+  const settings = await getSettingsSection("spareParts");
+  const lines = [];
+
+  for (const [i, item] of input.entries()) {
+    const quantity = Number(item?.quantity ?? 1);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw createPartsError(`items[${i}].quantity must be a positive number`, 400, "INVALID_PARTS");
+    }
+
+    let product = null;
+    if (item?.productId) {
+      if (!mongoose.Types.ObjectId.isValid(item.productId)) {
+        throw createPartsError(`items[${i}].productId is invalid`, 400, "INVALID_PARTS");
+      }
+      product = await Product.findById(item.productId).select("productName hsnSacCode gstRate categoryId estimatedPriceFrom isActive");
+      if (!product || !product.isActive) {
+        throw createPartsError(`items[${i}]: product not found or inactive`, 404, "PRODUCT_NOT_FOUND", {
+          productId: item.productId,
+        });
+      }
+    }
+
+    const name = product ? product.productName : typeof item?.name === "string" ? item.name.trim() : "";
+    if (!name) throw createPartsError(`items[${i}].name is required for a part outside the catalog`, 400, "INVALID_PARTS");
+
+    // Catalog parts default to the catalog price
+    const unitPrice = Number(item?.unitPrice ?? product?.estimatedPriceFrom);
+    if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+      throw createPartsError(`items[${i}].unitPrice must be a non-negative number`, 400, "INVALID_PARTS");
+    }
+
+    const amount = round2(quantity * unitPrice);
+    lines.push({
+      productId: product?._id || null,
+      name,
+      hsnSacCode: product?.hsnSacCode || null,
+      quantity,
+      unitPrice: round2(unitPrice),
+      amount,
+      tax: await computeItemTax({ item: product, amount, placeOfSupply }),
+      commissionPercentage: product
+        ? settings.catalogCommissionPercentage
+        : settings.technicianSourcedCommissionPercentage,
+      status: "pending",
+    });
+  }
+
+  return lines;
+};
+
+const loadTechnicianJob = async (bookingId, technicianProfileId) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) throw createPartsError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  if (!booking.technicianId || booking.technicianId.toString() !== String(technicianProfileId)) {
+    throw createPartsError("Access denied for this booking", 403, "ACCESS_DENIED");
+  }
+  if (booking.status !== "in_progress") {
+    throw createPartsError("Parts can only be changed while the job is in progress", 409, "INVALID_BOOKING_STATUS", {
+      status: booking.status,
+    });
+  }
+  if (booking.paymentStatus !== "pending") {
+    throw createPartsError("Booking is already paid; its price cannot change", 409, "BOOKING_ALREADY_PAID", {
+      paymentStatus: booking.paymentStatus,
+    });
+  }
+  return booking;
+};
+
+/**
+ * Technician adds parts (pending customer approval).
+ * @returns {Promise<Object>} updated booking
+ */
+export const addParts = async ({ bookingId, technicianProfileId, items, actor = SYSTEM_ACTOR }) => {
+  const booking = await loadTechnicianJob(bookingId, technicianProfileId);
+  const lines = (await buildPartLines(items, booking.addressSnapshot?.state)).map((line) => ({
+    ...line,
+    addedBy: booking.technicianId,
+    addedAt: new Date(),
+  }));
+
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { _id: booking._id, status: "in_progress", paymentStatus: "pending" },
+    { $push: { parts: { $each: lines } } },
+    { new: true }
+  );
+  if (!updated) throw createPartsError("Booking changed meanwhile, try again", 409, "BOOKING_CONFLICT");
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: "parts_added",
+    actor,
+    data: { parts: lines.map(({ productId, name, quantity, unitPrice, amount }) => ({ productId, name, quantity, unitPrice, amount })) },
+  });
+
+  return updated;
+};
+
+/**
+ * Technician withdraws a part the customer has not answered yet.
+ * @returns {Promise<Object>} updated booking
+ */
+export const removePart = async ({ bookingId, technicianProfileId, partId, actor = SYSTEM_ACTOR }) => {
+  const booking = await loadTechnicianJob(bookingId, technicianProfileId);
+  const part = booking.parts.id(partId);
+  if (!part) throw createPartsError("Part not found", 404, "PART_NOT_FOUND");
+  if (part.status !== "pending") {
+    throw createPartsError("Only parts awaiting approval can be removed", 409, "PART_ALREADY_ANSWERED", {
+      status: part.status,
+    });
+  }
+
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { _id: booking._id, paymentStatus: "pending", parts: { $elemMatch: { _id: part._id, status: "pending" } } },
+    { $pull: { parts: { _id: part._id } } },
+    { new: true }
+  );
+  if (!updated) throw createPartsError("Booking changed meanwhile, try again", 409, "BOOKING_CONFLICT");
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: "parts_removed",
+    actor,
+    data: { partId: part._id, name: part.name, amount: part.amount },
+  });
+
+  return updated;
+};
+
+/**
+ * Customer approves or rejects pending parts (all of them when partIds is omitted).
+ * @param {Object} params
+ * @param {"approve"|"reject"} params.decision
+ * @param {string[]} [params.partIds]
+ * @returns {Promise<Object>} updated booking
+ */
+export const respondToParts = async ({ bookingId, customerId, decision, partIds, reason = null, actor = SYSTEM_ACTOR }) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) throw createPartsError("Booking not found", 404, "BOOKING_NOT_FOUND");
+  if (booking.customerId.toString() !== String(customerId)) {
+    throw createPartsError("Access denied for this booking", 403, "ACCESS_DENIED");
+  }
+  if (booking.paymentStatus !== "pending") {
+    throw createPartsError("Booking is already paid; its price cannot change", 409, "BOOKING_ALREADY_PAID");
+  }
+
+  const pending = booking.parts.filter((part) => part.status === "pending");
+  let targets = pending;
+  if (partIds !== undefined) {
+    if (!Array.isArray(partIds) || partIds.length === 0) {
+      throw createPartsError("partIds must be a non-empty array", 400, "INVALID_PARTS");
+    }
+    const wanted = new Set(partIds.map(String));
+    targets = pending.filter((part) => wanted.has(part._id.toString()));
+    if (targets.length !== wanted.size) {
+      throw createPartsError("Some parts are not awaiting approval", 409, "PART_NOT_PENDING");
+    }
+  }
+  if (targets.length === 0) throw createPartsError("No parts are waiting for your decision", 409, "NO_PENDING_PARTS");
+
+  const status = decision === "approve" ? "approved" : "rejected";
+  const ids = targets.map((part) => part._id);
+  const updated = await ServiceBooking.findOneAndUpdate(
+    { _id: booking._id, paymentStatus: "pending" },
+    {
+      $set: {
+        "parts.$[part].status": status,
+        "parts.$[part].respondedAt": new Date(),
+        "parts.$[part].rejectionReason": status === "rejected" ? (typeof reason === "string" && reason.trim()) || null : null,
+      },
+    },
+    { new: true, arrayFilters: [{ "part._id": { $in: ids }, "part.status": "pending" }] }
+  );
+  if (!updated) throw createPartsError("Booking changed meanwhile, try again", 409, "BOOKING_CONFLICT");
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: status === "approved" ? "parts_approved" : "parts_rejected",
+    actor,
+    data: {
+      partIds: ids,
+      amount: round2(targets.reduce((sum, part) => sum + part.amount, 0)),
+      ...(status === "rejected" ? { reason } : {}),
+    },
+  });
+
+  return updated;
+};
+
+// Completion and payment wait for the customer to answer every part
+export const assertPartsSettled = (booking) => {
+  const pending = (booking.parts || []).filter((part) => part.status === "pending").length;
+  if (pending > 0) {
+    throw createPartsError("Waiting for the customer to approve the spare parts", 409, "PARTS_PENDING", { pending });
+  }
+};
+
+/**
+ * Approved parts used on non-cancelled jobs, per part and per technician.
+ * @param {Object} params
+ * @param {Date} [params.from] - parts added from
+ * @param {Date} [params.to] - parts added before
+ * @param {string} [params.technicianId]
+ * @param {string} [params.productId]
+ */
+export const getPartsConsumptionReport = async ({ from, to, technicianId, productId } = {}) => {
+  const bookingMatch = { status: { $ne: "cancelled" }, "parts.status": "approved" };
+  if (technicianId) bookingMatch.technicianId = new mongoose.Types.ObjectId(String(technicianId));
+
+  const partMatch = { "parts.status": "approved" };
+  if (from || to) {
+    partMatch["parts.addedAt"] = {};
+    if (from) partMatch["parts.addedAt"].$gte = from;
+    if (to) partMatch["parts.addedAt"].$lt = to;
+  }
+  if (productId) partMatch["parts.productId"] = new mongoose.Types.ObjectId(String(productId));
+
+  const commission = { $divide: [{ $multiply: ["$parts.amount", "$parts.commissionPercentage"] }, 100] };
+  const sums = {
+    quantity: { $sum: "$parts.quantity" },
+    amount: { $sum: "$parts.amount" },
+    taxAmount: { $sum: { $ifNull: ["$parts.tax.totalTax", 0] } },
+    commissionAmount: { $sum: commission },
+    bookings: { $addToSet: "$_id" },
+  };
+  const rounded = {
+    quantity: 1,
+    amount: { $round: ["$amount", 2] },
+    taxAmount: { $round: ["$taxAmount", 2] },
+    commissionAmount: { $round: ["$commissionAmount", 2] },
+    bookings: { $size: "$bookings" },
+  };
+
+  const [result] = await ServiceBooking.aggregate([
+    { $match: bookingMatch },
+    { $unwind: "$parts" },
+    { $match: partMatch },
+    {
+      $facet: {
+        byPart: [
+          {
+            $group: {
+              _id: { productId: "$parts.productId", name: { $cond: ["$parts.productId", null, { $toLower: "$parts.name" }] } },
+              name: { $first: "$parts.name" },
+              ...sums,
+            },
+          },
+          { $project: { _id: 0, productId: "$_id.productId", source: { $cond: ["$_id.productId", "catalog", "technician"] }, name: 1, ...rounded } },
+          { $sort: { amount: -1 } },
+        ],
+        byTechnician: [
+          { $group: { _id: "$technicianId", ...sums } },
+          { $project: { _id: 0, technicianId: "$_id", ...rounded } },
+          { $sort: { amount: -1 } },
+        ],
+        totals: [
+          { $group: { _id: null, ...sums } },
+          { $project: { _id: 0, ...rounded } },
+        ],
+      },
+    },
+  ]);
+
+  return {
+    totals: result.totals[0] || { quantity: 0, amount: 0, taxAmount: 0, commissionAmount: 0, bookings: 0 },
+    byPart: result.byPart,
+    byTechnician: result.byTechnician,
+  };
+};
@@ -0,0 +1,94 @@
+import OwnerProfile from "../Schemas/OwnerProfile.js";
+import Category from "../Schemas/Category.js";
+import { getSettingsSection } from "./platformSettings.js";
+
+/**
+ * 🧮 GST
+ * Prices (serviceCost, baseAmount, product price) are taxable values; GST is
+ * added on top when PlatformSettings.tax.enabled. Rate: item -> category ->
+ * tax.defaultGstRate. Intra-state supply (customer state = supplier state) is
+ * split into CGST + SGST, inter-state is IGST. Without a customer state the
+ * supply is treated as intra-state.
+ */
+
+export const GST_RATES = Object.freeze([0, 5, 12, 18, 28]);
+
+const round2 = (v) => Math.round((Number(v) + Number.EPSILON) * 100) / 100;
+
+const normalizeState = (state) => (typeof state === "string" ? state.trim().toLowerCase() : "");
+
+/**
+ * Validate a `gstRate` from a Category/Service/Product request body (null inherits).
+ * @returns {{ error?: string, value?: number|null }}
+ */
+export const validateGstRate = (input) => {
+  if (input === null || input === "") return { value: null };
+  const n = Number(input);
+  if (!GST_RATES.includes(n)) {
+    return { error: `gstRate must be one of ${GST_RATES.join(", ")}` };
+  }
+  return { value: n };
+};
+
+// Registered state of the business: tax.supplierState, else the Owner profile
+export const getSupplierState = async () => {
+  const settings = await getSettingsSection("tax");
+  if (settings?.supplierState) return settings.supplierState;
+  const owner = await OwnerProfile.findOne({ status: "Active" }).select("state").sort({ createdAt: 1 }).lean();
+  return owner?.state || null;
+};
+
+/**
+ * Pure GST breakdown for a taxable amount.
+ * @returns {{ rate: number, taxableAmount: number, cgst: number, sgst: number, igst: number, totalTax: number, interState: boolean, supplierState: string|null, placeOfSupply: string|null }}
+ */
+export const computeGst = ({ amount, rate, supplierState = null, placeOfSupply = null }) => {
+  const taxableAmount = round2(amount);
+  const totalTax = round2((taxableAmount * Number(rate || 0)) / 100);
+  const interState = Boolean(
+    normalizeState(placeOfSupply) && normalizeState(supplierState) && normalizeState(placeOfSupply) !== normalizeState(supplierState)
+  );
+  const cgst = interState ? 0 : round2(totalTax / 2);
+
+  return {
+    rate: Number(rate || 0),
+    taxableAmount,
+    cgst,
+    sgst: interState ? 0 : round2(totalTax - cgst),
+    igst: interState ? totalTax : 0,
+    totalTax,
+    interState,
+    supplierState,
+    placeOfSupply,
+  };
+};
+
+/**
+ * GST for one booking line, or null when tax is disabled.
+ * @param {Object} params
+ * @param {Object} params.item - Service or Product document (gstRate, categoryId)
+ * @param {number} params.amount - taxable amount
+ * @param {string} [params.placeOfSupply] - customer state (address snapshot)
+ */
+export const computeItemTax = async ({ item, amount, placeOfSupply = null }) => {
+  const settings = await getSettingsSection("tax");
+  if (!settings?.enabled) return null;
+
+  let rate = item?.gstRate ?? null;
+  if (rate === null && item?.categoryId) {
+    const category = await Category.findById(item.categoryId).select("gstRate").lean();
+    rate = category?.gstRate ?? null;
+  }
+  if (rate === null) rate = settings.defaultGstRate;
+
+  return computeGst({ amount, rate, supplierState: await getSupplierState(), placeOfSupply });
+};
+
+/**
+ * Same GST (rate and states) on a new taxable amount, e.g. after a discount.
+ * Keeps null (tax was disabled when the booking was made).
+ */
+export const rebaseTax = (tax, amount) =>
+  tax
+    ? computeGst({ amount, rate: tax.rate, supplierState: tax.supplierState, placeOfSupply: tax.placeOfSupply })
+    : null;
@@ -0,0 +1,267 @@
+import mongoose from "mongoose";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+
+/**
+ * 🕘 TECHNICIAN WORKING HOURS
+ * Working hours are stored as local wall-clock windows ("HH:mm") per weekday
+ * (0 = Sunday … 6 = Saturday) in BUSINESS_TIMEZONE. Technicians that haven't
+ * declared hours are not restricted by time; only slot capacity estimates count
+ * them as working DEFAULT_WORKING_HOURS / DEFAULT_WORKING_DAYS.
+ *
+ * A technician is available at an instant when it is inside their working
+ * hours, not inside a leave block, and they are below their daily job limit.
+ */
+
+export const AVAILABILITY_REASONS = Object.freeze({
+  OUTSIDE_WORKING_HOURS: "outside_working_hours",
+  ON_LEAVE: "on_leave",
+  DAILY_LIMIT_REACHED: "daily_limit_reached",
+});
+
+// Bookings that count towards a technician's daily job limit
+const DAILY_LOAD_STATUSES = ["accepted", "on_the_way", "reached", "in_progress", "completed"];
+
+export const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const getBusinessTimeZone = () => process.env.BUSINESS_TIMEZONE || "Asia/Kolkata";
+
+export const timeToMinutes = (value) => {
+  const match = TIME_OF_DAY_REGEX.exec(String(value || ""));
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Local calendar parts of an instant in the given time zone.
+ * @returns {{ year: number, month: number, day: number, weekday: number, minutes: number }}
+ */
+export const getZonedParts = (date, timeZone = getBusinessTimeZone()) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    weekday: WEEKDAY_INDEX[get("weekday")],
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+};
+
+const getTimeZoneOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes);
+  const truncated = Math.floor(date.getTime() / 60000) * 60000;
+  return asUtc - truncated;
+};
+
+/**
+ * Instant for a local date ("YYYY-MM-DD") + minutes after local midnight.
+ */
+export const zonedDateTimeToUtc = (dateString, minutes, timeZone = getBusinessTimeZone()) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateString || ""));
+  if (!match) return null;
+
+  const guess = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 0, minutes);
+  const offset = getTimeZoneOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - offset);
+};
+
+const parseDefaultHours = () => {
+  const [start, end] = String(process.env.DEFAULT_WORKING_HOURS || "09:00-18:00").split("-");
+  const days = String(process.env.DEFAULT_WORKING_DAYS || "1,2,3,4,5,6")
+    .split(",")
+    .map((d) => Number(d.trim()))
+    .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+
+  if (timeToMinutes(start) === null || timeToMinutes(end) === null) {
+    return days.map((day) => ({ day, start: "09:00", end: "18:00" }));
+  }
+  return days.map((day) => ({ day, start, end }));
+};
+
+/**
+ * Declared hours. Without any, null (no restriction) unless `useDefault`
+ * asks for the platform default (slot capacity estimates).
+ */
+export const getWorkingHours = (technician, { useDefault = false } = {}) => {
+  const declared = technician?.availability?.workingHours;
+  if (Array.isArray(declared) && declared.length > 0) return declared;
+  return useDefault ? parseDefaultHours() : null;
+};
+
+/**
+ * Whether [start, start + durationMinutes) lies inside one of the technician's windows.
+ * Always true for a technician without declared hours unless `useDefaultHours`.
+ */
+export const isWithinWorkingHours = (technician, start, durationMinutes = 0, { useDefaultHours = false } = {}) => {
+  const hours = getWorkingHours(technician, { useDefault: useDefaultHours });
+  if (!hours) return true;
+
+  const { weekday, minutes } = getZonedParts(start);
+  const endMinutes = minutes + durationMinutes;
+
+  return hours.some((window) => {
+    if (Number(window.day) !== weekday) return false;
+    const from = timeToMinutes(window.start);
+    const to = timeToMinutes(window.end);
+    return from !== null && to !== null && from <= minutes && endMinutes <= to;
+  });
+};
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/**
+ * [start, end) of the local calendar day containing `at`.
+ */
+export const getLocalDayBounds = (at, timeZone = getBusinessTimeZone()) => {
+  const { year, month, day } = getZonedParts(at, timeZone);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+
+  return {
+    date: `${year}-${pad2(month)}-${pad2(day)}`,
+    start: zonedDateTimeToUtc(`${year}-${pad2(month)}-${pad2(day)}`, 0, timeZone),
+    end: zonedDateTimeToUtc(
+      `${next.getUTCFullYear()}-${pad2(next.getUTCMonth() + 1)}-${pad2(next.getUTCDate())}`,
+      0,
+      timeZone
+    ),
+  };
+};
+
+/**
+ * Whether any leave block overlaps [start, end) (or contains `start` when no end given).
+ */
+export const isOnLeave = (technician, start, end = start) => {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  const leaves = technician?.availability?.leaves || [];
+
+  return leaves.some((leave) => {
+    const leaveFrom = new Date(leave.from).getTime();
+    const leaveTo = new Date(leave.to).getTime();
+    return to > from ? leaveFrom < to && leaveTo > from : leaveFrom <= from && leaveTo > from;
+  });
+};
+
+// Declared limit, or DEFAULT_MAX_JOBS_PER_DAY; null = unlimited
+export const getMaxJobsPerDay = (technician) => {
+  const declared = Number(technician?.availability?.maxJobsPerDay);
+  if (Number.isInteger(declared) && declared > 0) return declared;
+
+  const fallback = Number(process.env.DEFAULT_MAX_JOBS_PER_DAY);
+  return Number.isInteger(fallback) && fallback > 0 ? fallback : null;
+};
+
+/**
+ * Jobs each technician already holds on the local day of `at`.
+ * A job's day is its scheduledAt, or assignedAt for ASAP bookings.
+ * @returns {Promise<Map<string, number>>}
+ */
+export const countJobsOnDay = async (technicianIds, at = new Date(), { excludeBookingId, session } = {}) => {
+  const counts = new Map();
+  const ids = technicianIds
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(String(id)));
+  if (ids.length === 0) return counts;
+
+  const { start, end } = getLocalDayBounds(at);
+  const match = {
+    technicianId: { $in: ids },
+    status: { $in: DAILY_LOAD_STATUSES },
+    $or: [
+      { scheduledAt: { $gte: start, $lt: end } },
+      { scheduledAt: null, assignedAt: { $gte: start, $lt: end } },
+    ],
+  };
+  if (excludeBookingId) match._id = { $ne: new mongoose.Types.ObjectId(String(excludeBookingId)) };
+
+  let aggregate = ServiceBooking.aggregate([
+    { $match: match },
+    { $group: { _id: "$technicianId", count: { $sum: 1 } } },
+  ]);
+  if (session) aggregate = aggregate.session(session);
+
+  for (const row of await aggregate) {
+    counts.set(row._id.toString(), row.count);
+  }
+  return counts;
+};
+
+/**
+ * First reason the technician can't take work at `at`, or null when available.
+ */
+export const getUnavailabilityReason = (
+  technician,
+  at,
+  { durationMinutes = 0, jobsOnDay = 0, useDefaultHours = false } = {}
+) => {
+  const start = new Date(at);
+  const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+  if (!isWithinWorkingHours(technician, start, durationMinutes, { useDefaultHours })) {
+    return AVAILABILITY_REASONS.OUTSIDE_WORKING_HOURS;
+  }
+  if (isOnLeave(technician, start, end)) {
+    return AVAILABILITY_REASONS.ON_LEAVE;
+  }
+
+  const maxJobs = getMaxJobsPerDay(technician);
+  if (maxJobs !== null && jobsOnDay >= maxJobs) {
+    return AVAILABILITY_REASONS.DAILY_LIMIT_REACHED;
+  }
+
+  return null;
+};
+
+/**
+ * Availability of many technicians at once.
+ * @param {Array<Object|string>} technicians - profile docs or ids
+ * @returns {Promise<Map<string, string|null>>} technicianId -> reason (null = available)
+ */
+export const getAvailabilityReasons = async (
+  technicians,
+  { at = new Date(), durationMinutes = 0, excludeBookingId, session } = {}
+) => {
+  const reasons = new Map();
+  const ids = technicians.map((t) => String(t?._id || t));
+  if (ids.length === 0) return reasons;
+
+  let profileQuery = TechnicianProfile.find({ _id: { $in: ids } }).select("availability");
+  if (session) profileQuery = profileQuery.session(session);
+  const profiles = await profileQuery;
+
+  const limited = profiles.filter((p) => getMaxJobsPerDay(p) !== null).map((p) => p._id);
+  const jobCounts = await countJobsOnDay(limited, at, { excludeBookingId, session });
+
+  for (const profile of profiles) {
+    const id = profile._id.toString();
+    reasons.set(
+      id,
+      getUnavailabilityReason(profile, at, { durationMinutes, jobsOnDay: jobCounts.get(id) || 0 })
+    );
+  }
+  return reasons;
+};
+
+/**
+ * Keep only technicians available at `at` (order preserved).
+ * @param {Array<Object|string>} technicians - profile docs or ids
+ */
+export const filterAvailableTechnicians = async (technicians, options = {}) => {
+  const reasons = await getAvailabilityReasons(technicians, options);
+  return technicians.filter((t) => reasons.get(String(t?._id || t)) === null);
+};
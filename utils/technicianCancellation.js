@@ -0,0 +1,109 @@
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
+import { unassignBookingFromTechnician } from "./bookingAssignment.js";
+import { getBroadcastStats } from "./technicianRanking.js";
+import { getSettingsSection } from "./platformSettings.js";
+import { postWalletTransaction } from "./walletLedger.js";
+
+/**
+ * 🚫 TECHNICIAN CANCELLATION
+ * A technician dropping an accepted job: the booking goes back to matching,
+ * their JobBroadcast becomes `cancelled` (feeds the cancellation rate and keeps
+ * them out of the re-broadcast) and a penalty is debited from their wallet.
+ * Rules live in PlatformSettings.technicianCancellation.
+ */
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/**
+ * Penalty for cancelling `booking` now (0 inside the grace period).
+ */
+export const getCancellationPenalty = (booking, settings, now = new Date()) => {
+  const acceptedAt = booking.assignedAt ? new Date(booking.assignedAt) : null;
+  const graceMs = Number(settings.gracePeriodMinutes || 0) * 60 * 1000;
+  if (acceptedAt && now.getTime() - acceptedAt.getTime() <= graceMs) return 0;
+
+  const percentage = Number(settings.penaltyPercentage || 0);
+  const base = Number(booking.baseAmount || 0);
+  return round2(Number(settings.penaltyAmount || 0) + (base * percentage) / 100);
+};
+
+/**
+ * Cancel an accepted job on behalf of its technician (caller commits the session).
+ * @returns {Promise<{ booking: Object, penalty: number, transaction: Object|null }>}
+ */
+export const cancelJobAsTechnician = async ({ booking, technicianProfileId, reason, actor, session }) => {
+  const settings = await getSettingsSection("technicianCancellation");
+  const penalty = getCancellationPenalty(booking, settings);
+
+  const { booking: updated } = await unassignBookingFromTechnician({
+    booking,
+    actor,
+    reason: `Cancelled by technician: ${reason}`,
+    session,
+  });
+
+  // Manually assigned jobs have no broadcast yet; create one so the rate counts it
+  await JobBroadcast.updateOne(
+    { bookingId: booking._id, technicianId: technicianProfileId },
+    { $set: { status: "cancelled" }, $setOnInsert: { sentAt: booking.assignedAt || new Date() } },
+    { upsert: true, session }
+  );
+
+  const transaction =
+    penalty > 0
+      ? await postWalletTransaction({
+          technicianId: technicianProfileId,
+          bookingId: booking._id,
+          amount: penalty,
+          type: "debit",
+          source: "penalty",
+          note: `Job cancellation penalty: ${reason}`,
+          session,
+        })
+      : null;
+
+  return { booking: updated, penalty, transaction };
+};
+
+/**
+ * Cancellation rate over PlatformSettings.technicianCancellation.statsWindowDays.
+ */
+export const getTechnicianCancellationStats = async (technicianProfileId, settings) => {
+  const config = settings || (await getSettingsSection("technicianCancellation"));
+  const stats = await getBroadcastStats([technicianProfileId], { windowDays: config.statsWindowDays });
+  const row = stats.get(String(technicianProfileId));
+
+  return {
+    windowDays: config.statsWindowDays,
+    accepted: row?.accepted || 0,
+    cancelled: row?.cancelled || 0,
+    cancellationRate: row?.cancellationRate || 0,
+  };
+};
+
+/**
+ * Suspend the technician when auto-suspend is on and their rate crossed the threshold.
+ * @returns {Promise<{ suspended: boolean, stats: Object }>}
+ */
+export const applyCancellationSuspension = async (technicianProfileId) => {
+  const settings = await getSettingsSection("technicianCancellation");
+  const stats = await getTechnicianCancellationStats(technicianProfileId, settings);
+  const { enabled, cancellationRateThreshold, minAcceptedJobs } = settings.autoSuspend || {};
+
+  const shouldSuspend =
+    enabled && stats.accepted >= minAcceptedJobs && stats.cancellationRate >= cancellationRateThreshold;
+  if (!shouldSuspend) return { suspended: false, stats };
+
+  const result = await TechnicianProfile.updateOne(
+    { _id: technicianProfileId, workStatus: "approved" },
+    { $set: { workStatus: "suspended", "availability.isOnline": false } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(
+      `⛔ Technician ${technicianProfileId} suspended: cancellation rate ${stats.cancellationRate} over ${stats.windowDays} days`
+    );
+  }
+
+  return { suspended: result.modifiedCount > 0, stats };
+};
@@ -5,10 +5,31 @@ import ServiceBooking from "../Schemas/ServiceBooking.js";
 import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
 import Service from "../Schemas/Service.js";
 import { findNearbyTechnicians } from "./findNearbyTechnicians.js";
+import { filterAvailableTechnicians, getAvailabilityReasons } from "./technicianAvailability.js";
+import { rankTechnicians, distanceMeters } from "./technicianRanking.js";
+import { getSettingsSection } from "./platformSettings.js";
+import { resolveBroadcastConfig } from "./broadcastMode.js";
 import { broadcastJobToTechnicians } from "./sendNotification.js";
+import { transitionBookingStatus } from "./bookingStatus.js";
+import { recordBookingEvent } from "./bookingEvents.js";
 
 const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
+// Technicians whose skills include the service (tolerates legacy skill shapes)
+export const buildSkillMatch = (serviceId) => {
+  const serviceObjectId = new mongoose.Types.ObjectId(serviceId);
+  const serviceIdString = String(serviceId);
+  return [
+    // canonical shape: skills: [{ serviceId: ObjectId }]
+    { "skills.serviceId": serviceObjectId },
+    // legacy/dirty data: string stored instead of ObjectId
+    { "skills.serviceId": serviceIdString },
+    // extra tolerance (in case skills stored as raw array of ids)
+    { skills: serviceObjectId },
+    { skills: serviceIdString },
+  ];
+};
+
 /**
  * Find eligible technicians for a given service + customer location.
  * Rules:
@@ -19,6 +40,12 @@ const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
  * - KYC verificationStatus=approved
  * - if coordinates available, prefer nearby (nearSphere)
  * - fallback to pincode/city match when geo not possible
+ *
+ * - working hours / leave / daily job limit at `availableAt` (see technicianAvailability.js)
+ *
+ * Pass `requireOnline: false` for future work (slot capacity), where the
+ * technician only needs to be able to take jobs, not be online right now.
+ * Pass `checkAvailability: false` when the caller checks availability per slot itself.
  */
 export const findEligibleTechniciansForService = async ({
   serviceId,
@@ -26,15 +53,16 @@ export const findEligibleTechniciansForService = async ({
   radiusMeters = 5000,
   limit = 50,
   enableGeo = true,
+  requireOnline = true,
+  select = "_id",
+  availableAt = new Date(),
+  checkAvailability = true,
   session,
 } = {}) => {
   if (!serviceId || !mongoose.Types.ObjectId.isValid(serviceId)) {
     return [];
   }
 
-  const serviceObjectId = new mongoose.Types.ObjectId(serviceId);
-  const serviceIdString = String(serviceId);
-
   let approvedKycQuery = TechnicianKyc.find({ 
     verificationStatus: "approved",
     bankVerified: true 
@@ -55,16 +83,8 @@ export const findEligibleTechniciansForService = async ({
     workStatus: "approved",
     profileComplete: true,
     trainingCompleted: true,
-    "availability.isOnline": true,
-    $or: [
-      // canonical shape: skills: [{ serviceId: ObjectId }]
-      { "skills.serviceId": serviceObjectId },
-      // legacy/dirty data: string stored instead of ObjectId
-      { "skills.serviceId": serviceIdString },
-      // extra tolerance (in case skills stored as raw array of ids)
-      { skills: serviceObjectId },
-      { skills: serviceIdString },
-    ],
+    ...(requireOnline ? { "availability.isOnline": true } : {}),
+    $or: buildSkillMatch(serviceId),
   };
 
   const lat = Number(address?.latitude);
@@ -102,18 +122,22 @@ export const findEligibleTechniciansForService = async ({
       ],
     };
 
-    let nearbyQuery = TechnicianProfile.find(geoQuery).select("_id").limit(limit);
+    let nearbyQuery = TechnicianProfile.find(geoQuery).select(select).limit(limit);
     if (session) nearbyQuery = nearbyQuery.session(session);
     const nearby = await nearbyQuery;
 
-    if (nearby.length > 0) return nearby;
+    const availableNearby = checkAvailability
+      ? await filterAvailableTechnicians(nearby, { at: availableAt, session })
+      : nearby;
+    if (availableNearby.length > 0) return availableNearby;
   }
 
   // 2) Fallback: pincode / city matching (no coordinates available or no geo matches)
   const fallbackQuery = { ...baseQuery };
 
   if (address?.pincode) {
-    fallbackQuery.pincode = String(address.pincode).trim();
+    const pincode = String(address.pincode).trim();
+    fallbackQuery.$and = [{ $or: [{ pincode }, { servicePincodes: pincode }] }];
   } else if (address?.city) {
     fallbackQuery.city = new RegExp(`^${escapeRegExp(String(address.city).trim())}$`, "i");
   } else if (address?.state) {
@@ -121,15 +145,63 @@ export const findEligibleTechniciansForService = async ({
   }
 
   let fallbackFindQuery = TechnicianProfile.find(fallbackQuery)
-    .select("_id")
+    .select(select)
     .limit(limit);
   if (session) fallbackFindQuery = fallbackFindQuery.session(session);
-  return fallbackFindQuery;
+  const fallback = await fallbackFindQuery;
+
+  return checkAvailability ? filterAvailableTechnicians(fallback, { at: availableAt, session }) : fallback;
+};
+
+const toPositiveNumber = (v, fallback) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// How long a technician has to respond to a broadcast before it expires
+export const getBroadcastExpiryMs = () =>
+  toPositiveNumber(process.env.BROADCAST_EXPIRY_MINUTES, 10) * 60 * 1000;
+
+export const getBroadcastExpiresAt = (from = new Date()) =>
+  new Date(from.getTime() + getBroadcastExpiryMs());
+
+// Booking coordinates: GeoJSON location first, then the address snapshot
+const getBookingCoordinates = (booking) => {
+  let latitude, longitude;
+
+  if (booking.location && booking.location.coordinates) {
+    // GeoJSON is [lng, lat]
+    longitude = booking.location.coordinates[0];
+    latitude = booking.location.coordinates[1];
+  } else if (booking.addressSnapshot) {
+    latitude = booking.addressSnapshot.latitude;
+    longitude = booking.addressSnapshot.longitude;
+  }
+
+  return latitude && longitude ? { latitude, longitude } : null;
+};
+
+// Progressive search radii for an attempt (widened on every re-broadcast)
+const getRadiusSteps = (booking, attempt) => {
+  const baseRadius = (booking.radius || 3000) * 2 ** attempt; // Default usually 3km or 5km
+  return [baseRadius, baseRadius * 2, baseRadius * 4];
 };
 
+// Ranking considers every eligible technician, not just the first page
+const CANDIDATE_LIMIT = 500;
+
 /**
  * Unifies the logic for matching and broadcasting a booking to technicians.
- * Used by both Booking Creation (single) and Checkout (cart).
+ * Used by both Booking Creation (single) and Checkout (cart), and by the
+ * broadcast scheduler to re-broadcast bookings nobody accepted.
+ *
+ * Each call is one "attempt": the search radius doubles per previous attempt and
+ * technicians who already received this booking are not pinged again.
+ *
+ * In sequential mode (Service/Category `broadcastSettings`) each call offers the
+ * next tier of top-ranked technicians with a short accept window; tiers share an
+ * attempt until nobody is left in its radius. The next tier is sent on rejection
+ * (respondToJob) or timeout (broadcast scheduler).
  *
  * @param {string} bookingId - The ID of the booking to process
  * @param {Object} io - Socket.io instance for real-time notifications
@@ -142,35 +214,63 @@ export const matchAndBroadcastBooking = async (bookingId, io) => {
       return { success: false, message: "Booking not found" };
     }
 
-    if (booking.status !== "requested") {
-      // Already processed or cancelled
+    if (!["requested", "broadcasted"].includes(booking.status) || booking.technicianId) {
+      // Already accepted, cancelled or closed
       return { success: false, message: `Booking status is ${booking.status}` };
     }
 
+    // Scheduled booking: the broadcast scheduler picks it up closer to the slot
+    if (booking.broadcastNotBefore && booking.broadcastNotBefore.getTime() > Date.now()) {
+      return { success: true, count: 0, deferred: true, message: "Broadcast deferred until lead time" };
+    }
+
+    // Permanent failures still count as an attempt so the scheduler closes the
+    // booking as no_technician_found instead of retrying it forever
+    const recordFailedAttempt = () =>
+      ServiceBooking.updateOne(
+        { _id: booking._id },
+        { $inc: { broadcastAttempts: 1 }, $set: { lastMatchAttemptAt: new Date() } }
+      );
+
     const service = await Service.findById(booking.serviceId);
     if (!service) {
       console.error(`❌ matchAndBroadcastBooking: Service ${booking.serviceId} not found`);
+      await recordFailedAttempt();
       return { success: false, message: "Service not found" };
     }
 
     // Resolve Location for Matching
     // Booking now has 'location' GeoJSON and 'addressSnapshot'
     // We prioritize the GeoJSON coordinates.
-    let latitude, longitude;
-
-    if (booking.location && booking.location.coordinates) {
-      // GeoJSON is [lng, lat]
-      longitude = booking.location.coordinates[0];
-      latitude = booking.location.coordinates[1];
-    } else if (booking.addressSnapshot) {
-      latitude = booking.addressSnapshot.latitude;
-      longitude = booking.addressSnapshot.longitude;
-    }
-
-    if (!latitude || !longitude) {
+    const coordinates = getBookingCoordinates(booking);
+    if (!coordinates) {
       console.error(`❌ matchAndBroadcastBooking: No coordinates for booking ${bookingId}`);
+      await recordFailedAttempt();
       return { success: false, message: "No coordinates for booking" };
     }
+    const { latitude, longitude } = coordinates;
+    const matching = await getSettingsSection("matching");
+    const broadcastConfig = await resolveBroadcastConfig(service);
+    // Mode is fixed once the booking was first broadcast
+    const mode = booking.broadcastMode || broadcastConfig.mode;
+    const sequential = mode === "sequential";
+
+    // Count this attempt up-front so the scheduler can give up after N tries
+    // (sequential: only once the attempt's radius has nobody left, see markAttemptExhausted)
+    const attempt = Number(booking.broadcastAttempts || 0);
+    await ServiceBooking.updateOne(
+      { _id: booking._id },
+      {
+        ...(sequential ? {} : { $inc: { broadcastAttempts: 1 } }),
+        $set: { lastMatchAttemptAt: new Date(), broadcastMode: mode },
+      }
+    );
+    const markAttemptExhausted = () =>
+      sequential ? ServiceBooking.updateOne({ _id: booking._id }, { $inc: { broadcastAttempts: 1 } }) : null;
+
+    // Technicians who already had a chance at this booking (any response) are skipped
+    const previousBroadcasts = await JobBroadcast.find({ bookingId: booking._id }).select("technicianId");
+    const alreadyOffered = new Set(previousBroadcasts.map((b) => b.technicianId.toString()));
 
     // 1. Find Eligible Technicians (Skills, Online, KYC Approved, Blocked, etc.)
     // Note: We use the helper which checks skills & general availability
@@ -178,29 +278,41 @@ export const matchAndBroadcastBooking = async (bookingId, io) => {
       serviceId: booking.serviceId,
       address: { latitude, longitude },
       enableGeo: false, // We will do strict geo search next
+      availableAt: booking.scheduledAt || new Date(), // hours / leave / daily limit for the job's time
+      limit: CANDIDATE_LIMIT,
     });
 
-    const eligibleIds = eligibleTechnicians.map(t => t._id);
+    const eligibleIds = eligibleTechnicians
+      .map(t => t._id)
+      .filter(id => !alreadyOffered.has(id.toString()));
 
     if (eligibleIds.length === 0) {
       console.log(`⚠️ No eligible (online/skilled) technicians for booking ${bookingId}`);
+      await recordBookingEvent({
+        bookingId: booking._id,
+        type: "broadcast_no_match",
+        data: { eligibleCount: 0, attempt: attempt + 1, mode },
+      });
+      await markAttemptExhausted();
       // Optional: Update booking status or log
       return { success: true, count: 0, message: "No eligible technicians found" };
     }
 
-    // 2. Geo & Radius Search (Progressive)
-    const baseRadius = booking.radius || 3000; // Default usually 3km or 5km
-    const radiusSteps = [baseRadius, baseRadius * 2, baseRadius * 4];
+    // 2. Geo & Radius Search (Progressive, widened on every re-broadcast)
+    const radiusSteps = getRadiusSteps(booking, attempt);
 
     let nearbyTechnicians = [];
+    let searchRadius = radiusSteps[0];
 
     for (const radius of radiusSteps) {
+      searchRadius = radius;
       nearbyTechnicians = await findNearbyTechnicians({
         latitude,
         longitude,
         radiusMeters: radius,
-        limit: 20, // Max technicians to ping at once
+        limit: CANDIDATE_LIMIT, // ranked below, then cut to maxTechniciansPerBroadcast
         technicianIds: eligibleIds, // Filter the eligible ones by distance
+        checkAvailability: false, // eligibleIds are already availability-checked
       });
 
       if (nearbyTechnicians.length > 0) break;
@@ -208,17 +320,47 @@ export const matchAndBroadcastBooking = async (bookingId, io) => {
 
     if (nearbyTechnicians.length === 0) {
       console.log(`⚠️ No nearby technicians found for booking ${bookingId}`);
-      await ServiceBooking.updateOne({ _id: booking._id }, { broadcastedAt: null });
+      if (booking.status === "requested") {
+        await ServiceBooking.updateOne({ _id: booking._id }, { broadcastedAt: null });
+      }
+      await recordBookingEvent({
+        bookingId: booking._id,
+        type: "broadcast_no_match",
+        data: {
+          eligibleCount: eligibleIds.length,
+          maxRadius: radiusSteps[radiusSteps.length - 1],
+          attempt: attempt + 1,
+          mode,
+        },
+      });
+      await markAttemptExhausted();
       return { success: true, count: 0, message: "No nearby technicians found" };
     }
 
-    // 3. Create JobBroadcast Records
-    const technicianIds = nearbyTechnicians.map(t => t._id.toString());
+    // 3. Rank (distance, rating, experience, acceptance/cancellation, workload) and keep the top N
+    //    (sequential: just the next tier)
+    const ranked = await rankTechnicians({
+      technicianIds: nearbyTechnicians.map(t => t._id),
+      serviceId: booking.serviceId,
+      coordinates,
+      maxDistanceMeters: searchRadius,
+      matching,
+    });
+    const selected = ranked.slice(0, sequential ? broadcastConfig.tierSize : matching.maxTechniciansPerBroadcast);
+    const tier = Number(booking.broadcastTier || 0) + 1;
+
+    // 4. Create JobBroadcast Records
+    const technicianIds = selected.map(t => t.technicianId);
+    const sentAt = new Date();
+    const expiresAt = sequential
+      ? new Date(sentAt.getTime() + broadcastConfig.acceptWindowSeconds * 1000)
+      : getBroadcastExpiresAt(sentAt);
     const jobBroadcastDocs = technicianIds.map(technicianId => ({
       bookingId: booking._id,
       technicianId,
       status: "sent",
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes expiry?
+      sentAt,
+      expiresAt,
     }));
 
     try {
@@ -227,13 +369,41 @@ export const matchAndBroadcastBooking = async (bookingId, io) => {
       // Ignore duplicates
     }
 
-    // 4. Update Booking Status
-    await ServiceBooking.updateOne(
-      { _id: booking._id },
-      { status: "broadcasted", broadcastedAt: new Date() }
-    );
+    // 5. Update Booking Status (fails with a conflict if the booking moved on meanwhile)
+    const tierSet = sequential ? { broadcastTier: tier } : {};
+    if (booking.status === "requested") {
+      await transitionBookingStatus({
+        booking,
+        to: "broadcasted",
+        set: { broadcastedAt: sentAt, ...tierSet },
+        note: sequential
+          ? `Offered to tier ${tier} (${technicianIds.length} technicians)`
+          : `Broadcasted to ${technicianIds.length} technicians`,
+      });
+    } else {
+      await ServiceBooking.updateOne(
+        { _id: booking._id, status: "broadcasted" },
+        { $set: { broadcastedAt: sentAt, ...tierSet } }
+      );
+    }
 
-    // 5. Send Notifications (Push + Socket)
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: "broadcast_sent",
+      data: {
+        technicianIds,
+        count: technicianIds.length,
+        attempt: attempt + 1,
+        radius: searchRadius,
+        expiresAt,
+        candidates: ranked.length,
+        scores: selected.map((t) => ({ technicianId: t.technicianId, score: t.score })),
+        mode,
+        ...(sequential ? { tier } : {}),
+      },
+    });
+
+    // 6. Send Notifications (Push + Socket)
     await broadcastJobToTechnicians(
       io,
       technicianIds,
@@ -244,14 +414,175 @@ export const matchAndBroadcastBooking = async (bookingId, io) => {
         baseAmount: booking.baseAmount,
         address: booking.address, // legacy string or snapshot line
         scheduledAt: booking.scheduledAt,
+        expiresAt,
       }
     );
 
-    console.log(`✅ matchAndBroadcastBooking: Broadcasted booking ${bookingId} to ${technicianIds.length} techs`);
-    return { success: true, count: technicianIds.length };
+    console.log(
+      `✅ matchAndBroadcastBooking: Broadcasted booking ${bookingId} to ${technicianIds.length} techs (attempt ${attempt + 1}${sequential ? `, tier ${tier}` : ""})`
+    );
+    return { success: true, count: technicianIds.length, mode, ...(sequential ? { tier } : {}) };
 
   } catch (error) {
     console.error("❌ matchAndBroadcastBooking Error:", error);
     return { success: false, error: error.message };
   }
 };
+
+/**
+ * Sequential mode: offer the next tier once no offer is pending anymore
+ * (current tier rejected or timed out). No-op for fan-out bookings.
+ * @returns {Promise<Object|null>} matchAndBroadcastBooking result, or null when nothing to do
+ */
+export const offerNextTier = async (bookingId, io) => {
+  const booking = await ServiceBooking.findById(bookingId).select("status technicianId broadcastMode");
+  if (!booking || booking.broadcastMode !== "sequential" || booking.technicianId) return null;
+  if (!["requested", "broadcasted"].includes(booking.status)) return null;
+
+  const pending = await JobBroadcast.exists({
+    bookingId: booking._id,
+    status: "sent",
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  });
+  if (pending) return null;
+
+  return matchAndBroadcastBooking(booking._id, io);
+};
+
+/**
+ * 🔍 Why each skilled technician was or wasn't picked for a booking.
+ * Mirrors matchAndBroadcastBooking for the latest attempt (or the next one when
+ * none ran yet), evaluated against current data.
+ *
+ * @param {string} bookingId
+ * @returns {Promise<Object|null>} null when the booking doesn't exist
+ */
+export const explainBookingMatching = async (bookingId) => {
+  const booking = await ServiceBooking.findById(bookingId);
+  if (!booking) return null;
+
+  const matching = await getSettingsSection("matching");
+  const service = await Service.findById(booking.serviceId).select("categoryId broadcastSettings");
+  const broadcastConfig = await resolveBroadcastConfig(service);
+  const mode = booking.broadcastMode || broadcastConfig.mode;
+  const selectionSize = mode === "sequential" ? broadcastConfig.tierSize : matching.maxTechniciansPerBroadcast;
+  const coordinates = getBookingCoordinates(booking);
+  // Sequential attempts only advance once a radius is exhausted, so the current one is still open
+  const attempt =
+    mode === "sequential"
+      ? Number(booking.broadcastAttempts || 0)
+      : Math.max(Number(booking.broadcastAttempts || 0) - 1, 0);
+  const radiusSteps = getRadiusSteps(booking, attempt);
+  const maxRadius = radiusSteps[radiusSteps.length - 1];
+  const availableAt = booking.scheduledAt || new Date();
+
+  const candidates = await TechnicianProfile.find({ $or: buildSkillMatch(booking.serviceId) })
+    .select("workStatus profileComplete trainingCompleted availability location")
+    .limit(CANDIDATE_LIMIT);
+  const candidateIds = candidates.map((t) => t._id);
+
+  const [kycs, broadcasts, availability] = await Promise.all([
+    TechnicianKyc.find({ technicianId: { $in: candidateIds } }).select("technicianId verificationStatus bankVerified"),
+    JobBroadcast.find({ bookingId: booking._id }).select("technicianId status sentAt"),
+    getAvailabilityReasons(candidates, { at: availableAt }),
+  ]);
+  const kycByTechnician = new Map(kycs.map((k) => [k.technicianId.toString(), k]));
+  const broadcastByTechnician = new Map(broadcasts.map((b) => [b.technicianId.toString(), b]));
+
+  const rows = candidates.map((technician) => {
+    const id = technician._id.toString();
+    const kyc = kycByTechnician.get(id);
+    const reasons = [];
+
+    if (!kyc || kyc.verificationStatus !== "approved") reasons.push("kyc_not_approved");
+    else if (!kyc.bankVerified) reasons.push("bank_not_verified");
+    if (technician.workStatus !== "approved") reasons.push("workStatus_not_approved");
+    if (!technician.profileComplete) reasons.push("profile_incomplete");
+    if (!technician.trainingCompleted) reasons.push("training_incomplete");
+    if (!technician.availability?.isOnline) reasons.push("offline");
+    if (availability.get(id)) reasons.push(availability.get(id));
+
+    const [lng, lat] = technician.location?.coordinates || [];
+    let distance = null;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      reasons.push("no_location");
+    } else if (coordinates) {
+      distance = distanceMeters(coordinates, { latitude: lat, longitude: lng });
+      if (distance > maxRadius) reasons.push("out_of_range");
+    }
+
+    const broadcast = broadcastByTechnician.get(id);
+    return {
+      technicianId: id,
+      eligible: reasons.length === 0,
+      reasons,
+      distanceMeters: distance === null ? null : Math.round(distance),
+      broadcastStatus: broadcast?.status || null,
+      broadcastSentAt: broadcast?.sentAt || null,
+    };
+  });
+
+  // Pending offers are excluded from a new attempt, like in matchAndBroadcastBooking
+  const open = rows.filter((r) => r.eligible && !r.broadcastStatus);
+  const searchRadius =
+    radiusSteps.find((radius) => open.some((r) => r.distanceMeters <= radius)) || radiusSteps[0];
+  const inRadius = open.filter((r) => r.distanceMeters <= searchRadius);
+  for (const r of open) {
+    if (r.distanceMeters > searchRadius) r.reasons.push("beyond_search_radius");
+  }
+
+  const scoredIds = rows.filter((r) => r.eligible || r.broadcastStatus).map((r) => r.technicianId);
+  const ranked = coordinates
+    ? await rankTechnicians({
+        technicianIds: scoredIds,
+        serviceId: booking.serviceId,
+        coordinates,
+        maxDistanceMeters: searchRadius,
+        matching,
+      })
+    : [];
+  const scoreById = new Map(ranked.map((r) => [r.technicianId, r]));
+
+  const inRadiusIds = new Set(inRadius.map((r) => r.technicianId));
+  const nextSelection = new Set(
+    ranked
+      .filter((r) => inRadiusIds.has(r.technicianId))
+      .slice(0, selectionSize)
+      .map((r) => r.technicianId)
+  );
+
+  const technicians = rows.map((r) => {
+    const score = scoreById.get(r.technicianId);
+    const notPicked = inRadiusIds.has(r.technicianId) && !nextSelection.has(r.technicianId);
+    return {
+      ...r,
+      reasons: notPicked ? [...r.reasons, "ranked_below_cutoff"] : r.reasons,
+      alreadyOffered: Boolean(r.broadcastStatus),
+      selectedNext: nextSelection.has(r.technicianId),
+      score: score?.score ?? null,
+      components: score?.components || null,
+      metrics: score?.metrics || null,
+    };
+  });
+
+  technicians.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+
+  return {
+    booking: {
+      _id: booking._id,
+      status: booking.status,
+      serviceId: booking.serviceId,
+      technicianId: booking.technicianId,
+      scheduledAt: booking.scheduledAt,
+      broadcastAttempts: booking.broadcastAttempts || 0,
+      hasCoordinates: Boolean(coordinates),
+    },
+    evaluatedAt: new Date(),
+    availableAt,
+    radiusSteps,
+    searchRadius,
+    matching,
+    broadcast: { ...broadcastConfig, mode, tier: booking.broadcastTier || 0 },
+    technicians,
+  };
+};
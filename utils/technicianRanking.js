@@ -0,0 +1,189 @@
+import mongoose from "mongoose";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import ServiceBooking from "../Schemas/ServiceBooking.js";
+import JobBroadcast from "../Schemas/TechnicianBroadcast.js";
+import { getSettingsSection } from "./platformSettings.js";
+
+/**
+ * 🏆 TECHNICIAN RANKING
+ * Every signal is normalised to 0..1 (higher = better) and combined as a
+ * weighted average using PlatformSettings.matching.weights.
+ */
+
+const ACTIVE_JOB_STATUSES = ["accepted", "on_the_way", "reached", "in_progress"];
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+const round4 = (v) => Math.round(v * 10000) / 10000;
+
+const toObjectIds = (ids) =>
+  ids
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(String(id)));
+
+// Great-circle distance in meters between { latitude, longitude } points
+export const distanceMeters = (from, to) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const R = 6371000;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLng = toRad(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Broadcast history per technician over the last `windowDays`.
+ * - acceptanceRate: accepted offers / offers answered or left to time out
+ *   (Laplace-smoothed, so technicians without history start at 0.5)
+ * - cancellationRate: accepted jobs the technician later cancelled
+ * Offers closed because someone else accepted first don't count against anyone.
+ * @returns {Promise<Map<string, Object>>}
+ */
+export const getBroadcastStats = async (technicianIds, { windowDays = 30 } = {}) => {
+  const stats = new Map();
+  const ids = toObjectIds(technicianIds);
+  if (ids.length === 0) return stats;
+
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ["$status", status] }, 1, 0] } });
+
+  const rows = await JobBroadcast.aggregate([
+    { $match: { technicianId: { $in: ids }, sentAt: { $gte: since } } },
+    {
+      $group: {
+        _id: "$technicianId",
+        accepted: countStatus("accepted"),
+        cancelled: countStatus("cancelled"),
+        rejected: countStatus("rejected"),
+        timedOut: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", "expired"] },
+                  { $ne: [{ $ifNull: ["$expiresAt", null] }, null] },
+                  { $gte: ["$updatedAt", "$expiresAt"] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  for (const row of rows) {
+    const taken = row.accepted + row.cancelled;
+    const answered = taken + row.rejected + row.timedOut;
+    stats.set(row._id.toString(), {
+      offers: answered,
+      accepted: taken,
+      rejected: row.rejected,
+      timedOut: row.timedOut,
+      cancelled: row.cancelled,
+      acceptanceRate: (taken + 1) / (answered + 2),
+      cancellationRate: taken > 0 ? row.cancelled / taken : 0,
+    });
+  }
+  return stats;
+};
+
+const getActiveJobCounts = async (technicianIds) => {
+  const counts = new Map();
+  const ids = toObjectIds(technicianIds);
+  if (ids.length === 0) return counts;
+
+  const rows = await ServiceBooking.aggregate([
+    { $match: { technicianId: { $in: ids }, status: { $in: ACTIVE_JOB_STATUSES } } },
+    { $group: { _id: "$technicianId", count: { $sum: 1 } } },
+  ]);
+  for (const row of rows) counts.set(row._id.toString(), row.count);
+  return counts;
+};
+
+const getSkillExperience = (profile, serviceId) => {
+  const skill = (profile.skills || []).find(
+    (s) => String(s?.serviceId || s) === String(serviceId)
+  );
+  return Number(skill?.experienceYears) || Number(profile.experienceYears) || 0;
+};
+
+/**
+ * Score and sort technicians for a booking (best first).
+ *
+ * @param {Object} params
+ * @param {Array<string|Object>} params.technicianIds - candidates (already eligible)
+ * @param {string} params.serviceId - booked service (for skill experience)
+ * @param {{ latitude: number, longitude: number }} params.coordinates - job location
+ * @param {number} params.maxDistanceMeters - distance that scores 0
+ * @param {Object} [params.matching] - PlatformSettings.matching (loaded when omitted)
+ * @returns {Promise<Array<{ technicianId, score, distanceMeters, components, metrics }>>}
+ */
+export const rankTechnicians = async ({ technicianIds, serviceId, coordinates, maxDistanceMeters, matching }) => {
+  const ids = technicianIds.map((t) => String(t?._id || t));
+  if (ids.length === 0) return [];
+
+  const config = matching || (await getSettingsSection("matching"));
+  const weights = config.weights || {};
+
+  const [profiles, stats, activeJobs] = await Promise.all([
+    TechnicianProfile.find({ _id: { $in: ids } }).select("location rating skills experienceYears"),
+    getBroadcastStats(ids, { windowDays: config.statsWindowDays }),
+    getActiveJobCounts(ids),
+  ]);
+
+  const ranked = profiles.map((profile) => {
+    const id = profile._id.toString();
+    const [lng, lat] = profile.location?.coordinates || [];
+    const distance =
+      Number.isFinite(lat) && Number.isFinite(lng) && coordinates
+        ? distanceMeters(coordinates, { latitude: lat, longitude: lng })
+        : null;
+
+    const history = stats.get(id) || { offers: 0, acceptanceRate: 0.5, cancellationRate: 0 };
+    const experienceYears = getSkillExperience(profile, serviceId);
+    const active = activeJobs.get(id) || 0;
+
+    const components = {
+      distance: distance === null || !maxDistanceMeters ? 0 : clamp01(1 - distance / maxDistanceMeters),
+      rating: clamp01(Number(profile.rating?.avg || 0) / 5),
+      ratingCount: clamp01(Number(profile.rating?.count || 0) / config.ratingCountCap),
+      experience: clamp01(experienceYears / config.experienceYearsCap),
+      acceptanceRate: clamp01(history.acceptanceRate),
+      cancellationRate: clamp01(1 - history.cancellationRate),
+      workload: 1 / (1 + active),
+    };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [key, value] of Object.entries(components)) {
+      const weight = Number(weights[key] || 0);
+      weighted += weight * value;
+      totalWeight += weight;
+    }
+
+    return {
+      technicianId: id,
+      score: totalWeight > 0 ? round4(weighted / totalWeight) : 0,
+      distanceMeters: distance === null ? null : Math.round(distance),
+      components: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, round4(v)])),
+      metrics: {
+        ratingAvg: profile.rating?.avg || 0,
+        ratingCount: profile.rating?.count || 0,
+        experienceYears,
+        activeJobs: active,
+        offers: history.offers,
+        acceptanceRate: round4(history.acceptanceRate),
+        cancellationRate: round4(history.cancellationRate),
+      },
+    };
+  });
+
+  // Best score first; nearer technician wins ties
+  return ranked.sort(
+    (a, b) => b.score - a.score || (a.distanceMeters ?? Infinity) - (b.distanceMeters ?? Infinity)
+  );
+};
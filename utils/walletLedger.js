@@ -0,0 +1,261 @@
+import mongoose from "mongoose";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import WalletTransaction from "../Schemas/TechnicianWallet.js";
+
+/**
+ * 💰 WALLET LEDGER
+ * The only writer of wallet money. Posting moves TechnicianProfile.walletBalance
+ * and bumps walletSequence in one atomic update, then stores the row with that
+ * `sequence` and `balanceAfter`, so every row says what the balance was right
+ * after it. checkWalletLedger() replays the rows to find drift (e.g. a crash
+ * between the two writes outside a transaction); repairWalletLedger() makes the
+ * rows the source of truth again. Debits may take the balance below zero
+ * (e.g. penalties); withdrawals check the balance themselves.
+ * Credits with a future `availableAt` count in the balance but are on hold:
+ * only getWithdrawableBalance() is safe to pay out.
+ */
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// Balances are sums of 2-decimal amounts; anything below this is float noise
+const TOLERANCE = 0.005;
+
+const createLedgerError = (message, details = {}, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = "INVALID_WALLET_TRANSACTION";
+  err.details = details;
+  return err;
+};
+
+/**
+ * @param {Object} params
+ * @param {string} params.technicianId - TechnicianProfile id
+ * @param {number} params.amount - positive amount; `type` decides the direction
+ * @param {"credit"|"debit"} params.type
+ * @param {string} params.source - WalletTransaction source (job, penalty, ...)
+ * @param {string} [params.bookingId]
+ * @param {string} [params.paymentId]
+ * @param {string} [params.note]
+ * @param {Date} [params.availableAt] - credits only: withdrawable from (hold period)
+ * @param {Object} [params.session] - Mongoose session
+ * @returns {Promise<Object>} created WalletTransaction
+ */
+export const postWalletTransaction = async ({
+  technicianId,
+  amount,
+  type,
+  source,
+  bookingId = null,
+  paymentId = null,
+  note = null,
+  availableAt = null,
+  session,
+} = {}) => {
+  const value = round2(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw createLedgerError("Wallet transaction amount must be positive", { amount });
+  }
+  if (!["credit", "debit"].includes(type)) {
+    throw createLedgerError("Invalid wallet transaction type", { type });
+  }
+  if (!technicianId || !mongoose.Types.ObjectId.isValid(technicianId)) {
+    throw createLedgerError("Valid technicianId is required", { technicianId });
+  }
+
+  const delta = type === "credit" ? value : -value;
+  const profile = await TechnicianProfile.findOneAndUpdate(
+    { _id: technicianId },
+    { $inc: { walletBalance: delta, walletSequence: 1 } },
+    { new: true, session, projection: { walletBalance: 1, walletSequence: 1 } }
+  );
+  if (!profile) throw createLedgerError("Technician not found", { technicianId }, 404);
+
+  try {
+    const [transaction] = await WalletTransaction.create(
+      [
+        {
+          technicianId,
+          bookingId,
+          paymentId,
+          amount: value,
+          type,
+          source,
+          note,
+          sequence: profile.walletSequence,
+          balanceAfter: round2(profile.walletBalance),
+          availableAt: type === "credit" ? availableAt : null,
+        },
+      ],
+      { session }
+    );
+    return transaction;
+  } catch (error) {
+    // Outside a transaction undo the balance move (e.g. duplicate job credit);
+    // the skipped sequence number is harmless
+    if (!session) {
+      await TechnicianProfile.updateOne({ _id: technicianId }, { $inc: { walletBalance: -delta } });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Wallet balance split into what is still on hold and what can be withdrawn.
+ * @param {string} technicianId - TechnicianProfile id
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {Object} [options.session] - Mongoose session
+ * @returns {Promise<{ walletBalance: number, onHold: number, withdrawable: number, nextAvailableAt: Date|null }>}
+ */
+export const getWithdrawableBalance = async (technicianId, { now = new Date(), session } = {}) => {
+  const technicianObjectId = new mongoose.Types.ObjectId(String(technicianId));
+  // Sequential: one session cannot run operations in parallel inside a transaction
+  const profile = await TechnicianProfile.findById(technicianObjectId)
+    .select("walletBalance")
+    .session(session || null)
+    .lean();
+  const [held] = await WalletTransaction.aggregate([
+    { $match: { technicianId: technicianObjectId, type: "credit", availableAt: { $gt: now } } },
+    { $group: { _id: null, amount: { $sum: "$amount" }, nextAvailableAt: { $min: "$availableAt" } } },
+  ]).session(session || null);
+
+  const walletBalance = round2(Number(profile?.walletBalance || 0));
+  const onHold = round2(held?.amount || 0);
+  return {
+    walletBalance,
+    onHold,
+    withdrawable: Math.max(0, round2(walletBalance - onHold)),
+    nextAvailableAt: held?.nextAvailableAt || null,
+  };
+};
+
+// Replay one technician's rows (in ledger order) against the stored balance
+const auditTechnician = (technicianId, rows, profile) => {
+  let running = 0;
+  let missingBalanceAfter = 0;
+  let firstBrokenTransactionId = null;
+  let brokenRows = 0;
+
+  for (const row of rows) {
+    running = round2(running + (row.type === "credit" ? row.amount : -row.amount));
+    if (row.balanceAfter === null || row.balanceAfter === undefined) {
+      missingBalanceAfter += 1;
+    } else if (Math.abs(row.balanceAfter - running) > TOLERANCE) {
+      brokenRows += 1;
+      firstBrokenTransactionId = firstBrokenTransactionId || row._id;
+    }
+  }
+
+  const storedBalance = round2(Number(profile?.walletBalance || 0));
+  return {
+    technicianId,
+    profileFound: Boolean(profile),
+    storedBalance,
+    ledgerBalance: running,
+    difference: round2(storedBalance - running),
+    transactions: rows.length,
+    missingBalanceAfter,
+    brokenRows,
+    firstBrokenTransactionId,
+  };
+};
+
+const hasIssues = (audit) =>
+  !audit.profileFound || Math.abs(audit.difference) > TOLERANCE || audit.missingBalanceAfter > 0 || audit.brokenRows > 0;
+
+// Ledger order: sequence, rows from before sequences existed first
+const loadLedger = (technicianId) =>
+  WalletTransaction.find({ technicianId })
+    .select("amount type sequence balanceAfter createdAt")
+    .sort({ sequence: 1, createdAt: 1, _id: 1 })
+    .lean();
+
+const listTechnicianIds = async (technicianId) => {
+  if (technicianId) return [new mongoose.Types.ObjectId(String(technicianId))];
+  const [withRows, withBalance] = await Promise.all([
+    WalletTransaction.distinct("technicianId"),
+    TechnicianProfile.distinct("_id", { walletBalance: { $nin: [0, null] } }),
+  ]);
+  const ids = new Map([...withRows, ...withBalance].map((id) => [id.toString(), id]));
+  return [...ids.values()];
+};
+
+/**
+ * Recompute every wallet from its rows and report what does not match.
+ * @param {Object} [params]
+ * @param {string} [params.technicianId] - check one technician only
+ * @returns {Promise<{ checked: number, healthy: number, discrepancies: Object[] }>}
+ */
+export const checkWalletLedger = async ({ technicianId } = {}) => {
+  const ids = await listTechnicianIds(technicianId);
+  const discrepancies = [];
+
+  // One technician at a time keeps memory flat on large ledgers
+  for (const id of ids) {
+    const [rows, profile] = await Promise.all([
+      loadLedger(id),
+      TechnicianProfile.findById(id).select("walletBalance").lean(),
+    ]);
+    const audit = auditTechnician(id, rows, profile);
+    if (hasIssues(audit)) discrepancies.push(audit);
+  }
+
+  return { checked: ids.length, healthy: ids.length - discrepancies.length, discrepancies };
+};
+
+/**
+ * Make the rows the source of truth: renumber `sequence`, rewrite `balanceAfter`
+ * and set walletBalance / walletSequence from them. A wallet that receives a
+ * posting while it is being repaired is skipped (run again).
+ * @param {Object} [params]
+ * @param {string} [params.technicianId]
+ * @param {boolean} [params.dryRun=true] - only report what would change
+ * @returns {Promise<{ checked: number, repaired: Object[], skipped: Object[], dryRun: boolean }>} `repaired`
+ *   lists each wallet's audit with the `repairedBalance` it got (or would get)
+ */
+export const repairWalletLedger = async ({ technicianId, dryRun = true } = {}) => {
+  const { checked, discrepancies } = await checkWalletLedger({ technicianId });
+  const repaired = [];
+  const skipped = [];
+
+  for (const audit of discrepancies) {
+    if (!audit.profileFound) {
+      skipped.push({ ...audit, reason: "technician_not_found" });
+      continue;
+    }
+    if (dryRun) {
+      repaired.push({ ...audit, repairedBalance: audit.ledgerBalance });
+      continue;
+    }
+
+    const profile = await TechnicianProfile.findById(audit.technicianId).select("walletSequence").lean();
+    const rows = await loadLedger(audit.technicianId);
+
+    let running = 0;
+    const updates = rows.map((row, i) => {
+      running = round2(running + (row.type === "credit" ? row.amount : -row.amount));
+      return { updateOne: { filter: { _id: row._id }, update: { $set: { sequence: i + 1, balanceAfter: running } } } };
+    });
+
+    // Claim the wallet first: a posting in between changes walletSequence and makes this miss
+    const claimed = await TechnicianProfile.updateOne(
+      {
+        _id: audit.technicianId,
+        walletSequence: profile.walletSequence === undefined ? { $exists: false } : profile.walletSequence,
+      },
+      { $set: { walletBalance: running, walletSequence: rows.length } }
+    );
+    if (claimed.matchedCount === 0) {
+      skipped.push({ ...audit, reason: "changed_during_repair" });
+      continue;
+    }
+
+    // Free the unique sequence slots before renumbering
+    await WalletTransaction.updateMany({ _id: { $in: rows.map((row) => row._id) } }, { $set: { sequence: null } });
+    if (updates.length) await WalletTransaction.bulkWrite(updates, { ordered: true });
+    repaired.push({ ...audit, repairedBalance: running });
+  }
+
+  return { checked, repaired, skipped, dryRun };
+};
@@ -0,0 +1,270 @@
+import mongoose from "mongoose";
+import TechnicianProfile from "../Schemas/TechnicianProfile.js";
+import WalletTransaction from "../Schemas/TechnicianWallet.js";
+import WithdrawalRequest from "../Schemas/WithdrawalRequest.js";
+import { getSettingsSection } from "./platformSettings.js";
+import { getWithdrawableBalance, postWalletTransaction } from "./walletLedger.js";
+import { getTechnicianCancellationStats } from "./technicianCancellation.js";
+import { initiateWithdrawalPayout, isAutomaticPayoutEnabled } from "./payouts.js";
+import { getLocalDayBounds, getZonedParts, zonedDateTimeToUtc } from "./technicianAvailability.js";
+
+/**
+ * 🏧 WITHDRAWALS
+ * Rules from PlatformSettings.withdrawals checked when a technician asks for a
+ * payout: minimum amount, daily/weekly caps, open requests, cooldown, allowed
+ * weekdays and a reserve that always stays in the wallet for penalties.
+ * Approving reserves the amount with a wallet debit; the Owner decision and
+ * auto-approval (small requests from technicians in good standing) share it.
+ */
+
+// Requests holding (or about to hold) wallet money
+const OPEN_STATUSES = ["requested", "approved", "processing"];
+// Requests that count towards the daily/weekly caps
+const COUNTED_STATUSES = [...OPEN_STATUSES, "paid"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+const createWithdrawalError = (message, statusCode, code, details = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+// Monday 00:00 (business time zone) of the week containing `now`
+const getLocalWeekStart = (now) => {
+  const { year, month, day, weekday } = getZonedParts(now);
+  const monday = new Date(Date.UTC(year, month - 1, day - ((weekday + 6) % 7)));
+  return zonedDateTimeToUtc(monday.toISOString().slice(0, 10), 0);
+};
+
+/**
+ * Withdrawable balance minus the reserve (PlatformSettings.withdrawals.reserveAmount).
+ * @returns {Promise<{ walletBalance: number, onHold: number, withdrawable: number, nextAvailableAt: Date|null, reserveAmount: number, available: number }>}
+ */
+export const getWithdrawalAllowance = async (technicianId, { rules, now = new Date(), session } = {}) => {
+  const config = rules || (await getSettingsSection("withdrawals"));
+  const balance = await getWithdrawableBalance(technicianId, { now, session });
+  const reserveAmount = round2(Number(config.reserveAmount || 0));
+
+  return {
+    ...balance,
+    reserveAmount,
+    available: Math.max(0, round2(balance.withdrawable - reserveAmount)),
+  };
+};
+
+/**
+ * Throws a 400 with a `code` when the technician may not request `amount` now.
+ * @returns {Promise<{ rules: Object, allowance: Object }>}
+ */
+export const checkWithdrawalRequest = async ({ technicianId, amount, now = new Date() }) => {
+  const rules = await getSettingsSection("withdrawals");
+  const technicianObjectId = new mongoose.Types.ObjectId(String(technicianId));
+
+  if (amount < rules.minAmount) {
+    throw createWithdrawalError(`Minimum withdrawal is ${rules.minAmount}`, 400, "BELOW_MINIMUM_WITHDRAWAL", {
+      minAmount: rules.minAmount,
+    });
+  }
+
+  const allowedWeekdays = rules.allowedWeekdays || [];
+  if (allowedWeekdays.length > 0 && !allowedWeekdays.includes(getZonedParts(now).weekday)) {
+    throw createWithdrawalError("Withdrawals cannot be requested today", 400, "WITHDRAWAL_DAY_NOT_ALLOWED", {
+      allowedWeekdays,
+    });
+  }
+
+  const open = await WithdrawalRequest.find({ technicianId: technicianObjectId, status: { $in: OPEN_STATUSES } })
+    .select("amount status")
+    .lean();
+  if (open.length >= rules.maxOpenRequests) {
+    throw createWithdrawalError(
+      rules.maxOpenRequests === 1
+        ? "You already have an active withdrawal request"
+        : `You already have ${open.length} active withdrawal requests`,
+      400,
+      "TOO_MANY_OPEN_WITHDRAWALS",
+      { openRequests: open.map((r) => ({ requestId: r._id, status: r.status })), maxOpenRequests: rules.maxOpenRequests }
+    );
+  }
+
+  // Approved/processing requests are already debited; requested ones are not yet
+  const pendingAmount = round2(open.filter((r) => r.status === "requested").reduce((sum, r) => sum + r.amount, 0));
+  const allowance = await getWithdrawalAllowance(technicianObjectId, { rules, now });
+  if (allowance.available - pendingAmount < amount) {
+    throw createWithdrawalError("Insufficient withdrawable balance", 400, "INSUFFICIENT_WITHDRAWABLE_BALANCE", {
+      ...allowance,
+      pendingAmount,
+    });
+  }
+
+  const cooldownMs = rules.cooldownDays * DAY_MS;
+  if (cooldownMs > 0) {
+    const last = await WithdrawalRequest.findOne({ technicianId: technicianObjectId }).sort({ createdAt: -1 }).select("createdAt");
+    if (last && now.getTime() - new Date(last.createdAt).getTime() < cooldownMs) {
+      throw createWithdrawalError("Withdrawal cooldown active. Try later.", 400, "WITHDRAWAL_COOLDOWN", {
+        lastRequestedAt: last.createdAt,
+        cooldownDays: rules.cooldownDays,
+        nextAllowedAt: new Date(new Date(last.createdAt).getTime() + cooldownMs),
+      });
+    }
+  }
+
+  if (rules.maxPerDay > 0 || rules.maxPerWeek > 0) {
+    const dayStart = getLocalDayBounds(now).start;
+    const [totals] = await WithdrawalRequest.aggregate([
+      {
+        $match: {
+          technicianId: technicianObjectId,
+          status: { $in: COUNTED_STATUSES },
+          createdAt: { $gte: getLocalWeekStart(now) },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          week: { $sum: "$amount" },
+          day: { $sum: { $cond: [{ $gte: ["$createdAt", dayStart] }, "$amount", 0] } },
+        },
+      },
+    ]);
+    const requestedToday = round2(totals?.day || 0);
+    const requestedThisWeek = round2(totals?.week || 0);
+
+    if (rules.maxPerDay > 0 && requestedToday + amount > rules.maxPerDay) {
+      throw createWithdrawalError("Daily withdrawal limit exceeded", 400, "DAILY_WITHDRAWAL_LIMIT", {
+        maxPerDay: rules.maxPerDay,
+        requestedToday,
+        remaining: Math.max(0, round2(rules.maxPerDay - requestedToday)),
+      });
+    }
+    if (rules.maxPerWeek > 0 && requestedThisWeek + amount > rules.maxPerWeek) {
+      throw createWithdrawalError("Weekly withdrawal limit exceeded", 400, "WEEKLY_WITHDRAWAL_LIMIT", {
+        maxPerWeek: rules.maxPerWeek,
+        requestedThisWeek,
+        remaining: Math.max(0, round2(rules.maxPerWeek - requestedThisWeek)),
+      });
+    }
+  }
+
+  return { rules, allowance };
+};
+
+/**
+ * Whether a request can skip the Owner queue. `reasons` lists every rule it failed.
+ * @returns {Promise<{ eligible: boolean, reasons: string[] }>}
+ */
+export const getAutoApprovalDecision = async ({ technicianId, amount, rules, now = new Date() }) => {
+  const config = (rules || (await getSettingsSection("withdrawals"))).autoApprove || {};
+  if (!config.enabled) return { eligible: false, reasons: ["AUTO_APPROVAL_DISABLED"] };
+
+  const reasons = [];
+  if (amount > config.maxAmount) reasons.push("ABOVE_AUTO_APPROVAL_AMOUNT");
+
+  const technician = await TechnicianProfile.findById(technicianId).select("workStatus rating totalJobsCompleted").lean();
+  if (technician?.workStatus !== "approved") reasons.push("TECHNICIAN_NOT_APPROVED");
+  if (Number(technician?.rating?.avg || 0) < config.minRating) reasons.push("RATING_TOO_LOW");
+  if (Number(technician?.totalJobsCompleted || 0) < config.minCompletedJobs) reasons.push("TOO_FEW_COMPLETED_JOBS");
+
+  if (config.penaltyFreeDays > 0) {
+    const recentPenalty = await WalletTransaction.exists({
+      technicianId,
+      source: "penalty",
+      type: "debit",
+      createdAt: { $gte: new Date(now.getTime() - config.penaltyFreeDays * DAY_MS) },
+    });
+    if (recentPenalty) reasons.push("RECENT_PENALTY");
+  }
+
+  const { cancellationRate } = await getTechnicianCancellationStats(technicianId);
+  if (cancellationRate > config.maxCancellationRate) reasons.push("CANCELLATION_RATE_TOO_HIGH");
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+/**
+ * Approve a `requested` withdrawal and reserve its amount with a wallet debit.
+ * Call inside a transaction with the same session the document was loaded with.
+ * @param {Object} withdrawal - WithdrawalRequest document
+ * @param {Object} options
+ * @param {string} [options.decidedBy] - Owner userId (null when auto-approved)
+ * @param {string} [options.note]
+ * @param {boolean} [options.autoApproved]
+ * @param {Object} options.session - Mongoose session
+ * @returns {Promise<Object>} saved WithdrawalRequest
+ */
+export const approveWithdrawal = async (withdrawal, { decidedBy = null, note = null, autoApproved = false, session }) => {
+  if (withdrawal.status !== "requested") {
+    throw createWithdrawalError("Only requested withdrawals can be approved", 400, "INVALID_WITHDRAWAL_STATUS", {
+      status: withdrawal.status,
+    });
+  }
+
+  const tech = await TechnicianProfile.findById(withdrawal.technicianId).select("_id").session(session);
+  if (!tech) throw createWithdrawalError("Technician not found", 404, "TECHNICIAN_NOT_FOUND");
+
+  const { available } = await getWithdrawalAllowance(withdrawal.technicianId, { session });
+  if (available < Number(withdrawal.amount)) {
+    throw createWithdrawalError("Insufficient withdrawable balance to approve", 400, "INSUFFICIENT_WITHDRAWABLE_BALANCE", {
+      available,
+    });
+  }
+
+  // Reserve funds immediately by debiting wallet (prevents double-spend)
+  const tx = await postWalletTransaction({
+    technicianId: withdrawal.technicianId,
+    amount: Number(withdrawal.amount),
+    type: "debit",
+    source: "withdrawal",
+    note: autoApproved ? "Withdrawal auto-approved - funds reserved" : "Withdrawal approved - funds reserved",
+    session,
+  });
+
+  withdrawal.status = "approved";
+  withdrawal.decidedAt = new Date();
+  withdrawal.decidedBy = decidedBy;
+  withdrawal.decisionNote = note;
+  withdrawal.autoApproved = autoApproved;
+  withdrawal.walletTransactionId = tx._id;
+  return withdrawal.save({ session });
+};
+
+/**
+ * Approve a fresh request when the auto-approval rules allow it, then send the
+ * payout (when automatic). Not eligible → `withdrawal` is null and the request
+ * waits for the Owner.
+ * @returns {Promise<{ withdrawal: Object|null, decision: { eligible: boolean, reasons: string[] } }>}
+ */
+export const autoApproveWithdrawal = async ({ withdrawalId, rules, io = null }) => {
+  const pending = await WithdrawalRequest.findById(withdrawalId).select("technicianId amount").lean();
+  if (!pending) throw createWithdrawalError("Withdrawal not found", 404, "WITHDRAWAL_NOT_FOUND");
+
+  const decision = await getAutoApprovalDecision({ technicianId: pending.technicianId, amount: pending.amount, rules });
+  if (!decision.eligible) return { withdrawal: null, decision };
+
+  let approved;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const doc = await WithdrawalRequest.findById(withdrawalId).session(session);
+      approved = await approveWithdrawal(doc, { note: "Auto-approved", autoApproved: true, session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  // Funds are reserved; a payout that cannot be sent now can be re-sent by the Owner
+  if (isAutomaticPayoutEnabled()) {
+    try {
+      approved = await initiateWithdrawalPayout({ withdrawalId: approved._id, io });
+    } catch (error) {
+      console.error(`⚠️ Payout not sent for auto-approved withdrawal ${approved._id}:`, error.message);
+    }
+  }
+
+  return { withdrawal: approved, decision };
+};